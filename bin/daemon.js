@@ -1,428 +1,431 @@
 #!/usr/bin/env node
 'use strict';
 const fs = require('fs'), path = require('path'), os = require('os');
-const { execFile, spawn } = require('child_process');
-const { promisify } = require('util');
-const https = require('https');
-const execFileP = promisify(execFile);
-require('dotenv').config({ path: `${process.env.HOME}/.env`, quiet: true })
+const { EvidenceBuffer } = require('../lib/fail2ban');
+const { loadJailProfiles, resolveJailProfile, allJailProfiles } = require('../lib/jails');
+const { buildScanProfiles, unknownScanProfiles } = require('../lib/scanprofiles');
+const { JobStore } = require('../lib/jobstore');
+const { pruneHistory } = require('../lib/history');
+const { loadConfig, applyReload, describeConfig, ConfigError } = require('../lib/config');
+const { which } = require('../lib/exec');
+const { parseArgs } = require('../lib/cli');
+const { geoProvider } = require('../lib/geo');
+const { loadPlugins, selectPlugins, missingBinaries } = require('../lib/plugins');
+const { reportScan } = require('../lib/report');
+const { Notifier, validateSinks } = require('../lib/notify');
+const { ActionEngine, validateRules, requiredBinaries } = require('../lib/actions');
+const { Sandbox } = require('../lib/sandbox');
+const { IpGuard, normalizeIp } = require('../lib/ipguard');
+const { planRetention, applyRetention, retentionEnabled, retentionBinaries, activeWindowMs } = require('../lib/retention');
+const { ScanDb } = require('../lib/scandb');
+const { EventHub } = require('../lib/events');
+const { ScanMetrics, serveMetrics, parseListen } = require('../lib/metrics');
+const { ControlServer } = require('../lib/control');
+const { socketAlive } = require('../lib/unixsocket');
+const { loadState, saveState: writeState } = require('../lib/state');
+const { FileTail, JournalTail } = require('../lib/tail');
+const { performScan } = require('../lib/scan');
+const { ScanQueue, lineHandler } = require('../lib/queue');
 // -------------------- CLI / CONFIG --------------------
 const argv = process.argv.slice(2);
-const getArg = (k,d) => { for(let i=0;i<argv.length;i++){const a=argv[i]; if(a===k&&argv[i+1]) return argv[++i]; if(a.startsWith(k+'=')) return a.split('=')[1]; } return d; };
 
 if(argv.includes('--help')||argv.includes('-h')){
   console.log(`Fail2Scan optimized daemon
---log PATH (default /var/log/fail2ban.log)
+--config PATH (JSON or YAML, default /etc/fail2scan/config.{json,yaml} if present)
+--print-config (print the effective configuration and exit)
+--log PATH (repeatable; journal:UNIT reads journalctl, default /var/log/fail2ban.log)
+--backfill (replay rotated and .gz logs / the whole journal on start)
 --out PATH (default /var/log/fail2scan)
---concurrency N (default 1)
+--concurrency N (default 0 = CPU count; 1 with --scan-ip)
 --cores N (override concurrency with CPU cores)
 --nmap-args "args" (default "-sS -Pn -p- -T4 -sV")
+--scan-profile NAME (quick, standard, deep, udp-top or from scan.profiles; replaces --nmap-args)
+--jails PATH (per-jail scan profiles, default /etc/fail2scan/jails.json)
+--rescan-ttl SEC (default 3600)
+--rescan-policy ttl|backoff|changed (default ttl)
+--state-file PATH (default ~/.fail2scan_state.json)
+--log-file PATH (default ~/.fail2scan.log)
+--env-file PATH (default ~/.env)
 --scan-ip IP (do one scan and exit)
+--jail NAME (profile to use with --scan-ip)
 --quiet
+Precedence: CLI > env (FAIL2SCAN_*) > config file > defaults. SIGHUP reloads the config.
 `); 
   process.exit(0); 
 }
 
-const LOG_PATH = getArg('--log','/var/log/fail2ban.log');
-const OUT_ROOT = getArg('--out','/var/log/fail2scan');
-const USER_CONCURRENCY = parseInt(getArg('--concurrency','0'),10)||0;
-const CORE_OVERRIDE = parseInt(getArg('--cores','0'),10)||0;
-const NMAP_ARGS_STR = getArg('--nmap-args','-sS -Pn -p- -T4 -sV');
-const SINGLE_IP = getArg('--scan-ip',null);
-const QUIET = argv.includes('--quiet');
-const RESCAN_TTL_SEC = 60*60;
-const STATE_FILE = path.join(os.homedir(),'.fail2scan_state.json');
-const LOG_FILE = path.join(os.homedir(),'.fail2scan.log');
+// one-shot options, not settings: loadConfig skips them
+let SINGLE_IP=null, SINGLE_JAIL=null;
+try{
+  const { opts }=parseArgs(argv,{ string:['--scan-ip','--jail'] });
+  if(opts.scanIp!==undefined&&!normalizeIp(opts.scanIp)) throw new Error(`--scan-ip: not an IP address: ${opts.scanIp}`);
+  if(opts.jail!==undefined&&opts.scanIp===undefined) throw new Error('--jail only applies to --scan-ip');
+  SINGLE_IP=opts.scanIp||null;
+  SINGLE_JAIL=opts.jail||null;
+}catch(e){
+  console.error(e.message);
+  process.exit(2);
+}
+
+let CONFIG, CONFIG_FILE, CONFIG_SOURCES;
+try{
+  ({ config: CONFIG, file: CONFIG_FILE, sources: CONFIG_SOURCES } = loadConfig({ argv }));
+}catch(e){
+  if(!(e instanceof ConfigError)) throw e;
+  console.error(e.message);
+  process.exit(2);
+}
+
+if(argv.includes('--print-config')){
+  console.log(JSON.stringify({ file: CONFIG_FILE, ...describeConfig(CONFIG, CONFIG_SOURCES) }, null, 2));
+  process.exit(0);
+}
 
 const log=(...a)=>{
-  if(!QUIET) console.log(new Date().toISOString(),...a);
-  try{ fs.appendFileSync(LOG_FILE,new Date().toISOString()+' '+a.join(' ')+'\n'); }catch{}
+  if(!CONFIG.quiet) console.log(new Date().toISOString(),...a);
+  try{ fs.appendFileSync(CONFIG.logFile,new Date().toISOString()+' '+a.join(' ')+'\n'); }catch{}
 };
 
-// -------------------- utilities --------------------
-const sanitizeFilename=s=>String(s).replace(/[:\/\\<>?"|* ]+/g,'_');
+// -------------------- state --------------------
+const saveState=s=>writeState(CONFIG.stateFile,s);
+
+// read offsets move on every log batch; coalesce those writes
+let stateSaveTimer=null;
+function scheduleStateSave(){
+  if(stateSaveTimer) return;
+  stateSaveTimer=setTimeout(()=>{ stateSaveTimer=null; saveState(STATE); },1000);
+  stateSaveTimer.unref();
+}
+
+const STATE=loadState(CONFIG.stateFile);
 
-async function which(bin){
-  try{ await execFileP('which',[bin]); return true; }
-  catch{ return false; }
+function pruneState(){
+  const removed=pruneHistory(STATE.history,CONFIG.history,STATE.seen);
+  if(removed) log('Pruned',removed,'IP(s) from scan history');
+  return removed;
 }
 
-async function runCmdCapture(cmd,args,opts={}){
+// output tree retention (hourly, one run at a time)
+let retentionRunning=false;
+async function runRetention(){
+  if(retentionRunning||!retentionEnabled(CONFIG.retention)) return;
+  retentionRunning=true;
   try{
-    const {stdout,stderr}=await execFileP(cmd,args,{maxBuffer:1024*1024*32,...opts});
-    return {ok:true,stdout:stdout||'',stderr:stderr||''};
+    const plan=planRetention(CONFIG.out,CONFIG.retention,{ activeMs:activeWindowMs(CONFIG.limits) });
+    if(!plan.actions.length) return;
+    const { done, failed }=await applyRetention(plan,{ log, indent:CONFIG.output.jsonIndent });
+    if(CONFIG.index.enabled) await scanIndex().retained(done).catch(e=>log('Cannot update the scan index after retention:',e.message));
+    const count=op=>done.filter(a=>a.op===op).length;
+    log(`Retention: ${count('delete')} deleted, ${count('archive')} archived, ${count('parts')} part-N cleanups`+(failed.length?`, ${failed.length} failed`:''));
   }catch(e){
-    return {ok:false,stdout:(e.stdout||'')+'',stderr:(e.stderr||e.message)+''};
+    log('Retention failed:',e.message||e);
+  }finally{
+    retentionRunning=false;
   }
 }
 
-function safeMkdirSyncWithFallback(p){
-  try{ return fs.mkdirSync(p,{recursive:true,mode:0o750})||p; }
-  catch(e){
-    const f=path.join('/tmp','fail2scan');
-    try{ return fs.mkdirSync(f,{recursive:true,mode:0o750})||f; }
-    catch(ee){ throw e; }
-  }
+// -------------------- jail profiles --------------------
+let JAIL_PROFILES;
+try{ JAIL_PROFILES=loadJailProfiles(CONFIG.jails); }
+catch(e){
+  console.error('Invalid jail profiles:',e.message);
+  process.exit(2);
 }
 
-// -------------------- prerequisites --------------------
-(async()=>{
-  for(const t of ['nmap','dig','whois','which']){
-    if(t==='which') continue;
-    if(!(await which(t))){
-      console.error(`Missing required binary: ${t}`);
-      process.exit(2);
-    }
-  }
-})().catch(e=>{
-  console.error('Prereq check failed',e);
+// -------------------- scan profiles --------------------
+// a profile name no jail or scan.profile uses may still be wrong; one in use must exist
+function loadScanProfiles(cfg,jails){
+  const profiles=buildScanProfiles(cfg.scan.profiles);
+  const unknown=unknownScanProfiles(cfg,allJailProfiles(jails),profiles);
+  if(unknown.length) throw new ConfigError([`unknown scan profile(s): ${unknown.join(', ')} (known: ${[...profiles.keys()].join(', ')})`]);
+  return profiles;
+}
+let SCAN_PROFILES;
+try{ SCAN_PROFILES=loadScanProfiles(CONFIG,JAIL_PROFILES); }
+catch(e){
+  if(!(e instanceof ConfigError)) throw e;
+  console.error(e.message);
   process.exit(2);
-});
-
-// -------------------- state --------------------
-function loadState(){
-  try{
-    if(fs.existsSync(STATE_FILE)){
-      const j=JSON.parse(fs.readFileSync(STATE_FILE,'utf8'));
-      return {
-        seen:new Set(Array.isArray(j.seen)?j.seen:[]),
-        retryAfter:typeof j.retryAfter==='object'?j.retryAfter:{}
-      };
-    }
-  }catch{}
-  return {seen:new Set(),retryAfter:{}};
 }
 
-function saveState(s){
-  try{
-    fs.mkdirSync(path.dirname(STATE_FILE),{recursive:true,mode:0o700});
-    fs.writeFileSync(STATE_FILE,JSON.stringify({
-      seen:Array.from(s.seen||[]),
-      retryAfter:s.retryAfter||{}
-    },null,2));
-  }catch{}
+// -------------------- notifications --------------------
+const makeNotifier=cfg=>new Notifier(validateSinks(cfg.notify.sinks,{ from:cfg.report.from }),{ mail:cfg.mail, log });
+let NOTIFIER;
+try{ NOTIFIER=makeNotifier(CONFIG); }
+catch(e){
+  if(!(e instanceof ConfigError)) throw e;
+  console.error(e.message);
+  process.exit(2);
 }
 
-const STATE=loadState();
-
-// -------------------- IP extraction --------------------
-function extractIpFromLine(line){
-  const v4=line.match(/\b(?:\d{1,3}\.){3}\d{1,3}\b/);
-  if(v4&&v4[0]) return v4[0];
-  const v6=line.match(/\b([0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{0,4}\b/);
-  if(v6&&v6[0]) return v6[0];
-  return null;
+// -------------------- actions --------------------
+const makeActions=cfg=>new ActionEngine(cfg.actions,validateRules(cfg.actions.rules),{ log, history:()=>STATE.history });
+let ACTIONS;
+try{ ACTIONS=makeActions(CONFIG); }
+catch(e){
+  if(!(e instanceof ConfigError)) throw e;
+  console.error(e.message);
+  process.exit(2);
 }
 
-// -------------------- GEOLOCATION (Native HTTPS) --------------------
-function fetchGeo(ip){
-  return new Promise((resolve,reject)=>{
-    const apiKey = process.env.IPGEO_API_KEY;
-    if(!apiKey) return resolve({ error:"Missing IPGEO_API_KEY" });
-
-    const fields = "geo,time_zone,currency,asn,security";
-    const url = `https://api.ipgeolocation.io/ipgeo?apiKey=${apiKey}&ip=${ip}&fields=${fields}`;
-
-    https.get(url,res=>{
-      let data='';
-      res.on('data',chunk=>data+=chunk);
-      res.on('end',()=>{
-        try{ resolve(JSON.parse(data)); }
-        catch(e){ resolve({error:"Invalid JSON",raw:data}); }
-      });
-    }).on('error',reject);
-  });
-}
+// -------------------- sandbox --------------------
+// one for the whole daemon: its nmap slots are shared by every running scan
+const SANDBOX=new Sandbox(CONFIG.sandbox,CONFIG.limits);
 
-// -------------------- nmap helpers --------------------
-function spawnOneNmap(args, outFile) {
-  return new Promise((resolve, reject) => {
-    const proc = spawn('nmap', args, { stdio: ['ignore', 'pipe', 'pipe'] });
-    const outStream = fs.createWriteStream(outFile, { flags: 'w' });
-    proc.stdout.pipe(outStream);
-    let stderr = '';
-    proc.stderr.on('data', c => { stderr += c.toString(); });
-    proc.on('close', code => {
-      if (stderr) {
-        try { fs.appendFileSync(outFile, '\n\nSTDERR:\n' + stderr); } catch (e) {}
-      }
-      resolve({ code, ok: code === 0 });
-    });
-    proc.on('error', err => reject(err));
-  });
+// -------------------- scan index --------------------
+let INDEX=new ScanDb(CONFIG.index.file,{ log });
+const scanIndex=()=>{
+  if(INDEX.file!==CONFIG.index.file) INDEX=new ScanDb(CONFIG.index.file,{ log });
+  return INDEX;
+};
+// every scan directory written, retried attempts included (as reindex sees them)
+function indexScan(summary,dir){
+  if(!CONFIG.index.enabled) return Promise.resolve();
+  return scanIndex().add(summary,dir).catch(e=>log('Cannot index',path.basename(dir)+':',e.message));
 }
 
-async function spawnNmapParallel(ip, outDir, requestedArgs, parts) {
-  if (!requestedArgs.includes('-p-')) {
-    const outNmap = path.join(outDir, 'nmap.txt');
-    await spawnOneNmap([...requestedArgs, ip], outNmap);
-    return;
-  }
-
-  const cpuCount = os.cpus() ? os.cpus().length : 1;
-  const numParts = Math.max(1, parts || CORE_OVERRIDE || cpuCount);
-  const portsPer = Math.floor(65535 / numParts);
-
-  const jobs = [];
-  for (let i = 0; i < numParts; i++) {
-    const start = 1 + i * portsPer;
-    const end = (i === numParts - 1) ? 65535 : ((i + 1) * portsPer);
-    const subdir = path.join(outDir, `part-${i}`);
-    try { fs.mkdirSync(subdir, { recursive: true, mode: 0o750 }); } catch (e) {}
-    const outNmap = path.join(subdir, 'nmap.txt');
-    const portArg = `-p${start}-${end}`;
-    const args = requestedArgs.map(a => a === '-p-' ? portArg : a).concat([ip]);
-    jobs.push(spawnOneNmap(args, outNmap));
-  }
-  await Promise.all(jobs);
-
-  const partsContent = [];
-  for (let i = 0; i < numParts; i++) {
-    const fn = path.join(outDir, `part-${i}`, 'nmap.txt');
-    try {
-      if (fs.existsSync(fn)) partsContent.push(fs.readFileSync(fn, 'utf8'));
-    } catch (e) {}
+// -------------------- queue events and metrics --------------------
+// both started once the queue exists (not for --scan-ip); new event clients get its snapshot first
+const EVENTS=new EventHub(CONFIG.events,{ log, snapshot:()=>q.snapshot() });
+const METRICS=new ScanMetrics({
+  queue:()=>q.snapshot(),
+  sources:()=>tails.map(t=>t.source),
+  info:{ version:require('../package.json').version, config:CONFIG_FILE||null }
+});
+if(CONFIG.metrics.listen){
+  try{ parseListen(CONFIG.metrics.listen); }
+  catch(e){
+    console.error(e.message);
+    process.exit(2);
   }
-  try { fs.writeFileSync(path.join(outDir, 'nmap.txt'), partsContent.join('\n\n--- PART ---\n\n')); } catch (e) {}
 }
+const emit=(type,data)=>{
+  EVENTS.publish(type,data);
+  METRICS.observe(type,data);
+};
 
-async function runNmap(ip, outDir, requestedArgs) {
-  const isRoot = (typeof process.getuid === 'function' && process.getuid() === 0);
-  const args = requestedArgs.map(a => (!isRoot && a === '-sS') ? '-sT' : a);
-  const cpuCount = os.cpus() ? os.cpus().length : 1;
-  const parts = CORE_OVERRIDE || cpuCount;
-  await spawnNmapParallel(ip, outDir, args, parts);
+// -------------------- control socket --------------------
+// fail2scan ctl; every command acts on the running queue and its dedup state
+const ctlIp=v=>{
+  const ip=normalizeIp(v);
+  if(!ip) throw new Error(`not an IP address: ${v}`);
+  return ip;
+};
+// "high" jumps ahead of everything queued, "low" goes after it; a number is used as is
+function ctlPriority(value,base){
+  if(value===undefined||value===null||value==='normal') return null;
+  const queued=q.q.map(j=>j.priority);
+  if(value==='high') return Math.max(base,...queued)+1;
+  if(value==='low') return Math.min(base,...queued)-1;
+  const n=Number(value);
+  if(value===''||!Number.isFinite(n)) throw new Error(`priority must be high, normal, low or a number, got ${value}`);
+  return n;
 }
+// --profile names a jail profile, or else a scan profile (quick, deep...) run
+// with the default jail profile
+function ctlScan(req){
+  let profile=null, scanProfile=null;
+  if(req.profile){
+    profile=JAIL_PROFILES.exact.get(req.profile)||null;
+    if(!profile&&SCAN_PROFILES.has(req.profile)) scanProfile=req.profile;
+    else if(!profile) throw new Error(`unknown profile ${req.profile} (jail profiles: ${[...JAIL_PROFILES.exact.keys()].join(', ')}; scan profiles: ${[...SCAN_PROFILES.keys()].join(', ')})`);
+  }
+  const priority=ctlPriority(req.priority,(profile||resolveJailProfile(JAIL_PROFILES,null)).priority);
+  const r=q.push(req.ip,{ force:true, source:'ctl', profile, scanProfile, priority });
+  if(!r.ok) throw new Error(`refusing to scan ${req.ip}: ${r.reason}`+(r.rule?` (${r.rule})`:''));
+  if(r.skipped) return { ip:r.ip, queued:false, reason:'already queued or running' };
+  return { ip:r.ip, queued:true, job:r.job.id, profile:r.job.profileName, scanProfile:r.job.scanProfile||null, priority:r.job.priority,
+    position:q.q.indexOf(r.job)+1, paused:q.paused }; // position 0: already running
+}
+const CONTROL=new ControlServer(CONFIG.control,{ log, handlers:{
+  status:()=>METRICS.status(),
+  queue:()=>q.snapshot(),
+  scan:ctlScan,
+  cancel:req=>q.cancel(ctlIp(req.ip)),
+  pause:()=>q.pause(),
+  resume:()=>q.resume(),
+  forget:req=>q.forget(ctlIp(req.ip)),
+  reload:()=>{
+    const r=reload();
+    if(!r.ok) throw new Error(`reload failed, configuration unchanged: ${r.error}`);
+    return { changed:r.changed, restart:r.restart };
+  }
+}});
 
-// -------------------- scan --------------------
-async function performScan(ip){
-  const now=new Date(),
-    dateDir=now.toISOString().slice(0,10),
-    safeIp=sanitizeFilename(ip);
-  
-  let outDir=path.join(OUT_ROOT,dateDir,`${safeIp}_${now.toISOString().replace(/[:.]/g,'-')}`);
-  outDir=path.join(safeMkdirSyncWithFallback(path.dirname(outDir)),path.basename(outDir));
-  try { fs.mkdirSync(outDir,{recursive:true,mode:0o750}); } catch (e) {}
-
-  const summary={ip,ts:now.toISOString(),cmds:{}};
-
-  const requested=NMAP_ARGS_STR.trim().split(/\s+/).filter(Boolean);
+// -------------------- target guard --------------------
+const GUARD=new IpGuard(CONFIG.guard);
 
-  log('Running nmap on',ip,'args:',requested.join(' '));
+// -------------------- plugins --------------------
+let PLUGINS=loadPlugins(CONFIG.plugins.dir,log);
 
-  try{
-    await runNmap(ip, outDir, requested);
-    summary.cmds.nmap = { ok: true, args: requested.join(' '), path: 'nmap.txt' };
-  } catch(e){
-    log('nmap failed for',ip, e && e.message ? e.message : e);
-    summary.cmds.nmap = { ok: false, err: e && e.message ? e.message : String(e) };
-  }
+function checkPluginNames(plugins,profiles){
+  const unknown=[...Object.keys(CONFIG.plugins.enabled),...allJailProfiles(profiles).flatMap(p=>p.plugins)]
+    .filter(n=>!plugins.has(n));
+  return [...new Set(unknown)];
+}
 
-  try{
-    const dig = await runCmdCapture('dig',['-x',ip,'+short']);
-    fs.writeFileSync(path.join(outDir,'dig.txt'),
-      (dig.stdout||'') + (dig.stderr?'\n\nSTDERR:\n'+dig.stderr:'')
-    );
-    summary.cmds.dig = { ok: dig.ok, path: 'dig.txt' };
-  } catch(e){
-    summary.cmds.dig = { ok:false, err: e.message||String(e) };
+// -------------------- prerequisites --------------------
+(async()=>{
+  const unknown=checkPluginNames(PLUGINS,JAIL_PROFILES);
+  if(unknown.length){
+    console.error(`Unknown plugin(s): ${unknown.join(', ')}`);
+    process.exit(2);
   }
-
-  try{
-    const who = await runCmdCapture('whois',[ip]);
-    fs.writeFileSync(path.join(outDir,'whois.txt'),
-      (who.stdout||'') + (who.stderr?'\n\nSTDERR:\n'+who.stderr:'')
-    );
-    summary.cmds.whois = { ok: who.ok, path: 'whois.txt' };
-  } catch(e){
-    summary.cmds.whois = { ok:false, err:e.message||String(e) };
+  const used=allJailProfiles(JAIL_PROFILES).flatMap(p=>selectPlugins(PLUGINS,CONFIG.plugins,p));
+  const needed=await missingBinaries(used);
+  if(CONFIG.watch.some(w=>w.startsWith('journal:'))&&!(await which('journalctl'))) needed.push('journalctl');
+  for(const bin of requiredBinaries(CONFIG.actions,ACTIONS.rules)) if(!(await which(bin))) needed.push(bin);
+  for(const bin of SANDBOX.binaries()) if(!(await which(bin))) needed.push(bin);
+  for(const bin of retentionBinaries(CONFIG.retention)) if(!(await which(bin))) needed.push(bin);
+  if(CONFIG.index.enabled&&!(await which('sqlite3'))) needed.push('sqlite3');
+  if(needed.length){
+    console.error(`Missing required binary: ${needed.join(', ')}`);
+    process.exit(2);
   }
-
-  try {
-    const geo = await fetchGeo(ip);
-    fs.writeFileSync(path.join(outDir,'geo.json'), JSON.stringify(geo,null,2));
-    summary.cmds.geo = { ok:true, path:"geo.json" };
-  } catch(e){
-    summary.cmds.geo = { ok:false, err:e.message||String(e) };
+  const sandboxProblems=SANDBOX.problems();
+  if(sandboxProblems.length){
+    console.error(sandboxProblems.join('\n'));
+    process.exit(2);
   }
-
-  try{
-    const nmapTxt = fs.readFileSync(path.join(outDir,'nmap.txt'),'utf8');
-    summary.open_ports = nmapTxt
-      .split(/\r?\n/)
-      .filter(l=>/^\d+\/tcp\s+open/.test(l))
-      .map(l=>l.trim());
-  } catch(e){
-    summary.open_ports = [];
+  log('Scan tools:',[
+    SANDBOX.user&&`user ${SANDBOX.user.name}`,
+    `nmap raw sockets ${SANDBOX.rawMode()}`,
+    `${SANDBOX.slots.size} nmap process(es)`,
+    CONFIG.limits.maxRate&&`${CONFIG.limits.maxRate} packets/s`
+  ].filter(Boolean).join(', '));
+  if(used.some(p=>p.name==='geo')){
+    for(const msg of geoProvider(CONFIG.geo).problems()) log('Geo lookups will fail:',msg);
   }
+})().catch(e=>{
+  console.error('Prereq check failed',e);
+  process.exit(2);
+});
 
-  try{ fs.writeFileSync(path.join(outDir,'summary.json'),JSON.stringify(summary,null,2)); }catch{}
-  try{ fs.chmodSync(outDir,0o750); }catch{}
-
-  log('Scan written for',ip,'->',outDir);
+// -------------------- scan --------------------
+// the globals are read at each scan: a reload swaps them
+const scanJob=job=>performScan(job,{ config:CONFIG, jailProfiles:JAIL_PROFILES, plugins:PLUGINS, scanProfiles:SCAN_PROFILES,
+  sandbox:SANDBOX, history:STATE.history, log, emit });
+
+// -------------------- abuse reports --------------------
+// one at a time, so two scans in the same netblock see each other in the ledger
+let reportChain=Promise.resolve();
+function queueReport(dir,summary){
+  reportChain=reportChain.then(async()=>{
+    try{
+      const r=await reportScan(dir,summary,CONFIG,{ send:CONFIG.report.auto==='send' });
+      log('Abuse report for',summary.ip+':',r.status,r.to?r.to.join(', '):'',r.reason||'');
+    }catch(e){
+      log('Abuse report for',summary.ip,'failed:',e.message||e);
+    }
+  });
 }
 
 // -------------------- queue optimized --------------------
-class ScanQueue{
-  constructor(concurrency=1){
-    this.concurrency=concurrency;
-    this.running=0;
-    this.q=[];
-    this.set=STATE.seen;
-    this.tmpCache=new Set();
-  }
-  push(ip){
-    const now=Math.floor(Date.now()/1000),
-      next=STATE.retryAfter[ip]||0;
-    if((this.set.has(ip)&&next>now)||this.tmpCache.has(ip)){
-      log('IP already queued or running (TTL/cache):',ip);
-      return;
-    }
-    if(this.set.has(ip)&&next<=now){
-      log('Re-queueing after TTL:',ip);
-      this.set.delete(ip);
-    }
-    this.set.add(ip);
-    STATE.seen=this.set;
-    saveState(STATE);
-    this.q.push(ip);
-    this.tmpCache.add(ip);
-    this._next();
-  }
-  _next(){
-    if(this.running>=this.concurrency)return;
-    const ip=this.q.shift(); if(!ip) return;
-    this.running++;
-    (async()=>{
-      try{
-        log('Scanning',ip);
-        await performScan(ip);
-        log('Done',ip);
-      }catch(e){
-        log('Error scanning',ip,e.message||e);
-      }finally{
-        STATE.retryAfter[ip]=Math.floor(Date.now()/1000)+RESCAN_TTL_SEC;
-        saveState(STATE);
-        this.set.delete(ip);
-        this.tmpCache.delete(ip);
-        this.running--;
-        setImmediate(()=>this._next());
-      }
-    })();
-    setImmediate(()=>this._next());
-  }
-}
+const makeQueue=(concurrency,store=null)=>new ScanQueue(CONFIG,{
+  concurrency, store, state:STATE, guard:GUARD, jailProfiles:()=>JAIL_PROFILES, scan:scanJob,
+  save:saveState, saveSoon:scheduleStateSave, log, emit, indexScan, report:queueReport,
+  notify:ev=>{ NOTIFIER.notify(ev); ACTIONS.evaluate(ev); }
+});
 
 // -------------------- main --------------------
+const effectiveConcurrency=()=>CONFIG.cores||CONFIG.concurrency||os.cpus().length||1;
+
 if(SINGLE_IP){
   (async()=>{
-    const q=new ScanQueue(CORE_OVERRIDE||USER_CONCURRENCY||1);
-    q.push(SINGLE_IP);
+    if(CONFIG.control.socket&&await socketAlive(CONFIG.control.socket)){
+      log('A daemon is running (',CONFIG.control.socket,'): this scan bypasses its queue and rescan state; fail2scan ctl scan',SINGLE_IP,'would not');
+    }
+    const q=makeQueue(CONFIG.cores||CONFIG.concurrency||1);
+    const meta={ force:true, source:'--scan-ip' };
+    if(SINGLE_JAIL) meta.profile=resolveJailProfile(JAIL_PROFILES,SINGLE_JAIL);
+    const verdict=q.push(SINGLE_IP,meta);
+    if(!verdict.ok){
+      const hint=verdict.rule&&verdict.reason!=='guard.deny'?', see guard.allow':'';
+      console.error(`Refusing to scan ${SINGLE_IP}: ${verdict.reason}`+(verdict.rule?` (${verdict.rule}${hint})`:''));
+      process.exit(1);
+    }
   })();
   return;
 }
 
-const concurrency = CORE_OVERRIDE||USER_CONCURRENCY||os.cpus().length||1;
-const q = new ScanQueue(concurrency);
-log(`Fail2Scan started. Watching ${LOG_PATH} -> output ${OUT_ROOT}, concurrency ${concurrency}`);
-
-// i hate regex
-//const BAN_RE = /\]\s+(?!Restore\s)Ban\s+/;
-
-
-class FileTail{
-  constructor(filePath,onLine){
-    this.filePath=filePath;
-    this.onLine=onLine;
-    this.pos=0;
-    this.inode=null;
-    this.buf='';
-    this.watch=null;
-    this.start();
-  }
-  start(){
-    try{
-      const st=fs.statSync(this.filePath);
-      this.inode=st.ino;
-      this.pos=st.size;
-    }catch{
-      this.inode=null;
-      this.pos=0;
-    }
-    this._watch();
-    this._readNew().catch(()=>{});
-  }
-  _watch(){
-    try{
-      this.watch=fs.watch(this.filePath,{persistent:true},async()=>{
-        try{
-          const st=fs.statSync(this.filePath);
-          if(!st){ this.inode=null; this.pos=0; return; }
-          if(this.inode!==null && st.ino!==this.inode){
-            this.inode=st.ino; this.pos=0;
-          }else if(this.inode===null){
-            this.inode=st.ino; this.pos=0;
-          }
-          await this._readNew();
-        }catch{}
-      });
-    }catch(e){
-      log('fs.watch failed:',e.message);
-    }
-  }
-  async _readNew(){
-    try{
-      const st=fs.statSync(this.filePath);
-      if(st.size<this.pos) this.pos=0;
-      if(st.size===this.pos) return;
-
-      const stream=fs.createReadStream(this.filePath,{
-        start:this.pos,
-        end:st.size-1,
-        encoding:'utf8'
-      });
-
-      for await(const chunk of stream){
-        this.buf+=chunk;
-        let idx;
-        while((idx=this.buf.indexOf('\n'))>=0){
-          const line=this.buf.slice(0,idx);
-          this.buf=this.buf.slice(idx+1);
-          if(line.trim()) this.onLine(line);
-        }
-      }
-      this.pos=st.size;
-    }catch{}
-  }
-  close(){
-    try{ this.watch?.close(); }catch{}
-  }
+let store;
+try{ store = new JobStore(CONFIG.queue.file).load(); }
+catch(e){
+  console.error('Cannot open queue journal',CONFIG.queue.file+':',e.message);
+  process.exit(2);
 }
+const q = makeQueue(effectiveConcurrency(), store);
+pruneState();
+saveState(STATE);
+setInterval(()=>{ if(pruneState()) saveState(STATE); runRetention(); },60*60*1000).unref();
+setTimeout(runRetention,60*1000).unref();
+EVENTS.listen().catch(e=>log('Cannot publish queue events on',CONFIG.events.socket+':',e.message));
+if(CONFIG.metrics.listen) serveMetrics(CONFIG.metrics.listen,METRICS,{ log });
+CONTROL.listen().catch(e=>log('Cannot accept fail2scan ctl commands on',CONFIG.control.socket+':',e.message));
+log(`Fail2Scan started. Watching ${CONFIG.watch.join(', ')} -> output ${CONFIG.out}, concurrency ${q.concurrency}`+(CONFIG_FILE?`, config ${CONFIG_FILE}`:''));
+
+// "Found" lines per IP, attached to the ban as evidence for abuse reports
+const EVIDENCE=new EvidenceBuffer();
+
+const onBanLine=lineHandler(q,{ evidence:EVIDENCE, log });
+function onLogLine(line,meta={}){
+  METRICS.line(meta.source||'unknown');
+  onBanLine(line,meta);
+}
+
+const tailOpts={ backfill:CONFIG.backfill, offsets:STATE.offsets, onOffset:scheduleStateSave, log };
+const tails=CONFIG.watch.map(p=>p.startsWith('journal:')
+  ? new JournalTail(p,onLogLine,tailOpts)
+  : new FileTail(p,onLogLine,tailOpts));
 
-const tail=new FileTail(LOG_PATH,line=>{
+// SIGHUP (or fail2scan ctl reload): re-read config, jail profiles, notify sinks, action rules and local plugins; settings
+// without `reload` in the schema (watch paths, state/log files) keep their value until restart
+function reload(){
+  let next, profiles, scanProfiles, plugins, notifier, actions;
   try{
-    //if(!BAN_RE.test(line)) return;
-    const isBan = line.includes('] Ban ');
-    const isRestore = line.includes('] Restore Ban');
-    if (!isBan || isRestore) return;
-    
-    const ip = extractIpFromLine(line);
-    if (!ip || ip === "null" || ip.trim() === "") {
-      log("Ignored invalid IP:", ip);
-      return;
-    }
-    q.push(ip);
+    ({ config: next } = loadConfig({ argv }));
+    profiles = loadJailProfiles(next.jails);
+    scanProfiles = loadScanProfiles(next, profiles);
+    notifier = makeNotifier(next);
+    actions = makeActions(next);
+    const sandboxProblems = new Sandbox(next.sandbox, next.limits).problems();
+    if(sandboxProblems.length) throw new Error(sandboxProblems.join('; '));
+    plugins = loadPlugins(next.plugins.dir, log);
+    const unknown = checkPluginNames(plugins, profiles);
+    if(unknown.length) throw new Error(`unknown plugin(s): ${unknown.join(', ')}`);
   }catch(e){
-    log('onLine handler error',e.message||e);
+    log('Reload failed, keeping current configuration:', e.message);
+    return { ok:false, error:e.message };
   }
-});
+  const { changed, restart } = applyReload(CONFIG, next);
+  JAIL_PROFILES = profiles;
+  SCAN_PROFILES = scanProfiles;
+  PLUGINS = plugins;
+  // deliveries already retrying finish with the old sinks
+  NOTIFIER = notifier;
+  notifier.mail = CONFIG.mail;
+  ACTIONS = actions;
+  actions.cfg = CONFIG.actions;
+  SANDBOX.configure(CONFIG.sandbox, CONFIG.limits);
+  GUARD.configure(CONFIG.guard);
+  q.concurrency = effectiveConcurrency();
+  q._next();
+  log('Configuration reloaded', changed.length ? `(changed: ${changed.join(', ')})` : '(no changes)');
+  if(restart.length) log('Restart required to apply:', restart.join(', '));
+  return { ok:true, changed, restart };
+}
 
 function shutdown(){
   log('Shutting down Fail2Scan...');
-  tail.close();
+  for(const t of tails) t.close();
+  // pending jobs stay in the journal for the next start
+  q.stop();
+  EVENTS.close();
+  CONTROL.close();
+  saveState(STATE);
   const start=Date.now();
   const wait=()=>{
-    if(q.running===0||Date.now()-start>10000) process.exit(0);
+    if(q.running===0||Date.now()-start>10000){ store.close(); process.exit(0); }
     setTimeout(wait,500);
   };
   wait();
@@ -430,5 +433,5 @@ function shutdown(){
 
 process.on('SIGINT',shutdown);
 process.on('SIGTERM',shutdown);
-tail
-//
+process.on('SIGHUP',()=>reload());
+
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+'use strict';
+const { loadConfig, ConfigError } = require('../lib/config');
+
+// fail2scan <command> [args]: tools that work on the scan output next to the
+// daemon. Each command lives in lib/commands/<name>.js and exports
+// { summary, usage, run(args, config) } where run resolves to an exit code.
+const COMMANDS = {
+  report: () => require('../lib/commands/report'),
+  prune: () => require('../lib/commands/prune'),
+  query: () => require('../lib/commands/query'),
+  reindex: () => require('../lib/commands/reindex'),
+  export: () => require('../lib/commands/export'),
+  ctl: () => require('../lib/commands/ctl')
+};
+
+function usage(){
+  const lines=['Usage: fail2scan <command> [options]','','Commands:'];
+  for(const [name,load] of Object.entries(COMMANDS)) lines.push(`  ${name.padEnd(10)} ${load().summary}`);
+  lines.push('','Config flags (--config, --out, ...) work as for fail2scan-daemon.','Run fail2scan <command> --help for its options.');
+  return lines.join('\n');
+}
+
+async function main(argv){
+  const [name,...rest]=argv;
+  if(!name||name==='--help'||name==='-h'||name==='help'){
+    console.log(usage());
+    return name?0:2;
+  }
+  if(!COMMANDS[name]){
+    console.error(`Unknown command: ${name}\n\n${usage()}`);
+    return 2;
+  }
+  const cmd=COMMANDS[name]();
+  if(rest.includes('--help')||rest.includes('-h')){
+    console.log(cmd.usage);
+    return 0;
+  }
+  let config;
+  try{ ({ config }=loadConfig({ argv:rest })); }
+  catch(e){
+    if(!(e instanceof ConfigError)) throw e;
+    console.error(e.message);
+    return 2;
+  }
+  return cmd.run(rest,config);
+}
+
+main(process.argv.slice(2)).then(
+  code=>{ process.exitCode=code||0; },
+  e=>{ console.error(e&&e.message?e.message:e); process.exitCode=1; }
+);
@@ -0,0 +1,201 @@
+'use strict';
+const fs = require('fs'), path = require('path');
+const { runCmdCapture } = require('./exec');
+const { ConfigError } = require('./config');
+const { validateFilter, matches } = require('./filter');
+const { parseCidr, cidrContains, formatCidr } = require('./cidr');
+
+// Opt-in policy engine: rules (actions.rules[]) matched against each finished
+// scan that push the attacker, or its network, back into fail2ban or the
+// firewall. actions.mode is off, dry-run (log and audit what would run) or
+// enforce. Every action run, would-run or refused is appended to the audit
+// log (JSONL), which also remembers what is in force so it is not repeated.
+
+// -------------------- actions --------------------
+// argv builders; `t` is the target (an IP or a CIDR)
+const ACTIONS = {
+  // fail2ban-client set <jail> banip <ip>: the jail's bantime applies
+  fail2ban:{ keys:['jail'], required:['jail'], bin:()=>'fail2ban-client', argv:(r,t)=>['set',r.jail,'banip',t] },
+  // the set must exist: ipset create <set> hash:net [timeout 0]
+  ipset:{ keys:['set'], required:['set'], bin:()=>'ipset',
+    argv:(r,t)=>['add',r.set,t,'-exist',...(r.timeout?['timeout',String(r.timeout)]:[])] },
+  // the set must exist with flags interval (and timeout, to use one)
+  nftables:{ keys:['family','table','set'], required:['table','set'], bin:()=>'nft',
+    argv:(r,t)=>['add','element',r.family,r.table,r.set,`{ ${t}${r.timeout?` timeout ${r.timeout}s`:''} }`] },
+  // anything else; {ip} {target} {jail} {rule} {scan} are substituted, no shell involved
+  command:{ keys:['argv'], required:['argv'], bin:r=>r.argv[0],
+    argv:(r,t,ev)=>r.argv.slice(1).map(a=>a.replace(/\{(ip|target|jail|rule|scan)\}/g,(_,k)=>String({ ip:ev.ip, target:t, jail:ev.jail||'', rule:r.name, scan:ev.scan||'' }[k]))) }
+};
+
+// a whois network wider than this is never blocked as a whole
+const WIDEST = { 4:16, 6:32 };
+
+// -------------------- rule config --------------------
+const COMMON = ['name','when','action','target','prefix','prefix6','threshold','timeout','dryRun'];
+const isObj=v=>v&&typeof v==='object'&&!Array.isArray(v);
+
+function validateRules(list){
+  const errors=[], rules=[], names=new Set();
+  (list||[]).forEach((raw,i)=>{
+    const errs=[];
+    const where=`actions.rules[${i}]`+(isObj(raw)&&raw.name?` (${raw.name})`:'');
+    if(!isObj(raw)){ errors.push(`${where}: expected an object`); return; }
+    const spec=ACTIONS[raw.action];
+    if(!spec){ errors.push(`${where}.action: expected one of ${Object.keys(ACTIONS).join(', ')}`); return; }
+    for(const k of Object.keys(raw)) if(!COMMON.includes(k)&&!spec.keys.includes(k)) errs.push(`${k}: unknown setting for ${raw.action}`);
+    for(const k of spec.required) if(raw[k]===undefined||raw[k]==='') errs.push(`${k}: required`);
+    if(typeof raw.name!=='string'||!raw.name) errs.push('name: required (it keys the audit log)');
+    else if(names.has(raw.name)) errs.push(`name: "${raw.name}" is used twice`);
+    names.add(raw.name);
+    const rule={
+      name:raw.name,
+      action:raw.action,
+      when:validateFilter(raw.when,errs,'when'),
+      target:raw.target||'ip',
+      prefix:raw.prefix===undefined?null:raw.prefix,
+      prefix6:raw.prefix6===undefined?null:raw.prefix6,
+      threshold:null,
+      timeout:raw.timeout===undefined?null:raw.timeout,
+      dryRun:raw.dryRun===true
+    };
+    if(!['ip','netblock'].includes(rule.target)) errs.push('target: expected ip or netblock');
+    if(rule.prefix!==null&&!(Number.isInteger(rule.prefix)&&rule.prefix>=WIDEST[4]&&rule.prefix<=32)) errs.push(`prefix: expected ${WIDEST[4]}-32`);
+    if(rule.prefix6!==null&&!(Number.isInteger(rule.prefix6)&&rule.prefix6>=WIDEST[6]&&rule.prefix6<=128)) errs.push(`prefix6: expected ${WIDEST[6]}-128`);
+    if(rule.timeout!==null&&!(Number.isInteger(rule.timeout)&&rule.timeout>0)) errs.push('timeout: expected seconds > 0');
+    if(raw.dryRun!==undefined&&typeof raw.dryRun!=='boolean') errs.push('dryRun: expected true or false');
+    if(raw.threshold!==undefined){
+      const t=raw.threshold;
+      if(!isObj(t)||!Number.isInteger(t.hosts)||t.hosts<1||(t.days!==undefined&&!(Number.isInteger(t.days)&&t.days>=0))||Object.keys(t).some(k=>!['hosts','days'].includes(k))){
+        errs.push('threshold: expected { hosts: N, days: D }');
+      }else if(rule.target!=='netblock'){
+        errs.push('threshold: only applies to target: netblock');
+      }else rule.threshold={ hosts:t.hosts, days:t.days||0 };
+    }
+    switch(raw.action){
+    case 'fail2ban': rule.jail=raw.jail; break;
+    case 'ipset': rule.set=raw.set; break;
+    case 'nftables':
+      Object.assign(rule,{ family:raw.family||'inet', table:raw.table, set:raw.set });
+      if(!['ip','ip6','inet','bridge','netdev','arp'].includes(rule.family)) errs.push('family: expected an nftables family such as inet');
+      break;
+    case 'command':
+      if(!Array.isArray(raw.argv)||!raw.argv.length||!raw.argv.every(a=>typeof a==='string')) errs.push('argv: expected a list of strings');
+      else rule.argv=raw.argv;
+      break;
+    }
+    for(const k of ['jail','set','table']) if(rule[k]!==undefined&&!/^[\w.:-]+$/.test(String(rule[k]))) errs.push(`${k}: unexpected characters`);
+    if(errs.length) errors.push(...errs.map(e=>`${where}.${e}`));
+    else rules.push(rule);
+  });
+  if(errors.length) throw new ConfigError(errors);
+  return rules;
+}
+
+// binaries needed by the rules that would really run
+function requiredBinaries(cfg,rules){
+  if(cfg.mode!=='enforce') return [];
+  return [...new Set(rules.filter(r=>!r.dryRun).map(r=>ACTIONS[r.action].bin(r)))];
+}
+
+// -------------------- targets --------------------
+function targetOf(rule,ev){
+  if(rule.target==='ip') return { target:ev.ip };
+  const ip=parseCidr(ev.ip);
+  if(!ip) return { error:`not an IP: ${ev.ip}` };
+  const bits=ip.family===4?rule.prefix:rule.prefix6;
+  const cidr=bits!==null?parseCidr(`${ev.ip}/${bits}`):ev.network?parseCidr(ev.network):null;
+  if(!cidr) return { error:'no whois network for this IP' };
+  if(cidr.family!==ip.family||!cidrContains(cidr,ev.ip)) return { error:`whois network ${ev.network} does not contain ${ev.ip}` };
+  if(cidr.bits<WIDEST[cidr.family]) return { error:`${formatCidr(cidr)} is wider than /${WIDEST[cidr.family]}` };
+  return { target:formatCidr(cidr), cidr };
+}
+
+// distinct banned IPs of the state history inside a network
+function bannedIn(history,cidr,days,now=Date.now()){
+  const since=days>0?now-days*86400*1000:-Infinity;
+  let n=0;
+  for(const [ip,e] of Object.entries(history)){
+    if(e.bans>0&&(Date.parse(e.lastSeen)||0)>=since&&cidrContains(cidr,ip)) n++;
+  }
+  return n;
+}
+
+// -------------------- engine --------------------
+class ActionEngine{
+  constructor(cfg,rules,{ log=()=>{}, history=()=>({}) }={}){
+    this.cfg=cfg;
+    this.rules=rules;
+    this.log=log;
+    this.history=history;
+    // "<mode>|<rule>|<target>" -> ms until which it is in force
+    this.applied=new Map();
+    this.chain=Promise.resolve();
+    this._load();
+  }
+  _load(){
+    let raw='';
+    try{ raw=fs.readFileSync(this.cfg.auditFile,'utf8'); }
+    catch(e){ if(e.code!=='ENOENT') this.log('Cannot read action audit log',this.cfg.auditFile+':',e.message); return; }
+    for(const line of raw.split('\n')){
+      let e;
+      try{ e=JSON.parse(line); }catch{ continue; }
+      if(e&&e.ok) this.applied.set(`${e.mode}|${e.rule}|${e.target}`,e.until?Date.parse(e.until):Infinity);
+    }
+  }
+  _audit(entry){
+    try{
+      fs.mkdirSync(path.dirname(this.cfg.auditFile),{ recursive:true, mode:0o700 });
+      fs.appendFileSync(this.cfg.auditFile,JSON.stringify(entry)+'\n',{ mode:0o600 });
+    }catch(e){
+      this.log('Cannot write action audit log',this.cfg.auditFile+':',e.message);
+    }
+  }
+  // runs one scan's matching rules, one scan at a time; resolves to the audit entries
+  evaluate(ev){
+    if(this.cfg.mode==='off'||!this.rules.length||!ev.ok) return Promise.resolve([]);
+    const run=this.chain.then(()=>this._evaluate(ev));
+    this.chain=run.catch(e=>this.log('Actions failed for',ev.ip+':',e.message||e));
+    return run;
+  }
+  async _evaluate(ev){
+    const out=[];
+    for(const r of this.rules){
+      if(!matches(r.when,ev)) continue;
+      const mode=r.dryRun?'dry-run':this.cfg.mode;
+      const entry={ ts:new Date().toISOString(), mode, rule:r.name, action:r.action, ip:ev.ip, jail:ev.jail, scan:ev.scan };
+      const { target, cidr, error }=targetOf(r,ev);
+      if(error){
+        Object.assign(entry,{ target:null, ok:false, err:error });
+        this.log('Action',r.name,'refused for',ev.ip+':',error);
+        this._audit(entry);
+        out.push(entry);
+        continue;
+      }
+      entry.target=target;
+      if(r.threshold){
+        entry.hosts=bannedIn(this.history(),cidr,r.threshold.days);
+        if(entry.hosts<r.threshold.hosts) continue;
+      }
+      const key=`${mode}|${r.name}|${target}`;
+      if((this.applied.get(key)||0)>Date.now()) continue;
+      const spec=ACTIONS[r.action];
+      entry.cmd=[spec.bin(r),...spec.argv(r,target,ev)];
+      if(r.timeout) entry.until=new Date(Date.now()+r.timeout*1000).toISOString();
+      if(mode==='dry-run'){
+        entry.ok=true;
+        this.log('Action',r.name,'(dry run) would run:',entry.cmd.join(' '));
+      }else{
+        const res=await runCmdCapture(entry.cmd[0],entry.cmd.slice(1),{ timeout:this.cfg.timeoutMs });
+        entry.ok=res.ok;
+        if(!res.ok) entry.err=(res.stderr||'').trim().slice(0,500);
+        this.log('Action',r.name,res.ok?'ran:':'failed:',entry.cmd.join(' '),...(res.ok?[]:[entry.err]));
+      }
+      if(entry.ok) this.applied.set(key,entry.until?Date.parse(entry.until):Infinity);
+      this._audit(entry);
+      out.push(entry);
+    }
+    return out;
+  }
+}
+
+module.exports = { ActionEngine, validateRules, requiredBinaries, targetOf, bannedIn };
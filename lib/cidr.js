@@ -0,0 +1,83 @@
+'use strict';
+const net = require('net');
+
+// IPv4/IPv6 addresses as BigInt so both families share one code path.
+function ipToBigInt(ip){
+  const family=net.isIP(ip);
+  if(family===4) return { family, value:ip.split('.').reduce((a,o)=>(a<<8n)+BigInt(parseInt(o,10)),0n) };
+  if(family!==6) return null;
+  let s=ip.toLowerCase().split('%')[0];
+  const v4=/(\d+\.\d+\.\d+\.\d+)$/.exec(s);
+  if(v4){
+    const v=ipToBigInt(v4[1]).value;
+    s=s.slice(0,-v4[1].length)+(v>>16n).toString(16)+':'+(v&0xffffn).toString(16);
+  }
+  const [head,tail]=s.split('::');
+  const h=head?head.split(':'):[];
+  const groups=tail===undefined?h:[...h,...Array(8-h.length-(tail?tail.split(':').length:0)).fill('0'),...(tail?tail.split(':'):[])];
+  return { family, value:groups.reduce((a,g)=>(a<<16n)+BigInt(parseInt(g||'0',16)),0n) };
+}
+
+const width=family=>family===4?32:128;
+
+// "10.0.0.0/8", "2001:db8::/32" or a bare address (a /32 or /128)
+function parseCidr(text){
+  const [addr,len,extra]=String(text).trim().split('/');
+  if(extra!==undefined) return null;
+  const ip=ipToBigInt(addr);
+  if(!ip) return null;
+  const max=width(ip.family);
+  const bits=len===undefined?max:(/^\d+$/.test(len)?parseInt(len,10):NaN);
+  if(!(bits>=0&&bits<=max)) return null;
+  const shift=BigInt(max-bits);
+  return { family:ip.family, bits, base:(ip.value>>shift)<<shift };
+}
+
+function cidrContains(cidr,ip){
+  const v=typeof ip==='string'?ipToBigInt(ip):ip;
+  if(!v||v.family!==cidr.family) return false;
+  const shift=BigInt(width(cidr.family)-cidr.bits);
+  return (v.value>>shift)===(cidr.base>>shift);
+}
+
+function bigIntToIp(value,family){
+  if(family===4) return [24n,16n,8n,0n].map(s=>String((value>>s)&0xffn)).join('.');
+  const groups=[];
+  for(let s=112n;s>=0n;s-=16n) groups.push(((value>>s)&0xffffn).toString(16));
+  // collapse the longest run of zero groups (at least two) to "::"
+  let best=[-1,0];
+  for(let i=0;i<8;){
+    let j=i;
+    while(j<8&&groups[j]==='0') j++;
+    if(j-i>best[1]) best=[i,j-i];
+    i=j>i?j:i+1;
+  }
+  if(best[1]<2) return groups.join(':');
+  return groups.slice(0,best[0]).join(':')+'::'+groups.slice(best[0]+best[1]).join(':');
+}
+
+const formatCidr=c=>`${bigIntToIp(c.base,c.family)}/${c.bits}`;
+
+// "1.2.3.0 - 1.2.4.255" -> the smallest list of CIDRs covering it
+function rangeToCidrs(first,last){
+  const a=ipToBigInt(first), b=ipToBigInt(last);
+  if(!a||!b||a.family!==b.family||a.value>b.value) return [];
+  const max=width(a.family), out=[];
+  let cur=a.value;
+  while(cur<=b.value){
+    let bits=max;
+    while(bits>0){
+      const size=1n<<BigInt(max-bits+1);
+      if(cur%size!==0n||cur+size-1n>b.value) break;
+      bits--;
+    }
+    out.push(`${bigIntToIp(cur,a.family)}/${bits}`);
+    cur+=1n<<BigInt(max-bits);
+  }
+  return out;
+}
+
+// number of addresses in a CIDR, for picking the most specific of several
+const cidrSize=c=>1n<<BigInt(width(c.family)-c.bits);
+
+module.exports = { ipToBigInt, bigIntToIp, parseCidr, cidrContains, formatCidr, rangeToCidrs, cidrSize };
@@ -0,0 +1,52 @@
+'use strict';
+const { SCHEMA } = require('./config');
+
+// Splits subcommand arguments into options and positionals. Config flags
+// (--config, --out, ...) are left for loadConfig but must not be mistaken
+// for positionals, so flags taking a value swallow the next argument.
+const CONFIG_VALUE_FLAGS = new Set(['--config',...SCHEMA.filter(e=>e.cli&&e.type!=='bool').map(e=>e.cli)]);
+
+function parseArgs(args,{ bool=[], string=[] }={}){
+  const opts={}, positional=[];
+  for(let i=0;i<args.length;i++){
+    const a=args[i];
+    if(!a.startsWith('--')||a==='--'){ if(a!=='--') positional.push(a); continue; }
+    const eq=a.indexOf('=');
+    const name=eq>0?a.slice(0,eq):a;
+    const key=name.slice(2).replace(/-([a-z])/g,(_,c)=>c.toUpperCase());
+    if(bool.includes(name)) opts[key]=eq>0?!/^(0|false|no|off)$/i.test(a.slice(eq+1)):true;
+    else if(string.includes(name)){
+      const v=eq>0?a.slice(eq+1):args[++i];
+      if(v===undefined) throw new Error(`${name} needs a value`);
+      opts[key]=v;
+    }
+    else if(eq<0&&CONFIG_VALUE_FLAGS.has(name)) i++;
+  }
+  return { opts, positional };
+}
+
+const UNITS = { s:1, m:60, h:3600, d:86400, w:7*86400 };
+// "7d" before now, or an absolute date
+function parseWhen(text,now=Date.now()){
+  const rel=/^(\d+)([smhdw])$/.exec(text);
+  const ms=rel?now-rel[1]*UNITS[rel[2]]*1000:Date.parse(text);
+  if(!Number.isFinite(ms)) throw new Error(`not a time: ${text} (7d, 12h, 2025-10-01...)`);
+  return new Date(ms).toISOString();
+}
+
+const cell=v=>v===null||v===undefined?'':String(v);
+
+// aligned text columns for the terminal; long values are cut at 40 characters
+function table(rows,cols=Object.keys(rows[0]||{})){
+  const width=cols.map(c=>Math.min(40,Math.max(c.length,...rows.map(r=>cell(r[c]).length))));
+  const fmt=vals=>vals.map((v,i)=>(v.length>width[i]?v.slice(0,width[i]-1)+'…':v).padEnd(width[i])).join('  ').trimEnd();
+  return [fmt(cols),fmt(width.map(w=>'-'.repeat(w))),...rows.map(r=>fmt(cols.map(c=>cell(r[c]))))].join('\n');
+}
+
+// RFC 4180, for spreadsheets
+const csvField=v=>/[",\r\n]/.test(cell(v))?`"${cell(v).replace(/"/g,'""')}"`:cell(v);
+function csv(rows,cols){
+  return [cols.join(','),...rows.map(r=>cols.map(c=>csvField(r[c])).join(','))].join('\r\n');
+}
+
+module.exports = { parseArgs, parseWhen, csv, table };
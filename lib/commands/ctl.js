@@ -0,0 +1,101 @@
+'use strict';
+const { parseArgs, table } = require('../cli');
+const { request } = require('../control');
+
+const usage = `Usage: fail2scan ctl <command> [args] [--json]
+
+Talks to the running daemon over its control socket (control.socket, default
+~/.fail2scan_ctl.sock, mode control.socketMode 0600: run it as the daemon
+user). --json prints the daemon's answer as is.
+
+  status                  uptime, queue, scans per outcome, last scan, log sources
+  queue [list]            running and pending jobs, in the order they will run
+  scan <ip> [--profile NAME] [--priority high|normal|low|N]
+                          queue a scan now, whatever the rescan policy says
+                          (--profile: a jail profile, or a scan profile such
+                          as quick or deep; high: ahead of everything queued)
+  cancel <ip>             drop its queued jobs and stop its running scan
+  pause                   start no new scans; running ones finish
+  resume                  start scans again
+  forget <ip>             clear its dedup state so the next ban scans it again
+  reload                  re-read the config and jail profiles, as SIGHUP does`;
+
+// -------------------- output --------------------
+function duration(sec){
+  if(sec<60) return `${sec}s`;
+  const d=Math.floor(sec/86400), h=Math.floor(sec%86400/3600), m=Math.floor(sec%3600/60);
+  return [d&&`${d}d`,h&&`${h}h`,!d&&`${m}m`].filter(Boolean).join(' ')||'0m';
+}
+const pairs=obj=>Object.entries(obj||{}).map(([k,v])=>`${k} ${v}`).join(', ')||'none';
+
+function showStatus(s){
+  const q=s.queue;
+  const lines=[
+    `fail2scan-daemon ${s.version}, pid ${s.pid}, up ${duration(s.uptimeSec)}`+(s.config?`, config ${s.config}`:''),
+    `Queue: ${q.running.length} running, ${q.pending} pending, concurrency ${q.concurrency}`+(q.paused?' (PAUSED)':''),
+    `Scans: ${pairs(s.scans)}`
+  ];
+  if(s.lastScan) lines.push(`Last scan: ${s.lastScan.ip} ${s.lastScan.outcome} at ${s.lastScan.at}`+(s.lastScan.error?` (${s.lastScan.error})`:''));
+  lines.push(`Bans: ${pairs(s.bans)}`,`Skipped: ${pairs(s.skipped)}`);
+  const tools=Object.entries(s.tools||{});
+  if(tools.length) lines.push('Tools:',...tools.map(([name,t])=>`  ${name.padEnd(10)} ${t.runs} run(s), ${t.avgSec}s avg, ${t.failed} failed, ${t.timeout} timed out`));
+  lines.push('Sources:',...s.sources.map(src=>`  ${src.source}  `+(src.lastLineAt?`last line ${duration(src.ageSec)} ago`:`no line since start (${duration(src.ageSec)})`)+`, ${src.lines} line(s)`));
+  return lines.join('\n');
+}
+
+function showQueue(q){
+  const now=Date.now();
+  const row=state=>j=>({ state:state==='pending'&&j.nextAt>now?'retry':state, ip:j.ip, jail:j.jail, profile:j.scanProfile?`${j.profile} (${j.scanProfile})`:j.profile, priority:j.priority, attempts:j.attempts,
+    retry_at:j.nextAt>now?new Date(j.nextAt).toISOString():'', last_error:j.lastError });
+  const rows=[...q.running.map(row('running')),...q.pending.map(row('pending'))];
+  const head=`${q.running.length} running, ${q.pending.length} pending, concurrency ${q.concurrency}`+(q.paused?' - PAUSED: fail2scan ctl resume':'');
+  return rows.length?`${head}\n\n${table(rows)}`:`${head}\n(queue empty)`;
+}
+
+// text for the answer, and whether it did what was asked
+const SHOW = {
+  status:r=>[showStatus(r),true],
+  queue:r=>[showQueue(r),true],
+  scan:r=>r.queued
+    ?[`Queued ${r.ip}: job ${r.job}, profile ${r.profile}`+(r.scanProfile?`, scan profile ${r.scanProfile}`:'')+`, priority ${r.priority}, `+(r.position?`position ${r.position} in the queue`:'started')+(r.paused?' (queue paused)':''),true]
+    :[`${r.ip} is already queued or running, not queued again`,false],
+  cancel:r=>r.pending||r.running
+    ?[`${r.ip}: `+[r.pending&&`${r.pending} queued job(s) dropped`,r.running&&'running scan stopped (its partial output is kept)'].filter(Boolean).join(', '),true]
+    :[`Nothing queued or running for ${r.ip}`,false],
+  pause:r=>[(r.was?'Queue was already paused':'Queue paused')+`: ${r.running} scan(s) still running, ${r.pending} pending`,true],
+  resume:r=>[(r.was?'Queue resumed':'Queue was not paused')+`: ${r.running} running, ${r.pending} pending`,true],
+  forget:r=>r.seen||r.nextScanAt
+    ?[`Forgot ${r.ip}`+(r.nextScanAt?` (next scan was deferred until ${r.nextScanAt})`:''),true]
+    :[`Nothing to forget for ${r.ip}: the next ban scans it anyway`,true],
+  reload:r=>[['Configuration reloaded'+(r.changed.length?` (changed: ${r.changed.join(', ')})`:' (no changes)'),
+    ...(r.restart.length?[`Restart required to apply: ${r.restart.join(', ')}`]:[])].join('\n'),true]
+};
+
+async function run(args,config){
+  let opts, positional, req;
+  try{
+    ({ opts, positional }=parseArgs(args,{ bool:['--json'], string:['--profile','--priority'] }));
+    const [cmd,arg,...extra]=positional;
+    if(!cmd) throw new Error(usage);
+    if(!SHOW[cmd]) throw new Error(`Unknown ctl command: ${cmd}\n\n${usage}`);
+    const withIp=['scan','cancel','forget'].includes(cmd);
+    if(withIp&&!arg) throw new Error(`fail2scan ctl ${cmd} needs an IP`);
+    if(cmd==='queue'&&arg&&arg!=='list') throw new Error(`Unknown queue command: ${arg} (queue list)`);
+    if(extra.length||(!withIp&&cmd!=='queue'&&arg)) throw new Error(`Unexpected argument: ${extra[0]||arg}`);
+    if(cmd!=='scan'&&(opts.profile||opts.priority)) throw new Error('--profile and --priority go with scan');
+    req={ cmd, ip:withIp?arg:undefined, profile:opts.profile, priority:opts.priority };
+  }catch(e){ console.error(e.message); return 2; }
+
+  if(!config.control.socket){
+    console.error('control.socket is off (null) in the configuration: the daemon accepts no commands');
+    return 1;
+  }
+  let result;
+  try{ result=await request(config.control.socket,req); }
+  catch(e){ console.error(e.message); return 1; }
+  const [text,ok]=SHOW[req.cmd](result);
+  console.log(opts.json?JSON.stringify(result,null,2):text);
+  return ok?0:1;
+}
+
+module.exports = { summary:'control the running daemon: status, queue, scan, cancel, pause, forget, reload', usage, run };
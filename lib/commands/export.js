@@ -0,0 +1,64 @@
+'use strict';
+const fs = require('fs'), path = require('path');
+const { parseArgs, parseWhen } = require('../cli');
+const { resolveScan, readSummary } = require('../scans');
+const { collectScans, record, FORMATS, TLP } = require('../export');
+
+const usage = `Usage: fail2scan export <scan>... --format F [options]
+       fail2scan export --since T [--until T] --format F [options]
+
+Turns scans into documents to share: one file for everything selected.
+<scan> is a scan directory, its name or an IP (its latest scan); --since
+takes every scan of a period instead, archived days included.
+
+  --format F        stix (STIX 2.1 bundle), misp (MISP event JSON), csv or html
+  --since T         7d, 12h, 30m, or a date / ISO time
+  --until T         same forms (default: now)
+  --ip IP           with --since: only these IPs (comma-separated)
+  --jail NAME       with --since: only bans from these jails
+  --tlp LEVEL       clear, white, green, amber or red: STIX marking, MISP tag, HTML banner
+  --title TEXT      HTML title / MISP event info
+  --output FILE     write there instead of stdout`;
+
+const list=v=>String(v).split(',').map(s=>s.trim()).filter(Boolean);
+
+async function run(args,config){
+  let opts, positional, since=null, until=null;
+  try{
+    ({ opts, positional }=parseArgs(args,{ string:['--format','--since','--until','--ip','--jail','--tlp','--title','--output'] }));
+    if(!FORMATS[opts.format]) throw new Error(`--format must be one of ${Object.keys(FORMATS).join(', ')}`);
+    if(opts.tlp&&!TLP.includes(opts.tlp)) throw new Error(`--tlp must be one of ${TLP.join(', ')}`);
+    if(positional.length&&(opts.since||opts.until)) throw new Error('give scans or --since/--until, not both');
+    if(!positional.length&&!opts.since) throw new Error(usage);
+    if(opts.since) since=parseWhen(opts.since);
+    if(opts.until) until=parseWhen(opts.until);
+  }catch(e){ console.error(e.message); return 2; }
+
+  let records=[];
+  if(positional.length){
+    for(const ref of positional){
+      const dir=resolveScan(config.out,ref);
+      const summary=dir&&readSummary(dir);
+      if(!summary){ console.error(`${ref}: no such scan under ${config.out}`); return 1; }
+      records.push(record(summary,dir));
+    }
+    records.sort((a,b)=>String(a.ts).localeCompare(String(b.ts)));
+  }else{
+    records=await collectScans(config.out,{
+      since, until,
+      ips:opts.ip?list(opts.ip):null,
+      jails:opts.jail?list(opts.jail):null,
+      log:(...a)=>console.error(...a)
+    });
+    if(!records.length) console.error(`No scans under ${config.out} in that period`);
+  }
+
+  const text=FORMATS[opts.format].render(records,{ tlp:opts.tlp||null, title:opts.title||null, info:opts.title||null });
+  if(!opts.output){ process.stdout.write(text); return 0; }
+  fs.mkdirSync(path.dirname(path.resolve(opts.output)),{ recursive:true });
+  fs.writeFileSync(opts.output,text,{ mode:0o640 });
+  console.error(`${records.length} scan(s) -> ${opts.output}`);
+  return 0;
+}
+
+module.exports = { summary:'export scans as STIX 2.1, a MISP event, CSV or HTML', usage, run };
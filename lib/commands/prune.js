@@ -0,0 +1,48 @@
+'use strict';
+const path = require('path');
+const { parseArgs } = require('../cli');
+const { planRetention, applyRetention, activeWindowMs } = require('../retention');
+const { ScanDb } = require('../scandb');
+
+const usage = `Usage: fail2scan prune [options]
+
+Applies the retention settings (retention.maxAgeDays, maxTotalMB, keepPerIp,
+archiveAfterDays, keepNmapParts) to the output tree once, as the daemon does
+every hour.
+
+  --dry-run         only list what would be deleted, archived or cleaned up
+  --json            print the plan (and results) as JSON`;
+
+const mb=b=>(b/1024/1024).toFixed(1)+' MB';
+
+async function run(args,config){
+  let opts;
+  try{ ({ opts }=parseArgs(args,{ bool:['--dry-run','--json'] })); }
+  catch(e){ console.error(e.message); return 2; }
+
+  const plan=planRetention(config.out,config.retention,{ activeMs:activeWindowMs(config.limits) });
+  const rel=p=>path.relative(config.out,p);
+  if(opts.dryRun){
+    if(opts.json){ console.log(JSON.stringify(plan,null,2)); return 0; }
+    for(const a of plan.actions){
+      const what=a.op==='archive'?`${rel(a.path)} -> ${rel(a.file)}`:rel(a.path);
+      console.log(`${(a.op==='parts'?'clean':a.op).padEnd(8)} ${what}  ${mb(a.bytes)}  (${a.reason})`);
+    }
+    console.log(`${plan.actions.length} action(s); ${mb(plan.freedBytes)} of ${mb(plan.totalBytes)} would be freed, before compression`);
+    return 0;
+  }
+  const { done, failed }=await applyRetention(plan,{ log:(...a)=>console.error(a.join(' ')), indent:config.output.jsonIndent });
+  const db=new ScanDb(config.index.file);
+  if(db.exists()){
+    try{ await db.retained(done); }
+    catch(e){ console.error(`Cannot update the scan index (fail2scan reindex fixes it): ${e.message}`); }
+  }
+  if(opts.json) console.log(JSON.stringify({ ...plan, done, failed },null,2));
+  else{
+    const freed=done.filter(a=>a.op!=='archive').reduce((n,a)=>n+a.bytes,0);
+    console.log(`${done.length} action(s) done, ${failed.length} failed; ${mb(freed)} freed before compression`);
+  }
+  return failed.length?1:0;
+}
+
+module.exports = { summary:'delete, archive and clean up old scans per the retention settings', usage, run };
@@ -0,0 +1,100 @@
+'use strict';
+const { parseArgs, parseWhen, csv, table } = require('../cli');
+const { ScanDb, q, asnNumber } = require('../scandb');
+
+const usage = `Usage: fail2scan query [filters] [--ips] [--limit N] [--format table|json|csv]
+
+Searches the SQLite index (fail2scan reindex builds it; index.enabled keeps it
+current). Filters combine with AND; lists (22,3389) match any of their values.
+
+  --ip IP           scans of these IPs
+  --port N[/udp]    with one of these ports open (tcp unless given)
+  --service NAME    with one of these services on an open port (ssh, http...)
+  --country CC      country code, e.g. CN
+  --asn N           AS number (13335 or AS13335)
+  --jail NAME       banned in one of these jails
+  --since T         7d, 12h, 30m, or a date / ISO time
+  --until T         same forms
+  --changed         only scans that differ from the previous scan of the IP
+  --failed          only scans whose nmap or whois failed
+  --ips             one row per IP instead of one per scan
+  --limit N         newest N rows (default 100, 0 = all)
+  --format F        table (default), json or csv`;
+
+const list=v=>String(v).split(',').map(s=>s.trim()).filter(Boolean);
+const anyOf=(col,values)=>`${col} IN (${values.map(q).join(',')})`;
+
+function buildWhere(opts){
+  const where=[];
+  if(opts.ip) where.push(anyOf('s.ip',list(opts.ip)));
+  if(opts.port){
+    const ports=list(opts.port).map(p=>{
+      const m=/^(\d{1,5})(?:\/(tcp|udp|sctp))?$/.exec(p);
+      if(!m) throw new Error(`--port: not a port: ${p}`);
+      return `(p.port=${+m[1]} AND p.protocol=${q(m[2]||'tcp')})`;
+    });
+    where.push(`EXISTS (SELECT 1 FROM ports p WHERE p.scan_id=s.id AND (${ports.join(' OR ')}))`);
+  }
+  if(opts.service) where.push(`EXISTS (SELECT 1 FROM ports p WHERE p.scan_id=s.id AND ${anyOf('p.service',list(opts.service))})`);
+  if(opts.country) where.push(anyOf('s.country',list(opts.country).map(c=>c.toUpperCase())));
+  if(opts.asn){
+    const asns=list(opts.asn).map(a=>{
+      const n=asnNumber(a);
+      if(n===null) throw new Error(`--asn: not an AS number: ${a}`);
+      return n;
+    });
+    where.push(anyOf('s.asn',asns));
+  }
+  if(opts.jail) where.push(anyOf('s.jail',list(opts.jail)));
+  if(opts.since) where.push(`s.ts>=${q(parseWhen(opts.since))}`);
+  if(opts.until) where.push(`s.ts<=${q(parseWhen(opts.until))}`);
+  if(opts.changed) where.push('s.changed=1');
+  if(opts.failed) where.push('s.ok=0');
+  return where.length?`WHERE ${where.join(' AND ')}`:'';
+}
+
+const PORTS = `(SELECT group_concat(x,' ') FROM (SELECT p.port||'/'||p.protocol AS x FROM ports p WHERE p.scan_id=s.id ORDER BY p.protocol,p.port))`;
+
+function buildSql(opts){
+  const where=buildWhere(opts);
+  const limit=opts.limit===undefined?100:Number(opts.limit);
+  if(!Number.isInteger(limit)||limit<0) throw new Error('--limit: expected a number >= 0');
+  const tail=limit?` LIMIT ${limit}`:'';
+  if(opts.ips){
+    // country, ASN, org and hostname from the latest matching scan of the IP:
+    // bare columns next to both MIN and MAX could come from any row
+    return `WITH m AS (SELECT s.* FROM scans s ${where}),`+
+      ` g AS (SELECT ip, COUNT(*) AS scans, MIN(ts) AS first_scan, MAX(ts) AS last_scan, group_concat(DISTINCT jail) AS jails FROM m GROUP BY ip)`+
+      ` SELECT g.ip, g.scans, g.first_scan, g.last_scan, l.country, l.asn, l.org, l.hostname, g.jails FROM g`+
+      ` JOIN m l ON l.id=(SELECT id FROM m WHERE m.ip=g.ip AND m.ts IS g.last_scan ORDER BY id DESC LIMIT 1)`+
+      ` ORDER BY g.last_scan DESC${tail};`;
+  }
+  return `SELECT s.ts, s.ip, s.jail, s.country, s.asn, s.org, s.hostname, ${PORTS} AS ports, s.ok, s.changed,`+
+    ` s.name AS scan, COALESCE(s.dir,s.archive) AS location FROM scans s ${where} ORDER BY s.ts DESC${tail};`;
+}
+
+async function run(args,config){
+  let opts, sql;
+  try{
+    ({ opts }=parseArgs(args,{
+      bool:['--changed','--failed','--ips'],
+      string:['--ip','--port','--service','--country','--asn','--jail','--since','--until','--limit','--format']
+    }));
+    if(opts.format&&!['table','json','csv'].includes(opts.format)) throw new Error('--format must be table, json or csv');
+    sql=buildSql(opts);
+  }catch(e){ console.error(e.message); return 2; }
+
+  const db=new ScanDb(config.index.file);
+  if(!db.exists()){
+    console.error(`No index at ${config.index.file}: run fail2scan reindex (and set index.enabled to keep it current)`);
+    return 1;
+  }
+  const rows=await db.query(sql);
+  const format=opts.format||'table';
+  if(format==='json') console.log(JSON.stringify(rows,null,2));
+  else if(format==='csv') console.log(csv(rows,rows.length?Object.keys(rows[0]):[]));
+  else console.log(rows.length?table(rows,Object.keys(rows[0]).filter(c=>c!=='location')):'(no matching scans)');
+  return 0;
+}
+
+module.exports = { summary:'search the scan index (ports, countries, ASNs, jails, time)', usage, run };
@@ -0,0 +1,18 @@
+'use strict';
+const { ScanDb } = require('../scandb');
+
+const usage = `Usage: fail2scan reindex
+
+Rebuilds the SQLite index (index.file) from every scan directory and archive
+under the output root. The old index stays in place until the new one is
+complete. Works whether or not index.enabled is set.`;
+
+async function run(args,config){
+  const db=new ScanDb(config.index.file,{ log:(...a)=>console.error(a.join(' ')) });
+  const started=Date.now();
+  const count=await db.rebuild(config.out);
+  console.log(`Indexed ${count} scan(s) from ${config.out} into ${config.index.file} in ${((Date.now()-started)/1000).toFixed(1)}s`);
+  return 0;
+}
+
+module.exports = { summary:'rebuild the SQLite scan index from the output tree', usage, run };
@@ -0,0 +1,47 @@
+'use strict';
+const fs = require('fs'), path = require('path');
+const { parseArgs } = require('../cli');
+const { resolveScan, readSummary } = require('../scans');
+const { reportScan, ReportLedger } = require('../report');
+
+const usage = `Usage: fail2scan report <scan>... [options]
+
+<scan> is a scan directory, its name (1.2.3.4_2025-10-12T14-30-00-000Z)
+or an IP (its latest scan). The report is written into the scan directory
+as abuse-report.arf.eml / abuse-report.xarf.eml.
+
+  --send            send it to the whois abuse contact (report.to overrides)
+  --format arf|xarf override report.format
+  --force           send even if this IP/netblock was already reported
+  --stdout          print the message instead of only writing it`;
+
+async function run(args,config){
+  let opts, positional;
+  try{ ({ opts, positional }=parseArgs(args,{ bool:['--send','--force','--stdout'], string:['--format'] })); }
+  catch(e){ console.error(e.message); return 2; }
+  if(!positional.length){ console.error(usage); return 2; }
+  if(opts.format&&!['arf','xarf'].includes(opts.format)){ console.error('--format must be arf or xarf'); return 2; }
+  if(opts.send&&!config.report.from){ console.error('report.from (FAIL2SCAN_REPORT_FROM) must be set to send reports'); return 2; }
+
+  const ledger=new ReportLedger(config.report.ledgerFile).load();
+  let failed=0;
+  for(const ref of positional){
+    const dir=resolveScan(config.out,ref);
+    const summary=dir&&readSummary(dir);
+    if(!summary){ console.error(`${ref}: no such scan under ${config.out}`); failed++; continue; }
+    try{
+      const r=await reportScan(dir,summary,config,{ send:!!opts.send, force:!!opts.force, format:opts.format, ledger });
+      const name=path.basename(dir);
+      if(r.status==='skipped') console.log(`${name}: skipped, ${r.reason}`);
+      else if(r.status==='duplicate') console.log(`${name}: already reported to ${r.to.join(', ')} on ${r.previous.ts} (${r.previous.scan}); --force to send again`);
+      else console.log(`${name}: ${r.status} ${r.file}${r.status==='sent'?` -> ${r.to.join(', ')} (${r.response})`:''}`);
+      if(opts.stdout&&r.file) process.stdout.write(fs.readFileSync(r.file,'utf8'));
+    }catch(e){
+      console.error(`${path.basename(dir)}: ${e.message||e}`);
+      failed++;
+    }
+  }
+  return failed?1:0;
+}
+
+module.exports = { summary:'build (and send) an ARF/X-ARF abuse report for a scan', usage, run };
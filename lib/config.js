@@ -0,0 +1,335 @@
+'use strict';
+const fs = require('fs'), path = require('path'), os = require('os');
+const dotenv = require('dotenv');
+const YAML = require('yaml');
+const { parseCidr, formatCidr } = require('./cidr');
+
+// -------------------- schema --------------------
+// Every setting lives here once: its type, default, and where it may come from.
+// Precedence is CLI > env > config file > default. `reload` marks the settings
+// that SIGHUP may change on a running daemon.
+const SCHEMA = [
+  { key:'watch', type:'list', def:['/var/log/fail2ban.log'], cli:'--log', env:'FAIL2SCAN_LOG', desc:'fail2ban log files (or journal:UNIT) to follow' },
+  { key:'backfill', type:'bool', def:false, cli:'--backfill', env:'FAIL2SCAN_BACKFILL', desc:'replay rotated/compressed logs on start' },
+  { key:'out', type:'path', def:'/var/log/fail2scan', cli:'--out', env:'FAIL2SCAN_OUT', reload:true, desc:'output root for scan directories' },
+  { key:'concurrency', type:'int', min:0, def:0, cli:'--concurrency', env:'FAIL2SCAN_CONCURRENCY', reload:true, desc:'parallel scans (0 = CPU count)' },
+  { key:'cores', type:'int', min:0, def:0, cli:'--cores', env:'FAIL2SCAN_CORES', reload:true, desc:'override concurrency and -p- split with this many cores' },
+  { key:'nmapArgs', type:'string', def:'-sS -Pn -p- -T4 -sV', cli:'--nmap-args', env:'FAIL2SCAN_NMAP_ARGS', reload:true, desc:'default nmap arguments' },
+  { key:'scan.profile', type:'string', def:null, cli:'--scan-profile', env:'FAIL2SCAN_SCAN_PROFILE', reload:true, desc:'scan profile (quick, standard, deep, udp-top or one of scan.profiles) for jails without their own; null = nmapArgs' },
+  { key:'scan.profiles', type:'object', def:{}, reload:true, desc:'named scan profiles, { args } or adaptive { discovery, detail }, added to the built-in ones' },
+  { key:'jails', type:'jails', def:'/etc/fail2scan/jails.json', cli:'--jails', env:'FAIL2SCAN_JAILS', reload:true, desc:'jail profiles file, or the profiles inline' },
+  { key:'rescanTtlSec', type:'int', min:0, def:3600, cli:'--rescan-ttl', env:'FAIL2SCAN_RESCAN_TTL', reload:true, desc:'seconds before the same IP is scanned again' },
+  { key:'rescan.policy', type:'enum', values:['ttl','backoff','changed'], def:'ttl', cli:'--rescan-policy', env:'FAIL2SCAN_RESCAN_POLICY', reload:true, desc:'rescan policy' },
+  { key:'rescan.backoffFactor', type:'number', min:1, def:2, reload:true, desc:'backoff: TTL multiplier per previous scan' },
+  { key:'rescan.maxSec', type:'int', min:0, def:7*86400, reload:true, desc:'backoff: longest wait between scans' },
+  { key:'rescan.days', type:'int', min:0, def:7, reload:true, desc:'changed: days without rescans unless ports changed' },
+  { key:'history.maxAgeDays', type:'int', min:0, def:90, reload:true, desc:'forget IPs not banned for this long (0 = never)' },
+  { key:'history.maxEntries', type:'int', min:0, def:10000, reload:true, desc:'most IPs kept in the state file (0 = unbounded)' },
+  { key:'history.maxScansPerIp', type:'int', min:0, def:20, reload:true, desc:'scan directories remembered per IP' },
+  { key:'retention.maxAgeDays', type:'int', min:0, def:0, env:'FAIL2SCAN_RETENTION_DAYS', reload:true, desc:'delete scans (and archives) older than this (0 = keep)' },
+  { key:'retention.maxTotalMB', type:'int', min:0, def:0, env:'FAIL2SCAN_RETENTION_MB', reload:true, desc:'delete the oldest scans while the output tree is larger (0 = no limit)' },
+  { key:'retention.keepPerIp', type:'int', min:0, def:0, reload:true, desc:'scan directories kept per IP, newest first (0 = all)' },
+  { key:'retention.archiveAfterDays', type:'int', min:0, def:0, env:'FAIL2SCAN_ARCHIVE_DAYS', reload:true, desc:'pack day folders older than this into <day>.tar.gz / .tar.zst (0 = never)' },
+  { key:'retention.compression', type:'enum', values:['gzip','zstd'], def:'gzip', reload:true, desc:'archive compression' },
+  { key:'retention.keepNmapParts', type:'bool', def:false, reload:true, desc:'keep part-N/ directories of split -p- runs after the merge' },
+  { key:'limits.nmapProcs', type:'int', min:0, def:0, env:'FAIL2SCAN_NMAP_PROCS', reload:true, desc:'nmap processes running at once, over all scans (0 = CPU count)' },
+  { key:'limits.maxRate', type:'int', min:0, def:0, env:'FAIL2SCAN_MAX_RATE', reload:true, desc:'packets per second over all nmap processes (0 = no limit)' },
+  { key:'limits.scanTimeoutSec', type:'int', min:0, def:6*3600, env:'FAIL2SCAN_SCAN_TIMEOUT', reload:true, desc:'wall-clock budget of one scan, all tools together (0 = none)' },
+  { key:'limits.killGraceMs', type:'int', min:0, def:5000, reload:true, desc:'after a timeout, how long a tool may take to exit and leave partial output' },
+  { key:'sandbox.user', type:'string', def:null, env:'FAIL2SCAN_SCAN_USER', reload:true, desc:'run scan tools as this user (daemon started as root)' },
+  { key:'sandbox.rawSockets', type:'enum', values:['auto','yes','no'], def:'auto', reload:true, desc:'nmap raw sockets: auto (root or CAP_NET_RAW), yes (--privileged), no (-sT)' },
+  { key:'sandbox.nice', type:'int', min:0, max:19, def:0, reload:true, desc:'nice level of scan tools' },
+  { key:'sandbox.ionice', type:'enum', values:['none','best-effort','idle'], def:'none', reload:true, desc:'I/O class of scan tools' },
+  { key:'sandbox.cgroup.enabled', type:'bool', def:false, reload:true, desc:'run each tool in a transient systemd scope' },
+  { key:'sandbox.cgroup.slice', type:'string', def:'fail2scan.slice', reload:true, desc:'slice of the scopes (limits shared by all scans)' },
+  { key:'sandbox.cgroup.cpuQuota', type:'string', def:null, reload:true, desc:'CPUQuota= of each scope, e.g. "50%"' },
+  { key:'sandbox.cgroup.memoryMax', type:'string', def:null, reload:true, desc:'MemoryMax= of each scope, e.g. "512M"' },
+  { key:'sandbox.cgroup.tasksMax', type:'int', min:0, def:0, reload:true, desc:'TasksMax= of each scope (0 = unset)' },
+  { key:'guard.builtin', type:'bool', def:true, env:'FAIL2SCAN_GUARD_BUILTIN', reload:true, desc:'never scan private, loopback, link-local, CGNAT, multicast or documentation addresses' },
+  { key:'guard.allow', type:'cidrs', def:[], env:'FAIL2SCAN_GUARD_ALLOW', reload:true, desc:'CIDRs scanned even inside the built-in ranges' },
+  { key:'guard.deny', type:'cidrs', def:[], env:'FAIL2SCAN_GUARD_DENY', reload:true, desc:'CIDRs never scanned, whatever else matches' },
+  { key:'guard.skipLog', type:'path', def:'~/.fail2scan_skipped.jsonl', env:'FAIL2SCAN_GUARD_SKIP_LOG', reload:true, desc:'JSONL record of IPs refused by the guard, with the reason' },
+  { key:'stateFile', type:'path', def:'~/.fail2scan_state.json', cli:'--state-file', env:'FAIL2SCAN_STATE_FILE', desc:'dedup state file' },
+  { key:'queue.file', type:'path', def:'~/.fail2scan_queue.jsonl', env:'FAIL2SCAN_QUEUE_FILE', desc:'persistent scan queue journal' },
+  { key:'queue.maxAttempts', type:'int', min:1, def:3, env:'FAIL2SCAN_QUEUE_MAX_ATTEMPTS', reload:true, desc:'attempts before a job is marked failed' },
+  { key:'queue.retryBaseSec', type:'int', min:1, def:60, reload:true, desc:'first retry delay, doubled on each attempt' },
+  { key:'queue.retryMaxSec', type:'int', min:1, def:3600, reload:true, desc:'upper bound of the retry delay' },
+  { key:'queue.repeatBoost', type:'int', def:10, reload:true, desc:'priority added for IPs scanned before' },
+  { key:'index.enabled', type:'bool', def:false, env:'FAIL2SCAN_INDEX', reload:true, desc:'add every finished scan to the SQLite index (needs the sqlite3 shell)' },
+  { key:'index.file', type:'path', def:'~/.fail2scan_index.db', env:'FAIL2SCAN_INDEX_FILE', reload:true, desc:'SQLite index used by fail2scan query' },
+  { key:'events.socket', type:'path', def:null, env:'FAIL2SCAN_EVENTS_SOCKET', desc:'Unix socket publishing queue events as JSON lines, e.g. for failtoscan-api /events (unset = off)' },
+  { key:'events.socketMode', type:'mode', def:0o660, desc:'mode of the events socket' },
+  { key:'metrics.listen', type:'string', def:null, env:'FAIL2SCAN_METRICS_LISTEN', desc:'serve /metrics (Prometheus) and /status (JSON) on [host:]port; a bare port binds to 127.0.0.1 (unset = off)' },
+  { key:'control.socket', type:'path', def:'~/.fail2scan_ctl.sock', env:'FAIL2SCAN_CONTROL_SOCKET', desc:'Unix socket for fail2scan ctl (status, scan, cancel, pause...); null = off' },
+  { key:'control.socketMode', type:'mode', def:0o600, desc:'mode of the control socket: whoever can connect controls the daemon' },
+  { key:'logFile', type:'path', def:'~/.fail2scan.log', cli:'--log-file', env:'FAIL2SCAN_LOG_FILE', desc:'daemon log file' },
+  { key:'envFile', type:'path', def:'~/.env', cli:'--env-file', env:'FAIL2SCAN_ENV_FILE', desc:'dotenv file read for secrets' },
+  { key:'quiet', type:'bool', def:false, cli:'--quiet', env:'FAIL2SCAN_QUIET', reload:true, desc:'no console output' },
+  { key:'plugins.dir', type:'path', def:'/etc/fail2scan/plugins', env:'FAIL2SCAN_PLUGINS_DIR', reload:true, desc:'directory of local enrichment plugins (*.js)' },
+  { key:'plugins.enabled', type:'flags', def:{}, env:'FAIL2SCAN_PLUGINS', reload:true, desc:'plugin switches, e.g. {"banner":true,"geo":false}' },
+  { key:'plugins.options', type:'object', def:{}, reload:true, desc:'per-plugin options, keyed by plugin name' },
+  { key:'geo.provider', type:'enum', values:['ipgeolocation','mmdb'], def:'ipgeolocation', env:'FAIL2SCAN_GEO_PROVIDER', reload:true, desc:'geo lookup: ipgeolocation.io over HTTPS or local MMDB files' },
+  { key:'geo.cityDb', type:'path', def:'/usr/share/GeoIP/GeoLite2-City.mmdb', env:'FAIL2SCAN_GEO_CITY_DB', reload:true, desc:'mmdb: city/country database (GeoLite2, GeoIP2, DB-IP)' },
+  { key:'geo.asnDb', type:'path', def:'/usr/share/GeoIP/GeoLite2-ASN.mmdb', env:'FAIL2SCAN_GEO_ASN_DB', reload:true, desc:'mmdb: ASN database' },
+  { key:'geo.language', type:'string', def:'en', reload:true, desc:'mmdb: language of country/city names' },
+  { key:'geo.apiKey', type:'string', def:null, env:'IPGEO_API_KEY', reload:true, secret:true, desc:'ipgeolocation.io API key' },
+  { key:'geo.url', type:'string', def:'https://api.ipgeolocation.io/ipgeo', env:'FAIL2SCAN_GEO_URL', reload:true, desc:'ipgeolocation endpoint' },
+  { key:'geo.fields', type:'string', def:'geo,time_zone,currency,asn,security', env:'FAIL2SCAN_GEO_FIELDS', reload:true, desc:'ipgeolocation fields' },
+  { key:'report.auto', type:'enum', values:['off','write','send'], def:'off', env:'FAIL2SCAN_REPORT_AUTO', reload:true, desc:'after each scan: write the abuse report file, or also send it' },
+  { key:'report.format', type:'enum', values:['arf','xarf'], def:'arf', env:'FAIL2SCAN_REPORT_FORMAT', reload:true, desc:'RFC 5965 ARF or X-ARF 0.2' },
+  { key:'report.from', type:'string', def:null, env:'FAIL2SCAN_REPORT_FROM', reload:true, desc:'sender address of abuse reports' },
+  { key:'report.to', type:'string', def:null, env:'FAIL2SCAN_REPORT_TO', reload:true, desc:'send every report here instead of the whois abuse contact' },
+  { key:'report.dedupeBy', type:'enum', values:['ip','netblock'], def:'ip', reload:true, desc:'one report per IP, or per whois netblock, per contact' },
+  { key:'report.resendAfterDays', type:'int', min:0, def:0, reload:true, desc:'allow a new report after this many days (0 = never)' },
+  { key:'report.ledgerFile', type:'path', def:'~/.fail2scan_reports.jsonl', env:'FAIL2SCAN_REPORT_LEDGER', reload:true, desc:'record of reports sent' },
+  { key:'mail.transport', type:'enum', values:['sendmail','smtp'], def:'sendmail', env:'FAIL2SCAN_MAIL_TRANSPORT', reload:true, desc:'how reports are sent' },
+  { key:'mail.sendmail', type:'path', def:'/usr/sbin/sendmail', env:'FAIL2SCAN_SENDMAIL', reload:true, desc:'sendmail binary' },
+  { key:'mail.host', type:'string', def:'localhost', env:'FAIL2SCAN_SMTP_HOST', reload:true, desc:'SMTP relay' },
+  { key:'mail.port', type:'int', min:1, max:65535, def:25, env:'FAIL2SCAN_SMTP_PORT', reload:true, desc:'SMTP port' },
+  { key:'mail.secure', type:'bool', def:false, reload:true, desc:'implicit TLS (port 465)' },
+  { key:'mail.starttls', type:'bool', def:true, reload:true, desc:'upgrade with STARTTLS when offered' },
+  { key:'mail.rejectUnauthorized', type:'bool', def:true, reload:true, desc:'verify the relay certificate' },
+  { key:'mail.user', type:'string', def:null, env:'FAIL2SCAN_SMTP_USER', reload:true, desc:'SMTP AUTH user' },
+  { key:'mail.pass', type:'string', def:null, env:'FAIL2SCAN_SMTP_PASS', reload:true, secret:true, desc:'SMTP AUTH password' },
+  { key:'mail.helo', type:'string', def:null, reload:true, desc:'EHLO name (default: hostname)' },
+  { key:'mail.timeoutMs', type:'int', min:1000, def:30000, reload:true, desc:'SMTP/sendmail timeout' },
+  { key:'notify.sinks', type:'array', def:[], reload:true, desc:'notification sinks (webhook, slack, matrix, syslog, email) run after each scan' },
+  { key:'actions.mode', type:'enum', values:['off','dry-run','enforce'], def:'off', env:'FAIL2SCAN_ACTIONS', reload:true, desc:'policy engine: off, log what rules would do, or run them' },
+  { key:'actions.rules', type:'array', def:[], reload:true, desc:'action rules matched against each finished scan' },
+  { key:'actions.auditFile', type:'path', def:'~/.fail2scan_actions.jsonl', env:'FAIL2SCAN_ACTIONS_AUDIT', reload:true, desc:'audit log of actions run, would-run and refused' },
+  { key:'actions.timeoutMs', type:'int', min:1000, def:15000, reload:true, desc:'timeout of one action command' },
+  { key:'output.dirMode', type:'mode', def:0o750, env:'FAIL2SCAN_DIR_MODE', reload:true, desc:'mode of scan directories' },
+  { key:'output.fallbackDir', type:'path', def:'/tmp/fail2scan', reload:true, desc:'used when out cannot be created' },
+  { key:'output.jsonIndent', type:'int', min:0, max:8, def:2, reload:true, desc:'indentation of summary.json' }
+];
+
+const DEFAULT_CONFIG_FILES = ['/etc/fail2scan/config.json','/etc/fail2scan/config.yaml','/etc/fail2scan/config.yml'];
+
+class ConfigError extends Error{
+  constructor(errors){
+    super('Invalid configuration:\n'+errors.map(e=>'  - '+e).join('\n'));
+    this.name='ConfigError';
+    this.errors=errors;
+  }
+}
+
+// -------------------- value coercion --------------------
+const expandHome=p=>p==='~'?os.homedir():p.startsWith('~/')?path.join(os.homedir(),p.slice(2)):p;
+const BOOLS={ true:true, false:false, '1':true, '0':false, yes:true, no:false, on:true, off:false };
+
+// raw values from the CLI and env are strings; file values are already typed
+function coerce(entry,v,fromText){
+  switch(entry.type){
+  case 'string':
+    if(typeof v!=='string') throw new Error('expected a string');
+    return v;
+  case 'path':
+    if(typeof v!=='string'||!v.trim()) throw new Error('expected a non-empty path');
+    return path.resolve(expandHome(v.trim()));
+  case 'int':{
+    const n=fromText?(/^-?\d+$/.test(String(v).trim())?parseInt(v,10):NaN):v;
+    if(!Number.isInteger(n)) throw new Error('expected an integer');
+    if(entry.min!==undefined&&n<entry.min) throw new Error(`must be >= ${entry.min}`);
+    if(entry.max!==undefined&&n>entry.max) throw new Error(`must be <= ${entry.max}`);
+    return n;
+  }
+  case 'number':{
+    const n=fromText?(/^-?\d+(\.\d+)?$/.test(String(v).trim())?parseFloat(v):NaN):v;
+    if(typeof n!=='number'||!Number.isFinite(n)) throw new Error('expected a number');
+    if(entry.min!==undefined&&n<entry.min) throw new Error(`must be >= ${entry.min}`);
+    if(entry.max!==undefined&&n>entry.max) throw new Error(`must be <= ${entry.max}`);
+    return n;
+  }
+  case 'bool':
+    if(typeof v==='boolean') return v;
+    if(fromText&&Object.prototype.hasOwnProperty.call(BOOLS,String(v).toLowerCase())) return BOOLS[String(v).toLowerCase()];
+    throw new Error('expected true or false');
+  case 'list':{
+    const arr=Array.isArray(v)?v:fromText?String(v).split(',').map(s=>s.trim()).filter(Boolean):null;
+    if(!arr||!arr.length||!arr.every(x=>typeof x==='string'&&x.trim())) throw new Error('expected a non-empty list of strings');
+    return arr;
+  }
+  case 'cidrs':{
+    // may be empty; each entry an address or CIDR, stored in canonical form
+    const arr=Array.isArray(v)?v:fromText?String(v).split(',').map(s=>s.trim()).filter(Boolean):null;
+    if(!arr||!arr.every(x=>typeof x==='string')) throw new Error('expected a list of CIDRs');
+    return arr.map(x=>{
+      const c=parseCidr(x.trim());
+      if(!c) throw new Error(`not a CIDR: ${x}`);
+      return formatCidr(c);
+    });
+  }
+  case 'enum':
+    if(!entry.values.includes(v)) throw new Error(`expected one of ${entry.values.join(', ')}`);
+    return v;
+  case 'mode':{
+    const n=typeof v==='number'?v:/^0?[0-7]{3}$/.test(String(v))?parseInt(v,8):NaN;
+    if(!Number.isInteger(n)||n<0||n>0o777) throw new Error('expected an octal mode such as "0750"');
+    return n;
+  }
+  case 'jails':
+    if(typeof v==='string') return coerce({type:'path'},v,fromText);
+    if(v&&typeof v==='object'&&!Array.isArray(v)&&!fromText) return v;
+    throw new Error('expected a path to a jails file or an object of profiles');
+  case 'flags':{
+    // env/CLI form: "banner,sslscan=true,geo=false"
+    const obj=fromText?Object.fromEntries(String(v).split(',').map(s=>s.trim()).filter(Boolean).map(s=>{
+      const [k,b='true']=s.split('=');
+      return [k.trim(),coerce({type:'bool'},b.trim(),true)];
+    })):v;
+    if(obj&&typeof obj==='object'&&!Array.isArray(obj)&&Object.values(obj).every(b=>typeof b==='boolean')) return obj;
+    throw new Error('expected an object of name: true/false');
+  }
+  case 'object':
+    if(v&&typeof v==='object'&&!Array.isArray(v)) return v;
+    throw new Error('expected an object');
+  case 'array':
+    if(Array.isArray(v)) return v;
+    throw new Error('expected an array');
+  default:
+    throw new Error(`unknown type ${entry.type}`);
+  }
+}
+
+const getPath=(o,k)=>k.split('.').reduce((a,p)=>a&&typeof a==='object'?a[p]:undefined,o);
+function setPath(o,k,v){
+  const parts=k.split('.');
+  let cur=o;
+  for(const p of parts.slice(0,-1)) cur=cur[p]=cur[p]&&typeof cur[p]==='object'?cur[p]:{};
+  cur[parts[parts.length-1]]=v;
+}
+
+// -------------------- sources --------------------
+function parseCli(argv){
+  const out={};
+  for(const e of SCHEMA){
+    if(!e.cli) continue;
+    const vals=[];
+    for(let i=0;i<argv.length;i++){
+      const a=argv[i];
+      if(e.type==='bool'){
+        if(a===e.cli) vals.push('true');
+        else if(a==='--no-'+e.cli.slice(2)) vals.push('false');
+        else if(a.startsWith(e.cli+'=')) vals.push(a.slice(e.cli.length+1));
+      }else if(a===e.cli&&argv[i+1]!==undefined) vals.push(argv[++i]);
+      else if(a.startsWith(e.cli+'=')) vals.push(a.slice(e.cli.length+1));
+    }
+    if(vals.length) out[e.key]=e.type==='list'?vals.join(','):vals[vals.length-1];
+  }
+  return out;
+}
+
+function cliValue(argv,flag){
+  for(let i=0;i<argv.length;i++){
+    if(argv[i]===flag&&argv[i+1]!==undefined) return argv[i+1];
+    if(argv[i].startsWith(flag+'=')) return argv[i].slice(flag.length+1);
+  }
+  return undefined;
+}
+
+function readConfigFile(file){
+  let raw;
+  try{ raw=fs.readFileSync(file,'utf8'); }
+  catch(e){ throw new ConfigError([`${file}: ${e.code==='ENOENT'?'no such file':e.message}`]); }
+  let obj;
+  try{ obj=/\.ya?ml$/i.test(file)?YAML.parse(raw):JSON.parse(raw); }
+  catch(e){ throw new ConfigError([`${file}: ${e.message.split('\n')[0]}`]); }
+  if(obj===null||obj===undefined) return {};
+  if(typeof obj!=='object'||Array.isArray(obj)) throw new ConfigError([`${file}: top level must be a mapping`]);
+  return obj;
+}
+
+// settings that moved; named in the error instead of a bare "unknown"
+const MOVED = { tools:'plugins.enabled (e.g. plugins: { enabled: { geo: false } })' };
+
+// report keys the schema does not know; objects are only descended when the
+// schema has nested keys below them
+function unknownKeys(obj,prefix=''){
+  const errs=[];
+  for(const [k,v] of Object.entries(obj)){
+    const key=prefix+k;
+    if(SCHEMA.some(e=>e.key===key)) continue;
+    if(MOVED[key]){ errs.push(`${key}: replaced by ${MOVED[key]}`); continue; }
+    if(v&&typeof v==='object'&&!Array.isArray(v)&&SCHEMA.some(e=>e.key.startsWith(key+'.'))) errs.push(...unknownKeys(v,key+'.'));
+    else errs.push(`${key}: unknown setting`);
+  }
+  return errs;
+}
+
+// -------------------- load --------------------
+function loadConfig({ argv=process.argv.slice(2), env=process.env }={}){
+  const errors=[];
+  let file=cliValue(argv,'--config')||env.FAIL2SCAN_CONFIG||null;
+  if(!file) file=DEFAULT_CONFIG_FILES.find(f=>fs.existsSync(f))||null;
+  if(file) file=path.resolve(expandHome(file));
+  const fileObj=file?readConfigFile(file):{};
+  errors.push(...unknownKeys(fileObj).map(e=>`${file}: ${e}`));
+
+  const cli=parseCli(argv);
+
+  // the dotenv file only fills in variables the real environment lacks
+  const envFileEntry=SCHEMA.find(e=>e.key==='envFile');
+  let envFile;
+  try{ envFile=coerce(envFileEntry,cli.envFile??env[envFileEntry.env]??getPath(fileObj,'envFile')??envFileEntry.def,true); }
+  catch(e){ errors.push(`envFile: ${e.message}`); }
+  let dotenvVars={};
+  if(envFile){
+    try{ dotenvVars=dotenv.parse(fs.readFileSync(envFile)); }catch{}
+  }
+  const allEnv={...dotenvVars,...env};
+
+  const config={}, sources={};
+  for(const e of SCHEMA){
+    let v, src;
+    if(cli[e.key]!==undefined){ v=cli[e.key]; src=`CLI ${e.cli}`; }
+    else if(e.env&&allEnv[e.env]!==undefined&&allEnv[e.env]!==''){ v=allEnv[e.env]; src=`env ${e.env}`; }
+    else if(getPath(fileObj,e.key)!==undefined){ v=getPath(fileObj,e.key); src=file; }
+    else{ v=e.def; src='default'; }
+    if(v===null||v===undefined){ setPath(config,e.key,null); sources[e.key]=src; continue; }
+    try{
+      setPath(config,e.key,coerce(e,v,src.startsWith('CLI')||src.startsWith('env')));
+      sources[e.key]=src;
+    }catch(err){
+      errors.push(`${e.key}: ${err.message}, got ${JSON.stringify(v)} (from ${src})`);
+    }
+  }
+  if(errors.length) throw new ConfigError(errors);
+  return { config, sources, file };
+}
+
+// -------------------- reload / print --------------------
+function diffConfig(prev,next){
+  const changed=[], restart=[];
+  for(const e of SCHEMA){
+    if(JSON.stringify(getPath(prev,e.key))===JSON.stringify(getPath(next,e.key))) continue;
+    (e.reload?changed:restart).push(e.key);
+  }
+  return { changed, restart };
+}
+
+// copy reloadable settings into the live config object, in place
+function applyReload(target,next){
+  const { changed, restart }=diffConfig(target,next);
+  for(const k of changed) setPath(target,k,getPath(next,k));
+  return { changed, restart };
+}
+
+// secrets nested in objects/arrays (notify sinks, plugin options) by key name
+const SECRET_KEY=/secret|token|pass(word)?$|apikey/i;
+const redact=v=>Array.isArray(v)?v.map(redact)
+  :v&&typeof v==='object'?Object.fromEntries(Object.entries(v).map(([k,x])=>[k,SECRET_KEY.test(k)&&x?'********':redact(x)]))
+  :v;
+
+function describeConfig(config,sources){
+  const out={};
+  for(const e of SCHEMA){
+    let v=getPath(config,e.key);
+    if(e.secret&&v) v='********';
+    if(e.type==='array'||e.type==='object') v=redact(v);
+    if(e.type==='mode'&&typeof v==='number') v='0'+v.toString(8);
+    setPath(out,e.key,v);
+  }
+  return sources?{config:out,sources}:out;
+}
+
+module.exports = { SCHEMA, ConfigError, loadConfig, diffConfig, applyReload, describeConfig, expandHome };
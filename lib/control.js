@@ -0,0 +1,108 @@
+'use strict';
+const fs = require('fs'), net = require('net');
+const { listenUnix } = require('./unixsocket');
+
+// Control socket of a running daemon (fail2scan ctl). One JSON object per
+// line each way:
+//   -> {"cmd":"scan","ip":"203.0.113.7","profile":"sshd","priority":"high"}
+//   <- {"ok":true,"result":{...}}   or   {"ok":false,"error":"..."}
+// Access is the socket's file mode (control.socketMode, 0600 by default):
+// whoever may connect may queue scans, so keep it to the daemon user.
+
+const COMMANDS = ['status','queue','scan','cancel','pause','resume','forget','reload'];
+const MAX_REQUEST = 64*1024;
+
+class ControlServer{
+  // handlers: { [cmd]: async (request) -> result }; a thrown error is sent back
+  constructor(cfg,{ log=()=>{}, handlers={} }={}){
+    this.cfg=cfg;
+    this.log=log;
+    this.handlers=handlers;
+    this.server=null;
+  }
+  async listen(){
+    const file=this.cfg.socket;
+    if(!file) return false;
+    this.server=await listenUnix(file,{
+      mode:this.cfg.socketMode,
+      dirMode:0o700,
+      onConnection:sock=>this._add(sock),
+      onError:e=>this.log('Control socket error:',e.message)
+    });
+    if(!this.server){
+      this.log('Control socket',file,'is in use by another process (another daemon?), fail2scan ctl will talk to that one');
+      return false;
+    }
+    this.log('Accepting fail2scan ctl commands on',file);
+    return true;
+  }
+  _add(sock){
+    let buf='';
+    // requests on one connection are answered in order
+    let chain=Promise.resolve();
+    sock.setEncoding('utf8');
+    sock.on('error',()=>{});
+    sock.on('data',chunk=>{
+      buf+=chunk;
+      if(buf.length>MAX_REQUEST){ sock.destroy(); return; }
+      let idx;
+      while((idx=buf.indexOf('\n'))>=0){
+        const line=buf.slice(0,idx);
+        buf=buf.slice(idx+1);
+        if(!line.trim()) continue;
+        chain=chain.then(()=>this._answer(line)).then(reply=>{ if(!sock.destroyed) sock.write(JSON.stringify(reply)+'\n'); });
+      }
+    });
+  }
+  async _answer(line){
+    let req;
+    try{ req=JSON.parse(line); }catch{ return { ok:false, error:'not JSON' }; }
+    const handler=req&&typeof req.cmd==='string'&&COMMANDS.includes(req.cmd)&&this.handlers[req.cmd];
+    if(!handler) return { ok:false, error:`unknown command: ${req&&req.cmd}` };
+    try{ return { ok:true, result:await handler(req) }; }
+    catch(e){ return { ok:false, error:e.message||String(e) }; }
+  }
+  close(){
+    if(!this.server) return;
+    this.server.close();
+    this.server=null;
+    try{ fs.unlinkSync(this.cfg.socket); }catch{}
+  }
+}
+
+// -------------------- client --------------------
+// one request, one answer; rejects with the daemon's error message
+function request(file,req,{ timeoutMs=15000 }={}){
+  return new Promise((resolve,reject)=>{
+    const sock=net.connect(file);
+    let buf='', done=false;
+    const finish=(err,value)=>{
+      if(done) return;
+      done=true;
+      clearTimeout(timer);
+      sock.destroy();
+      if(err) reject(err); else resolve(value);
+    };
+    const timer=setTimeout(()=>finish(new Error(`no answer from the daemon on ${file} after ${timeoutMs/1000}s`)),timeoutMs);
+    sock.setEncoding('utf8');
+    sock.on('connect',()=>sock.write(JSON.stringify(req)+'\n'));
+    sock.on('data',chunk=>{
+      buf+=chunk;
+      const idx=buf.indexOf('\n');
+      if(idx<0) return;
+      let reply;
+      try{ reply=JSON.parse(buf.slice(0,idx)); }
+      catch{ return finish(new Error('unreadable answer from the daemon')); }
+      if(reply.ok) finish(null,reply.result);
+      else finish(new Error(reply.error||'request failed'));
+    });
+    sock.on('error',e=>{
+      if(e.code==='ENOENT'||e.code==='ECONNREFUSED') finish(new Error(`no daemon listening on ${file} (is fail2scan-daemon running, with the same control.socket?)`));
+      else if(e.code==='EACCES') finish(new Error(`permission denied on ${file}: run as the daemon user (control.socketMode)`));
+      else finish(e);
+    });
+    sock.on('close',()=>finish(new Error('the daemon closed the connection')));
+  });
+}
+
+module.exports = { ControlServer, request, COMMANDS };
@@ -0,0 +1,110 @@
+'use strict';
+const fs = require('fs'), path = require('path');
+const { parseWhois } = require('./whois');
+
+// -------------------- snapshot of one scan directory --------------------
+const readText=f=>{ try{ return fs.readFileSync(f,'utf8'); }catch{ return null; } };
+const readJson=f=>{ try{ return JSON.parse(fs.readFileSync(f,'utf8')); }catch{ return null; } };
+const stripStderr=t=>(t||'').split('\n\nSTDERR:\n')[0];
+
+// "22/tcp open ssh OpenSSH 8.9p1" (summaries written before ports[] existed)
+function portsFromLines(lines){
+  return (lines||[]).map(l=>{
+    const m=/^(\d+)\/(\w+)\s+(\S+)\s*(\S+)?\s*(.*)$/.exec(l.trim());
+    return m&&{protocol:m[2],port:parseInt(m[1],10),state:m[3],service:m[4]||null,product:m[5]||null,version:null};
+  }).filter(Boolean);
+}
+
+// a tool that failed knows nothing: its part of the snapshot is null (unknown)
+// and is left out of the comparison, rather than read as "nothing found"
+const failed=(summary,tool)=>!!(summary.cmds&&summary.cmds[tool]&&!summary.cmds[tool].ok);
+
+// structured rdns/whois from summary.json (null: the lookup failed); scans
+// written before those existed are parsed from dig.txt/whois.txt
+function rdnsNames(dir,summary){
+  if(summary.rdns===null||failed(summary,'dig')) return null;
+  if(summary.rdns&&Array.isArray(summary.rdns.ptr)) return [...summary.rdns.ptr].sort();
+  const dig=readText(path.join(dir,'dig.txt'));
+  if(dig===null) return null;
+  return stripStderr(dig).split(/\r?\n/).map(s=>s.trim().replace(/\.$/,'').toLowerCase()).filter(s=>s&&!s.startsWith(';')).sort();
+}
+
+function scanSnapshot(dir,summary=readJson(path.join(dir,'summary.json'))){
+  if(!summary) return null;
+  return {
+    dir,
+    ts:summary.ts||null,
+    ports:failed(summary,'nmap')?null:(Array.isArray(summary.ports)?summary.ports:portsFromLines(summary.open_ports)).filter(p=>p.state==='open'),
+    rdns:rdnsNames(dir,summary),
+    whois:summary.whois===null||failed(summary,'whois')?null
+      :summary.whois&&typeof summary.whois==='object'?summary.whois:parseWhois(readText(path.join(dir,'whois.txt')))
+  };
+}
+
+// -------------------- previous scan lookup --------------------
+// history first (cheap), then the output tree for scans made before history existed
+function previousScanDirs(outRoot,safeIp,currentDir,historyScans=[]){
+  const dirs=historyScans.map(s=>s.dir).filter(d=>d&&d!==currentDir).reverse();
+  let days=[];
+  try{ days=fs.readdirSync(outRoot).filter(d=>/^\d{4}-\d{2}-\d{2}$/.test(d)).sort().reverse(); }catch{}
+  for(const day of days){
+    let names=[];
+    try{ names=fs.readdirSync(path.join(outRoot,day)).filter(n=>n.startsWith(safeIp+'_')).sort().reverse(); }catch{}
+    for(const n of names){
+      const d=path.join(outRoot,day,n);
+      if(d!==currentDir&&!dirs.includes(d)&&path.basename(d)<path.basename(currentDir)) dirs.push(d);
+    }
+  }
+  return dirs;
+}
+
+function findPreviousSnapshot(outRoot,safeIp,currentDir,historyScans){
+  for(const d of previousScanDirs(outRoot,safeIp,currentDir,historyScans)){
+    const summary=readJson(path.join(d,'summary.json'));
+    if(!summary||(summary.cmds&&summary.cmds.nmap&&!summary.cmds.nmap.ok)) continue;
+    return scanSnapshot(d,summary);
+  }
+  return null;
+}
+
+// -------------------- diff --------------------
+const portKey=p=>`${p.port}/${p.protocol}`;
+const svc=p=>({service:p.service||null,product:p.product||null,version:p.version||null});
+const brief=p=>({port:p.port,protocol:p.protocol,...svc(p)});
+
+// each part is compared only when both scans know it: ports, rdns and whois
+// are null in the diff when either side's tool failed
+function diffSnapshots(prev,cur){
+  let ports=null;
+  if(prev.ports&&cur.ports){
+    const before=new Map(prev.ports.map(p=>[portKey(p),p]));
+    const after=new Map(cur.ports.map(p=>[portKey(p),p]));
+    ports={opened:[],closed:[],changed:[]};
+    for(const [k,p] of after){
+      const old=before.get(k);
+      if(!old) ports.opened.push(brief(p));
+      else if(JSON.stringify(svc(old))!==JSON.stringify(svc(p))) ports.changed.push({port:p.port,protocol:p.protocol,before:svc(old),after:svc(p)});
+    }
+    for(const [k,p] of before) if(!after.has(k)) ports.closed.push(brief(p));
+  }
+
+  const rdns=prev.rdns!==null&&cur.rdns!==null&&JSON.stringify(prev.rdns)!==JSON.stringify(cur.rdns)
+    ?{before:prev.rdns,after:cur.rdns}:null;
+  const whois={};
+  if(prev.whois&&cur.whois){
+    for(const k of ['netname','asn','cidr','country']){
+      const a=prev.whois[k]===undefined?null:prev.whois[k], b=cur.whois[k]===undefined?null:cur.whois[k];
+      if(JSON.stringify(a)!==JSON.stringify(b)) whois[k]={before:a,after:b};
+    }
+  }
+  const changed=!!ports&&(ports.opened.length>0||ports.closed.length>0||ports.changed.length>0)||!!rdns||Object.keys(whois).length>0;
+  return {
+    previous:{dir:prev.dir,ts:prev.ts},
+    changed,
+    ports,
+    rdns,
+    whois:Object.keys(whois).length?whois:null
+  };
+}
+
+module.exports = { scanSnapshot, findPreviousSnapshot, diffSnapshots };
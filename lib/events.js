@@ -0,0 +1,71 @@
+'use strict';
+const fs = require('fs');
+const { listenUnix } = require('./unixsocket');
+
+// Queue events for whoever listens (failtoscan-api re-broadcasts them as
+// Server-Sent Events). The daemon serves a Unix socket and writes one JSON
+// object per line to every client:
+//   {"seq":12,"ts":"...","type":"started","ip":"1.2.3.4","job":"...",...}
+// types: ban, skipped, queued, started, step, completed, failed, queue (a
+// snapshot of the queue, also sent first to each new client). Clients only
+// read; one that stops reading is dropped rather than buffered for.
+
+const EVENT_TYPES = ['ban','skipped','queued','started','step','completed','failed','queue'];
+const MAX_BUFFERED = 1024*1024;
+
+class EventHub{
+  constructor(cfg,{ log=()=>{}, snapshot=()=>null }={}){
+    this.cfg=cfg;
+    this.log=log;
+    this.snapshot=snapshot;
+    this.clients=new Set();
+    this.server=null;
+    this.seq=0;
+  }
+  // a socket still answering belongs to another daemon and is left alone
+  async listen(){
+    const file=this.cfg.socket;
+    if(!file) return false;
+    this.server=await listenUnix(file,{
+      mode:this.cfg.socketMode,
+      onConnection:sock=>this._add(sock),
+      onError:e=>this.log('Events socket error:',e.message)
+    });
+    if(!this.server){
+      this.log('Events socket',file,'is in use by another process, not publishing events');
+      return false;
+    }
+    this.log('Publishing queue events on',file);
+    return true;
+  }
+  _add(sock){
+    this.clients.add(sock);
+    sock.on('error',()=>{});
+    sock.on('close',()=>this.clients.delete(sock));
+    // nothing is read from clients
+    sock.on('data',()=>{});
+    const snap=this.snapshot();
+    if(snap) this._write(sock,this._event('queue',snap));
+  }
+  _event(type,data){
+    return JSON.stringify({ seq:++this.seq, ts:new Date().toISOString(), type, ...data })+'\n';
+  }
+  _write(sock,line){
+    if(sock.writableLength>MAX_BUFFERED){ sock.destroy(); return; }
+    sock.write(line);
+  }
+  publish(type,data={}){
+    if(!this.server||!this.clients.size) return;
+    const line=this._event(type,data);
+    for(const sock of this.clients) this._write(sock,line);
+  }
+  close(){
+    if(!this.server) return;
+    for(const sock of this.clients) sock.destroy();
+    this.server.close();
+    this.server=null;
+    try{ fs.unlinkSync(this.cfg.socket); }catch{}
+  }
+}
+
+module.exports = { EventHub, EVENT_TYPES };
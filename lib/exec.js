@@ -0,0 +1,23 @@
+'use strict';
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const execFileP = promisify(execFile);
+
+async function which(bin){
+  try{ await execFileP('which',[bin]); return true; }
+  catch{ return false; }
+}
+
+async function runCmdCapture(cmd,args,opts={}){
+  try{
+    const {stdout,stderr}=await execFileP(cmd,args,{maxBuffer:1024*1024*32,...opts});
+    return {ok:true,stdout:stdout||'',stderr:stderr||''};
+  }catch(e){
+    return {ok:false,stdout:(e.stdout||'')+'',stderr:(e.stderr||e.message)+'',aborted:e.name==='AbortError'||e.code==='ABORT_ERR'};
+  }
+}
+
+// the raw artifact layout used for every captured tool: stdout, then stderr
+const captureText=res=>(res.stdout||'') + (res.stderr?'\n\nSTDERR:\n'+res.stderr:'');
+
+module.exports = { which, runCmdCapture, captureText };
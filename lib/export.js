@@ -0,0 +1,280 @@
+'use strict';
+const os = require('os'), path = require('path'), crypto = require('crypto');
+const net = require('net');
+const { listScanDirs, readSummary, scanEvent, scanFailure } = require('./scans');
+const { listArchives, readArchivedSummaries, ARCHIVE_RE } = require('./retention');
+const { csv } = require('./cli');
+
+// Scans as documents to hand to others: a STIX 2.1 bundle, a MISP event, a
+// flat CSV, or one self-contained HTML page. Every format takes the same
+// records: scanEvent() of each scan, plus its ban evidence. Ids are derived
+// from the scans (UUIDv5), so exporting the same scans twice yields the same
+// objects and MISP / a TAXII store update them instead of adding copies.
+
+// -------------------- selection --------------------
+const DAY_RE=/^(\d{4}-\d{2}-\d{2})/;
+
+function record(summary,dir,archive=null){
+  const ev=scanEvent(summary,archive?null:dir,scanFailure(summary));
+  return { ...ev, scan:path.basename(dir), dir:archive?null:dir, archive, evidence:(summary.ban&&summary.ban.evidence)||[] };
+}
+
+// scans whose ts falls in [since, until] (ISO strings, either may be null),
+// archived days included; oldest first
+async function collectScans(outRoot,{ since=null, until=null, ips=null, jails=null, log=()=>{} }={}){
+  const sinceDay=since&&since.slice(0,10), untilDay=until&&until.slice(0,10);
+  const dayIn=day=>(!sinceDay||day>=sinceDay)&&(!untilDay||day<=untilDay);
+  const keep=s=>s&&s.ip&&(!since||s.ts>=since)&&(!until||s.ts<=until)
+    &&(!ips||ips.includes(s.ip))&&(!jails||jails.includes(s.ban&&s.ban.jail));
+  const out=[];
+  for(const dir of listScanDirs(outRoot)){
+    if(!dayIn(path.basename(path.dirname(dir)))) continue;
+    const summary=readSummary(dir);
+    if(keep(summary)) out.push(record(summary,dir));
+  }
+  for(const file of listArchives(outRoot)){
+    if(!dayIn(ARCHIVE_RE.exec(path.basename(file))[1])) continue;
+    for(const { summary, dir } of await readArchivedSummaries(file,outRoot,log)) if(keep(summary)) out.push(record(summary,dir,file));
+  }
+  return out.sort((a,b)=>String(a.ts).localeCompare(String(b.ts)));
+}
+
+// -------------------- ids --------------------
+// RFC 4122 name-based UUID (SHA-1)
+function uuid5(name,namespace){
+  const h=crypto.createHash('sha1').update(Buffer.from(namespace.replace(/-/g,''),'hex')).update(name).digest();
+  h[6]=(h[6]&0x0f)|0x50;
+  h[8]=(h[8]&0x3f)|0x80;
+  const x=h.subarray(0,16).toString('hex');
+  return `${x.slice(0,8)}-${x.slice(8,12)}-${x.slice(12,16)}-${x.slice(16,20)}-${x.slice(20)}`;
+}
+// STIX 2.1 §2.9: SCO ids hash the canonical JSON of their id-contributing properties
+const STIX_SCO_NS='00abedb4-aa42-466c-9c01-fed23315a9b7';
+// ours, for everything else
+const FAIL2SCAN_NS='6b1f3c2e-8a5d-5f0e-9c4b-2d7e1a9f0c3d';
+
+const canonical=v=>Array.isArray(v)?`[${v.map(canonical).join(',')}]`
+  :v&&typeof v==='object'?`{${Object.keys(v).sort().map(k=>`${JSON.stringify(k)}:${canonical(v[k])}`).join(',')}}`
+  :JSON.stringify(v);
+const scoId=(type,props)=>`${type}--${uuid5(canonical(props),STIX_SCO_NS)}`;
+const ourId=(type,name)=>`${type}--${uuid5(`${type}:${name}`,FAIL2SCAN_NS)}`;
+
+// -------------------- shared --------------------
+const asnNum=v=>{ const m=/^(?:AS)?(\d+)$/i.exec(String(v==null?'':v).trim()); return m?+m[1]:null; };
+const portText=p=>`${p.port}/${p.protocol}`+[p.service,p.product,p.version].filter(Boolean).map(s=>` ${s}`).join('');
+const TLP=['clear','white','green','amber','red'];
+
+// per IP: its scans in order, first and last seen, jails
+function byIp(records){
+  const map=new Map();
+  for(const r of records){
+    if(!map.has(r.ip)) map.set(r.ip,{ ip:r.ip, scans:[], jails:new Set(), first:r.banned_at||r.ts, last:r.ts });
+    const e=map.get(r.ip);
+    e.scans.push(r);
+    if(r.jail) e.jails.add(r.jail);
+    if((r.banned_at||r.ts)<e.first) e.first=r.banned_at||r.ts;
+    if(r.ts>e.last) e.last=r.ts;
+  }
+  return [...map.values()];
+}
+
+function period(records){
+  if(!records.length) return null;
+  return { from:records[0].ts, to:records[records.length-1].ts };
+}
+
+// -------------------- STIX 2.1 --------------------
+// the TLP 1.0 marking definitions predefined by STIX 2.1 (§7.2.1.4); clear = white
+const STIX_TLP={
+  white:'marking-definition--613f2e26-407d-48c7-9eca-b8e91df99dc9',
+  green:'marking-definition--34098fce-860f-48ae-8e50-ebd3cc5e41da',
+  amber:'marking-definition--f88d31f6-486f-44da-b317-01333bde0b82',
+  red:'marking-definition--5e57c739-391a-4eb3-b6be-7d15ca92d5ed'
+};
+
+// a bundle: our identity, then per scan an observed-data with the address,
+// its AS and one network-traffic per open port, and per IP an indicator
+// based on those observations
+function toStix(records,{ tlp=null, producer=`Fail2Scan on ${os.hostname()}`, now=new Date() }={}){
+  const marking=tlp?[STIX_TLP[tlp==='clear'?'white':tlp]]:undefined;
+  const common=ts=>({ spec_version:'2.1', created:ts, modified:ts });
+  const stamp=now.toISOString();
+  const identity={ type:'identity', id:ourId('identity',producer), ...common(stamp), name:producer, identity_class:'system' };
+  const objects=[identity], seen=new Set();
+  const add=o=>{ if(!seen.has(o.id)){ seen.add(o.id); objects.push(o); } };
+  const sdo=(type,name,ts,props)=>({ type, id:ourId(type,name), ...common(ts), created_by_ref:identity.id, ...props, ...(marking?{ object_marking_refs:marking }:{}) });
+
+  for(const ip of byIp(records)){
+    const family=net.isIP(ip.ip)===6?'ipv6-addr':'ipv4-addr';
+    const addr={ type:family, spec_version:'2.1', id:scoId(family,{ value:ip.ip }), value:ip.ip };
+    add(addr);
+    const observed=[];
+    for(const r of ip.scans){
+      const refs=[addr.id];
+      const n=asnNum(r.asn);
+      if(n!==null){
+        const as={ type:'autonomous-system', spec_version:'2.1', id:scoId('autonomous-system',{ number:n }), number:n, ...(r.org?{ name:r.org }:{}) };
+        add(as);
+        refs.push(as.id);
+        add(sdo('relationship',`${addr.id}/belongs-to/${as.id}`,r.ts,{ relationship_type:'belongs-to', source_ref:addr.id, target_ref:as.id }));
+      }
+      for(const p of r.open_ports){
+        const protocols=[p.protocol,...(p.service?[p.service]:[])].map(s=>s.toLowerCase());
+        const traffic={ type:'network-traffic', spec_version:'2.1', id:scoId('network-traffic',{ dst_ref:addr.id, dst_port:p.port, protocols }), dst_ref:addr.id, dst_port:p.port, protocols };
+        add(traffic);
+        refs.push(traffic.id);
+      }
+      const obs=sdo('observed-data',r.scan,r.ts,{
+        first_observed:r.ts, last_observed:r.ts, number_observed:1, object_refs:refs,
+        labels:r.jail?[`fail2ban-jail:${r.jail}`]:undefined
+      });
+      add(obs);
+      observed.push(obs.id);
+    }
+    const ports=[...new Set(ip.scans.flatMap(r=>r.open_ports.map(portText)))];
+    const last=ip.scans[ip.scans.length-1];
+    const ind=sdo('indicator',ip.ip,ip.first,{
+      modified:ip.last,
+      name:`Banned by fail2ban: ${ip.ip}`,
+      description:[`Banned by fail2ban${ip.jails.size?` (${[...ip.jails].join(', ')})`:''} and scanned ${ip.scans.length} time(s).`,
+        ports.length?`Open ports: ${ports.join('; ')}.`:'No open ports found.',
+        [last.org,last.country,last.network].filter(Boolean).join(', ')].filter(Boolean).join(' '),
+      indicator_types:['malicious-activity'],
+      pattern:`[${family}:value = '${ip.ip}']`,
+      pattern_type:'stix',
+      valid_from:ip.first,
+      labels:ip.jails.size?[...ip.jails].map(j=>`fail2ban-jail:${j}`):undefined
+    });
+    add(ind);
+    for(const o of observed) add(sdo('relationship',`${ind.id}/based-on/${o}`,ind.modified,{ relationship_type:'based-on', source_ref:ind.id, target_ref:o }));
+  }
+  // drop the undefined optionals
+  return JSON.parse(JSON.stringify({ type:'bundle', id:`bundle--${crypto.randomUUID()}`, objects }));
+}
+
+// -------------------- MISP --------------------
+// MISP object templates used (misp-objects repository)
+const MISP_TEMPLATES={ 'ip-port':'9f8cea74-16fe-4968-a2b4-026676949ac6', asn:'4ec55cc6-9e49-4c64-b794-03c25c1a6587' };
+const unix=ts=>String(Math.floor(Date.parse(ts)/1000));
+
+// one event: an ip-src attribute per banned IP (to_ids), an ip-port object
+// per open port seen and an asn object per AS; distribution "your
+// organisation only" and unpublished, to be reviewed before sharing
+function toMisp(records,{ tlp=null, info=null, producer=`Fail2Scan on ${os.hostname()}`, now=new Date() }={}){
+  const span=period(records);
+  const eventKey=records.map(r=>r.scan).join(',');
+  const uuid=name=>uuid5(`misp:${name}`,FAIL2SCAN_NS);
+  const attr=(name,props)=>({ uuid:uuid(name), disable_correlation:false, ...props });
+  const Attribute=[], Object_=[], asns=new Map();
+  for(const ip of byIp(records)){
+    Attribute.push(attr(`ip:${ip.ip}:${eventKey}`,{
+      type:'ip-src', category:'Network activity', to_ids:true, value:ip.ip,
+      first_seen:ip.first, last_seen:ip.last,
+      comment:`banned by fail2ban${ip.jails.size?` (${[...ip.jails].join(', ')})`:''}, scanned ${ip.scans.length} time(s)`,
+      Tag:[...ip.jails].map(j=>({ name:`fail2ban:jail="${j}"` }))
+    }));
+    const ports=new Map();
+    for(const r of ip.scans) for(const p of r.open_ports) ports.set(`${p.port}/${p.protocol}`,{ p, r });
+    for(const [key,{ p, r }] of ports){
+      Object_.push({
+        name:'ip-port', 'meta-category':'network', template_uuid:MISP_TEMPLATES['ip-port'], uuid:uuid(`ip-port:${ip.ip}:${key}:${eventKey}`),
+        comment:`open on ${r.scan}`, first_seen:r.ts,
+        Attribute:[
+          attr(`ip-port:${ip.ip}:${key}:ip:${eventKey}`,{ object_relation:'ip', type:'ip-dst', category:'Network activity', to_ids:false, value:ip.ip }),
+          attr(`ip-port:${ip.ip}:${key}:port:${eventKey}`,{ object_relation:'dst-port', type:'port', category:'Network activity', to_ids:false, value:String(p.port) }),
+          attr(`ip-port:${ip.ip}:${key}:text:${eventKey}`,{ object_relation:'text', type:'text', category:'Other', to_ids:false, value:portText(p) })
+        ]
+      });
+    }
+    for(const r of ip.scans){
+      const n=asnNum(r.asn);
+      if(n!==null&&!asns.has(n)) asns.set(n,r);
+    }
+  }
+  for(const [n,r] of asns){
+    const a=(rel,type,value)=>attr(`asn:${n}:${rel}:${eventKey}`,{ object_relation:rel, type, category:'Network activity', to_ids:false, value });
+    Object_.push({
+      name:'asn', 'meta-category':'network', template_uuid:MISP_TEMPLATES.asn, uuid:uuid(`asn:${n}:${eventKey}`),
+      Attribute:[a('asn','AS',`AS${n}`),...(r.org?[a('description','text',r.org)]:[]),...(r.country?[a('country','text',r.country)]:[])]
+    });
+  }
+  const Tag=[{ name:'fail2scan' },...(tlp?[{ name:`tlp:${tlp}` }]:[])];
+  return { Event:{
+    uuid:uuid(`event:${eventKey}`),
+    info:info||(span?`${producer}: ${byIp(records).length} banned IP(s), ${span.from.slice(0,10)} to ${span.to.slice(0,10)}`:`${producer}: no scans`),
+    date:(span?span.from:now.toISOString()).slice(0,10),
+    timestamp:unix(now.toISOString()),
+    threat_level_id:'3',
+    analysis:'2',
+    distribution:'0',
+    published:false,
+    Tag,
+    Attribute,
+    Object:Object_
+  } };
+}
+
+// -------------------- CSV --------------------
+const CSV_COLUMNS=['scan','ts','ip','jail','banned_at','evidence','ok','error','country','asn','org','netname','network','hostname','abuse_email','open_ports','changed','previous'];
+
+function toCsv(records){
+  return csv(records.map(r=>({ ...r, evidence:r.evidence.length, open_ports:r.open_ports.map(portText).join('; ') })),CSV_COLUMNS)+'\r\n';
+}
+
+// -------------------- HTML --------------------
+const esc=v=>String(v==null?'':v).replace(/[&<>"']/g,c=>({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' })[c]);
+
+function top(records,key,n=10){
+  const counts=new Map();
+  for(const r of records) for(const k of [].concat(key(r)).filter(Boolean)) counts.set(k,(counts.get(k)||0)+1);
+  return [...counts].sort((a,b)=>b[1]-a[1]||String(a[0]).localeCompare(String(b[0]))).slice(0,n);
+}
+
+const STYLE=`body{font:14px/1.4 system-ui,sans-serif;margin:2em;color:#222}h1{font-size:1.4em}h2{font-size:1.1em;margin-top:2em}
+table{border-collapse:collapse;width:100%}th,td{border-bottom:1px solid #ddd;padding:4px 8px;text-align:left;vertical-align:top}
+th{background:#f4f4f4}.muted{color:#777}.bad{color:#b00}.chg{color:#a60}.tops{display:flex;gap:2em;flex-wrap:wrap}.tops table{width:auto}
+pre{margin:0;white-space:pre-wrap;font-size:12px}code{font-size:12px}`;
+
+// one page, no scripts or external resources, so it can be mailed as is
+function toHtml(records,{ title=null, producer=`Fail2Scan on ${os.hostname()}`, now=new Date(), tlp=null }={}){
+  const span=period(records);
+  const ips=byIp(records);
+  const heading=title||(span?`Scans ${span.from.slice(0,10)} to ${span.to.slice(0,10)}`:'Scans');
+  const smallTable=(name,rows)=>`<table><tr><th>${esc(name)}</th><th>scans</th></tr>${rows.map(([k,n])=>`<tr><td>${esc(k)}</td><td>${n}</td></tr>`).join('')}</table>`;
+  const rows=records.map(r=>`<tr>
+<td><code>${esc(r.ip)}</code>${r.hostname?`<br><span class="muted">${esc(r.hostname)}</span>`:''}</td>
+<td>${esc(r.ts)}${r.archive?'<br><span class="muted">archived</span>':''}</td>
+<td>${esc(r.jail||'')}</td>
+<td>${esc(r.country||'')}</td>
+<td>${r.asn?`AS${esc(asnNum(r.asn)||r.asn)}`:''}${r.org?`<br>${esc(r.org)}`:''}${r.network?`<br><span class="muted">${esc(r.network)}</span>`:''}</td>
+<td>${r.open_ports.length?r.open_ports.map(p=>esc(portText(p))).join('<br>'):'<span class="muted">none</span>'}</td>
+<td>${r.ok?'':`<span class="bad">${esc(r.error)}</span><br>`}${r.changed?`<span class="chg">changed since ${esc(r.previous)}</span><br>`:''}${r.abuse_email?`abuse: ${esc(r.abuse_email)}<br>`:''}${r.evidence.length?`<details><summary>${r.evidence.length} log line(s)</summary><pre>${esc(r.evidence.map(e=>e.line||e).join('\n'))}</pre></details>`:''}</td>
+</tr>`).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${esc(heading)}</title><style>${STYLE}</style></head><body>
+<h1>${esc(heading)}</h1>
+<p class="muted">${esc(producer)}, generated ${esc(now.toISOString())}${tlp?` · <strong>TLP:${esc(tlp.toUpperCase())}</strong>`:''}</p>
+<p>${records.length} scan(s) of ${ips.length} banned IP(s)${span?` between ${esc(span.from)} and ${esc(span.to)}`:''}; ${records.filter(r=>r.open_ports.length).length} with open ports, ${records.filter(r=>!r.ok).length} incomplete.</p>
+<div class="tops">
+${smallTable('jail',top(records,r=>r.jail))}
+${smallTable('country',top(records,r=>r.country))}
+${smallTable('AS',top(records,r=>r.asn?[`AS${asnNum(r.asn)||r.asn}${r.org?` ${r.org}`:''}`]:[]))}
+${smallTable('open port',top(records,r=>r.open_ports.map(p=>`${p.port}/${p.protocol}${p.service?` ${p.service}`:''}`)))}
+</div>
+<h2>Scans</h2>
+<table><tr><th>IP</th><th>scanned</th><th>jail</th><th>country</th><th>network</th><th>open ports</th><th>notes</th></tr>
+${rows}
+</table>
+</body></html>
+`;
+}
+
+const FORMATS={
+  stix:{ ext:'stix.json', render:(r,o)=>JSON.stringify(toStix(r,o),null,2)+'\n' },
+  misp:{ ext:'misp.json', render:(r,o)=>JSON.stringify(toMisp(r,o),null,2)+'\n' },
+  csv:{ ext:'csv', render:r=>toCsv(r) },
+  html:{ ext:'html', render:(r,o)=>toHtml(r,o) }
+};
+
+module.exports = { collectScans, record, toStix, toMisp, toCsv, toHtml, FORMATS, TLP, uuid5 };
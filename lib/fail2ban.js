@@ -0,0 +1,72 @@
+'use strict';
+const net = require('net');
+
+// 2025-10-12 14:30:00,123 fail2ban.actions        [1234]: NOTICE  [sshd] Ban 203.0.113.7
+// journald/syslog targets drop the timestamp and sometimes the logger prefix:
+// fail2ban.actions        [1234]: NOTICE  [sshd] Ban 203.0.113.7
+// [sshd] Ban 203.0.113.7
+const LINE_RE = /^(?:(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2})(?:[,.](\d{1,6}))?\s+)?(?:(\S+?)\s*(?:\[(\d+)\])?:\s+([A-Z]+)\s+)?\[([^\]]+)\]\s+(Restore Ban|Increase Ban|Unban|Ban|Found|Ignore)\s+(\S+)(.*)$/;
+
+const ACTIONS = {
+  'Ban':'ban',
+  'Restore Ban':'restore-ban',
+  'Increase Ban':'increase-ban',
+  'Unban':'unban',
+  'Found':'found',
+  'Ignore':'ignore'
+};
+
+// fail2ban writes local time without zone; keep the raw string and an ISO form
+function toIso(date,frac){
+  const ms=frac?String(frac).padEnd(3,'0').slice(0,3):'000';
+  const d=new Date(`${date.replace(' ','T')}.${ms}`);
+  return isNaN(d)?null:d.toISOString();
+}
+
+function parseFail2banLine(line){
+  const m=LINE_RE.exec(String(line).trim());
+  if(!m) return null;
+  const ip=m[8].replace(/[,;]$/,'');
+  return {
+    time:m[1]?m[1]+(m[2]?','+m[2]:''):null,
+    ts:m[1]?toIso(m[1],m[2]):null,
+    logger:m[3]||null,
+    pid:m[4]?parseInt(m[4],10):null,
+    level:m[5]||null,
+    jail:m[6],
+    action:ACTIONS[m[7]],
+    ip:net.isIP(ip)?ip:null,
+    rest:m[9].trim()||null,
+    line:String(line)
+  };
+}
+
+// -------------------- evidence --------------------
+// "Found" lines that led to a ban, kept per IP until the ban arrives
+class EvidenceBuffer{
+  constructor({max=20,maxAgeMs=24*3600*1000}={}){
+    this.max=max;
+    this.maxAgeMs=maxAgeMs;
+    this.byIp=new Map();
+  }
+  add(ev){
+    if(!ev||!ev.ip) return;
+    const now=Date.now();
+    const list=(this.byIp.get(ev.ip)||[]).filter(e=>now-e.at<=this.maxAgeMs);
+    list.push({ at:now, ts:ev.ts, jail:ev.jail, action:ev.action, line:ev.line });
+    if(list.length>this.max) list.splice(0,list.length-this.max);
+    this.byIp.delete(ev.ip);
+    this.byIp.set(ev.ip,list);
+    // bound memory: forget the IPs seen longest ago
+    while(this.byIp.size>10000) this.byIp.delete(this.byIp.keys().next().value);
+  }
+  // the Found lines of this jail followed by the ban itself; clears the IP
+  take(ban){
+    const list=(this.byIp.get(ban.ip)||[]).filter(e=>!ban.jail||e.jail===ban.jail);
+    this.byIp.delete(ban.ip);
+    return [...list,{ ts:ban.ts, jail:ban.jail, action:ban.action, line:ban.line }]
+      .map(({ ts, jail, action, line })=>({ ts, jail, action, line }));
+  }
+}
+
+module.exports = { parseFail2banLine, EvidenceBuffer };
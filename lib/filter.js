@@ -0,0 +1,65 @@
+'use strict';
+
+// Rules matched against a scan event (lib/scans.js scanEvent), shared by
+// notification sinks (`filter`) and action rules (`when`). Every rule given
+// must hold; no rules means everything matches.
+const RULES = ['minOpenPorts','countries','ports','services','jails','changedOnly','failed'];
+
+const isObj=v=>v&&typeof v==='object'&&!Array.isArray(v);
+const strList=v=>typeof v==='string'?[v]:Array.isArray(v)&&v.every(x=>typeof x==='string'&&x)?v:null;
+
+// normalized rules, pushing problems onto errs as "<at>.<rule>: ..."
+function validateFilter(f,errs,at='filter'){
+  if(f===undefined||f===null) return null;
+  if(!isObj(f)){ errs.push(`${at}: expected an object`); return null; }
+  for(const k of Object.keys(f)) if(!RULES.includes(k)) errs.push(`${at}.${k}: unknown rule`);
+  const out={};
+  if(f.minOpenPorts!==undefined){
+    if(!Number.isInteger(f.minOpenPorts)||f.minOpenPorts<0) errs.push(`${at}.minOpenPorts: expected an integer >= 0`);
+    else out.minOpenPorts=f.minOpenPorts;
+  }
+  if(f.countries!==undefined){
+    const c=strList(f.countries);
+    if(!c||!c.every(x=>/^[A-Za-z]{2}$/.test(x))) errs.push(`${at}.countries: expected two-letter country codes`);
+    else out.countries=c.map(x=>x.toUpperCase());
+  }
+  for(const k of ['jails','services']){
+    if(f[k]===undefined) continue;
+    const l=strList(f[k]);
+    if(!l) errs.push(`${at}.${k}: expected a list of names`);
+    else out[k]=k==='services'?l.map(x=>x.toLowerCase()):l;
+  }
+  if(f.ports!==undefined){
+    const p=Array.isArray(f.ports)?f.ports:[f.ports];
+    if(!p.length||!p.every(x=>/^\d{1,5}(\/(tcp|udp|sctp))?$/i.test(String(x))&&+String(x).split('/')[0]<=65535)) errs.push(`${at}.ports: expected ports such as 22 or "3389/tcp"`);
+    else out.ports=p.map(String);
+  }
+  for(const k of ['changedOnly','failed']){
+    if(f[k]===undefined) continue;
+    if(typeof f[k]!=='boolean') errs.push(`${at}.${k}: expected true or false`);
+    else out[k]=f[k];
+  }
+  return out;
+}
+
+function portMatches(want,p){
+  const [port,proto]=String(want).split('/');
+  return +port===p.port&&(!proto||proto.toLowerCase()===p.protocol);
+}
+
+function matches(filter,ev){
+  if(!filter) return true;
+  // failed: true only failed scans, false only successful ones
+  if(filter.failed===false&&!ev.ok) return false;
+  if(filter.failed===true&&ev.ok) return false;
+  if(filter.minOpenPorts&&ev.open_ports.length<filter.minOpenPorts) return false;
+  if(filter.countries&&!filter.countries.includes(ev.country)) return false;
+  if(filter.jails&&!filter.jails.includes(ev.jail)) return false;
+  if(filter.ports&&!ev.open_ports.some(p=>filter.ports.some(w=>portMatches(w,p)))) return false;
+  // nmap service names: socks5, http-proxy, irc...
+  if(filter.services&&!ev.open_ports.some(p=>p.service&&filter.services.includes(p.service.toLowerCase()))) return false;
+  if(filter.changedOnly&&!ev.changed) return false;
+  return true;
+}
+
+module.exports = { validateFilter, matches, RULES };
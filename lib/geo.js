@@ -0,0 +1,178 @@
+'use strict';
+const fs = require('fs');
+const https = require('https');
+const { MmdbReader } = require('./mmdb');
+const { parseCidr, formatCidr } = require('./cidr');
+
+// -------------------- common schema --------------------
+// geo.json looks the same whichever provider answered:
+// {
+//   provider, ip, found,
+//   country_code2, country_name, continent_code, region, city, postal,
+//   latitude, longitude, time_zone,
+//   asn ("AS15169"), org, isp, network,
+//   error                       set when the lookup itself failed
+// }
+const FIELDS = ['country_code2','country_name','continent_code','region','city','postal',
+  'latitude','longitude','time_zone','asn','org','isp','network'];
+
+function geoRecord(provider,ip,values={},extra={}){
+  const out={ provider, ip, found:false };
+  for(const f of FIELDS) out[f]=values[f]!==undefined&&values[f]!==''?values[f]:null;
+  out.found=FIELDS.some(f=>out[f]!==null);
+  if(out.latitude!==null) out.latitude=Number(out.latitude);
+  if(out.longitude!==null) out.longitude=Number(out.longitude);
+  if(out.asn!==null) out.asn=normalizeAsn(out.asn);
+  return { ...out, ...extra };
+}
+
+const normalizeAsn=a=>{
+  const m=/^(?:AS)?(\d+)$/i.exec(String(a).trim());
+  return m?'AS'+m[1]:String(a);
+};
+
+// ::ffff:1.2.3.4 is looked up as 1.2.3.4
+const unmapIp=ip=>{
+  const m=/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  return m?m[1]:ip;
+};
+
+// -------------------- ipgeolocation.io --------------------
+function fetchJson(url,signal){
+  return new Promise((resolve,reject)=>{
+    https.get(url,{signal},res=>{
+      let data='';
+      res.on('data',chunk=>data+=chunk);
+      res.on('end',()=>{
+        try{ resolve(JSON.parse(data)); }
+        catch(e){ resolve({error:"Invalid JSON",raw:data}); }
+      });
+    }).on('error',reject);
+  });
+}
+
+// v1 answers flat, v2 nests location/asn objects; both map to the same fields
+function fromIpgeolocation(j){
+  const loc=j.location||j;
+  const asn=j.asn&&typeof j.asn==='object'?j.asn:{ as_number:j.asn, organization:j.organization };
+  const tz=j.time_zone&&typeof j.time_zone==='object'?j.time_zone.name:j.time_zone;
+  return {
+    country_code2:loc.country_code2,
+    country_name:loc.country_name,
+    continent_code:loc.continent_code,
+    region:loc.state_prov,
+    city:loc.city,
+    postal:loc.zipcode,
+    latitude:loc.latitude,
+    longitude:loc.longitude,
+    time_zone:tz,
+    asn:asn.as_number,
+    org:asn.organization||j.organization,
+    isp:j.isp
+  };
+}
+
+function ipgeolocationProvider(cfg){
+  return {
+    name:'ipgeolocation',
+    problems(){ return cfg.apiKey?[]:['geo.apiKey (IPGEO_API_KEY) is not set']; },
+    async lookup(ip,{signal}={}){
+      if(!cfg.apiKey) return geoRecord('ipgeolocation',ip,{},{ error:"Missing IPGEO_API_KEY" });
+      const url=`${cfg.url}?apiKey=${encodeURIComponent(cfg.apiKey)}&ip=${encodeURIComponent(ip)}&fields=${encodeURIComponent(cfg.fields)}`;
+      const j=await fetchJson(url,signal);
+      if(j.error||j.message&&!j.ip) return geoRecord('ipgeolocation',ip,{},{ error:j.error||j.message, raw:j });
+      return geoRecord('ipgeolocation',ip,fromIpgeolocation(j),{ raw:j });
+    }
+  };
+}
+
+// -------------------- local MMDB (MaxMind GeoLite2/GeoIP2, DB-IP) --------------------
+// readers stay open and are reopened when geoipupdate replaces the file
+const readers=new Map();
+function openDb(file){
+  const st=fs.statSync(file);
+  const hit=readers.get(file);
+  if(hit&&hit.mtimeMs===st.mtimeMs&&hit.size===st.size) return hit.reader;
+  const reader=MmdbReader.open(file);
+  readers.set(file,{ reader, mtimeMs:st.mtimeMs, size:st.size });
+  return reader;
+}
+
+const name=(o,lang)=>o&&o.names?(o.names[lang]||o.names.en||null):null;
+
+// GeoLite2/GeoIP2 records are nested; the ip-location-db/DB-IP lite ones are flat
+function fromMmdbCity(r,lang){
+  if(!r) return {};
+  if(r.country||r.city&&typeof r.city==='object'||r.location){
+    const sub=(r.subdivisions||[])[0];
+    const loc=r.location||{};
+    return {
+      country_code2:r.country&&r.country.iso_code,
+      country_name:name(r.country,lang),
+      continent_code:r.continent&&r.continent.code,
+      region:name(sub,lang),
+      city:name(r.city,lang),
+      postal:r.postal&&r.postal.code,
+      latitude:loc.latitude,
+      longitude:loc.longitude,
+      time_zone:loc.time_zone,
+      asn:r.traits&&r.traits.autonomous_system_number,
+      org:r.traits&&(r.traits.autonomous_system_organization||r.traits.organization),
+      isp:r.traits&&r.traits.isp
+    };
+  }
+  return {
+    country_code2:r.country_code,
+    city:r.city,
+    region:r.state1,
+    postal:r.postcode,
+    latitude:r.latitude,
+    longitude:r.longitude,
+    time_zone:r.timezone
+  };
+}
+
+function fromMmdbAsn(r){
+  if(!r) return {};
+  return { asn:r.autonomous_system_number, org:r.autonomous_system_organization||r.organization, isp:r.isp };
+}
+
+function mmdbProvider(cfg){
+  const dbs=[['city',cfg.cityDb],['asn',cfg.asnDb]].filter(([,f])=>f);
+  return {
+    name:'mmdb',
+    problems(){
+      if(!dbs.length) return ['geo.cityDb and geo.asnDb are both unset'];
+      return dbs.filter(([,f])=>!fs.existsSync(f)).map(([k,f])=>`geo.${k}Db: ${f} not found`);
+    },
+    async lookup(ip){
+      const addr=unmapIp(ip);
+      const values={}, errors=[];
+      let network=null;
+      for(const [kind,file] of dbs){
+        try{
+          const hit=openDb(file).lookup(addr);
+          if(!hit) continue;
+          const v=kind==='asn'?fromMmdbAsn(hit.data):fromMmdbCity(hit.data,cfg.language);
+          for(const [k,x] of Object.entries(v)) if(x!==undefined&&x!==null&&values[k]===undefined) values[k]=x;
+          if(kind==='city'||!network) network=formatCidr(parseCidr(`${addr}/${hit.prefixLength}`));
+        }catch(e){
+          errors.push(`${file}: ${e.code==='ENOENT'?'not found':e.message}`);
+        }
+      }
+      if(network) values.network=network;
+      return geoRecord('mmdb',ip,values,errors.length?{ error:errors.join('; ') }:{});
+    }
+  };
+}
+
+// -------------------- provider selection --------------------
+const PROVIDERS = { ipgeolocation:ipgeolocationProvider, mmdb:mmdbProvider };
+
+function geoProvider(cfg){
+  const make=PROVIDERS[cfg.provider];
+  if(!make) throw new Error(`unknown geo provider ${cfg.provider}`);
+  return make(cfg);
+}
+
+module.exports = { geoProvider, geoRecord, PROVIDERS, FIELDS };
@@ -0,0 +1,75 @@
+'use strict';
+
+// Per-IP record kept in the state file:
+// {
+//   firstSeen, lastSeen,            ISO times of the first/last ban seen
+//   bans, jails: [...],             ban count and the jails involved
+//   scans: [{dir, ts, ok, ports}],  most recent last; ports = ["22/tcp", ...]
+//   nextScanAt                      ISO time before which bans do not rescan
+// }
+
+function entryFor(history,ip){
+  if(!history[ip]) history[ip]={firstSeen:null,lastSeen:null,bans:0,jails:[],scans:[],nextScanAt:null};
+  return history[ip];
+}
+
+function recordBan(history,ip,ban,now=new Date()){
+  const e=entryFor(history,ip);
+  // backfilled bans carry their own (older) timestamp
+  const at=ban&&ban.ts||now.toISOString();
+  if(!e.firstSeen||at<e.firstSeen) e.firstSeen=at;
+  if(!e.lastSeen||at>e.lastSeen) e.lastSeen=at;
+  e.bans++;
+  if(ban&&ban.jail&&!e.jails.includes(ban.jail)) e.jails.push(ban.jail);
+  return e;
+}
+
+function recordScan(history,ip,scan,maxScans){
+  const e=entryFor(history,ip);
+  e.scans.push(scan);
+  if(maxScans>0&&e.scans.length>maxScans) e.scans.splice(0,e.scans.length-maxScans);
+  return e;
+}
+
+const sameSet=(a,b)=>a.length===b.length&&a.every(x=>b.includes(x));
+
+// When may this IP be scanned again, given the rescan policy
+//   ttl      fixed ttlSec after each scan
+//   backoff  ttlSec * factor^(scans-1), capped at maxSec: repeat offenders wait longer
+//   changed  not within `days` of the last scan, unless its open ports differed
+//            from the scan before it (a host whose surface moves stays on ttlSec)
+function computeNextScanAt(e,policy,now=Date.now()){
+  const ttl=policy.ttlSec*1000;
+  const scans=e.scans.filter(s=>s.ok!==false);
+  let wait=ttl;
+  if(policy.policy==='backoff'){
+    wait=Math.min(policy.maxSec*1000,ttl*Math.pow(policy.backoffFactor,Math.max(0,scans.length-1)));
+  }else if(policy.policy==='changed'){
+    const [prev,last]=scans.slice(-2);
+    const changed=prev&&last&&!sameSet(prev.ports||[],last.ports||[]);
+    wait=changed?ttl:Math.max(ttl,policy.days*86400*1000);
+  }
+  return new Date(now+wait).toISOString();
+}
+
+// drop stale IPs and keep the table bounded; `keep` holds IPs with live jobs
+function pruneHistory(history,{maxAgeDays,maxEntries},keep=new Set(),now=Date.now()){
+  let removed=0;
+  const cutoff=now-maxAgeDays*86400*1000;
+  for(const [ip,e] of Object.entries(history)){
+    if(keep.has(ip)) continue;
+    const last=Date.parse(e.lastSeen||e.nextScanAt||0)||0;
+    const pending=Date.parse(e.nextScanAt||0)||0;
+    if(maxAgeDays>0&&last<cutoff&&pending<now){ delete history[ip]; removed++; }
+  }
+  const ips=Object.keys(history);
+  if(maxEntries>0&&ips.length>maxEntries){
+    ips.filter(ip=>!keep.has(ip))
+      .sort((a,b)=>(Date.parse(history[a].lastSeen||0)||0)-(Date.parse(history[b].lastSeen||0)||0))
+      .slice(0,ips.length-maxEntries)
+      .forEach(ip=>{ delete history[ip]; removed++; });
+  }
+  return removed;
+}
+
+module.exports = { entryFor, recordBan, recordScan, computeNextScanAt, pruneHistory };
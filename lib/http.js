@@ -0,0 +1,35 @@
+'use strict';
+const http = require('http'), https = require('https');
+
+// Small JSON-over-HTTP(S) client for webhooks; non-2xx answers are errors
+// carrying .status so callers can tell 4xx from 5xx/429.
+class HttpError extends Error{
+  constructor(msg,status){ super(msg); this.name='HttpError'; this.status=status; }
+}
+
+function request(url,{ method='POST', headers={}, body=null, timeoutMs=10000 }={}){
+  return new Promise((resolve,reject)=>{
+    let u;
+    try{ u=new URL(url); }catch{ return reject(new HttpError(`invalid URL ${url}`)); }
+    const mod=u.protocol==='https:'?https:http;
+    const data=body===null?null:Buffer.from(body);
+    const req=mod.request(u,{
+      method,
+      headers:{ ...(data?{ 'Content-Length':data.length }:{}), ...headers },
+      timeout:timeoutMs
+    },res=>{
+      let text='';
+      res.setEncoding('utf8');
+      res.on('data',c=>{ if(text.length<65536) text+=c; });
+      res.on('end',()=>{
+        if(res.statusCode>=200&&res.statusCode<300) resolve({ status:res.statusCode, body:text });
+        else reject(new HttpError(`HTTP ${res.statusCode} from ${u.host}${text?': '+text.slice(0,200):''}`,res.statusCode));
+      });
+    });
+    req.on('timeout',()=>req.destroy(new HttpError(`timeout after ${timeoutMs}ms (${u.host})`)));
+    req.on('error',e=>reject(e instanceof HttpError?e:new HttpError(`${u.host}: ${e.message}`)));
+    req.end(data);
+  });
+}
+
+module.exports = { request, HttpError };
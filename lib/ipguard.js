@@ -0,0 +1,103 @@
+'use strict';
+const fs = require('fs'), path = require('path'), net = require('net');
+const { ipToBigInt, bigIntToIp, parseCidr, cidrContains } = require('./cidr');
+
+// Last check before an IP is queued, for fail2ban bans and --scan-ip alike:
+// it must be a single valid unicast address, and it must not fall in the
+// built-in special-purpose ranges unless guard.allow says so. guard.deny
+// (our own hosts, monitoring...) wins over everything. Refusals are appended
+// to guard.skipLog with the reason.
+
+// -------------------- strict parsing --------------------
+// canonical form of one address, or null: no zone ids, no 0.0.0.0 / ::, and
+// IPv4-mapped IPv6 (::ffff:a.b.c.d) becomes the IPv4 address
+function normalizeIp(text){
+  const s=String(text==null?'':text).trim().replace(/^\[(.*)\]$/,'$1');
+  if(!s||s.includes('%')) return null;
+  const family=net.isIP(s);
+  if(!family) return null;
+  const v=ipToBigInt(s).value;
+  if(v===0n) return null;
+  if(family===4) return s;
+  if((v>>32n)===0xffffn) return bigIntToIp(v&0xffffffffn,4);
+  return bigIntToIp(v,6);
+}
+
+// the banned address of a log line fail2ban.js could not parse: the word
+// after "Ban", else the first token that is a whole valid address (so
+// timestamps like 10:00:17 or a stray "::" are never taken for IPv6)
+function extractIp(line){
+  const ban=/\]\s+Ban\s+(\S+)/.exec(line);
+  if(ban){
+    const ip=normalizeIp(ban[1].replace(/[,;.]+$/,''));
+    if(ip) return ip;
+  }
+  for(const tok of String(line).split(/[\s,;()<>"'=]+/)){
+    const ip=normalizeIp(tok.replace(/[.]+$/,''));
+    if(ip) return ip;
+  }
+  return null;
+}
+
+// -------------------- special-purpose ranges --------------------
+const BUILTIN_DENY = [
+  ['0.0.0.0/8','"this" network (RFC 791)'],
+  ['10.0.0.0/8','private (RFC 1918)'],
+  ['100.64.0.0/10','CGNAT shared space (RFC 6598)'],
+  ['127.0.0.0/8','loopback'],
+  ['169.254.0.0/16','link-local'],
+  ['172.16.0.0/12','private (RFC 1918)'],
+  ['192.0.0.0/24','IETF protocol assignments (RFC 6890)'],
+  ['192.0.2.0/24','documentation (RFC 5737)'],
+  ['192.88.99.0/24','6to4 relay anycast (RFC 7526)'],
+  ['192.168.0.0/16','private (RFC 1918)'],
+  ['198.18.0.0/15','benchmarking (RFC 2544)'],
+  ['198.51.100.0/24','documentation (RFC 5737)'],
+  ['203.0.113.0/24','documentation (RFC 5737)'],
+  ['224.0.0.0/4','multicast'],
+  ['240.0.0.0/4','reserved / broadcast'],
+  ['::1/128','loopback'],
+  ['64:ff9b:1::/48','local-use NAT64 (RFC 8215)'],
+  ['100::/64','discard-only (RFC 6666)'],
+  ['2001:db8::/32','documentation (RFC 3849)'],
+  ['fc00::/7','unique local (RFC 4193)'],
+  ['fe80::/10','link-local'],
+  ['ff00::/8','multicast']
+].map(([text,reason])=>({ text, reason, cidr:parseCidr(text) }));
+
+// -------------------- guard --------------------
+const toRules=(list,reason)=>list.map(text=>({ text, reason, cidr:parseCidr(text) }));
+
+class IpGuard{
+  constructor(cfg){
+    this.configure(cfg);
+  }
+  configure(cfg){
+    this.cfg=cfg;
+    this.allow=toRules(cfg.allow,'guard.allow');
+    this.deny=toRules(cfg.deny,'guard.deny');
+    this.builtin=cfg.builtin?BUILTIN_DENY:[];
+  }
+  // { ok:true, ip } with the canonical address, or { ok:false, ip, reason, rule }
+  check(raw){
+    const ip=normalizeIp(raw);
+    if(!ip) return { ok:false, ip:null, reason:'not a single valid unicast IP address', rule:null };
+    const hit=list=>list.find(r=>cidrContains(r.cidr,ip));
+    const denied=hit(this.deny);
+    if(denied) return { ok:false, ip, reason:denied.reason, rule:denied.text };
+    if(hit(this.allow)) return { ok:true, ip };
+    const special=hit(this.builtin);
+    if(special) return { ok:false, ip, reason:special.reason, rule:special.text };
+    return { ok:true, ip };
+  }
+  // JSONL: {ts, input, ip, reason, rule, jail, source, line}
+  record(entry){
+    if(!this.cfg.skipLog) return;
+    try{
+      fs.mkdirSync(path.dirname(this.cfg.skipLog),{ recursive:true, mode:0o700 });
+      fs.appendFileSync(this.cfg.skipLog,JSON.stringify({ ts:new Date().toISOString(), ...entry })+'\n',{ mode:0o600 });
+    }catch{}
+  }
+}
+
+module.exports = { IpGuard, normalizeIp, extractIp, BUILTIN_DENY };
@@ -0,0 +1,87 @@
+'use strict';
+const fs = require('fs');
+const YAML = require('yaml');
+
+// jails.json (or .yaml) maps a fail2ban jail name (or a "*" glob such as "nginx-*") to a
+// scan profile. The "default" entry applies to everything else.
+//
+// {
+//   "default": { "priority": 0 },
+//   "sshd": { "nmapArgs": "-sS -Pn -p22 -T4 -sV", "priority": 5 },
+//   "nginx-*": { "scanProfile": "deep", "tools": ["whatweb"], "plugins": ["banner"] }
+// }
+//
+// "scanProfile" names a scan profile (lib/scanprofiles.js); "nmapArgs" gives
+// the nmap command line itself. Without either, scan.profile / nmapArgs apply.
+// "tools" run a binary and keep its output as <name>.txt; "plugins" switch on
+// enrichment plugins (see lib/plugins) for this jail only.
+
+const globToRe=g=>new RegExp('^'+g.split('*').map(s=>s.replace(/[.+?^${}()|[\]\\]/g,'\\$&')).join('.*')+'$');
+
+function normalizeTool(t,where){
+  if(typeof t==='string') t={name:t,cmd:t,args:['{ip}']};
+  if(!t||typeof t!=='object'||typeof (t.cmd||t.name)!=='string')
+    throw new Error(`${where}: tool entries must be a binary name or {name,cmd,args}`);
+  const args=t.args===undefined?['{ip}']:t.args;
+  if(!Array.isArray(args)||!args.every(a=>typeof a==='string'))
+    throw new Error(`${where}: tool "${t.name||t.cmd}" args must be an array of strings`);
+  return {name:String(t.name||t.cmd).replace(/[^\w.-]+/g,'_'),cmd:t.cmd||t.name,args};
+}
+
+function normalizeProfile(name,p){
+  const where=`jail profile "${name}"`;
+  if(!p||typeof p!=='object'||Array.isArray(p)) throw new Error(`${where}: must be an object`);
+  if(p.nmapArgs!==undefined&&typeof p.nmapArgs!=='string') throw new Error(`${where}: nmapArgs must be a string`);
+  if(p.scanProfile!==undefined&&typeof p.scanProfile!=='string') throw new Error(`${where}: scanProfile must be a scan profile name`);
+  if(p.nmapArgs&&p.scanProfile) throw new Error(`${where}: give nmapArgs or scanProfile, not both`);
+  if(p.priority!==undefined&&!Number.isFinite(p.priority)) throw new Error(`${where}: priority must be a number`);
+  if(p.tools!==undefined&&!Array.isArray(p.tools)) throw new Error(`${where}: tools must be an array`);
+  if(p.plugins!==undefined&&!(Array.isArray(p.plugins)&&p.plugins.every(n=>typeof n==='string')))
+    throw new Error(`${where}: plugins must be an array of plugin names`);
+  return {
+    name,
+    nmapArgs:p.nmapArgs||null,
+    scanProfile:p.scanProfile||null,
+    priority:p.priority||0,
+    tools:(p.tools||[]).map(t=>normalizeTool(t,where)),
+    plugins:p.plugins||[]
+  };
+}
+
+function buildJailProfiles(obj){
+  const exact=new Map(), globs=[];
+  for(const [name,p] of Object.entries(obj||{})){
+    const prof=normalizeProfile(name,p);
+    if(name.includes('*')) globs.push([globToRe(name),prof]);
+    else exact.set(name,prof);
+  }
+  if(!exact.has('default')) exact.set('default',normalizeProfile('default',{}));
+  return {exact,globs};
+}
+
+// accepts a path to jails.json or the profiles object itself (inline in config)
+function loadJailProfiles(file){
+  if(file&&typeof file==='object') return buildJailProfiles(file);
+  if(!file||!fs.existsSync(file)) return buildJailProfiles({});
+  let obj;
+  try{
+    const raw=fs.readFileSync(file,'utf8');
+    obj=/\.ya?ml$/i.test(file)?YAML.parse(raw):JSON.parse(raw);
+  }
+  catch(e){ throw new Error(`${file}: ${e.message}`); }
+  return buildJailProfiles(obj);
+}
+
+function resolveJailProfile(profiles,jail){
+  if(jail){
+    if(profiles.exact.has(jail)) return profiles.exact.get(jail);
+    for(const [re,p] of profiles.globs) if(re.test(jail)) return p;
+  }
+  return profiles.exact.get('default');
+}
+
+function allJailProfiles(profiles){
+  return [...profiles.exact.values(),...profiles.globs.map(([,p])=>p)];
+}
+
+module.exports = { loadJailProfiles, buildJailProfiles, resolveJailProfile, allJailProfiles };
@@ -0,0 +1,95 @@
+'use strict';
+const fs = require('fs'), path = require('path'), crypto = require('crypto');
+
+// Append-only JSONL journal of scan jobs. Each line is either
+//   {"op":"add","job":{...}}            a new job
+//   {"op":"set","id":"...","patch":{}}  a state change
+// Replaying the file rebuilds the job table; a torn last line (crash during
+// write) is ignored. Finished jobs are dropped when the file is compacted.
+const STATES = ['pending','running','done','failed'];
+
+class JobStore{
+  constructor(file,{compactAfter=1000}={}){
+    this.file=file;
+    this.compactAfter=compactAfter;
+    this.jobs=new Map();
+    this.records=0;
+    this.fd=null;
+  }
+  load(){
+    this.jobs.clear();
+    this.records=0;
+    let raw='';
+    try{ raw=fs.readFileSync(this.file,'utf8'); }
+    catch(e){ if(e.code!=='ENOENT') throw e; }
+    for(const line of raw.split('\n')){
+      if(!line.trim()) continue;
+      let r;
+      try{ r=JSON.parse(line); }catch{ continue; }
+      this.records++;
+      if(r.op==='add'&&r.job&&r.job.id) this.jobs.set(r.job.id,r.job);
+      else if(r.op==='set'&&this.jobs.has(r.id)) Object.assign(this.jobs.get(r.id),r.patch);
+    }
+    // a job still "running" in the journal was interrupted by a crash or restart
+    for(const j of this.jobs.values()) if(j.state==='running') j.state='pending';
+    this.compact();
+    return this;
+  }
+  _append(rec){
+    if(this.fd===null){
+      fs.mkdirSync(path.dirname(this.file),{recursive:true,mode:0o700});
+      this.fd=fs.openSync(this.file,'a',0o600);
+    }
+    fs.writeSync(this.fd,JSON.stringify(rec)+'\n');
+    try{ fs.fdatasyncSync(this.fd); }catch{}
+    if(++this.records>=this.compactAfter) this.compact();
+  }
+  add(fields){
+    const now=Date.now();
+    const job={
+      id:crypto.randomUUID(),
+      state:'pending',
+      priority:0,
+      attempts:0,
+      nextAt:0,
+      createdAt:now,
+      updatedAt:now,
+      lastError:null,
+      ...fields
+    };
+    this.jobs.set(job.id,job);
+    this._append({op:'add',job});
+    return job;
+  }
+  update(id,patch){
+    const job=this.jobs.get(id);
+    if(!job) return null;
+    if(patch.state&&!STATES.includes(patch.state)) throw new Error(`invalid job state ${patch.state}`);
+    patch={...patch,updatedAt:Date.now()};
+    Object.assign(job,patch);
+    this._append({op:'set',id,patch});
+    if(job.state==='done'||job.state==='failed') this.jobs.delete(id);
+    return job;
+  }
+  live(){
+    return [...this.jobs.values()].filter(j=>j.state==='pending'||j.state==='running');
+  }
+  // rewrite the journal with only the live jobs; rename keeps it atomic
+  compact(){
+    const tmp=this.file+'.tmp';
+    const live=this.live();
+    fs.mkdirSync(path.dirname(this.file),{recursive:true,mode:0o700});
+    fs.writeFileSync(tmp,live.map(job=>JSON.stringify({op:'add',job})+'\n').join(''),{mode:0o600});
+    const fd=fs.openSync(tmp,'r');
+    try{ fs.fsyncSync(fd); }finally{ fs.closeSync(fd); }
+    fs.renameSync(tmp,this.file);
+    if(this.fd!==null){ try{ fs.closeSync(this.fd); }catch{} this.fd=null; }
+    for(const j of [...this.jobs.keys()]) if(!live.some(l=>l.id===j)) this.jobs.delete(j);
+    this.records=live.length;
+  }
+  close(){
+    if(this.fd!==null){ try{ fs.closeSync(this.fd); }catch{} this.fd=null; }
+  }
+}
+
+module.exports = { JobStore, STATES };
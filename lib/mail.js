@@ -0,0 +1,128 @@
+'use strict';
+const net = require('net'), tls = require('tls'), os = require('os');
+const { spawn } = require('child_process');
+
+// Delivery of a ready-made RFC 5322 message, either through the local
+// sendmail binary or straight to an SMTP relay (STARTTLS/implicit TLS,
+// AUTH PLAIN/LOGIN).
+class MailError extends Error{
+  constructor(msg){ super(msg); this.name='MailError'; }
+}
+
+// -------------------- sendmail --------------------
+function viaSendmail(message,{ from, to },cfg){
+  return new Promise((resolve,reject)=>{
+    const proc=spawn(cfg.sendmail,['-i','-f',from,'--',...to],{ stdio:['pipe','pipe','pipe'] });
+    let out='';
+    const timer=setTimeout(()=>{ proc.kill('SIGTERM'); },cfg.timeoutMs);
+    proc.stdout.on('data',c=>{ out+=c; });
+    proc.stderr.on('data',c=>{ out+=c; });
+    proc.on('error',e=>{ clearTimeout(timer); reject(new MailError(`${cfg.sendmail}: ${e.message}`)); });
+    proc.on('close',(code,signal)=>{
+      clearTimeout(timer);
+      if(code===0) resolve({ transport:'sendmail', response:out.trim()||'ok' });
+      else reject(new MailError(`${cfg.sendmail} exited with ${signal||code}${out.trim()?': '+out.trim():''}`));
+    });
+    proc.stdin.on('error',()=>{});
+    proc.stdin.end(message);
+  });
+}
+
+// -------------------- SMTP --------------------
+// collects "250-..." continuation lines into one reply per read()
+function replyReader(){
+  let buf='', lines=[], waiting=null, failed=null;
+  const replies=[];
+  const flush=()=>{
+    while(waiting&&replies.length){ const w=waiting; waiting=null; w.resolve(replies.shift()); }
+    if(waiting&&failed){ const w=waiting; waiting=null; w.reject(failed); }
+  };
+  return {
+    feed(chunk){
+      buf+=chunk;
+      let i;
+      while((i=buf.indexOf('\n'))>=0){
+        const line=buf.slice(0,i).replace(/\r$/,'');
+        buf=buf.slice(i+1);
+        lines.push(line);
+        if(/^\d{3}(?: |$)/.test(line)){
+          replies.push({ code:parseInt(line.slice(0,3),10), text:lines.map(l=>l.slice(4)).join('\n') });
+          lines=[];
+        }
+      }
+      flush();
+    },
+    fail(err){ failed=failed||err; flush(); },
+    read(){ return new Promise((resolve,reject)=>{ waiting={ resolve, reject }; flush(); }); }
+  };
+}
+
+function attach(sock,reader,cfg){
+  sock.setEncoding('utf8');
+  sock.setTimeout(cfg.timeoutMs);
+  sock.on('data',c=>reader.feed(c));
+  sock.on('timeout',()=>{ reader.fail(new MailError(`SMTP timeout after ${cfg.timeoutMs}ms`)); sock.destroy(); });
+  sock.on('error',e=>reader.fail(new MailError(`SMTP ${cfg.host}:${cfg.port}: ${e.message}`)));
+  sock.on('close',()=>reader.fail(new MailError('SMTP connection closed')));
+}
+
+async function viaSmtp(message,{ from, to },cfg){
+  const reader=replyReader();
+  const tlsOpts={ servername:cfg.host, rejectUnauthorized:cfg.rejectUnauthorized };
+  let sock=cfg.secure
+    ? tls.connect({ host:cfg.host, port:cfg.port, ...tlsOpts })
+    : net.connect({ host:cfg.host, port:cfg.port });
+  attach(sock,reader,cfg);
+  const expect=async(ok)=>{
+    const r=await reader.read();
+    if(!ok.includes(r.code)) throw new MailError(`SMTP ${r.code} ${r.text}`);
+    return r;
+  };
+  const cmd=(line,ok)=>{ sock.write(line+'\r\n'); return expect(ok); };
+  const helo=cfg.helo||os.hostname();
+  try{
+    await expect([220]);
+    let ehlo=await cmd(`EHLO ${helo}`,[250]);
+    if(!cfg.secure&&cfg.starttls&&/^STARTTLS\b/im.test(ehlo.text)){
+      await cmd('STARTTLS',[220]);
+      sock.removeAllListeners('data');
+      sock.removeAllListeners('close');
+      sock.setTimeout(0);
+      sock=tls.connect({ socket:sock, ...tlsOpts });
+      attach(sock,reader,cfg);
+      await new Promise((resolve,reject)=>{ sock.once('secureConnect',resolve); sock.once('error',reject); });
+      ehlo=await cmd(`EHLO ${helo}`,[250]);
+    }
+    if(cfg.user){
+      const mechs=(/^AUTH[ =](.*)$/im.exec(ehlo.text)||[,''])[1].toUpperCase().split(/\s+/);
+      if(mechs.includes('PLAIN')){
+        await cmd('AUTH PLAIN '+Buffer.from(`\0${cfg.user}\0${cfg.pass||''}`).toString('base64'),[235]);
+      }else{
+        await cmd('AUTH LOGIN',[334]);
+        await cmd(Buffer.from(cfg.user).toString('base64'),[334]);
+        await cmd(Buffer.from(cfg.pass||'').toString('base64'),[235]);
+      }
+    }
+    await cmd(`MAIL FROM:<${from}>`,[250]);
+    for(const rcpt of to) await cmd(`RCPT TO:<${rcpt}>`,[250,251]);
+    await cmd('DATA',[354]);
+    // CRLF line endings, and a leading dot doubled (RFC 5321 4.5.2)
+    const body=message.replace(/\r?\n/g,'\r\n').replace(/^\./gm,'..');
+    sock.write(body+(body.endsWith('\r\n')?'':'\r\n')+'.\r\n');
+    const done=await expect([250]);
+    sock.write('QUIT\r\n');
+    sock.end();
+    return { transport:'smtp', response:`${done.code} ${done.text}` };
+  }catch(e){
+    sock.destroy();
+    throw e;
+  }
+}
+
+function sendMail(message,envelope,cfg){
+  if(!envelope.from) return Promise.reject(new MailError('no envelope sender (report.from)'));
+  if(!envelope.to||!envelope.to.length) return Promise.reject(new MailError('no recipients'));
+  return cfg.transport==='smtp'?viaSmtp(message,envelope,cfg):viaSendmail(message,envelope,cfg);
+}
+
+module.exports = { sendMail, MailError };
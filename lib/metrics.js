@@ -0,0 +1,200 @@
+'use strict';
+const http = require('http');
+
+// What the daemon is doing, for Prometheus (/metrics, text exposition format
+// 0.0.4) and for people (/status, JSON). Counters are fed the queue events
+// (events.js) plus every log line read; gauges are read when scraped. The
+// listener is off unless metrics.listen is set, and meant for localhost.
+
+// -------------------- primitives --------------------
+const escLabel=v=>String(v).replace(/\\/g,'\\\\').replace(/"/g,'\\"').replace(/\n/g,'\\n');
+const labelText=labels=>{
+  const keys=Object.keys(labels);
+  return keys.length?`{${keys.map(k=>`${k}="${escLabel(labels[k])}"`).join(',')}}`:'';
+};
+const num=v=>Number.isFinite(v)?String(v):v>0?'+Inf':v<0?'-Inf':'NaN';
+
+class Counter{
+  constructor(name,help){
+    this.name=name;
+    this.help=help;
+    this.values=new Map(); // label text -> { labels, value }
+  }
+  inc(labels={},n=1){
+    const key=labelText(labels);
+    const v=this.values.get(key)||{ labels, value:0 };
+    v.value+=n;
+    this.values.set(key,v);
+  }
+  get(labels={}){
+    const v=this.values.get(labelText(labels));
+    return v?v.value:0;
+  }
+  render(){
+    return [`# HELP ${this.name} ${this.help}`,`# TYPE ${this.name} counter`,
+      ...[...this.values].map(([key,v])=>`${this.name}${key} ${num(v.value)}`)];
+  }
+}
+
+// read when scraped: collect() returns [{ labels, value }]
+class Gauge{
+  constructor(name,help,collect){
+    this.name=name;
+    this.help=help;
+    this.collect=collect;
+  }
+  render(){
+    return [`# HELP ${this.name} ${this.help}`,`# TYPE ${this.name} gauge`,
+      ...this.collect().map(v=>`${this.name}${labelText(v.labels||{})} ${num(v.value)}`)];
+  }
+}
+
+class Histogram{
+  constructor(name,help,buckets){
+    this.name=name;
+    this.help=help;
+    this.buckets=buckets;
+    this.values=new Map(); // label text -> { labels, counts, sum, count }
+  }
+  observe(labels,value){
+    const key=labelText(labels);
+    const v=this.values.get(key)||{ labels, counts:this.buckets.map(()=>0), sum:0, count:0 };
+    this.buckets.forEach((b,i)=>{ if(value<=b) v.counts[i]++; });
+    v.sum+=value;
+    v.count++;
+    this.values.set(key,v);
+  }
+  render(){
+    const lines=[`# HELP ${this.name} ${this.help}`,`# TYPE ${this.name} histogram`];
+    for(const v of this.values.values()){
+      this.buckets.forEach((b,i)=>lines.push(`${this.name}_bucket${labelText({ ...v.labels, le:num(b) })} ${v.counts[i]}`));
+      lines.push(`${this.name}_bucket${labelText({ ...v.labels, le:'+Inf' })} ${v.count}`);
+      lines.push(`${this.name}_sum${labelText(v.labels)} ${num(v.sum)}`);
+      lines.push(`${this.name}_count${labelText(v.labels)} ${v.count}`);
+    }
+    return lines;
+  }
+}
+
+// -------------------- daemon metrics --------------------
+// seconds; nmap -p- runs take minutes to hours
+const DURATION_BUCKETS=[0.5,1,5,15,30,60,120,300,600,1800,3600,7200,21600];
+// skipped events carry a kind: guard, queued (already queued or running), rescan (TTL / policy)
+const SKIP_KINDS=['guard','queued','rescan'];
+
+class ScanMetrics{
+  // queue() -> ScanQueue.snapshot(); sources() -> source names being followed
+  constructor({ queue=()=>null, sources=()=>[], info={} }={}){
+    this.queue=queue;
+    this.sources=sources;
+    this.info=info;
+    this.started=Date.now();
+    this.lastLine=new Map(); // source -> ms
+    this.lastScan=null;
+    this.lines=new Counter('fail2scan_log_lines_total','Log lines read, per source');
+    this.bans=new Counter('fail2scan_bans_total','fail2ban bans seen, per jail');
+    this.skips=new Counter('fail2scan_skipped_total','Bans not scanned: guard refusal, already queued or running (dedup cache), rescan policy/TTL');
+    this.scans=new Counter('fail2scan_scans_total','Scan runs by outcome: completed, failed (no retry left), retried or cancelled (fail2scan ctl)');
+    this.toolRuns=new Counter('fail2scan_tool_runs_total','Tool/plugin runs by outcome: ok, failed or timeout');
+    this.scanSeconds=new Histogram('fail2scan_scan_duration_seconds','Wall-clock time of a whole scan run',DURATION_BUCKETS);
+    this.toolSeconds=new Histogram('fail2scan_tool_duration_seconds','Time taken by each tool/plugin (nmap, whois...)',DURATION_BUCKETS);
+    for(const kind of SKIP_KINDS) this.skips.inc({ reason:kind },0);
+    for(const outcome of ['completed','failed','retried','cancelled']) this.scans.inc({ outcome },0);
+  }
+  line(source){
+    this.lines.inc({ source });
+    this.lastLine.set(source,Date.now());
+  }
+  // one queue event, as published by the daemon
+  observe(type,ev){
+    if(type==='ban') this.bans.inc({ jail:ev.jail||'' });
+    else if(type==='skipped') this.skips.inc({ reason:ev.kind||'guard' });
+    else if(type==='step'){
+      this.toolRuns.inc({ tool:ev.plugin, outcome:ev.timedOut?'timeout':ev.ok?'ok':'failed' });
+      if(Number.isFinite(ev.ms)) this.toolSeconds.observe({ tool:ev.plugin },ev.ms/1000);
+    }else if(type==='completed'||type==='failed'){
+      const outcome=type==='completed'?'completed':ev.cancelled?'cancelled':ev.retryAt?'retried':'failed';
+      this.scans.inc({ outcome });
+      if(Number.isFinite(ev.ms)) this.scanSeconds.observe({},ev.ms/1000);
+      this.lastScan={ ip:ev.ip, scan:ev.scan, outcome, error:ev.error||null, at:new Date().toISOString() };
+    }
+  }
+  // seconds since each followed source last gave a line (since start if none yet)
+  _ages(now=Date.now()){
+    return this.sources().map(source=>{
+      const at=this.lastLine.get(source)||null;
+      return { source, lastLineAt:at?new Date(at).toISOString():null, ageSec:Math.round((now-(at||this.started))/1000), lines:this.lines.get({ source }) };
+    });
+  }
+  render(){
+    const q=this.queue()||{ running:[], pending:[], concurrency:0 };
+    const now=Date.now();
+    const gauges=[
+      new Gauge('fail2scan_queue_pending','Jobs waiting in the queue',()=>[{ value:q.pending.filter(j=>!(j.nextAt>now)).length }]),
+      new Gauge('fail2scan_queue_retry_wait','Jobs waiting out a retry backoff',()=>[{ value:q.pending.filter(j=>j.nextAt>now).length }]),
+      new Gauge('fail2scan_queue_running','Scans running',()=>[{ value:q.running.length }]),
+      new Gauge('fail2scan_queue_concurrency','Scans allowed to run at once',()=>[{ value:q.concurrency }]),
+      new Gauge('fail2scan_queue_paused','1 while the queue is paused (fail2scan ctl pause)',()=>[{ value:q.paused?1:0 }]),
+      new Gauge('fail2scan_log_last_line_age_seconds','Seconds since the source last gave a line (since start if none)',()=>this._ages(now).map(a=>({ labels:{ source:a.source }, value:a.ageSec }))),
+      new Gauge('fail2scan_start_time_seconds','Daemon start time, Unix seconds',()=>[{ value:Math.floor(this.started/1000) }]),
+      new Gauge('fail2scan_build_info','Version of the running daemon',()=>[{ labels:{ version:this.info.version||'' }, value:1 }])
+    ];
+    return [...gauges,this.lines,this.bans,this.skips,this.scans,this.toolRuns,this.scanSeconds,this.toolSeconds]
+      .flatMap(m=>m.render()).join('\n')+'\n';
+  }
+  status(){
+    const q=this.queue()||{ running:[], pending:[], concurrency:0 };
+    const counts=c=>Object.fromEntries([...c.values.values()].map(v=>[Object.values(v.labels).join('/'),v.value]));
+    const tools={};
+    for(const v of this.toolSeconds.values.values()){
+      tools[v.labels.tool]={ runs:v.count, avgSec:Math.round(v.sum/v.count*10)/10,
+        ok:this.toolRuns.get({ tool:v.labels.tool, outcome:'ok' }), failed:this.toolRuns.get({ tool:v.labels.tool, outcome:'failed' }), timeout:this.toolRuns.get({ tool:v.labels.tool, outcome:'timeout' }) };
+    }
+    return {
+      ...this.info,
+      pid:process.pid,
+      startedAt:new Date(this.started).toISOString(),
+      uptimeSec:Math.round((Date.now()-this.started)/1000),
+      queue:{ concurrency:q.concurrency, paused:!!q.paused, running:q.running, pending:q.pending.length, next:q.pending.slice(0,20) },
+      scans:counts(this.scans),
+      lastScan:this.lastScan,
+      bans:counts(this.bans),
+      skipped:counts(this.skips),
+      tools,
+      sources:this._ages()
+    };
+  }
+}
+
+// -------------------- listener --------------------
+// "9752", ":9752" or "127.0.0.1:9752" / "[::1]:9752"; a bare port binds to localhost
+function parseListen(text){
+  const m=/^(?:(?:\[([^\]]+)\]|([^:[\]]*)):)?(\d{1,5})$/.exec(String(text).trim());
+  if(!m||+m[3]<1||+m[3]>65535) throw new Error(`metrics.listen: expected [host:]port, got ${text}`);
+  return { host:m[1]||m[2]||'127.0.0.1', port:+m[3] };
+}
+
+function serveMetrics(listen,metrics,{ log=()=>{} }={}){
+  const { host, port }=parseListen(listen);
+  const server=http.createServer((req,res)=>{
+    const url=(req.url||'').split('?')[0];
+    if(req.method!=='GET'&&req.method!=='HEAD'){ res.writeHead(405,{ Allow:'GET, HEAD' }); return res.end(); }
+    let body, type;
+    try{
+      if(url==='/metrics'){ body=metrics.render(); type='text/plain; version=0.0.4; charset=utf-8'; }
+      else if(url==='/status'){ body=JSON.stringify(metrics.status(),null,2)+'\n'; type='application/json'; }
+    }catch(e){
+      res.writeHead(500,{ 'Content-Type':'text/plain' });
+      return res.end(`${e.message}\n`);
+    }
+    if(body===undefined){ res.writeHead(404,{ 'Content-Type':'text/plain' }); return res.end('not found: /metrics or /status\n'); }
+    res.writeHead(200,{ 'Content-Type':type, 'Cache-Control':'no-store' });
+    res.end(req.method==='HEAD'?undefined:body);
+  });
+  server.on('error',e=>log('Metrics listener',`${host}:${port}`,'failed:',e.message));
+  server.listen(port,host,()=>log('Serving /metrics and /status on',`http://${host.includes(':')?`[${host}]`:host}:${port}`));
+  server.unref();
+  return server;
+}
+
+module.exports = { Counter, Gauge, Histogram, ScanMetrics, serveMetrics, parseListen };
@@ -0,0 +1,153 @@
+'use strict';
+const fs = require('fs');
+const net = require('net');
+
+// Minimal reader for MaxMind DB files (GeoLite2/GeoIP2, DB-IP lite...).
+// Format: https://maxmind.github.io/MaxMind-DB/ – a binary search tree over
+// the address bits followed by a data section of typed values.
+const METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d','hex'); // \xAB\xCD\xEF MaxMind.com
+
+class MmdbError extends Error{
+  constructor(msg){ super(msg); this.name='MmdbError'; }
+}
+
+// -------------------- data section decoder --------------------
+class Decoder{
+  constructor(buf,base){
+    this.buf=buf;
+    this.base=base;
+  }
+  // returns [value, offset after it]
+  decode(off){
+    const buf=this.buf;
+    const ctrl=buf[off++];
+    let type=ctrl>>5;
+    if(type===1) return this._pointer(ctrl,off);
+    if(type===0) type=7+buf[off++];
+    let size=ctrl&0x1f;
+    if(size===29) size=29+buf[off++];
+    else if(size===30){ size=285+buf.readUInt16BE(off); off+=2; }
+    else if(size===31){ size=65821+buf.readUIntBE(off,3); off+=3; }
+    switch(type){
+    case 2: return [buf.toString('utf8',off,off+size),off+size];
+    case 3: return [buf.readDoubleBE(off),off+8];
+    case 4: return [buf.subarray(off,off+size),off+size];
+    case 5: case 6: return [size?buf.readUIntBE(off,size):0,off+size];
+    case 8: return [size?buf.readIntBE(off,size)<<(32-size*8)>>(32-size*8):0,off+size];
+    case 9: case 10:{
+      let v=0n;
+      for(let i=0;i<size;i++) v=(v<<8n)|BigInt(buf[off+i]);
+      return [v<=BigInt(Number.MAX_SAFE_INTEGER)?Number(v):v.toString(),off+size];
+    }
+    case 7:{
+      const obj={};
+      for(let i=0;i<size;i++){
+        let k, v;
+        [k,off]=this.decode(off);
+        [v,off]=this.decode(off);
+        obj[k]=v;
+      }
+      return [obj,off];
+    }
+    case 11:{
+      const arr=[];
+      for(let i=0;i<size;i++){
+        let v;
+        [v,off]=this.decode(off);
+        arr.push(v);
+      }
+      return [arr,off];
+    }
+    case 14: return [size!==0,off];
+    case 15: return [buf.readFloatBE(off),off+4];
+    default: throw new MmdbError(`unsupported data type ${type}`);
+    }
+  }
+  _pointer(ctrl,off){
+    const buf=this.buf, ss=(ctrl>>3)&3, vvv=ctrl&7;
+    let p;
+    if(ss===0){ p=(vvv<<8)|buf[off]; off+=1; }
+    else if(ss===1){ p=((vvv<<16)|buf.readUInt16BE(off))+2048; off+=2; }
+    else if(ss===2){ p=(vvv*0x1000000+buf.readUIntBE(off,3))+526336; off+=3; }
+    else{ p=buf.readUInt32BE(off); off+=4; }
+    // a pointer's target is never itself a pointer
+    return [this.decode(this.base+p)[0],off];
+  }
+}
+
+// -------------------- reader --------------------
+class MmdbReader{
+  constructor(buf,file=null){
+    this.file=file;
+    this.buf=buf;
+    const at=buf.lastIndexOf(METADATA_MARKER);
+    if(at<0) throw new MmdbError(`${file||'buffer'}: not a MaxMind DB file (metadata marker missing)`);
+    const metaStart=at+METADATA_MARKER.length;
+    this.metadata=new Decoder(buf,metaStart).decode(metaStart)[0];
+    const { node_count, record_size, ip_version } = this.metadata;
+    if(![24,28,32].includes(record_size)) throw new MmdbError(`${file||'buffer'}: unsupported record size ${record_size}`);
+    this.nodeCount=node_count;
+    this.recordSize=record_size;
+    this.ipVersion=ip_version;
+    this.nodeBytes=record_size/4;
+    this.treeSize=this.nodeBytes*node_count;
+    this.data=new Decoder(buf,this.treeSize+16);
+    // IPv4 addresses live under ::/96 in IPv6 trees
+    this.ipv4Start=0;
+    if(ip_version===6){
+      let node=0;
+      for(let i=0;i<96&&node<node_count;i++) node=this._record(node,0);
+      this.ipv4Start=node;
+    }
+  }
+  static open(file){
+    return new MmdbReader(fs.readFileSync(file),file);
+  }
+  _record(node,bit){
+    const buf=this.buf, off=node*this.nodeBytes;
+    switch(this.recordSize){
+    case 24: return buf.readUIntBE(off+bit*3,3);
+    case 28: return bit
+      ? ((buf[off+3]&0x0f)*0x1000000)+buf.readUIntBE(off+4,3)
+      : ((buf[off+3]&0xf0)*0x100000)+buf.readUIntBE(off,3);
+    default: return buf.readUInt32BE(off+bit*4);
+    }
+  }
+  // { data, prefixLength } or null when the address is not in the database
+  lookup(ip){
+    const bytes=ipBytes(ip);
+    if(!bytes) throw new MmdbError(`invalid IP address ${ip}`);
+    if(bytes.length===16&&this.ipVersion===4) return null;
+    let node=bytes.length===4?this.ipv4Start:0;
+    const bits=bytes.length*8;
+    let i=0;
+    for(;i<bits&&node<this.nodeCount;i++) node=this._record(node,(bytes[i>>3]>>(7-(i&7)))&1);
+    if(node===this.nodeCount) return null;
+    if(node<this.nodeCount) throw new MmdbError('search tree ended without a record');
+    const off=(node-this.nodeCount)+this.treeSize;
+    return { data:this.data.decode(off)[0], prefixLength:i };
+  }
+  get(ip){
+    const r=this.lookup(ip);
+    return r?r.data:null;
+  }
+}
+
+function ipBytes(ip){
+  const family=net.isIP(ip);
+  if(family===4) return Buffer.from(ip.split('.').map(Number));
+  if(family!==6) return null;
+  let s=ip.toLowerCase().split('%')[0];
+  const v4=/(\d+\.\d+\.\d+\.\d+)$/.exec(s);
+  let tail4=[];
+  if(v4){ tail4=v4[1].split('.').map(Number); s=s.slice(0,-v4[1].length)+'0:0'; }
+  const [head,rest]=s.split('::');
+  const h=head?head.split(':'):[], t=rest===undefined?[]:(rest?rest.split(':'):[]);
+  const groups=rest===undefined?h:[...h,...Array(8-h.length-t.length).fill('0'),...t];
+  const buf=Buffer.alloc(16);
+  groups.forEach((g,i)=>buf.writeUInt16BE(parseInt(g||'0',16),i*2));
+  if(v4) tail4.forEach((b,i)=>{ buf[12+i]=b; });
+  return buf;
+}
+
+module.exports = { MmdbReader, MmdbError };
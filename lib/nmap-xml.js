@@ -0,0 +1,181 @@
+'use strict';
+const fs = require('fs');
+
+// -------------------- minimal XML reader --------------------
+// nmap XML is machine generated and flat enough that a small tokenizer does
+// the job: elements, attributes, text, entities. No DTD/namespace handling.
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(s){
+  return s.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g,(m,e)=>{
+    if(e[0]==='#'){
+      const cp=e[1]==='x'||e[1]==='X'?parseInt(e.slice(2),16):parseInt(e.slice(1),10);
+      try{ return String.fromCodePoint(cp); }catch{ return m; }
+    }
+    return Object.prototype.hasOwnProperty.call(ENTITIES,e)?ENTITIES[e]:m;
+  });
+}
+
+function parseAttrs(s){
+  const attrs={};
+  const re=/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let m;
+  while((m=re.exec(s))) attrs[m[1]]=decodeEntities(m[3]!==undefined?m[3]:m[4]);
+  return attrs;
+}
+
+function parseXml(xml){
+  const root={name:'#root',attrs:{},children:[],text:''};
+  const stack=[root];
+  let i=0;
+  while(i<xml.length){
+    const lt=xml.indexOf('<',i);
+    const top=stack[stack.length-1];
+    if(lt<0){ top.text+=decodeEntities(xml.slice(i)); break; }
+    if(lt>i) top.text+=decodeEntities(xml.slice(i,lt));
+    if(xml.startsWith('<!--',lt)){
+      const end=xml.indexOf('-->',lt+4);
+      i=end<0?xml.length:end+3; continue;
+    }
+    if(xml.startsWith('<![CDATA[',lt)){
+      const end=xml.indexOf(']]>',lt+9);
+      top.text+=xml.slice(lt+9,end<0?xml.length:end);
+      i=end<0?xml.length:end+3; continue;
+    }
+    if(xml[lt+1]==='?'||xml[lt+1]==='!'){
+      const end=xml.indexOf('>',lt);
+      i=end<0?xml.length:end+1; continue;
+    }
+    const gt=xml.indexOf('>',lt);
+    if(gt<0) break;
+    const body=xml.slice(lt+1,gt);
+    i=gt+1;
+    if(body[0]==='/'){
+      const name=body.slice(1).trim();
+      // tolerate truncated files (nmap killed mid-run): pop to the matching tag
+      for(let k=stack.length-1;k>0;k--){
+        if(stack[k].name===name){ stack.length=k; break; }
+      }
+      continue;
+    }
+    const selfClosing=body.endsWith('/');
+    const inner=selfClosing?body.slice(0,-1):body;
+    const sp=inner.search(/\s/);
+    const name=sp<0?inner:inner.slice(0,sp);
+    const node={name,attrs:sp<0?{}:parseAttrs(inner.slice(sp)),children:[],text:''};
+    top.children.push(node);
+    if(!selfClosing) stack.push(node);
+  }
+  return root;
+}
+
+const child=(n,name)=>n&&n.children.find(c=>c.name===name)||null;
+const children=(n,name)=>n?n.children.filter(c=>c.name===name):[];
+
+// -------------------- nmap mapping --------------------
+function scriptData(node){
+  const keyed={}, list=[];
+  let hasKey=false;
+  for(const c of node.children){
+    if(c.name!=='elem'&&c.name!=='table') continue;
+    const v=c.name==='elem'?c.text:scriptData(c);
+    if(c.attrs.key!==undefined){ keyed[c.attrs.key]=v; hasKey=true; }
+    else list.push(v);
+  }
+  if(!hasKey) return list.length?list:null;
+  if(list.length) keyed._items=list;
+  return keyed;
+}
+
+function mapScript(s){
+  const out={id:s.attrs.id,output:(s.attrs.output||'').trim()};
+  const data=scriptData(s);
+  if(data!==null) out.data=data;
+  return out;
+}
+
+function mapPort(p){
+  const st=child(p,'state'), svc=child(p,'service');
+  return {
+    protocol:p.attrs.protocol,
+    port:parseInt(p.attrs.portid,10),
+    state:st?st.attrs.state:'unknown',
+    reason:st?st.attrs.reason||null:null,
+    service:svc?svc.attrs.name||null:null,
+    product:svc?svc.attrs.product||null:null,
+    version:svc?svc.attrs.version||null:null,
+    extrainfo:svc?svc.attrs.extrainfo||null:null,
+    tunnel:svc?svc.attrs.tunnel||null:null,
+    cpe:svc?children(svc,'cpe').map(c=>c.text.trim()).filter(Boolean):[],
+    scripts:children(p,'script').map(mapScript)
+  };
+}
+
+function mapOs(h){
+  const os=child(h,'os');
+  return children(os,'osmatch').map(m=>({
+    name:m.attrs.name,
+    accuracy:parseInt(m.attrs.accuracy,10)||0,
+    classes:children(m,'osclass').map(c=>({
+      type:c.attrs.type||null,
+      vendor:c.attrs.vendor||null,
+      family:c.attrs.osfamily||null,
+      gen:c.attrs.osgen||null,
+      accuracy:parseInt(c.attrs.accuracy,10)||0,
+      cpe:children(c,'cpe').map(x=>x.text.trim()).filter(Boolean)
+    }))
+  }));
+}
+
+function parseNmapXml(xml){
+  const run=child(parseXml(xml),'nmaprun');
+  const res={ports:[],os:[],host_scripts:[],hosts_up:0,complete:false};
+  if(!run) return res;
+  for(const h of children(run,'host')){
+    const status=child(h,'status');
+    if(status&&status.attrs.state==='up') res.hosts_up++;
+    for(const p of children(child(h,'ports'),'port')) res.ports.push(mapPort(p));
+    res.os.push(...mapOs(h));
+    res.host_scripts.push(...children(child(h,'hostscript'),'script').map(mapScript));
+  }
+  const fin=child(child(run,'runstats'),'finished');
+  res.complete=!!fin&&fin.attrs.exit!=='error';
+  return res;
+}
+
+// merge the per-part results of a split -p- run into a single view
+function mergeNmapResults(results){
+  const ports=new Map(), os=new Map(), hs=new Map();
+  for(const r of results){
+    for(const p of r.ports) ports.set(`${p.protocol}/${p.port}`,p);
+    for(const o of r.os){
+      const prev=os.get(o.name);
+      if(!prev||prev.accuracy<o.accuracy) os.set(o.name,o);
+    }
+    for(const s of r.host_scripts) if(!hs.has(s.id)) hs.set(s.id,s);
+  }
+  return {
+    ports:[...ports.values()].sort((a,b)=>a.protocol===b.protocol?a.port-b.port:a.protocol<b.protocol?-1:1),
+    os:[...os.values()].sort((a,b)=>b.accuracy-a.accuracy),
+    host_scripts:[...hs.values()],
+    hosts_up:Math.max(0,...results.map(r=>r.hosts_up)),
+    complete:results.length>0&&results.every(r=>r.complete)
+  };
+}
+
+function parseNmapXmlFiles(files){
+  const results=[];
+  for(const f of files){
+    try{ results.push(parseNmapXml(fs.readFileSync(f,'utf8'))); }
+    catch{ results.push({ports:[],os:[],host_scripts:[],hosts_up:0,complete:false}); }
+  }
+  return mergeNmapResults(results);
+}
+
+// legacy one-line form, e.g. "22/tcp open ssh OpenSSH 8.9p1"
+function formatPortLine(p){
+  const ver=[p.product,p.version,p.extrainfo?`(${p.extrainfo})`:null].filter(Boolean).join(' ');
+  return [`${p.port}/${p.protocol}`,p.state,p.service||'unknown',ver].filter(Boolean).join(' ');
+}
+
+module.exports = { parseXml, parseNmapXml, parseNmapXmlFiles, mergeNmapResults, formatPortLine };
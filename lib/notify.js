@@ -0,0 +1,295 @@
+'use strict';
+const os = require('os'), crypto = require('crypto');
+const dgram = require('dgram'), net = require('net');
+const { request } = require('./http');
+const { sendMail } = require('./mail');
+const { ConfigError } = require('./config');
+const { validateFilter, matches } = require('./filter');
+
+const VERSION = require('../package.json').version;
+
+// Outbound notifications when a scan finishes. Each sink (notify.sinks[]) has
+// a type, optional filter rules, a token-bucket rate limit and retries with
+// exponential backoff. Deliveries are fire-and-forget: nothing here blocks
+// the scan queue, and a sink that keeps failing only costs log lines.
+
+const portLabel=p=>`${p.port}/${p.protocol}${p.service?' '+p.service:''}${p.product?' '+[p.product,p.version].filter(Boolean).join(' '):''}`;
+
+function headline(ev){
+  const n=ev.open_ports.length;
+  const who=`${ev.ip}${ev.hostname?` (${ev.hostname})`:''}`;
+  const what=!ev.ok?`scan failed: ${ev.error}`:`${n} open port${n===1?'':'s'}${n?': '+ev.open_ports.slice(0,5).map(p=>`${p.port}/${p.protocol}`).join(', ')+(n>5?', ...':''):''}`;
+  return `${who}${ev.jail?` banned in ${ev.jail}`:''}, ${what}${ev.changed?' [changed]':''}`;
+}
+
+function detailLines(ev){
+  const lines=[];
+  const where=[ev.network,ev.netname,ev.asn,ev.org,ev.country].filter(Boolean).join(', ');
+  if(where) lines.push(`Network: ${where}`);
+  if(ev.abuse_email) lines.push(`Abuse contact: ${ev.abuse_email}`);
+  if(ev.banned_at) lines.push(`Banned: ${ev.banned_at}${ev.evidence?` after ${ev.evidence} log line(s)`:''}`);
+  for(const p of ev.open_ports) lines.push(`  ${portLabel(p)}`);
+  if(ev.changed) lines.push(`Attack surface changed since ${ev.previous}`);
+  if(ev.suppressed) lines.push(`(${ev.suppressed} earlier notification(s) dropped by the rate limit)`);
+  lines.push(`Scan: ${ev.dir||'-'} on ${ev.host}`);
+  return lines;
+}
+
+// -------------------- senders --------------------
+// each returns a promise; HTTP errors carry .status (see lib/http.js)
+const SENDERS = {
+  // generic JSON; X-Fail2Scan-Signature is HMAC-SHA256 over "<timestamp>.<body>"
+  webhook(sink,ev,{ id }){
+    const body=JSON.stringify(ev);
+    const ts=String(Math.floor(Date.now()/1000));
+    const headers={
+      'Content-Type':'application/json',
+      'User-Agent':`Fail2Scan/${VERSION}`,
+      'X-Fail2Scan-Event':ev.event,
+      'X-Fail2Scan-Delivery':id,
+      'X-Fail2Scan-Timestamp':ts,
+      ...sink.headers
+    };
+    if(sink.secret) headers['X-Fail2Scan-Signature']='sha256='+crypto.createHmac('sha256',sink.secret).update(`${ts}.${body}`).digest('hex');
+    return request(sink.url,{ headers, body, timeoutMs:sink.timeoutMs });
+  },
+  // Slack incoming webhooks; Mattermost and Rocket.Chat accept the same body
+  slack(sink,ev){
+    const text=`*Fail2Scan* ${headline(ev)}\n`+'```\n'+detailLines(ev).join('\n')+'\n```';
+    const body={ text };
+    if(sink.channel) body.channel=sink.channel;
+    if(sink.username) body.username=sink.username;
+    return request(sink.url,{ headers:{ 'Content-Type':'application/json' }, body:JSON.stringify(body), timeoutMs:sink.timeoutMs });
+  },
+  // client-server API; the transaction id makes a retried send idempotent
+  matrix(sink,ev,{ id }){
+    const esc=s=>String(s).replace(/[&<>"]/g,c=>({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;' })[c]);
+    const details=detailLines(ev);
+    const body={
+      msgtype:sink.msgtype,
+      body:`Fail2Scan: ${headline(ev)}\n${details.join('\n')}`,
+      format:'org.matrix.custom.html',
+      formatted_body:`<b>Fail2Scan</b>: ${esc(headline(ev))}<pre>${esc(details.join('\n'))}</pre>`
+    };
+    const url=`${sink.homeserver.replace(/\/+$/,'')}/_matrix/client/v3/rooms/${encodeURIComponent(sink.room)}/send/m.room.message/${id}`;
+    return request(url,{
+      method:'PUT',
+      headers:{ 'Content-Type':'application/json', Authorization:`Bearer ${sink.token}` },
+      body:JSON.stringify(body),
+      timeoutMs:sink.timeoutMs
+    });
+  },
+  syslog(sink,ev){
+    const msg=syslogMessage(sink,ev);
+    return sink.protocol==='tcp'?syslogTcp(sink,msg):syslogUdp(sink,msg);
+  },
+  email(sink,ev,{ mail }){
+    const subject=`[fail2scan] ${headline(ev)}`;
+    const message=[
+      `From: ${sink.from}`,
+      `To: ${sink.to.join(', ')}`,
+      `Subject: ${subject.replace(/[\r\n]+/g,' ')}`,
+      `Date: ${new Date().toUTCString().replace(/GMT$/,'+0000')}`,
+      `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      'Auto-Submitted: auto-generated',
+      '',
+      headline(ev),
+      '',
+      ...detailLines(ev),
+      ''
+    ].join('\r\n');
+    return sendMail(message,{ from:sink.from, to:sink.to },mail);
+  }
+};
+
+// -------------------- syslog (RFC 5424) --------------------
+const FACILITIES = { kern:0, user:1, mail:2, daemon:3, auth:4, syslog:5, lpr:6, news:7, uucp:8, cron:9, authpriv:10, ftp:11,
+  local0:16, local1:17, local2:18, local3:19, local4:20, local5:21, local6:22, local7:23 };
+const SEVERITY = { err:3, warning:4, notice:5 };
+
+// 32473 is the private enterprise number RFC 5612 reserves for examples
+const SD_ID = 'fail2scan@32473';
+const sdValue=v=>String(v).replace(/["\\\]]/g,'\\$&');
+const printable=(s,max)=>String(s).replace(/[^\x21-\x7e]/g,'_').slice(0,max)||'-';
+
+function syslogMessage(sink,ev){
+  const severity=!ev.ok?SEVERITY.err:ev.open_ports.length?SEVERITY.warning:SEVERITY.notice;
+  const params=[
+    ['ip',ev.ip],['jail',ev.jail],['open',ev.open_ports.length],
+    ['ports',ev.open_ports.map(p=>`${p.port}/${p.protocol}`).join(',')],
+    ['country',ev.country],['asn',ev.asn],['changed',ev.changed],['scan',ev.scan]
+  ].filter(([,v])=>v!==null&&v!==undefined&&v!=='');
+  const sd=`[${SD_ID} ${params.map(([k,v])=>`${k}="${sdValue(v)}"`).join(' ')}]`;
+  return `<${sink.facility*8+severity}>1 ${new Date().toISOString()} ${printable(sink.hostname,255)} ${printable(sink.appName,48)} ${process.pid} SCAN ${sd} ${headline(ev)}`;
+}
+
+function syslogUdp(sink,msg){
+  return new Promise((resolve,reject)=>{
+    const sock=dgram.createSocket(net.isIPv6(sink.host)?'udp6':'udp4');
+    sock.on('error',e=>{ sock.close(); reject(new Error(`syslog ${sink.host}:${sink.port}: ${e.message}`)); });
+    sock.send(Buffer.from(msg),sink.port,sink.host,e=>{
+      sock.close();
+      if(e) reject(new Error(`syslog ${sink.host}:${sink.port}: ${e.message}`));
+      else resolve({});
+    });
+  });
+}
+
+// octet-counting framing (RFC 6587 3.4.1)
+function syslogTcp(sink,msg){
+  return new Promise((resolve,reject)=>{
+    const sock=net.connect({ host:sink.host, port:sink.port });
+    sock.setTimeout(sink.timeoutMs);
+    sock.on('timeout',()=>sock.destroy(new Error(`timeout after ${sink.timeoutMs}ms`)));
+    sock.on('error',e=>reject(new Error(`syslog ${sink.host}:${sink.port}: ${e.message}`)));
+    sock.on('connect',()=>sock.end(`${Buffer.byteLength(msg)} ${msg}`,()=>resolve({})));
+  });
+}
+
+// -------------------- sink config --------------------
+const COMMON = ['name','type','filter','rateLimit','retry','timeoutMs'];
+const TYPES = {
+  webhook:{ keys:['url','secret','headers'], required:['url'] },
+  slack:{ keys:['url','channel','username'], required:['url'] },
+  matrix:{ keys:['homeserver','room','token','msgtype'], required:['homeserver','room','token'] },
+  syslog:{ keys:['host','port','protocol','facility','appName','hostname'], required:[] },
+  email:{ keys:['to','from'], required:['to'] }
+};
+
+const isObj=v=>v&&typeof v==='object'&&!Array.isArray(v);
+const strList=v=>typeof v==='string'?[v]:Array.isArray(v)&&v.every(x=>typeof x==='string'&&x)?v:null;
+const posInt=(v,d)=>v===undefined?d:Number.isInteger(v)&&v>0?v:NaN;
+
+// normalized sinks, or a ConfigError naming every problem; `from` is the
+// fallback sender of email sinks (report.from)
+function validateSinks(list,{ from=null }={}){
+  const errors=[], sinks=[], names=new Set();
+  (list||[]).forEach((raw,i)=>{
+    const errs=[];
+    const where=`notify.sinks[${i}]`+(isObj(raw)&&raw.name?` (${raw.name})`:'');
+    if(!isObj(raw)){ errors.push(`${where}: expected an object`); return; }
+    const spec=TYPES[raw.type];
+    if(!spec){ errors.push(`${where}.type: expected one of ${Object.keys(TYPES).join(', ')}`); return; }
+    for(const k of Object.keys(raw)) if(!COMMON.includes(k)&&!spec.keys.includes(k)) errs.push(`${k}: unknown setting for ${raw.type}`);
+    for(const k of spec.required) if(typeof raw[k]!=='string'&&!(k==='to'&&strList(raw[k]))||raw[k]==='') errs.push(`${k}: required`);
+    const name=typeof raw.name==='string'&&raw.name?raw.name:`${raw.type}-${i}`;
+    if(names.has(name)) errs.push(`name: "${name}" is used twice`);
+    names.add(name);
+    const rl=isObj(raw.rateLimit)?raw.rateLimit:{}, rt=isObj(raw.retry)?raw.retry:{};
+    if(raw.rateLimit!==undefined&&!isObj(raw.rateLimit)) errs.push('rateLimit: expected { max, windowSec }');
+    if(raw.retry!==undefined&&!isObj(raw.retry)) errs.push('retry: expected { attempts, baseSec, maxSec }');
+    const sink={
+      name,
+      type:raw.type,
+      filter:validateFilter(raw.filter,errs),
+      rateLimit:{ max:posInt(rl.max,30), windowSec:posInt(rl.windowSec,3600) },
+      retry:{ attempts:posInt(rt.attempts,5), baseSec:posInt(rt.baseSec,30), maxSec:posInt(rt.maxSec,1800) },
+      timeoutMs:posInt(raw.timeoutMs,10000)
+    };
+    for(const [k,v] of [...Object.entries(sink.rateLimit).map(([k,v])=>[`rateLimit.${k}`,v]),...Object.entries(sink.retry).map(([k,v])=>[`retry.${k}`,v]),['timeoutMs',sink.timeoutMs]]){
+      if(Number.isNaN(v)) errs.push(`${k}: expected a positive integer`);
+    }
+    for(const k of ['url','homeserver']){
+      if(typeof raw[k]!=='string') continue;
+      try{ const u=new URL(raw[k]); if(!/^https?:$/.test(u.protocol)) throw new Error(); }
+      catch{ errs.push(`${k}: expected an http(s) URL`); }
+    }
+    switch(raw.type){
+    case 'webhook':
+      sink.url=raw.url;
+      sink.secret=raw.secret||null;
+      if(raw.headers!==undefined&&!(isObj(raw.headers)&&Object.values(raw.headers).every(v=>typeof v==='string'))) errs.push('headers: expected an object of strings');
+      sink.headers=isObj(raw.headers)?raw.headers:{};
+      break;
+    case 'slack':
+      Object.assign(sink,{ url:raw.url, channel:raw.channel||null, username:raw.username||null });
+      break;
+    case 'matrix':
+      Object.assign(sink,{ homeserver:raw.homeserver, room:raw.room, token:raw.token, msgtype:raw.msgtype||'m.notice' });
+      if(!['m.notice','m.text'].includes(sink.msgtype)) errs.push('msgtype: expected m.notice or m.text');
+      break;
+    case 'syslog':
+      sink.host=raw.host||'127.0.0.1';
+      sink.port=raw.port===undefined?514:raw.port;
+      sink.protocol=raw.protocol||'udp';
+      sink.facility=FACILITIES[raw.facility||'local0'];
+      sink.appName=raw.appName||'fail2scan';
+      sink.hostname=raw.hostname||os.hostname();
+      if(!Number.isInteger(sink.port)||sink.port<1||sink.port>65535) errs.push('port: expected 1-65535');
+      if(!['udp','tcp'].includes(sink.protocol)) errs.push('protocol: expected udp or tcp');
+      if(sink.facility===undefined) errs.push(`facility: expected one of ${Object.keys(FACILITIES).join(', ')}`);
+      break;
+    case 'email':
+      sink.to=strList(raw.to)||[];
+      sink.from=raw.from||from;
+      if(!sink.from) errs.push('from: required (or set report.from)');
+      break;
+    }
+    if(errs.length) errors.push(...errs.map(e=>`${where}.${e}`));
+    else sinks.push(sink);
+  });
+  if(errors.length) throw new ConfigError(errors);
+  return sinks;
+}
+
+// -------------------- delivery --------------------
+const sleep=ms=>new Promise(r=>setTimeout(r,ms));
+// deliveries waiting on a retry, per sink; more than this and new events are dropped
+const MAX_PENDING = 100;
+
+class Notifier{
+  constructor(sinks,{ mail=null, log=()=>{} }={}){
+    this.mail=mail;
+    this.log=log;
+    this.sinks=sinks.map(s=>({ ...s, tokens:s.rateLimit.max, refilled:Date.now(), suppressed:0, pending:0, sent:0, failed:0 }));
+  }
+  // token bucket: bursts up to max, refills at max per windowSec
+  _take(s){
+    const now=Date.now();
+    s.tokens=Math.min(s.rateLimit.max,s.tokens+(now-s.refilled)/1000*s.rateLimit.max/s.rateLimit.windowSec);
+    s.refilled=now;
+    if(s.tokens<1) return false;
+    s.tokens-=1;
+    return true;
+  }
+  notify(ev){
+    for(const s of this.sinks){
+      if(!matches(s.filter,ev)) continue;
+      if(s.pending>=MAX_PENDING||!this._take(s)){
+        if(!s.suppressed++) this.log('Notify',s.name+': rate limit reached, dropping notifications');
+        continue;
+      }
+      const out=s.suppressed?{ ...ev, suppressed:s.suppressed }:ev;
+      s.suppressed=0;
+      s.pending++;
+      this._deliver(s,out).finally(()=>{ s.pending--; });
+    }
+  }
+  async _deliver(s,ev){
+    const id=crypto.randomUUID();
+    for(let attempt=1;;attempt++){
+      try{
+        await SENDERS[s.type](s,ev,{ id, attempt, mail:this.mail });
+        s.sent++;
+        return;
+      }catch(e){
+        // a 4xx other than 408/429 will not get better by retrying
+        const permanent=e.status>=400&&e.status<500&&e.status!==408&&e.status!==429;
+        if(permanent||attempt>=s.retry.attempts){
+          s.failed++;
+          this.log('Notify',s.name,'failed for',ev.ip+':',e.message||e,attempt>1?`(gave up after ${attempt} attempts)`:'');
+          return;
+        }
+        await sleep(Math.min(s.retry.maxSec,s.retry.baseSec*2**(attempt-1))*1000);
+      }
+    }
+  }
+  stats(){
+    return this.sinks.map(({ name, type, sent, failed, pending, suppressed })=>({ name, type, sent, failed, pending, suppressed }));
+  }
+}
+
+module.exports = { Notifier, validateSinks, syslogMessage };
@@ -0,0 +1,48 @@
+'use strict';
+const net = require('net');
+
+// Connects to each open TCP port nmap found and keeps the first bytes the
+// service sends (or answers to a bare HTTP request on web ports).
+const HTTPISH=/^(http|https?-alt|http-proxy)$/;
+
+function grab(ip,port,{readMs,maxBytes,probe},signal){
+  return new Promise(resolve=>{
+    const chunks=[]; let size=0, done=false;
+    const sock=net.connect({host:ip,port,signal});
+    const finish=err=>{
+      if(done) return;
+      done=true;
+      clearTimeout(timer);
+      sock.destroy();
+      const text=Buffer.concat(chunks).toString('latin1').slice(0,maxBytes);
+      resolve(err&&!text?{port,error:err.message||String(err)}:{port,banner:text});
+    };
+    const timer=setTimeout(()=>finish(),readMs);
+    sock.setTimeout(readMs);
+    sock.on('connect',()=>{ if(probe) sock.write(`HEAD / HTTP/1.0\r\nHost: ${ip}\r\n\r\n`); });
+    sock.on('data',c=>{ chunks.push(c); size+=c.length; if(size>=maxBytes) finish(); });
+    sock.on('timeout',()=>finish());
+    sock.on('end',()=>finish());
+    sock.on('error',finish);
+  });
+}
+
+module.exports = {
+  name: 'banner',
+  after: ['nmap'],
+  timeoutMs: 120000,
+  defaultEnabled: false,
+  async run(ctx){
+    const { readMs=3000, maxBytes=1024, maxPorts=20 } = ctx.options;
+    const nmap=ctx.deps.nmap;
+    const ports=(nmap&&nmap.fields&&nmap.fields.ports||[])
+      .filter(p=>p.protocol==='tcp'&&p.state==='open').slice(0,maxPorts);
+    const data=[];
+    for(const p of ports){
+      if(ctx.signal.aborted) break;
+      data.push(await grab(ctx.ip,p.port,{readMs,maxBytes,probe:HTTPISH.test(p.service||'')},ctx.signal));
+    }
+    const txt=data.map(d=>`--- ${d.port}/tcp ---\n${d.banner!==undefined?d.banner:'ERROR: '+d.error}`).join('\n\n');
+    return { ok:true, data, artifacts:data.length?{ 'banner.txt':txt }:{} };
+  }
+};
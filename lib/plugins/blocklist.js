@@ -0,0 +1,40 @@
+'use strict';
+const fs = require('fs');
+const { parseCidr, cidrContains } = require('../cidr');
+
+// Looks the IP up in local list files: one IP or CIDR per line, "#" starts
+// a comment and text after the address is kept as the reason.
+const cache=new Map();
+
+function readList(file){
+  const st=fs.statSync(file);
+  const hit=cache.get(file);
+  if(hit&&hit.mtimeMs===st.mtimeMs&&hit.size===st.size) return hit.entries;
+  const entries=[];
+  for(const line of fs.readFileSync(file,'utf8').split(/\r?\n/)){
+    const s=line.replace(/#.*/,'').trim();
+    if(!s) continue;
+    const [addr,...reason]=s.split(/[\s,;]+/);
+    const cidr=parseCidr(addr);
+    if(cidr) entries.push({ cidr, entry:addr, reason:reason.join(' ')||null });
+  }
+  cache.set(file,{ mtimeMs:st.mtimeMs, size:st.size, entries });
+  return entries;
+}
+
+module.exports = {
+  name: 'blocklist',
+  timeoutMs: 30000,
+  defaultEnabled: false,
+  async run(ctx){
+    const files=[].concat(ctx.options.files||[]);
+    if(!files.length) return { ok:false, err:'plugins.options.blocklist.files is empty' };
+    const matches=[], errors=[];
+    for(const file of files){
+      let entries;
+      try{ entries=readList(file); }catch(e){ errors.push(`${file}: ${e.message}`); continue; }
+      for(const e of entries) if(cidrContains(e.cidr,ctx.ip)) matches.push({ file, entry:e.entry, reason:e.reason });
+    }
+    return { ok:!errors.length, err:errors.join('; ')||undefined, data:{ listed:matches.length>0, matches } };
+  }
+};
@@ -0,0 +1,43 @@
+'use strict';
+const net = require('net');
+const { captureText } = require('../exec');
+const { ipToBigInt } = require('../cidr');
+
+// Forward-confirmed reverse DNS: the PTR names of the IP, each resolved back
+// with A/AAAA; a name counts as confirmed when one of its addresses is the IP.
+const DIG_OPTS = ['+short','+time=5','+tries=2'];
+
+const answers=out=>(out||'').split(/\r?\n/).map(s=>s.trim()).filter(s=>s&&!s.startsWith(';'));
+const sameIp=(a,b)=>{
+  const x=ipToBigInt(a), y=ipToBigInt(b);
+  return !!x&&!!y&&x.family===y.family&&x.value===y.value;
+};
+
+module.exports = {
+  name: 'dig',
+  requires: ['dig'],
+  timeoutMs: 30000,
+  async run(ctx){
+    const { maxNames=5 } = ctx.options;
+    const ptr=await ctx.exec('dig',['-x',ctx.ip,...DIG_OPTS]);
+    const names=ptr.ok?answers(ptr.stdout).filter(s=>!net.isIP(s)).map(s=>s.replace(/\.$/,'').toLowerCase()):[];
+    const forward={}, raw=[];
+    for(const name of names.slice(0,maxNames)){
+      forward[name]=[];
+      for(const type of ['A','AAAA']){
+        const res=await ctx.exec('dig',[type,name,...DIG_OPTS]);
+        raw.push(`;; ${type} ${name}\n${captureText(res)}`);
+        forward[name].push(...answers(res.stdout).filter(a=>net.isIP(a)===(type==='A'?4:6)));
+      }
+    }
+    const confirmed=names.filter(n=>(forward[n]||[]).some(a=>sameIp(a,ctx.ip)));
+    const artifacts={ 'dig.txt':captureText(ptr) };
+    if(raw.length) artifacts['dig-forward.txt']=raw.join('\n');
+    return {
+      ok:ptr.ok,
+      artifacts,
+      // a failed PTR lookup is no answer, not an answer without names
+      fields:{ rdns:ptr.ok?{ ptr:names, forward, confirmed, fcrdns:confirmed.length>0, hostname:confirmed[0]||null }:null }
+    };
+  }
+};
@@ -0,0 +1,13 @@
+'use strict';
+const { geoProvider } = require('../geo');
+
+// geo.provider picks ipgeolocation.io (HTTPS, needs an API key) or local
+// MMDB files; both write the same geo.json schema (see lib/geo.js)
+module.exports = {
+  name: 'geo',
+  timeoutMs: 15000,
+  async run(ctx){
+    const geo=await geoProvider(ctx.config.geo).lookup(ctx.ip,{ signal:ctx.signal });
+    return { ok:!geo.error, err:geo.error||undefined, artifacts:{ 'geo.json':geo }, meta:{ provider:geo.provider } };
+  }
+};
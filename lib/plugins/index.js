@@ -0,0 +1,198 @@
+'use strict';
+const fs = require('fs'), path = require('path');
+const { which, runCmdCapture, captureText } = require('../exec');
+
+// -------------------- plugin contract --------------------
+// module.exports = {
+//   name: 'banner',            unique, used for the config switch and summary.cmds.<name>
+//   requires: ['nc'],          binaries that must be on PATH
+//   after: ['nmap'],           plugins whose results this one reads (ctx.deps)
+//   timeoutMs: 60000,          0 = no limit; plugins.options.<name>.timeoutMs overrides
+//   defaultEnabled: true,
+//   async run(ctx) {           ctx: ip, outDir, job, profile, config, options, deps,
+//                              log, signal, sandbox, exec(cmd,args) -> {ok,stdout,stderr}
+//     return { ok, data, fields, artifacts: { 'x.txt': '...' }, files: [], meta: {} };
+//   }
+// }
+// data lands in summary.plugins.<name>; fields are merged into the summary
+// itself (the built-ins use this for ports, open_ports...); artifacts are
+// written into the scan directory, files lists what the plugin wrote itself.
+const BUILTIN = ['nmap','dig','whois','geo','banner','sslscan','blocklist'];
+
+const isStrList=v=>Array.isArray(v)&&v.every(s=>typeof s==='string');
+
+function validatePlugin(p,where){
+  if(!p||typeof p!=='object') throw new Error(`${where}: must export an object`);
+  if(typeof p.name!=='string'||!/^[\w.-]+$/.test(p.name)) throw new Error(`${where}: name must match [A-Za-z0-9_.-]+`);
+  if(typeof p.run!=='function') throw new Error(`${where}: run must be a function`);
+  if(p.requires!==undefined&&!isStrList(p.requires)) throw new Error(`${where}: requires must be an array of binary names`);
+  if(p.after!==undefined&&!isStrList(p.after)) throw new Error(`${where}: after must be an array of plugin names`);
+  if(p.timeoutMs!==undefined&&!(Number.isFinite(p.timeoutMs)&&p.timeoutMs>=0)) throw new Error(`${where}: timeoutMs must be a number >= 0`);
+  return { requires:[], after:[], timeoutMs:60000, defaultEnabled:true, ...p };
+}
+
+function loadPlugins(dir,log=()=>{}){
+  const plugins=new Map();
+  for(const n of BUILTIN) plugins.set(n,validatePlugin(require('./'+n),`built-in plugin ${n}`));
+  if(!dir||!fs.existsSync(dir)) return plugins;
+  for(const f of fs.readdirSync(dir).filter(f=>f.endsWith('.js')).sort()){
+    const file=path.join(dir,f);
+    try{
+      delete require.cache[require.resolve(file)];
+      const p=validatePlugin(require(file),file);
+      if(plugins.has(p.name)) throw new Error(`plugin name "${p.name}" is already taken`);
+      plugins.set(p.name,{ ...p, file });
+    }catch(e){
+      log('Plugin not loaded:',e.message);
+    }
+  }
+  return plugins;
+}
+
+// jail profile "tools" are plain command plugins writing <name>.txt
+function commandPlugin(tool){
+  return validatePlugin({
+    name:tool.name,
+    requires:[tool.cmd],
+    timeoutMs:300000,
+    async run(ctx){
+      const args=tool.args.map(a=>a.replace(/\{ip\}/g,ctx.ip));
+      const res=await ctx.exec(tool.cmd,args);
+      return { ok:res.ok, artifacts:{ [`${tool.name}.txt`]:captureText(res) }, meta:{ cmd:[tool.cmd,...args].join(' ') } };
+    }
+  },`jail tool ${tool.name}`);
+}
+
+// what one scan runs: enabled in config (or by default), plus whatever the
+// jail profile adds
+function selectPlugins(plugins,settings,profile){
+  const enabled=settings.enabled||{};
+  const list=[];
+  for(const p of plugins.values()){
+    const on=enabled[p.name]!==undefined?enabled[p.name]:p.defaultEnabled;
+    if(on||(profile.plugins||[]).includes(p.name)) list.push(p);
+  }
+  for(const t of profile.tools||[]) if(!list.some(p=>p.name===t.name)) list.push(commandPlugin(t));
+  return list;
+}
+
+async function missingBinaries(list){
+  const missing=[];
+  for(const b of new Set(list.flatMap(p=>p.requires))) if(!(await which(b))) missing.push(b);
+  return missing;
+}
+
+// -------------------- runner --------------------
+// ctx.deadline (ms) caps every plugin at what is left of the scan's budget.
+// On timeout the signal aborts (killing the tool) and the plugin gets
+// ctx.config.limits.killGraceMs to return what it has: that partial result
+// is kept, marked timedOut. ctx.cancel (an AbortSignal: fail2scan ctl cancel)
+// stops it the same way, marked cancelled.
+function runOne(p,ctx,options){
+  const ac=new AbortController();
+  const started=Date.now();
+  if(ctx.cancel&&ctx.cancel.aborted) return Promise.resolve({ ok:false, err:'scan cancelled', cancelled:true, ms:0 });
+  let timeoutMs=options.timeoutMs!==undefined?options.timeoutMs:p.timeoutMs;
+  if(ctx.deadline){
+    const left=ctx.deadline-started;
+    if(left<=0) return Promise.resolve({ ok:false, err:'scan time budget used up', timedOut:true, ms:0 });
+    if(!(timeoutMs>0)||left<timeoutMs) timeoutMs=left;
+  }
+  const grace=ctx.config&&ctx.config.limits?ctx.config.limits.killGraceMs:5000;
+  const sandbox=ctx.sandbox||null;
+  let timer=null;
+  const pctx={
+    ...ctx,
+    options,
+    signal:ac.signal,
+    exec:(cmd,args,opts={})=>{
+      const w=sandbox?sandbox.wrap(cmd,args):{ cmd, args, opts:{} };
+      return runCmdCapture(w.cmd,w.args,{ signal:ac.signal, ...w.opts, ...opts });
+    }
+  };
+  const work=Promise.resolve()
+    .then(()=>p.run(pctx))
+    .then(r=>r||{ ok:true },e=>({ ok:false, err:e&&e.message?e.message:String(e) }));
+  let expired=null, late=null, onCancel=null;
+  const timeout=new Promise(resolve=>{
+    const stop=why=>{
+      if(expired) return;
+      expired=why;
+      ac.abort();
+      late=setTimeout(()=>resolve(expired),grace);
+    };
+    if(timeoutMs>0) timer=setTimeout(()=>stop({ ok:false, err:`timed out after ${timeoutMs}ms`, timedOut:true }),timeoutMs);
+    if(ctx.cancel){
+      onCancel=()=>stop({ ok:false, err:'scan cancelled', cancelled:true });
+      ctx.cancel.addEventListener('abort',onCancel,{ once:true });
+    }
+  });
+  return Promise.race([work,timeout]).then(r=>{
+    clearTimeout(timer);
+    clearTimeout(late);
+    if(onCancel) ctx.cancel.removeEventListener('abort',onCancel);
+    // the plugin returned after the abort: keep what it had, marked as timed out / cancelled
+    if(expired&&r!==expired) r={ ...r, ...expired, partial:true };
+    return { ...r, ms:Date.now()-started };
+  });
+}
+
+// plugins start as soon as everything in their `after` list has finished, so
+// independent ones run side by side; ctx.onResult(name, result), if given,
+// hears of each one as it ends
+async function runPlugins(list,ctx,optionsByName={}){
+  const names=new Set(list.map(p=>p.name));
+  const results={}, pending=new Map(list.map(p=>[p.name,p])), running=new Map();
+  let ignoreDeps=false;
+  while(pending.size||running.size){
+    for(const [name,p] of pending){
+      const deps=p.after.filter(d=>names.has(d)&&d!==name);
+      if(!ignoreDeps&&!deps.every(d=>results[d])) continue;
+      pending.delete(name);
+      const depResults=Object.fromEntries(deps.filter(d=>results[d]).map(d=>[d,results[d]]));
+      running.set(name,runOne(p,{ ...ctx, deps:depResults },optionsByName[name]||{}).then(r=>{
+        results[name]=r;
+        running.delete(name);
+        if(ctx.onResult) ctx.onResult(name,r);
+      }));
+    }
+    if(running.size) await Promise.race(running.values());
+    else if(pending.size){
+      ctx.log&&ctx.log('Plugin dependency cycle, running anyway:',[...pending.keys()].join(', '));
+      ignoreDeps=true;
+    }
+  }
+  return results;
+}
+
+// write artifacts and fold the results into summary.json
+function recordResults(summary,outDir,list,results,indent=2){
+  for(const p of list){
+    const r=results[p.name];
+    if(!r) continue;
+    const written=[...(r.files||[])];
+    for(const [file,content] of Object.entries(r.artifacts||{})){
+      const safe=path.basename(file);
+      try{
+        const body=typeof content==='string'||Buffer.isBuffer(content)?content:JSON.stringify(content,null,indent);
+        fs.writeFileSync(path.join(outDir,safe),body);
+        written.push(safe);
+      }catch{}
+    }
+    const cmd={ ok:!!r.ok, ms:r.ms };
+    if(written.length) cmd.path=written[0];
+    if(written.length>1) cmd.files=written;
+    if(r.err) cmd.err=r.err;
+    if(r.timedOut) cmd.timedOut=true;
+    if(r.partial) cmd.partial=true;
+    summary.cmds[p.name]={ ...cmd, ...(r.meta||{}) };
+    if(r.fields) Object.assign(summary,r.fields);
+    if(r.data!==undefined){
+      summary.plugins=summary.plugins||{};
+      summary.plugins[p.name]=r.data;
+    }
+  }
+  return summary;
+}
+
+module.exports = { loadPlugins, validatePlugin, selectPlugins, missingBinaries, runPlugins, recordResults, commandPlugin };
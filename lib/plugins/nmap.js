@@ -0,0 +1,258 @@
+'use strict';
+const fs = require('fs'), path = require('path'), os = require('os');
+const { spawn } = require('child_process');
+const { parseNmapXmlFiles, mergeNmapResults, formatPortLine } = require('../nmap-xml');
+const { buildScanProfiles, scanPlan } = require('../scanprofiles');
+
+// the abort is handled here rather than by spawn(): SIGTERM first so nmap can
+// flush what it found, SIGKILL if it is still there after the grace period
+function spawnOneNmap(args, outFile, xmlFile, { signal, sandbox, graceMs = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const fullArgs = xmlFile ? ['-oX', xmlFile, ...args] : args;
+    const w = sandbox ? sandbox.wrap('nmap', fullArgs) : { cmd: 'nmap', args: fullArgs, opts: {} };
+    const proc = spawn(w.cmd, w.args, { stdio: ['ignore', 'pipe', 'pipe'], ...w.opts });
+    const outStream = fs.createWriteStream(outFile, { flags: 'w' });
+    proc.stdout.pipe(outStream);
+    let stderr = '', killer = null;
+    const onAbort = () => {
+      proc.kill('SIGTERM');
+      killer = setTimeout(() => proc.kill('SIGKILL'), Math.max(500, graceMs / 2));
+    };
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+    proc.stderr.on('data', c => { stderr += c.toString(); });
+    proc.on('close', (code, sig) => {
+      clearTimeout(killer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (stderr) {
+        try { fs.appendFileSync(outFile, '\n\nSTDERR:\n' + stderr); } catch (e) {}
+      }
+      resolve({ code: code === null ? sig : code, ok: code === 0 });
+    });
+    proc.on('error', err => reject(err));
+  });
+}
+
+// one process-wide slot per running nmap (limits.nmapProcs)
+async function spawnInSlot(args, outFile, xmlFile, opts) {
+  const { sandbox, signal } = opts;
+  let release = () => {};
+  try {
+    if (sandbox) release = await sandbox.slots.acquire(signal);
+  } catch (e) {
+    return { code: null, ok: false, err: e.message };
+  }
+  try { return await spawnOneNmap(args, outFile, xmlFile, opts); }
+  finally { release(); }
+}
+
+// writes <name>.txt / <name>.xml (nmap, or nmap-discovery for the first
+// stage of an adaptive scan); a -p- run is split into part-N/ directories
+async function spawnNmapParallel(ip, outDir, requestedArgs, parts, opts) {
+  const { dirMode, sandbox, name = 'nmap' } = opts;
+  if (sandbox) sandbox.prepareDir(outDir);
+  if (!requestedArgs.includes('-p-')) {
+    const outNmap = path.join(outDir, `${name}.txt`);
+    const outXml = path.join(outDir, `${name}.xml`);
+    const res = await spawnInSlot([...requestedArgs, ip], outNmap, outXml, opts);
+    return { xmlFiles: [outXml], results: [res] };
+  }
+
+  const numParts = Math.max(1, parts);
+  const portsPer = Math.floor(65535 / numParts);
+
+  const jobs = [], xmlFiles = [];
+  for (let i = 0; i < numParts; i++) {
+    const start = 1 + i * portsPer;
+    const end = (i === numParts - 1) ? 65535 : ((i + 1) * portsPer);
+    const subdir = path.join(outDir, `part-${i}`);
+    try { fs.mkdirSync(subdir, { recursive: true, mode: dirMode }); } catch (e) {}
+    if (sandbox) sandbox.prepareDir(subdir);
+    const outNmap = path.join(subdir, 'nmap.txt');
+    const outXml = path.join(subdir, 'nmap.xml');
+    const portArg = `-p${start}-${end}`;
+    const args = requestedArgs.map(a => a === '-p-' ? portArg : a).concat([ip]);
+    xmlFiles.push(outXml);
+    jobs.push(spawnInSlot(args, outNmap, outXml, opts));
+  }
+  const results = await Promise.all(jobs);
+
+  const partsContent = [];
+  for (let i = 0; i < numParts; i++) {
+    const fn = path.join(outDir, `part-${i}`, 'nmap.txt');
+    try {
+      if (fs.existsSync(fn)) partsContent.push(fs.readFileSync(fn, 'utf8'));
+    } catch (e) {}
+  }
+  try { fs.writeFileSync(path.join(outDir, `${name}.txt`), partsContent.join('\n\n--- PART ---\n\n')); } catch (e) {}
+  return { xmlFiles, results };
+}
+
+// once nmap.txt holds the merged text, part-N/ only repeats it: each part's
+// XML is kept as nmap.part-N.xml and the directory goes. Returns the XML files.
+function collapseParts(outDir) {
+  let names = [];
+  try { names = fs.readdirSync(outDir).filter(n => /^part-\d+$/.test(n)).sort((a, b) => a.slice(5) - b.slice(5)); }
+  catch (e) { return []; }
+  const xml = [];
+  for (const n of names) {
+    const from = path.join(outDir, n, 'nmap.xml'), to = path.join(outDir, `nmap.${n}.xml`);
+    try {
+      if (fs.existsSync(from)) { fs.renameSync(from, to); xml.push(path.basename(to)); }
+      fs.rmSync(path.join(outDir, n), { recursive: true, force: true });
+    } catch (e) {}
+  }
+  return xml;
+}
+
+// -sS needs raw sockets: root, or CAP_NET_RAW with --privileged; otherwise -sT
+// (and -O, which nmap refuses to run without them, is dropped).
+// limits.maxRate is split evenly over the nmap slots.
+function effectiveArgs(requestedArgs, sandbox) {
+  const isRoot = (typeof process.getuid === 'function' && process.getuid() === 0);
+  const raw = sandbox ? sandbox.rawMode() : (isRoot ? 'root' : 'unprivileged');
+  let args = requestedArgs
+    .filter(a => !(raw === 'unprivileged' && a === '-O'))
+    .map(a => (raw === 'unprivileged' && a === '-sS') ? '-sT' : a);
+  if (raw === 'privileged' && !args.includes('--privileged')) args = ['--privileged', ...args];
+  const rate = sandbox ? sandbox.ratePerProcess() : 0;
+  if (rate > 0) {
+    const i = args.indexOf('--max-rate');
+    if (i >= 0) args[i + 1] = String(Math.min(rate, parseFloat(args[i + 1]) || rate));
+    else args.push('--max-rate', String(rate));
+  }
+  return { args, raw, rate };
+}
+
+async function runNmap(ip, outDir, requestedArgs, { cores, dirMode, signal, sandbox, graceMs, name }) {
+  const { args } = effectiveArgs(requestedArgs, sandbox);
+  const cpuCount = os.cpus() ? os.cpus().length : 1;
+  // never split one scan into more parts than may run at once
+  const parts = Math.min(cores || cpuCount, sandbox ? sandbox.slots.size : Infinity);
+  return spawnNmapParallel(ip, outDir, args, parts, { dirMode, signal, sandbox, graceMs, name });
+}
+
+// one nmap command (split or not), timed for summary.cmds.nmap.stages
+async function runStage(stage, ctx, requested, name) {
+  const { ip, outDir, config, signal, sandbox } = ctx;
+  const effective = effectiveArgs(requested, sandbox);
+  ctx.log(...(stage === 'scan' ? ['Running nmap'] : ['Running nmap', `(${stage})`]), 'on', ip, 'args:', effective.args.join(' '));
+  const started = Date.now();
+  const { xmlFiles, results } = await runNmap(ip, outDir, requested, { cores:config.cores, dirMode:config.output.dirMode, signal, sandbox, graceMs:config.limits.killGraceMs, name });
+  const parsed = parseNmapXmlFiles(xmlFiles.filter(f => fs.existsSync(f)));
+  const ok = results.every(r => r.ok);
+  return {
+    xmlFiles, parsed, ok, effective,
+    info: { stage, args:requested.join(' '), ran:effective.args.join(' '), raw:effective.raw, ms:Date.now() - started, exit:results.map(r => r.code), ok }
+  };
+}
+
+const TCP_TYPES = /^-s[STAFXMNWY]$/;
+const portKey = p => `${p.port}/${p.protocol}`;
+
+// the detail stage: the profile's probes on the ports discovery found open,
+// host discovery skipped (the host answered) and its timing template kept
+function detailArgs(detail, discovery, open) {
+  const tcp = open.filter(p => p.protocol === 'tcp').map(p => p.port);
+  const udp = open.filter(p => p.protocol === 'udp').map(p => p.port);
+  const args = [...detail];
+  if (udp.length && !args.includes('-sU')) args.unshift('-sU');
+  if (tcp.length && args.includes('-sU') && !args.some(a => TCP_TYPES.test(a))) args.unshift('-sS');
+  if (!args.includes('-Pn')) args.push('-Pn');
+  const timing = discovery.find(a => /^-T[0-5]$/.test(a));
+  if (timing && !args.some(a => /^-T[0-5]$/.test(a))) args.push(timing);
+  args.push('-p', [tcp.length && `T:${tcp.join(',')}`, udp.length && `U:${udp.join(',')}`].filter(Boolean).join(','));
+  return args;
+}
+
+function openPortsFromText(outDir, file = 'nmap.txt'){
+  // no usable XML (nmap missing -oX support or killed early): fall back to the text output
+  try{
+    return fs.readFileSync(path.join(outDir,file),'utf8')
+      .split(/\r?\n/)
+      .filter(l=>/^\d+\/(tcp|udp|sctp)\s+open\b/.test(l))
+      .map(l=>l.trim());
+  } catch(e){
+    return [];
+  }
+}
+
+// failed or cut short: the parts stay for a look at what happened
+function keptXml(outDir, xmlFiles, ok, config) {
+  const split = xmlFiles.some(f => path.dirname(f) !== outDir);
+  return ok && split && !config.retention.keepNmapParts
+    ? collapseParts(outDir)
+    : xmlFiles.map(f => path.relative(outDir, f));
+}
+
+function fieldsOf(parsed, outDir, textFile) {
+  return {
+    ports: parsed.ports,
+    os: parsed.os,
+    host_scripts: parsed.host_scripts,
+    open_ports: parsed.ports.length
+      ? parsed.ports.filter(p=>p.state==='open').map(formatPortLine)
+      : openPortsFromText(outDir, textFile)
+  };
+}
+
+async function runSingle(ctx, plan) {
+  const { outDir, config } = ctx;
+  const s = await runStage('scan', ctx, plan.args, 'nmap');
+  return {
+    ok: s.ok,
+    files: ['nmap.txt'],
+    meta: { profile: plan.name, mode: 'single', args: s.info.args, ran: s.info.ran, raw: s.info.raw, xml: keptXml(outDir, s.xmlFiles, s.ok, config), exit: s.info.exit, complete: s.ok && s.parsed.complete, stages: [s.info] },
+    fields: fieldsOf(s.parsed, outDir, 'nmap.txt')
+  };
+}
+
+// stage 1 sweeps the range with nothing but a SYN (or connect) probe, split
+// per core on -p-; stage 2 runs -sV/-sC/-O in one process on what is open.
+// No open port: no second stage.
+async function runAdaptive(ctx, plan) {
+  const { outDir, config, signal } = ctx;
+  const d = await runStage('discovery', ctx, plan.discovery, 'nmap-discovery');
+  const open = d.parsed.ports.filter(p => p.state === 'open' && (p.protocol === 'tcp' || p.protocol === 'udp'));
+  d.info.open = open.map(portKey);
+  const stages = [d.info], files = ['nmap-discovery.txt'];
+  const xml = keptXml(outDir, d.xmlFiles, d.ok, config);
+  let parsed = d.parsed, ok = d.ok, complete = d.ok && d.parsed.complete;
+  if (!open.length || (signal && signal.aborted)) {
+    const why = signal && signal.aborted ? 'stopped' : !d.ok ? 'discovery failed' : 'no open port';
+    stages.push({ stage: 'detail', skipped: why, ms: 0 });
+  } else {
+    const t = await runStage('detail', ctx, detailArgs(plan.detail, plan.discovery, open), 'nmap');
+    stages.push(t.info);
+    files.unshift('nmap.txt');
+    xml.push(...t.xmlFiles.filter(f => fs.existsSync(f)).map(f => path.relative(outDir, f)));
+    // discovery keeps the closed/filtered ports; detail overrides the open ones
+    parsed = mergeNmapResults([d.parsed, t.parsed]);
+    ok = ok && t.ok;
+    complete = complete && t.ok && t.parsed.complete;
+  }
+  const last = stages[stages.length - 1];
+  return {
+    ok,
+    files,
+    meta: { profile: plan.name, mode: 'adaptive', args: stages.map(s => s.args).filter(Boolean).join(' | '), ran: stages.map(s => s.ran).filter(Boolean).join(' | '), raw: d.info.raw, xml, exit: stages.flatMap(s => s.exit || []), complete, stages },
+    fields: fieldsOf(parsed, outDir, last.skipped ? 'nmap-discovery.txt' : 'nmap.txt')
+  };
+}
+
+module.exports = {
+  name: 'nmap',
+  requires: ['nmap'],
+  timeoutMs: 6*60*60*1000,
+  async run(ctx){
+    const { config, profile } = ctx;
+    const plan = scanPlan(config, profile, ctx.scanProfiles || buildScanProfiles(config.scan.profiles));
+    return plan.mode === 'adaptive' ? runAdaptive(ctx, plan) : runSingle(ctx, plan);
+  },
+  runNmap,
+  effectiveArgs,
+  detailArgs,
+  collapseParts
+};
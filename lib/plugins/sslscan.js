@@ -0,0 +1,34 @@
+'use strict';
+const { captureText } = require('../exec');
+
+// Runs sslscan against the TLS ports nmap found.
+const TLSISH=/^(https|ssl|imaps|pop3s|smtps|ldaps|ftps|submissions)/;
+
+function enabledProtocols(text){
+  const out=[];
+  const re=/^(SSLv[23]|TLSv1\.[0-3])\s+enabled/gm;
+  let m;
+  while((m=re.exec(text))) out.push(m[1]);
+  return out;
+}
+
+module.exports = {
+  name: 'sslscan',
+  requires: ['sslscan'],
+  after: ['nmap'],
+  timeoutMs: 300000,
+  defaultEnabled: false,
+  async run(ctx){
+    const nmap=ctx.deps.nmap;
+    const ports=(nmap&&nmap.fields&&nmap.fields.ports||[])
+      .filter(p=>p.protocol==='tcp'&&p.state==='open'&&(p.tunnel==='ssl'||TLSISH.test(p.service||'')||p.port===443))
+      .map(p=>p.port);
+    const data=[], raw=[];
+    for(const port of ports){
+      const res=await ctx.exec('sslscan',['--no-colour',`${ctx.ip}:${port}`]);
+      data.push({ port, ok:res.ok, enabled:enabledProtocols(res.stdout) });
+      raw.push(`--- ${port}/tcp ---\n${captureText(res)}`);
+    }
+    return { ok:data.every(d=>d.ok), data, artifacts:raw.length?{ 'sslscan.txt':raw.join('\n\n') }:{} };
+  }
+};
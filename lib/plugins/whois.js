@@ -0,0 +1,14 @@
+'use strict';
+const { captureText } = require('../exec');
+const { parseWhois } = require('../whois');
+
+module.exports = {
+  name: 'whois',
+  requires: ['whois'],
+  timeoutMs: 60000,
+  async run(ctx){
+    const res=await ctx.exec('whois',[ctx.ip]);
+    // null, not empty fields, when whois failed: "unknown" is not "no netname"
+    return { ok:res.ok, artifacts:{ 'whois.txt':captureText(res) }, fields:{ whois:res.ok?parseWhois(res.stdout):null } };
+  }
+};
@@ -0,0 +1,339 @@
+'use strict';
+const path = require('path');
+const { parseFail2banLine } = require('./fail2ban');
+const { resolveJailProfile } = require('./jails');
+const { entryFor, recordBan, recordScan, computeNextScanAt } = require('./history');
+const { scanEvent, scanFailure } = require('./scans');
+const { extractIp } = require('./ipguard');
+
+// The daemon's scan queue: bans in, scans out, one job per IP at a time.
+// Dedup has two layers: an IP queued or running is not queued again (tmpCache),
+// and one scanned recently waits for its history entry's nextScanAt (rescan
+// policy). Failed runs are retried with exponential backoff; with a JobStore
+// the queue survives restarts.
+//
+// deps (all but state and guard optional):
+//   state          { seen, history }, from loadState()
+//   guard          IpGuard
+//   jailProfiles() current jail profiles (they change on reload)
+//   scan(job)      -> { summary, outDir }, performScan()
+//   save()         write the state now; saveSoon() coalesces (log-line rate)
+//   log, emit      daemon log and queue events (events socket, metrics)
+//   indexScan(summary, dir), report(dir, summary), notify(event)
+//                  after a scan: scan index, abuse report, notify sinks and actions
+
+const noop=()=>{};
+
+// the completed / failed event of a run; scan is the directory name (the id failtoscan-api uses)
+function finished(job,attempt,started,result,failure){
+  const summary=result&&result.summary||{};
+  return {
+    ip:job.ip, job:job.id, attempt, jail:job.ban&&job.ban.jail||null, profile:job.profileName, ms:Date.now()-started,
+    scan:result?path.basename(result.outDir):null, day:result?path.basename(path.dirname(result.outDir)):null,
+    error:failure||null, changed:!!summary.changed,
+    open_ports:(summary.ports||[]).filter(p=>p.state==='open').map(p=>`${p.port}/${p.protocol}`)
+  };
+}
+
+class ScanQueue{
+  constructor(cfg,{ concurrency=1, store=null, state, guard, jailProfiles, scan, save=noop, saveSoon, log=noop, emit=noop, indexScan=async()=>{}, report=noop, notify=noop }={}){
+    this.cfg=cfg;
+    this.state=state;
+    this.guard=guard;
+    this.jailProfiles=jailProfiles;
+    this.scan=scan;
+    this.save=()=>save(this.state);
+    this.saveSoon=saveSoon||this.save;
+    this.log=log;
+    this.emit=emit;
+    this.indexScan=indexScan;
+    this.report=report;
+    this.notify=notify;
+    this.concurrency=concurrency;
+    this.running=0;
+    this.q=[];
+    this.set=state.seen;
+    this.tmpCache=new Set();
+    this.store=store;
+    this.timer=null;
+    this.timerAt=0;
+    this.active=new Map();
+    this.cancels=new Map(); // running job id -> AbortController
+    this.paused=false;
+    if(store) this._resume();
+  }
+  // logs and records an IP the guard refused; `input` is what we were given
+  refuse(input,verdict,meta={}){
+    const ban=meta.ban||null;
+    this.log('Not scanning',(input==null?'(no IP in line)':String(input))+':',verdict.reason+(verdict.rule?` (${verdict.rule})`:''));
+    this.emit('skipped',{ kind:'guard', ip:verdict.ip, input:input==null?null:String(input), reason:verdict.reason, rule:verdict.rule, jail:ban&&ban.jail||null });
+    this.guard.record({ input, ip:verdict.ip, reason:verdict.reason, rule:verdict.rule, source:meta.source||ban&&ban.source||null,
+      jail:ban&&ban.jail||null, line:meta.line||ban&&ban.line||null });
+  }
+  // jobs left pending/running by a previous run go back in the queue; `seen`
+  // is rebuilt from them so nothing stays blocked without a job behind it
+  _resume(){
+    const live=this.store.live();
+    this.set.clear();
+    for(const job of live){
+      // the guard may have been tightened since the job was queued
+      const verdict=this.guard.check(job.ip);
+      if(!verdict.ok){
+        this.refuse(job.ip,verdict,{ ban:job.ban, source:'queue' });
+        this.store.update(job.id,{ state:'failed', lastError:`guard: ${verdict.reason}` });
+        continue;
+      }
+      this.set.add(job.ip);
+      this.tmpCache.add(job.ip);
+      this._enqueue(job);
+    }
+    this.state.seen=this.set;
+    this.save();
+    if(live.length) this.log('Resuming',live.length,'queued scan(s) from',this.store.file);
+    setImmediate(()=>this._next());
+  }
+  // what the events socket sends as "queue": running jobs, then waiting ones in order
+  snapshot(){
+    const view=j=>({ id:j.id, ip:j.ip, jail:j.ban&&j.ban.jail||null, profile:j.profileName, scanProfile:j.scanProfile||null, priority:j.priority, attempts:j.attempts||0, nextAt:j.nextAt||0, lastError:j.lastError||null });
+    return { concurrency:this.concurrency, paused:this.paused, running:[...this.active.values()].map(view), pending:this.q.map(view) };
+  }
+  _changed(){
+    this.emit('queue',this.snapshot());
+  }
+  _enqueue(job){
+    // highest priority first, FIFO within the same priority
+    const at=this.q.findIndex(j=>j.priority<job.priority);
+    if(at<0) this.q.push(job); else this.q.splice(at,0,job);
+  }
+  // returns the guard verdict; a refused IP is not recorded in the history
+  push(input,meta={}){
+    const verdict=this.guard.check(input);
+    if(meta.ban) this.emit('ban',{ ip:verdict.ip||String(input), jail:meta.ban.jail, time:meta.ban.ts||null, source:meta.ban.source||null });
+    if(!verdict.ok){
+      this.refuse(input,verdict,meta);
+      return verdict;
+    }
+    const ip=verdict.ip;
+    const history=this.state.history;
+    // every ban counts towards the history, scanned or not
+    const entry=meta.ban?recordBan(history,ip,meta.ban):entryFor(history,ip);
+    if(this.tmpCache.has(ip)){
+      this.log('IP already queued or running (cache):',ip);
+      this.emit('skipped',{ kind:'queued', ip, reason:'already queued or running', jail:meta.ban&&meta.ban.jail||null });
+      this.saveSoon();
+      return { ...verdict, skipped:'queued' };
+    }
+    if(!meta.force&&entry.nextScanAt&&Date.parse(entry.nextScanAt)>Date.now()){
+      this.log('Skipping',ip,`(rescan policy ${this.cfg.rescan.policy}, next scan after ${entry.nextScanAt}, ${entry.bans} ban(s))`);
+      this.emit('skipped',{ kind:'rescan', ip, reason:`rescan policy ${this.cfg.rescan.policy}`, nextScanAt:entry.nextScanAt, jail:meta.ban&&meta.ban.jail||null });
+      this.saveSoon();
+      return { ...verdict, skipped:'rescan', nextScanAt:entry.nextScanAt };
+    }
+    if(this.set.has(ip)){
+      this.log('Re-queueing after TTL:',ip);
+      this.set.delete(ip);
+    }
+    this.set.add(ip);
+    this.state.seen=this.set;
+    this.save();
+    const profile=meta.profile||resolveJailProfile(this.jailProfiles(),meta.ban&&meta.ban.jail);
+    const repeat=entry.bans>1||entry.scans.length>0;
+    const fields={
+      ip,
+      ban:meta.ban||null,
+      profileName:profile.name,
+      priority:Number.isFinite(meta.priority)?meta.priority:profile.priority+(repeat?this.cfg.queue.repeatBoost:0)
+    };
+    if(meta.scanProfile) fields.scanProfile=meta.scanProfile;
+    const job=this.store?this.store.add(fields):{id:`${ip}-${Date.now()}`,attempts:0,nextAt:0,...fields};
+    this._enqueue(job);
+    this.tmpCache.add(ip);
+    this.emit('queued',{ ip, job:job.id, jail:fields.ban&&fields.ban.jail||null, profile:fields.profileName, priority:fields.priority, position:this.q.indexOf(job)+1 });
+    this._next();
+    this._changed();
+    return { ...verdict, job };
+  }
+  // fail2scan ctl: running scans finish, nothing new starts
+  pause(){
+    const was=this.paused;
+    this.paused=true;
+    if(!was){ this.log('Queue paused,',this.running,'scan(s) still running'); this._changed(); }
+    return { paused:true, was, running:this.running, pending:this.q.length };
+  }
+  resume(){
+    const was=this.paused;
+    this.paused=false;
+    if(was){ this.log('Queue resumed'); this._changed(); this._next(); }
+    return { paused:false, was, running:this.running, pending:this.q.length };
+  }
+  // drops the pending jobs of an IP and aborts its running scan (the tools are
+  // killed; what they wrote is kept). Neither is retried.
+  cancel(ip){
+    const pending=this.q.filter(j=>j.ip===ip);
+    const running=[...this.active.values()].filter(j=>j.ip===ip);
+    if(pending.length){
+      this.q=this.q.filter(j=>j.ip!==ip);
+      for(const job of pending) this._update(job,{ state:'failed', lastError:'cancelled' });
+      this.log('Cancelled',pending.length,'queued scan(s) of',ip);
+    }
+    for(const job of running){
+      this.log('Cancelling the running scan of',ip);
+      this.cancels.get(job.id)?.abort();
+    }
+    // never scanned after all: the next ban may queue it again
+    if(pending.length&&!running.length){
+      this.set.delete(ip);
+      this.tmpCache.delete(ip);
+      this.save();
+    }
+    if(pending.length) this._changed();
+    return { ip, pending:pending.length, running:running.length };
+  }
+  // clears the dedup state of an IP (seen, next allowed scan); its ban and
+  // scan history stay
+  forget(ip){
+    if(this.tmpCache.has(ip)) throw new Error(`${ip} is queued or running: cancel it first`);
+    const entry=this.state.history[ip];
+    const result={ ip, seen:this.set.has(ip), nextScanAt:entry&&entry.nextScanAt||null };
+    this.set.delete(ip);
+    if(entry) entry.nextScanAt=null;
+    this.save();
+    if(result.seen||result.nextScanAt) this.log('Forgot',ip,result.nextScanAt?`(was deferred until ${result.nextScanAt})`:'');
+    return result;
+  }
+  _take(){
+    const now=Date.now();
+    const i=this.q.findIndex(j=>(j.nextAt||0)<=now);
+    return i<0?null:this.q.splice(i,1)[0];
+  }
+  // wake up for the earliest job waiting out its retry backoff; a retry
+  // queued later may be due before the one the timer waits for
+  _arm(){
+    if(!this.q.length) return;
+    const at=Math.min(...this.q.map(j=>j.nextAt||0));
+    if(at<=Date.now()||(this.timer&&this.timerAt<=at)) return;
+    clearTimeout(this.timer);
+    this.timerAt=at;
+    this.timer=setTimeout(()=>{ this.timer=null; this._next(); },at-Date.now());
+  }
+  _update(job,patch){
+    Object.assign(job,patch);
+    if(this.store) this.store.update(job.id,patch);
+  }
+  _next(){
+    if(this.paused||this.running>=this.concurrency)return;
+    const job=this._take(); if(!job){ this._arm(); return; }
+    const ip=job.ip, cfg=this.cfg, history=this.state.history;
+    const attempt=(job.attempts||0)+1;
+    this.running++;
+    this.active.set(job.id,job);
+    const ac=new AbortController();
+    this.cancels.set(job.id,ac);
+    this._update(job,{state:'running',attempts:attempt});
+    this._changed();
+    const started=Date.now();
+    (async()=>{
+      let failure=null, result=null;
+      try{
+        let profile=resolveJailProfile(this.jailProfiles(),job.profileName);
+        // a scan profile asked for by ctl wins over the jail's nmapArgs / scanProfile
+        if(job.scanProfile) profile={ ...profile, nmapArgs:null, scanProfile:job.scanProfile };
+        this.log('Scanning',ip,job.ban?`(jail ${job.ban.jail})`:'','profile',profile.name,attempt>1?`attempt ${attempt}`:'');
+        result=await this.scan({...job,profile,cancel:ac.signal});
+        const { summary, outDir }=result;
+        failure=ac.signal.aborted?'cancelled':scanFailure(summary);
+        // the index has the scan by the time listeners hear it finished
+        await this.indexScan(summary,outDir);
+        recordScan(history,ip,{
+          dir:outDir,
+          ts:summary.ts,
+          ok:!failure,
+          ports:(summary.ports||[]).filter(p=>p.state==='open').map(p=>`${p.port}/${p.protocol}`)
+        },cfg.history.maxScansPerIp);
+        this.log(failure?'Finished with errors':'Done',ip,failure||'');
+        if(!failure&&summary.ban&&cfg.report.auto!=='off') this.report(outDir,summary);
+      }catch(e){
+        failure=ac.signal.aborted?'cancelled':e.message||String(e);
+        this.log('Error scanning',ip,failure);
+      }
+      const cancelled=ac.signal.aborted;
+      try{
+        if(failure&&!cancelled&&attempt<cfg.queue.maxAttempts){
+          const delay=Math.min(cfg.queue.retryMaxSec,cfg.queue.retryBaseSec*2**(attempt-1));
+          this.log('Retrying',ip,`in ${delay}s (attempt ${attempt+1}/${cfg.queue.maxAttempts})`);
+          this._update(job,{state:'pending',nextAt:Date.now()+delay*1000,lastError:failure});
+          this._enqueue(job);
+          this.emit('failed',{ ...finished(job,attempt,started,result,failure), retryAt:new Date(job.nextAt).toISOString() });
+        }else{
+          this._update(job,{state:failure?'failed':'done',lastError:failure});
+          this.emit(failure?'failed':'completed',{ ...finished(job,attempt,started,result,failure), retryAt:null, cancelled });
+          // a cancelled scan is nobody's news and does not defer the next one
+          if(!cancelled){
+            this.notify(result?scanEvent(result.summary,result.outDir,failure):scanEvent({ ip, ts:new Date().toISOString(), ban:job.ban },null,failure));
+            const entry=entryFor(history,ip);
+            entry.nextScanAt=computeNextScanAt(entry,{ ...cfg.rescan, ttlSec:cfg.rescanTtlSec });
+          }
+          this.set.delete(ip);
+          this.tmpCache.delete(ip);
+          this.save();
+        }
+      }catch(e){
+        this.log('Queue journal update failed for',ip,e.message||e);
+      }finally{
+        this.running--;
+        this.active.delete(job.id);
+        this.cancels.delete(job.id);
+        this._changed();
+        setImmediate(()=>this._next());
+      }
+    })();
+    setImmediate(()=>this._next());
+  }
+  // no new scans or retry wake-ups; running ones are left to finish
+  stop(){
+    this.paused=true;
+    clearTimeout(this.timer);
+    this.timer=null;
+  }
+}
+
+// -------------------- log lines --------------------
+// fail2ban log line -> queue: bans are pushed with the "Found" lines gathered
+// for their IP (evidence, see EvidenceBuffer); Restore Ban (fail2ban restarting)
+// and everything else is ignored
+function lineHandler(queue,{ evidence, log=noop }={}){
+  return (line,meta={})=>{
+    try{
+      const ev = parseFail2banLine(line);
+      if (ev) {
+        if (ev.action === 'found') { if (evidence) evidence.add(ev); return; }
+        if (ev.action !== 'ban') return;
+        if (!ev.ip) {
+          queue.refuse(null, queue.guard.check(null), { source: meta.source, line });
+          return;
+        }
+        if (!ev.ts && meta.ts) ev.ts = meta.ts;
+        ev.source = meta.source || null;
+        ev.evidence = evidence ? evidence.take(ev) : [];
+        queue.push(ev.ip, { ban: ev });
+        return;
+      }
+
+      // unrecognised layout (custom logtarget format): keep the old substring match
+      const isBan = line.includes('] Ban ');
+      const isRestore = line.includes('] Restore Ban');
+      if (!isBan || isRestore) return;
+
+      const ip = extractIp(line);
+      if (!ip) {
+        queue.refuse(null, queue.guard.check(null), { source: meta.source, line });
+        return;
+      }
+      queue.push(ip, { source: meta.source, line });
+    }catch(e){
+      log('onLine handler error',e.message||e);
+    }
+  };
+}
+
+module.exports = { ScanQueue, lineHandler, finished };
@@ -0,0 +1,188 @@
+'use strict';
+const fs = require('fs'), path = require('path'), os = require('os'), crypto = require('crypto');
+const { sendMail } = require('./mail');
+
+const VERSION = require('../package.json').version;
+
+// -------------------- report contents --------------------
+// fail2ban jail -> what to call the abused service in X-ARF
+const SERVICES = [
+  [/ssh/i,{ service:'ssh', port:22 }],
+  [/postfix|exim|sendmail|smtp/i,{ service:'smtp', port:25 }],
+  [/dovecot|imap|pop3|courier/i,{ service:'imap', port:143 }],
+  [/vsftpd|proftpd|pure-?ftpd|ftp/i,{ service:'ftp', port:21 }],
+  [/nginx|apache|http|wordpress|wp-|php/i,{ service:'http', port:80 }],
+  [/asterisk|sip/i,{ service:'sip', port:5060 }],
+  [/mysql|mariadb/i,{ service:'mysql', port:3306 }]
+];
+const serviceOf=jail=>{
+  const hit=SERVICES.find(([re])=>re.test(jail||''));
+  return hit?hit[1]:{ service:jail||'unknown', port:null };
+};
+
+// RFC 5322 date in UTC
+const mailDate=d=>new Date(d).toUTCString().replace(/GMT$/,'+0000');
+
+function evidenceOf(summary){
+  const ban=summary.ban||{};
+  if(Array.isArray(ban.evidence)&&ban.evidence.length) return ban.evidence;
+  return ban.line?[{ ts:ban.ts, jail:ban.jail, action:ban.action, line:ban.line }]:[];
+}
+
+function humanText(summary,{ from }){
+  const ip=summary.ip, ban=summary.ban||{}, whois=summary.whois||{}, rdns=summary.rdns||{};
+  const where=[whois.cidr&&whois.cidr[0],whois.netname,whois.asn].filter(Boolean).join(', ');
+  const lines=[
+    'Hello,',
+    '',
+    `The host ${ip}${rdns.hostname?` (${rdns.hostname})`:''}${where?`, in your network ${where},`:''} was banned by fail2ban on our server`,
+    `${ban.jail?`(jail "${ban.jail}") `:''}after repeated abusive connection attempts.`,
+    '',
+    'Log lines that caused the ban (times in UTC):',
+    ''
+  ];
+  for(const e of evidenceOf(summary)) lines.push(`  ${e.ts||'-'}  ${e.line}`);
+  const ports=summary.open_ports||[];
+  lines.push('',`A scan of the host at ${summary.ts} showed ${ports.length?'these open ports:':'no open ports.'}`);
+  for(const p of ports) lines.push(`  ${p}`);
+  lines.push(
+    '',
+    'Please investigate and take appropriate action. The host may be compromised.',
+    '',
+    `This report was generated by Fail2Scan ${VERSION}${from?` on behalf of ${from}`:''}.`
+  );
+  return lines.join('\n')+'\n';
+}
+
+const part=(headers,body)=>headers.join('\r\n')+'\r\n\r\n'+body.replace(/\r?\n/g,'\r\n');
+
+function xarfYaml(summary,{ from }){
+  const ban=summary.ban||{}, svc=serviceOf(ban.jail);
+  const fields=[
+    ['Reported-From',from],
+    ['Category','abuse'],
+    ['Report-Type','login-attack'],
+    ['Service',svc.service],
+    ['Version','0.2'],
+    ['User-Agent',`Fail2Scan ${VERSION}`],
+    ['Date',mailDate(ban.ts||summary.ts)],
+    ['Source-Type','ip-address'],
+    ['Source',summary.ip],
+    ['Port',svc.port],
+    ['Attachment','text/plain'],
+    ['Schema-URL','http://www.x-arf.org/schema/abuse_login-attack_0.1.2.json']
+  ];
+  return fields.filter(([,v])=>v!==null&&v!==undefined).map(([k,v])=>`${k}: ${v}`).join('\n')+'\n';
+}
+
+// RFC 5965 ARF, or X-ARF 0.2 (three-part multipart/mixed); returns the
+// complete message text with its envelope
+function buildReport(summary,{ format='arf', from, to, hostname=os.hostname() }){
+  const ban=summary.ban||{};
+  const boundary='=_f2s_'+crypto.randomBytes(12).toString('hex');
+  const messageId=`<${crypto.randomUUID()}@${hostname}>`;
+  const date=mailDate(Date.now());
+  const subject=`Abuse report: ${summary.ip}${ban.jail?` (${ban.jail})`:''} ${(ban.ts||summary.ts||'').slice(0,10)}`;
+  const text=humanText(summary,{ from });
+  const evidence=evidenceOf(summary).map(e=>`${e.ts||'-'} ${e.line}`).join('\n')+'\n';
+  const headers=[
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${subject}`,
+    `Date: ${date}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    `Auto-Submitted: auto-generated`
+  ];
+  const textPart=part(['Content-Type: text/plain; charset=utf-8','Content-Transfer-Encoding: 8bit'],text);
+  let parts;
+  if(format==='xarf'){
+    headers.push('X-ARF: YES','X-XARF: PLAIN',`Content-Type: multipart/mixed; boundary="${boundary}"`);
+    parts=[
+      textPart,
+      part(['Content-Type: text/plain; charset=utf-8; name="report.txt"','Content-Transfer-Encoding: 8bit'],xarfYaml(summary,{ from })),
+      part(['Content-Type: text/plain; charset=utf-8; name="logfile.log"','Content-Transfer-Encoding: 8bit'],evidence)
+    ];
+  }else{
+    headers.push(`Content-Type: multipart/report; report-type=feedback-report; boundary="${boundary}"`);
+    const feedback=[
+      'Feedback-Type: abuse',
+      `User-Agent: Fail2Scan/${VERSION}`,
+      'Version: 1',
+      `Source-IP: ${summary.ip}`,
+      `Arrival-Date: ${mailDate(ban.ts||summary.ts)}`,
+      `Incidents: ${Math.max(1,evidenceOf(summary).length)}`
+    ];
+    if(summary.rdns&&summary.rdns.hostname) feedback.push(`Reported-Domain: ${summary.rdns.hostname}`);
+    parts=[
+      textPart,
+      part(['Content-Type: message/feedback-report'],feedback.join('\n')+'\n'),
+      // no message was received; the third part carries the connection as headers
+      part(['Content-Type: text/rfc822-headers'],
+        `Received: from [${summary.ip}] by ${hostname}${ban.jail?` (fail2ban jail ${ban.jail})`:''}; ${mailDate(ban.ts||summary.ts)}\n`)
+    ];
+  }
+  const body=parts.map(p=>`--${boundary}\r\n${p}`).join('\r\n')+`\r\n--${boundary}--\r\n`;
+  return { messageId, subject, text, message:headers.join('\r\n')+'\r\n\r\n'+body };
+}
+
+// -------------------- sent-report ledger --------------------
+// JSONL, one line per report sent: {ts, ip, netblock, to, scan, messageId, format}
+class ReportLedger{
+  constructor(file){
+    this.file=file;
+    this.entries=[];
+  }
+  load(){
+    let raw='';
+    try{ raw=fs.readFileSync(this.file,'utf8'); }
+    catch(e){ if(e.code!=='ENOENT') throw e; }
+    this.entries=raw.split('\n').filter(l=>l.trim()).map(l=>{ try{ return JSON.parse(l); }catch{ return null; } }).filter(Boolean);
+    return this;
+  }
+  // a report for the same IP (or netblock) to the same address, inside the window
+  find({ ip, netblock, to },{ dedupeBy='ip', resendAfterDays=0 }={}){
+    const since=resendAfterDays>0?Date.now()-resendAfterDays*86400*1000:-Infinity;
+    return this.entries.slice().reverse().find(e=>
+      Date.parse(e.ts)>=since&&
+      to.some(t=>(e.to||[]).includes(t))&&
+      (e.ip===ip||(dedupeBy==='netblock'&&netblock&&e.netblock===netblock))
+    )||null;
+  }
+  add(entry){
+    fs.mkdirSync(path.dirname(this.file),{ recursive:true, mode:0o700 });
+    const fd=fs.openSync(this.file,'a',0o600);
+    try{
+      fs.writeSync(fd,JSON.stringify(entry)+'\n');
+      try{ fs.fdatasyncSync(fd); }catch{}
+    }finally{ fs.closeSync(fd); }
+    this.entries.push(entry);
+  }
+}
+
+// -------------------- one scan -> one report --------------------
+// status: skipped (no contact/evidence), duplicate (already sent), written, sent
+async function reportScan(dir,summary,config,{ send=false, force=false, format, ledger }={}){
+  const rc=config.report;
+  const whois=summary.whois||{};
+  const to=rc.to?[rc.to]:whois.abuse_email?[whois.abuse_email]:[];
+  if(!to.length) return { status:'skipped', reason:'no abuse contact in whois' };
+  if(!evidenceOf(summary).length) return { status:'skipped', reason:'no fail2ban log lines for this scan' };
+  const netblock=(whois.cidr||[])[0]||null;
+  ledger=ledger||new ReportLedger(rc.ledgerFile).load();
+  if(send&&!force){
+    const prev=ledger.find({ ip:summary.ip, netblock, to },rc);
+    if(prev) return { status:'duplicate', to, previous:prev };
+  }
+  format=format||rc.format;
+  const report=buildReport(summary,{ format, from:rc.from||`fail2scan@${os.hostname()}`, to });
+  const file=path.join(dir,format==='xarf'?'abuse-report.xarf.eml':'abuse-report.arf.eml');
+  fs.writeFileSync(file,report.message);
+  if(!send) return { status:'written', to, file };
+  if(!rc.from) throw new Error('report.from must be set to send reports');
+  const res=await sendMail(report.message,{ from:rc.from, to },config.mail);
+  ledger.add({ ts:new Date().toISOString(), ip:summary.ip, netblock, to, scan:path.basename(dir), messageId:report.messageId, format, transport:res.transport });
+  return { status:'sent', to, file, response:res.response };
+}
+
+module.exports = { buildReport, reportScan, ReportLedger, serviceOf };
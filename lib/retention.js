@@ -0,0 +1,244 @@
+'use strict';
+const fs = require('fs'), os = require('os'), path = require('path');
+const { runCmdCapture } = require('./exec');
+const { listScanDirs, readSummary } = require('./scans');
+const { collapseParts } = require('./plugins/nmap');
+
+// Keeps the output tree bounded. A plan is computed from the tree and the
+// retention settings, then applied (or only printed: fail2scan prune
+// --dry-run). In order: part-N/ directories of merged split runs, days past
+// maxAgeDays, scans beyond keepPerIp, day folders to archive as
+// <day>.tar.gz / <day>.tar.zst, then the oldest scans while the tree is over
+// maxTotalMB. A scan written to during the last activeMs may still be running
+// and is never touched, nor is its day folder.
+
+const DAY_RE=/^\d{4}-\d{2}-\d{2}$/;
+// <day>.tar.gz, or <day>.<n>.tar.gz when a late folder of an archived day is packed again
+const ARCHIVE_RE=/^(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.tar\.(gz|zst)$/;
+const DAY_MS=86400*1000;
+const COMPRESS={
+  gzip:{ ext:'gz', bin:'gzip', flags:['-z'] },
+  zstd:{ ext:'zst', bin:'zstd', flags:['--use-compress-program=zstd'] }
+};
+const tarFlags=file=>(/\.zst$/.test(file)?COMPRESS.zstd:COMPRESS.gzip).flags;
+const sum=list=>list.reduce((a,x)=>a+x.bytes,0);
+
+// -------------------- inventory --------------------
+// bytes and newest mtime of a file or directory tree
+function treeStats(p){
+  let bytes=0, newest=0;
+  const walk=q=>{
+    let st;
+    try{ st=fs.lstatSync(q); }catch{ return; }
+    newest=Math.max(newest,st.mtimeMs);
+    if(!st.isDirectory()){ bytes+=st.size; return; }
+    let names=[];
+    try{ names=fs.readdirSync(q); }catch{}
+    for(const n of names) walk(path.join(q,n));
+  };
+  walk(p);
+  return { bytes, newest };
+}
+
+// day folders with their scans, and archives; oldest first. `key` groups the
+// scans of one IP: the directory name without its timestamp.
+function inventory(outRoot){
+  let names=[];
+  try{ names=fs.readdirSync(outRoot).sort(); }catch{}
+  const days=[], archives=[];
+  for(const n of names){
+    const full=path.join(outRoot,n);
+    const arc=ARCHIVE_RE.exec(n);
+    if(arc){
+      try{ archives.push({ day:arc[1], file:full, bytes:fs.statSync(full).size }); }catch{}
+      continue;
+    }
+    if(!DAY_RE.test(n)) continue;
+    let scans=[];
+    try{ scans=fs.readdirSync(full).sort(); }catch{}
+    days.push({ day:n, dir:full, scans:scans.map(s=>({ name:s, dir:path.join(full,s), key:s.slice(0,s.lastIndexOf('_'))||s, ...treeStats(path.join(full,s)) })) });
+  }
+  return { days, archives };
+}
+
+// bytes freed by collapsing part-N/ (their nmap.xml is kept); 0 unless nmap
+// finished and merged
+function partsBytes(dir){
+  let summary, names;
+  try{
+    summary=JSON.parse(fs.readFileSync(path.join(dir,'summary.json'),'utf8'));
+    names=fs.readdirSync(dir).filter(n=>/^part-\d+$/.test(n));
+  }catch{ return 0; }
+  const nmap=summary.cmds&&summary.cmds.nmap;
+  const merged=['nmap.txt','nmap-discovery.txt'].some(n=>fs.existsSync(path.join(dir,n)));
+  if(!names.length||!nmap||!nmap.ok||!merged) return 0;
+  return names.reduce((a,n)=>{
+    let xml=0;
+    try{ xml=fs.statSync(path.join(dir,n,'nmap.xml')).size; }catch{}
+    return a+treeStats(path.join(dir,n)).bytes-xml;
+  },0);
+}
+
+function archiveName(outRoot,day,ext){
+  for(let i=0;;i++){
+    const file=path.join(outRoot,`${day}${i?`.${i}`:''}.tar.${ext}`);
+    if(!fs.existsSync(file)) return file;
+  }
+}
+
+// -------------------- plan --------------------
+// { actions:[{ op:'parts'|'delete'|'archive', kind, path, file, bytes, reason }], totalBytes, freedBytes }
+function planRetention(outRoot,cfg,{ now=Date.now(), activeMs=3600*1000 }={}){
+  const { days, archives }=inventory(outRoot);
+  const actions=[], gone=new Set();
+  const active=s=>s.newest>now-activeMs;
+  // the whole day is older than n days
+  const olderThan=(day,n)=>Date.parse(day+'T00:00:00Z')+DAY_MS<=now-n*DAY_MS;
+  const isGone=p=>gone.has(p)||gone.has(path.dirname(p));
+  const drop=(kind,p,bytes,reason)=>{
+    actions.push({ op:'delete', kind, path:p, bytes, reason });
+    gone.add(p);
+  };
+  const totalBytes=sum(archives)+sum(days.flatMap(d=>d.scans));
+
+  if(!cfg.keepNmapParts){
+    for(const s of days.flatMap(d=>d.scans)){
+      if(active(s)) continue;
+      const bytes=partsBytes(s.dir);
+      if(bytes>0) actions.push({ op:'parts', kind:'scan', path:s.dir, bytes, reason:'merged into nmap.txt' });
+    }
+  }
+
+  if(cfg.maxAgeDays>0){
+    const why=`older than ${cfg.maxAgeDays} days`;
+    for(const a of archives) if(olderThan(a.day,cfg.maxAgeDays)) drop('archive',a.file,a.bytes,why);
+    for(const d of days) if(olderThan(d.day,cfg.maxAgeDays)&&!d.scans.some(active)) drop('day',d.dir,sum(d.scans),why);
+  }
+
+  if(cfg.keepPerIp>0){
+    const byIp=new Map();
+    for(const d of days){
+      if(gone.has(d.dir)) continue;
+      for(const s of d.scans){
+        if(!byIp.has(s.key)) byIp.set(s.key,[]);
+        byIp.get(s.key).push(s);
+      }
+    }
+    for(const list of byIp.values()){
+      list.sort((a,b)=>b.name.localeCompare(a.name));
+      for(const s of list.slice(cfg.keepPerIp)) if(!active(s)) drop('scan',s.dir,s.bytes,`more than ${cfg.keepPerIp} scans of this IP`);
+    }
+  }
+
+  const packing=[];
+  if(cfg.archiveAfterDays>0){
+    const ext=COMPRESS[cfg.compression].ext;
+    for(const d of days){
+      if(gone.has(d.dir)||!olderThan(d.day,cfg.archiveAfterDays)) continue;
+      const left=d.scans.filter(s=>!gone.has(s.dir));
+      if(!left.length||left.some(active)) continue;
+      const a={ op:'archive', kind:'day', path:d.dir, file:archiveName(outRoot,d.day,ext), day:d.day, bytes:sum(left), reason:`older than ${cfg.archiveAfterDays} days` };
+      actions.push(a);
+      packing.push(a);
+    }
+  }
+
+  // days about to be archived count at their uncompressed size
+  if(cfg.maxTotalMB>0){
+    const limit=cfg.maxTotalMB*1024*1024;
+    const packed=new Set(packing.map(a=>a.path));
+    const units=[
+      ...archives.filter(a=>!gone.has(a.file)).map(a=>({ kind:'archive', day:a.day, path:a.file, bytes:a.bytes })),
+      ...packing.map(a=>({ kind:'day', day:a.day, path:a.path, bytes:a.bytes, pack:a })),
+      ...days.filter(d=>!gone.has(d.dir)&&!packed.has(d.dir))
+        .flatMap(d=>d.scans.filter(s=>!gone.has(s.dir)&&!active(s)).map(s=>({ kind:'scan', day:d.day, path:s.dir, bytes:s.bytes })))
+    ].sort((a,b)=>a.day.localeCompare(b.day)||a.path.localeCompare(b.path));
+    const parts=sum(actions.filter(a=>a.op==='parts'&&!isGone(a.path)));
+    let total=totalBytes-sum(actions.filter(a=>a.op==='delete'))-parts;
+    for(const u of units){
+      if(total<=limit) break;
+      if(u.pack) actions.splice(actions.indexOf(u.pack),1);
+      drop(u.kind,u.path,u.bytes,`output over ${cfg.maxTotalMB} MB`);
+      total-=u.bytes;
+    }
+  }
+
+  const out=actions.filter(a=>a.op!=='parts'||!isGone(a.path));
+  return { actions:out, totalBytes, freedBytes:sum(out.filter(a=>a.op!=='archive')) };
+}
+
+// -------------------- apply --------------------
+// part-N/ -> nmap.part-N.xml, and summary.cmds.nmap.xml follows (the
+// nmap.xml of an adaptive scan's second stage stays listed)
+function collapseScanParts(dir,indent){
+  const xml=collapseParts(dir);
+  const file=path.join(dir,'summary.json');
+  const summary=JSON.parse(fs.readFileSync(file,'utf8'));
+  summary.cmds.nmap.xml=[...xml,...(summary.cmds.nmap.xml||[]).filter(f=>!/^part-\d+\//.test(f))];
+  fs.writeFileSync(file,JSON.stringify(summary,null,indent));
+}
+
+// written next to the final name first, so a failed tar never looks like an archive
+async function packDay(a){
+  const tmp=a.file+'.tmp';
+  const res=await runCmdCapture('tar',['-C',path.dirname(a.path),...tarFlags(a.file),'-cf',tmp,a.day]);
+  if(!res.ok){
+    fs.rmSync(tmp,{ force:true });
+    throw new Error(`tar failed: ${res.stderr.trim()}`);
+  }
+  fs.renameSync(tmp,a.file);
+  fs.rmSync(a.path,{ recursive:true, force:true });
+}
+
+async function applyRetention(plan,{ log=()=>{}, indent=2 }={}){
+  const done=[], failed=[];
+  for(const a of plan.actions){
+    try{
+      if(a.op==='parts') collapseScanParts(a.path,indent);
+      else if(a.op==='delete') fs.rmSync(a.path,{ recursive:true, force:true });
+      else if(a.op==='archive') await packDay(a);
+      done.push(a);
+    }catch(e){
+      log('Retention:',a.op,a.path,'failed:',e.message);
+      failed.push({ ...a, err:e.message });
+    }
+  }
+  // day folders emptied by scan deletions
+  for(const dir of new Set(done.filter(a=>a.kind==='scan'&&a.op==='delete').map(a=>path.dirname(a.path)))){
+    try{ fs.rmdirSync(dir); }catch{}
+  }
+  return { done, failed };
+}
+
+// -------------------- reading archives --------------------
+function listArchives(outRoot){
+  let names=[];
+  try{ names=fs.readdirSync(outRoot).filter(n=>ARCHIVE_RE.test(n)).sort(); }catch{}
+  return names.map(n=>path.join(outRoot,n));
+}
+
+// every <day>/<scan>/summary.json of an archive, extracted in one pass; dir is
+// where the scan lived before it was packed
+async function readArchivedSummaries(file,outRoot,log=()=>{}){
+  const tmp=fs.mkdtempSync(path.join(os.tmpdir(),'fail2scan-archive-'));
+  try{
+    const res=await runCmdCapture('tar',[...tarFlags(file),'-xf',file,'-C',tmp,'--wildcards','*/summary.json']);
+    if(!res.ok){
+      log('Cannot read archive',file+':',res.stderr.trim());
+      return [];
+    }
+    return listScanDirs(tmp).map(d=>({ summary:readSummary(d), dir:path.join(outRoot,path.relative(tmp,d)) }));
+  }finally{
+    fs.rmSync(tmp,{ recursive:true, force:true });
+  }
+}
+
+// whether the daemon runs it; new scans collapse their own parts
+const retentionEnabled=cfg=>cfg.maxAgeDays>0||cfg.maxTotalMB>0||cfg.keepPerIp>0||cfg.archiveAfterDays>0;
+// how long a scan directory may go unwritten while its scan still runs
+const activeWindowMs=limits=>Math.max(limits.scanTimeoutSec||86400,3600)*1000+limits.killGraceMs;
+
+// binaries archiving needs
+const retentionBinaries=cfg=>cfg.archiveAfterDays>0?['tar',COMPRESS[cfg.compression].bin]:[];
+
+module.exports = { planRetention, applyRetention, retentionEnabled, retentionBinaries, activeWindowMs, listArchives, readArchivedSummaries, ARCHIVE_RE, tarFlags };
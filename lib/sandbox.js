@@ -0,0 +1,133 @@
+'use strict';
+const fs = require('fs'), os = require('os');
+
+// How scan tools are started: resource limits (nice, ionice, a systemd
+// scope with CPU/memory caps), the user they run as, whether nmap may use
+// raw sockets, and the process-wide nmap budget shared by every scan.
+
+// -------------------- slots --------------------
+// counting semaphore; acquire() resolves to a release function
+class Semaphore{
+  constructor(size){
+    this.size=Math.max(1,size);
+    this.used=0;
+    this.waiting=[];
+  }
+  acquire(signal){
+    if(signal&&signal.aborted) return Promise.reject(new Error('aborted while waiting for an nmap slot'));
+    return new Promise((resolve,reject)=>{
+      const w={ resolve, reject };
+      const onAbort=()=>{
+        this.waiting=this.waiting.filter(x=>x!==w);
+        reject(new Error('aborted while waiting for an nmap slot'));
+      };
+      w.grant=()=>{
+        if(signal) signal.removeEventListener('abort',onAbort);
+        this.used++;
+        let released=false;
+        resolve(()=>{ if(!released){ released=true; this.used--; this._drain(); } });
+      };
+      if(signal) signal.addEventListener('abort',onAbort,{ once:true });
+      this.waiting.push(w);
+      this._drain();
+    });
+  }
+  resize(size){
+    this.size=Math.max(1,size);
+    this._drain();
+  }
+  _drain(){
+    while(this.used<this.size&&this.waiting.length) this.waiting.shift().grant();
+  }
+}
+
+// -------------------- user / capabilities --------------------
+// getpwnam without a native module: /etc/passwd, or a numeric uid[:gid]
+function resolveUser(name,passwd='/etc/passwd'){
+  const num=/^(\d+)(?::(\d+))?$/.exec(String(name));
+  if(num) return { name:String(name), uid:+num[1], gid:+(num[2]||num[1]) };
+  let lines=[];
+  try{ lines=fs.readFileSync(passwd,'utf8').split('\n'); }catch{}
+  for(const l of lines){
+    const f=l.split(':');
+    if(f[0]===name&&f.length>=4) return { name, uid:+f[2], gid:+f[3] };
+  }
+  return null;
+}
+
+const CAP_NET_RAW = 13;
+// whether children inherit CAP_NET_RAW (systemd AmbientCapabilities=)
+function ambientNetRaw(status='/proc/self/status'){
+  try{
+    const m=/^CapAmb:\s*([0-9a-f]+)/m.exec(fs.readFileSync(status,'utf8'));
+    return !!m&&((BigInt('0x'+m[1])>>BigInt(CAP_NET_RAW))&1n)===1n;
+  }catch{ return false; }
+}
+
+const isRoot=()=>typeof process.getuid==='function'&&process.getuid()===0;
+
+// -------------------- sandbox --------------------
+class Sandbox{
+  constructor(cfg,limits){
+    this.slots=new Semaphore(1);
+    this.configure(cfg,limits);
+  }
+  // applied on SIGHUP as well; the slot counter survives so running scans stay counted
+  configure(cfg,limits){
+    this.cfg=cfg;
+    this.limits=limits;
+    this.user=cfg.user?resolveUser(cfg.user):null;
+    this.slots.resize(limits.nmapProcs||os.cpus().length||1);
+  }
+  problems(){
+    const out=[];
+    if(this.cfg.user&&!this.user) out.push(`sandbox.user: no such user ${this.cfg.user}`);
+    if(this.user&&!isRoot()&&process.getuid()!==this.user.uid) out.push('sandbox.user: the daemon must start as root to switch users');
+    return out;
+  }
+  binaries(){
+    const bins=[];
+    if(this.cfg.cgroup.enabled) bins.push('systemd-run');
+    if(this.cfg.ionice!=='none') bins.push('ionice');
+    if(this.cfg.nice>0) bins.push('nice');
+    return bins;
+  }
+  // root: nothing to do; privileged: nmap --privileged (capabilities instead
+  // of root); unprivileged: connect() scans only
+  rawMode(){
+    if(this.cfg.rawSockets==='no') return 'unprivileged';
+    if(this.cfg.rawSockets==='yes') return isRoot()&&!this.user?'root':'privileged';
+    if(isRoot()) return this.user?'unprivileged':'root';
+    return ambientNetRaw()?'privileged':'unprivileged';
+  }
+  // packets per second for one nmap process, so all of them together stay under limits.maxRate
+  ratePerProcess(){
+    return this.limits.maxRate>0?Math.max(1,Math.floor(this.limits.maxRate/this.slots.size)):0;
+  }
+  // command line and spawn options for a tool; nice, ionice and systemd-run
+  // all exec the tool, so its pid (and the kill on timeout) stays the same
+  wrap(cmd,args){
+    const c=this.cfg, prefix=[], opts={};
+    if(c.cgroup.enabled){
+      prefix.push('systemd-run','--scope','--quiet','--collect',`--slice=${c.cgroup.slice}`);
+      if(c.cgroup.cpuQuota) prefix.push('-p',`CPUQuota=${c.cgroup.cpuQuota}`);
+      if(c.cgroup.memoryMax) prefix.push('-p',`MemoryMax=${c.cgroup.memoryMax}`);
+      if(c.cgroup.tasksMax) prefix.push('-p',`TasksMax=${c.cgroup.tasksMax}`);
+      if(this.user) prefix.push(`--uid=${this.user.uid}`,`--gid=${this.user.gid}`);
+    }else if(this.user){
+      Object.assign(opts,{ uid:this.user.uid, gid:this.user.gid });
+    }
+    if(c.ionice==='idle') prefix.push('ionice','-c','3');
+    else if(c.ionice==='best-effort') prefix.push('ionice','-c','2','-n','7');
+    if(c.nice>0) prefix.push('nice','-n',String(c.nice));
+    if(!prefix.length) return { cmd, args, opts };
+    return { cmd:prefix[0], args:[...prefix.slice(1),cmd,...args], opts };
+  }
+  // directories a sandboxed tool writes into itself (nmap -oX)
+  prepareDir(dir){
+    if(!this.user||!isRoot()) return;
+    try{ fs.chownSync(dir,this.user.uid,this.user.gid); }catch{}
+  }
+}
+
+module.exports = { Sandbox, Semaphore, resolveUser, ambientNetRaw };
@@ -0,0 +1,77 @@
+'use strict';
+const fs = require('fs'), path = require('path');
+const { resolveJailProfile } = require('./jails');
+const { selectPlugins, runPlugins, recordResults } = require('./plugins');
+const { scanSnapshot, findPreviousSnapshot, diffSnapshots } = require('./diff');
+const { sanitizeFilename } = require('./scans');
+
+// One scan of one IP: <out>/<day>/<ip>_<timestamp>/ with the output of every
+// plugin the jail profile selects, diff.json against the previous scan of the
+// IP, and summary.json.
+//
+// ctx: { config, jailProfiles, plugins, scanProfiles, sandbox, history, log, emit }
+// (history: the state's ip -> entry map, to find the previous scan)
+
+function safeMkdirSyncWithFallback(p,output){
+  try{ fs.mkdirSync(p,{recursive:true,mode:output.dirMode}); return p; }
+  catch(e){
+    const f=output.fallbackDir;
+    try{ fs.mkdirSync(f,{recursive:true,mode:output.dirMode}); return f; }
+    catch(ee){ throw e; }
+  }
+}
+
+async function performScan(job,ctx){
+  const { config, plugins:loaded, scanProfiles, sandbox, history={}, log=()=>{}, emit=()=>{} } = ctx;
+  const { ip, ban=null } = job;
+  const profile = job.profile || resolveJailProfile(ctx.jailProfiles, ban&&ban.jail);
+  const now=new Date(),
+    dateDir=now.toISOString().slice(0,10),
+    safeIp=sanitizeFilename(ip);
+
+  let outDir=path.join(config.out,dateDir,`${safeIp}_${now.toISOString().replace(/[:.]/g,'-')}`);
+  outDir=path.join(safeMkdirSyncWithFallback(path.dirname(outDir),config.output),path.basename(outDir));
+  try { fs.mkdirSync(outDir,{recursive:true,mode:config.output.dirMode}); } catch (e) {}
+
+  const summary={ip,ts:now.toISOString(),cmds:{}};
+  if(job.id) summary.job={ id:job.id, attempt:job.attempts||1 };
+  if(ban) summary.ban={ jail:ban.jail, action:ban.action, time:ban.time, ts:ban.ts, logger:ban.logger, pid:ban.pid, source:ban.source||null, line:ban.line, evidence:ban.evidence||[] };
+  summary.profile={ name:profile.name, priority:profile.priority, tools:profile.tools.map(t=>t.name) };
+
+  const plugins = selectPlugins(loaded, config.plugins, profile);
+  summary.profile.plugins = plugins.map(p=>p.name);
+  const scan = { ip, job:job.id||null, scan:path.basename(outDir), day:dateDir };
+  emit('started', { ...scan, attempt:job.attempts||1, jail:ban&&ban.jail||null, profile:profile.name, plugins:summary.profile.plugins });
+  const onResult = (name,r) => emit('step', { ...scan, plugin:name, ok:!!r.ok, ms:r.ms, err:r.err||null, timedOut:!!r.timedOut, partial:!!r.partial });
+  const deadline = config.limits.scanTimeoutSec ? Date.now()+config.limits.scanTimeoutSec*1000 : 0;
+  const results = await runPlugins(plugins, { ip, safeIp, outDir, job, profile, config, log, sandbox, deadline, onResult, cancel:job.cancel, scanProfiles }, config.plugins.options);
+  recordResults(summary, outDir, plugins, results, config.output.jsonIndent);
+  for(const [name,r] of Object.entries(results)){
+    if(!r.ok) log('Plugin',name,'failed for',ip,r.err||'',r.partial?'(partial result kept)':'');
+  }
+  if(!summary.open_ports) summary.open_ports = [];
+
+  // compare with the previous scan of this IP, if any
+  summary.changed = false;
+  try{
+    const prev = findPreviousSnapshot(config.out, safeIp, outDir, (history[ip]||{}).scans);
+    if(prev){
+      const diff = { ip, ts: summary.ts, ...diffSnapshots(prev, scanSnapshot(outDir, summary)) };
+      fs.writeFileSync(path.join(outDir,'diff.json'), JSON.stringify(diff,null,config.output.jsonIndent));
+      summary.changed = diff.changed;
+      summary.previous = path.basename(prev.dir);
+      summary.cmds.diff = { ok:true, path:'diff.json' };
+      if(diff.changed) log('Attack surface changed for',ip,'since',summary.previous);
+    }
+  } catch(e){
+    summary.cmds.diff = { ok:false, err:e.message||String(e) };
+  }
+
+  try{ fs.writeFileSync(path.join(outDir,'summary.json'),JSON.stringify(summary,null,config.output.jsonIndent)); }catch{}
+  try{ fs.chmodSync(outDir,config.output.dirMode); }catch{}
+
+  log('Scan written for',ip,'->',outDir);
+  return { summary, outDir };
+}
+
+module.exports = { performScan };
@@ -0,0 +1,218 @@
+'use strict';
+const fs = require('fs'), path = require('path');
+const { spawn } = require('child_process');
+const { listScanDirs, readSummary, scanEvent, scanFailure } = require('./scans');
+const { listArchives, readArchivedSummaries } = require('./retention');
+
+// SQLite index of every scan summary, through the sqlite3 command-line shell
+// (no native module to build). scans and ports are written as scans finish;
+// ips, jails and asns are aggregates recomputed from scans for the keys a
+// write touched. `fail2scan reindex` rebuilds the whole file from the output
+// tree, archives included.
+
+const SCHEMA = `
+PRAGMA journal_mode=WAL;
+CREATE TABLE IF NOT EXISTS scans(
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  day TEXT,
+  dir TEXT,
+  archive TEXT,
+  ip TEXT NOT NULL,
+  ts TEXT,
+  ok INTEGER,
+  jail TEXT,
+  banned_at TEXT,
+  hostname TEXT,
+  country TEXT,
+  asn INTEGER,
+  org TEXT,
+  netname TEXT,
+  network TEXT,
+  abuse_email TEXT,
+  open_ports INTEGER,
+  changed INTEGER
+);
+CREATE INDEX IF NOT EXISTS scans_ip ON scans(ip);
+CREATE INDEX IF NOT EXISTS scans_ts ON scans(ts);
+CREATE INDEX IF NOT EXISTS scans_country ON scans(country);
+CREATE INDEX IF NOT EXISTS scans_asn ON scans(asn);
+CREATE INDEX IF NOT EXISTS scans_jail ON scans(jail);
+CREATE TABLE IF NOT EXISTS ports(
+  scan_id INTEGER NOT NULL REFERENCES scans(id) ON DELETE CASCADE,
+  port INTEGER NOT NULL,
+  protocol TEXT NOT NULL,
+  service TEXT,
+  product TEXT,
+  version TEXT
+);
+CREATE INDEX IF NOT EXISTS ports_port ON ports(port,protocol);
+CREATE INDEX IF NOT EXISTS ports_scan ON ports(scan_id);
+CREATE TABLE IF NOT EXISTS ips(ip TEXT PRIMARY KEY, first_scan TEXT, last_scan TEXT, scans INTEGER, country TEXT, asn INTEGER, hostname TEXT);
+CREATE TABLE IF NOT EXISTS jails(name TEXT PRIMARY KEY, first_scan TEXT, last_scan TEXT, scans INTEGER, ips INTEGER);
+CREATE TABLE IF NOT EXISTS asns(asn INTEGER PRIMARY KEY, org TEXT, country TEXT, first_scan TEXT, last_scan TEXT, scans INTEGER, ips INTEGER);
+`;
+
+// -------------------- SQL text --------------------
+// the shell has no bound parameters: every value goes through q()
+function q(v){
+  if(v===null||v===undefined) return 'NULL';
+  if(typeof v==='boolean') return v?'1':'0';
+  if(typeof v==='number') return Number.isFinite(v)?String(v):'NULL';
+  return `'${String(v).replace(/\0/g,'').replace(/'/g,"''")}'`;
+}
+const asnNumber=v=>{
+  const m=/(\d+)/.exec(v==null?'':String(v));
+  return m?+m[1]:null;
+};
+
+// the bare columns take their value from the row of MAX(ts) (SQLite rule)
+const AGGREGATES = {
+  ips:w=>`INSERT OR REPLACE INTO ips SELECT ip,MIN(ts),MAX(ts),COUNT(*),country,asn,hostname FROM scans${w?` WHERE ip IN (${w})`:''} GROUP BY ip;`,
+  jails:w=>`INSERT OR REPLACE INTO jails SELECT jail,MIN(ts),MAX(ts),COUNT(*),COUNT(DISTINCT ip) FROM scans WHERE jail IS NOT NULL${w?` AND jail IN (${w})`:''} GROUP BY jail;`,
+  asns:w=>`INSERT OR REPLACE INTO asns SELECT asn,org,country,MIN(ts),MAX(ts),COUNT(*),COUNT(DISTINCT ip) FROM scans WHERE asn IS NOT NULL${w?` AND asn IN (${w})`:''} GROUP BY asn;`
+};
+const KEY_COLUMN = { ips:'ip', jails:'name', asns:'asn' };
+const SCAN_COLUMN = { ips:'ip', jails:'jail', asns:'asn' };
+
+// the ip/jail/asn keys of the scans matching `where` are collected in temp
+// tables before and after a change; those aggregate rows are then recomputed
+const collectKeys=where=>Object.entries(SCAN_COLUMN).map(([t,c])=>
+  `CREATE TEMP TABLE IF NOT EXISTS k_${t}(v);\nINSERT INTO k_${t} SELECT DISTINCT ${c} FROM scans WHERE ${where};`).join('\n');
+const refreshKeys=()=>Object.keys(SCAN_COLUMN).map(t=>
+  `DELETE FROM ${t} WHERE ${KEY_COLUMN[t]} IN (SELECT v FROM k_${t});\n${AGGREGATES[t](`SELECT v FROM k_${t}`)}\nDROP TABLE k_${t};`).join('\n');
+
+// INSERT (or replace) of one scan and its open ports
+function scanSql(summary,dir,{ archive=null }={}){
+  const ev=scanEvent(summary,archive?null:dir,scanFailure(summary));
+  const name=path.basename(dir);
+  const day=path.basename(path.dirname(dir));
+  const row={
+    name, day, dir:archive?null:dir, archive, ip:ev.ip, ts:ev.ts, ok:ev.ok,
+    jail:ev.jail, banned_at:ev.banned_at, hostname:ev.hostname, country:ev.country?String(ev.country).toUpperCase():null,
+    asn:asnNumber(ev.asn), org:ev.org, netname:ev.netname, network:ev.network, abuse_email:ev.abuse_email,
+    open_ports:ev.open_ports.length, changed:ev.changed
+  };
+  const cols=Object.keys(row);
+  const sql=[
+    `DELETE FROM scans WHERE name=${q(name)};`,
+    `INSERT INTO scans(${cols.join(',')}) VALUES(${cols.map(c=>q(row[c])).join(',')});`
+  ];
+  for(const p of ev.open_ports){
+    sql.push(`INSERT INTO ports VALUES((SELECT id FROM scans WHERE name=${q(name)}),${q(p.port)},${q(p.protocol)},${q(p.service)},${q(p.product)},${q(p.version)});`);
+  }
+  return { name, sql:sql.join('\n') };
+}
+
+// -------------------- database --------------------
+class ScanDb{
+  // readonly: for readers such as failtoscan-api, which must not create or migrate the file
+  constructor(file,{ log=()=>{}, bin='sqlite3', readonly=false }={}){
+    this.file=file;
+    this.log=log;
+    this.bin=bin;
+    this.readonly=readonly;
+    // one sqlite3 process at a time
+    this.chain=Promise.resolve();
+    this.ready=null;
+  }
+  // runs a script; with json, resolves to the rows of its last SELECT
+  _run(sql,{ json=false }={}){
+    const run=this.chain.then(()=>new Promise((resolve,reject)=>{
+      const proc=spawn(this.bin,['-batch','-bail',...(this.readonly?['-readonly']:[]),...(json?['-json']:[]),this.file],{ stdio:['pipe','pipe','pipe'] });
+      let out='', err='';
+      proc.stdout.on('data',c=>{ out+=c; });
+      proc.stderr.on('data',c=>{ err+=c; });
+      proc.on('error',reject);
+      proc.on('close',code=>{
+        if(code!==0) return reject(new Error(`sqlite3: ${err.trim()||`exit ${code}`}`));
+        if(!json) return resolve(out);
+        // one array per SELECT; a newline never occurs inside a JSON string
+        try{ resolve(out.trim()?JSON.parse(out.trim().replace(/\]\n\[/g,',')):[]); }
+        catch(e){ reject(new Error(`sqlite3: unreadable output: ${e.message}`)); }
+      });
+      proc.stdin.on('error',()=>{});
+      proc.stdin.end(`.timeout 10000\nPRAGMA foreign_keys=ON;\n${sql}\n`);
+    }));
+    this.chain=run.catch(()=>{});
+    return run;
+  }
+  init(){
+    if(!this.ready&&this.readonly) this.ready=Promise.resolve();
+    if(!this.ready){
+      try{ fs.mkdirSync(path.dirname(this.file),{ recursive:true, mode:0o700 }); }catch{}
+      this.ready=this._run(SCHEMA).then(()=>{ try{ fs.chmodSync(this.file,0o600); }catch{} });
+    }
+    return this.ready;
+  }
+  exists(){
+    return fs.existsSync(this.file);
+  }
+  // one finished scan, as written by the daemon
+  async add(summary,dir){
+    await this.init();
+    const { name, sql }=scanSql(summary,dir);
+    const where=`name=${q(name)}`;
+    await this._run(['BEGIN;',collectKeys(where),sql,collectKeys(where),refreshKeys(),'COMMIT;'].join('\n'));
+  }
+  query(sql){
+    return this.init().then(()=>this._run(sql,{ json:true }));
+  }
+  // follows fail2scan prune / daemon retention: deleted scans leave the
+  // index, archived ones point at their archive
+  async retained(done){
+    const updates=[], deletes=[];
+    for(const a of done){
+      if(a.op==='archive') updates.push(`UPDATE scans SET dir=NULL,archive=${q(a.file)} WHERE day=${q(a.day)} AND archive IS NULL;`);
+      else if(a.op!=='delete') continue;
+      else if(a.kind==='scan') deletes.push(`name=${q(path.basename(a.path))}`);
+      else if(a.kind==='day') deletes.push(`(day=${q(path.basename(a.path))} AND archive IS NULL)`);
+      else if(a.kind==='archive') deletes.push(`archive=${q(a.path)}`);
+    }
+    if(!deletes.length&&!updates.length) return;
+    await this.init();
+    const where=deletes.join(' OR ');
+    await this._run(['BEGIN;',...updates,...(where?[collectKeys(where),`DELETE FROM scans WHERE ${where};`,refreshKeys()]:[]),'COMMIT;'].join('\n'));
+  }
+  // the whole index from the output tree; resolves to the number of scans
+  async rebuild(outRoot,{ batch=500 }={}){
+    const tmp=this.file+'.rebuild';
+    for(const f of [tmp,tmp+'-wal',tmp+'-shm']) fs.rmSync(f,{ force:true });
+    const db=new ScanDb(tmp,{ log:this.log, bin:this.bin });
+    await db.init();
+    let count=0, pending=[];
+    const flush=async()=>{
+      if(!pending.length) return;
+      await db._run(`BEGIN;\n${pending.join('\n')}\nCOMMIT;`);
+      pending=[];
+    };
+    const add=async(summary,dir,opts)=>{
+      if(!summary||!summary.ip) return;
+      pending.push(scanSql(summary,dir,opts).sql);
+      count++;
+      if(pending.length>=batch) await flush();
+    };
+    for(const dir of listScanDirs(outRoot)) await add(readSummary(dir),dir);
+    for(const file of listArchives(outRoot)){
+      for(const { summary, dir } of await readArchivedSummaries(file,outRoot,this.log)) await add(summary,dir,{ archive:file });
+    }
+    await flush();
+    // back to a single file, so the rename below carries everything
+    await db._run(['BEGIN;',...Object.values(AGGREGATES).map(f=>f(null)),'COMMIT;','PRAGMA journal_mode=DELETE;'].join('\n'));
+    // the live file's WAL may be open in another sqlite3 (daemon, API): fold
+    // it in and empty it rather than delete it; SQLite drops an empty WAL.
+    // Frames left in it would be read into the new file
+    if(this.exists()){
+      const [cp]=await this._run('PRAGMA wal_checkpoint(TRUNCATE);',{ json:true });
+      if(cp&&cp.busy){
+        fs.rmSync(tmp,{ force:true });
+        throw new Error(`${this.file} is busy (a reader holds its WAL): try again`);
+      }
+    }
+    fs.renameSync(tmp,this.file);
+    this.ready=null;
+    return count;
+  }
+}
+
+module.exports = { ScanDb, q, asnNumber };
@@ -0,0 +1,74 @@
+'use strict';
+const { ConfigError } = require('./config');
+
+// Named nmap scan profiles. A profile runs either one nmap command (args) or
+// two, adaptively: a fast discovery pass over the port range (discovery),
+// then the slow probes (detail: -sV, -sC, -O...) on the ports found open
+// only. scan.profiles adds profiles or replaces built-in ones by name;
+// scan.profile is the one used when the jail profile names none
+// (scanProfile) and has no nmapArgs of its own. Without either, nmapArgs
+// runs as a single command, as before.
+//
+// scan:
+//   profile: standard
+//   profiles:
+//     web: { discovery: "-sS -Pn -p80,443,8000-8999 -T4", detail: "-sV -sC --script http-title" }
+
+const BUILTIN_SCAN_PROFILES = {
+  quick:{ description:'top 100 TCP ports, light version detection', args:'-sS -Pn -T4 --top-ports 100 -sV --version-light' },
+  standard:{ description:'every TCP port, then versions of the open ones', discovery:'-sS -Pn -p- -T4', detail:'-sV' },
+  deep:{ description:'every TCP port, then versions, default scripts and OS detection on the open ones', discovery:'-sS -Pn -p- -T4', detail:'-sV -sC -O --version-all' },
+  'udp-top':{ description:'top 100 UDP ports with version probes (slow: UDP gives few answers)', args:'-sU -Pn -T4 --top-ports 100 -sV --version-intensity 2' }
+};
+
+const KEYS = ['description','args','discovery','detail'];
+// the detail stage scans what discovery found: it may not pick ports itself
+const PORT_FLAGS = /^(-p|--top-ports|--port-ratio|-F)/;
+
+const splitArgs=text=>String(text).trim().split(/\s+/).filter(Boolean);
+
+function normalizeScanProfile(name,p,errors){
+  const where=`scan.profiles.${name}`;
+  if(!p||typeof p!=='object'||Array.isArray(p)){ errors.push(`${where}: expected an object`); return null; }
+  const errs=[];
+  for(const k of Object.keys(p)) if(!KEYS.includes(k)) errs.push(`${k}: unknown setting (${KEYS.join(', ')})`);
+  for(const k of KEYS) if(p[k]!==undefined&&(typeof p[k]!=='string'||!p[k].trim())) errs.push(`${k}: expected a non-empty string`);
+  const adaptive=p.discovery!==undefined||p.detail!==undefined;
+  if(adaptive&&p.args!==undefined) errs.push('give args (one stage) or discovery and detail (two stages), not both');
+  else if(adaptive&&(p.discovery===undefined||p.detail===undefined)) errs.push('discovery and detail go together');
+  else if(!adaptive&&p.args===undefined) errs.push('args, or discovery and detail, required');
+  if(typeof p.detail==='string'&&splitArgs(p.detail).some(a=>PORT_FLAGS.test(a))) errs.push('detail: no port selection (-p, --top-ports...): it scans the ports discovery found open');
+  if(errs.length){ errors.push(...errs.map(e=>`${where}: ${e}`)); return null; }
+  return adaptive
+    ?{ name, description:p.description||'', mode:'adaptive', discovery:splitArgs(p.discovery), detail:splitArgs(p.detail) }
+    :{ name, description:p.description||'', mode:'single', args:splitArgs(p.args) };
+}
+
+// built-ins overlaid with scan.profiles; throws a ConfigError listing every problem
+function buildScanProfiles(custom={}){
+  const errors=[], profiles=new Map();
+  for(const [name,p] of Object.entries({ ...BUILTIN_SCAN_PROFILES, ...(custom||{}) })){
+    if(!/^[\w.-]+$/.test(name)){ errors.push(`scan.profiles: "${name}" is not a valid name ([A-Za-z0-9_.-]+)`); continue; }
+    const prof=normalizeScanProfile(name,p,errors);
+    if(prof) profiles.set(name,prof);
+  }
+  if(errors.length) throw new ConfigError(errors);
+  return profiles;
+}
+
+// scan.profile and every jail's scanProfile must exist
+function unknownScanProfiles(config,jailProfiles,profiles){
+  const names=[config.scan.profile,...jailProfiles.map(p=>p.scanProfile)].filter(Boolean);
+  return [...new Set(names.filter(n=>!profiles.has(n)))];
+}
+
+// what the nmap plugin runs for a jail profile:
+// { name, mode:'single', args } or { name, mode:'adaptive', discovery, detail }
+function scanPlan(config,jailProfile,profiles){
+  if(jailProfile&&jailProfile.nmapArgs) return { name:null, mode:'single', args:splitArgs(jailProfile.nmapArgs) };
+  const name=jailProfile&&jailProfile.scanProfile||config.scan.profile;
+  if(name&&profiles.has(name)) return profiles.get(name);
+  return { name:null, mode:'single', args:splitArgs(config.nmapArgs) };
+}
+
+module.exports = { BUILTIN_SCAN_PROFILES, buildScanProfiles, unknownScanProfiles, scanPlan, splitArgs };
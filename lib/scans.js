@@ -0,0 +1,93 @@
+'use strict';
+const fs = require('fs'), path = require('path'), os = require('os');
+const net = require('net');
+
+// Scan directories: <out>/<YYYY-MM-DD>/<safeIp>_<ISO timestamp with - for :.>/summary.json
+const sanitizeFilename=s=>String(s).replace(/[:\/\\<>?"|* ]+/g,'_');
+const DAY_RE=/^\d{4}-\d{2}-\d{2}$/;
+
+function readSummary(dir){
+  try{ return JSON.parse(fs.readFileSync(path.join(dir,'summary.json'),'utf8')); }
+  catch{ return null; }
+}
+
+// oldest first
+function listScanDirs(outRoot,{ prefix=null }={}){
+  const dirs=[];
+  let days=[];
+  try{ days=fs.readdirSync(outRoot).filter(d=>DAY_RE.test(d)).sort(); }catch{}
+  for(const day of days){
+    let names=[];
+    try{ names=fs.readdirSync(path.join(outRoot,day)).sort(); }catch{}
+    for(const n of names) if(!prefix||n.startsWith(prefix)) dirs.push(path.join(outRoot,day,n));
+  }
+  return dirs;
+}
+
+// a scan given as a directory path, a directory name, or an IP (its latest scan)
+function resolveScan(outRoot,ref){
+  if(!ref) return null;
+  if(fs.existsSync(path.join(ref,'summary.json'))) return path.resolve(ref);
+  if(net.isIP(ref)){
+    const dirs=listScanDirs(outRoot,{ prefix:sanitizeFilename(ref)+'_' });
+    return dirs.length?dirs[dirs.length-1]:null;
+  }
+  const day=/_(\d{4}-\d{2}-\d{2})T/.exec(ref);
+  if(day&&fs.existsSync(path.join(outRoot,day[1],ref,'summary.json'))) return path.join(outRoot,day[1],ref);
+  return listScanDirs(outRoot).find(d=>path.basename(d)===ref)||null;
+}
+
+function openPorts(summary){
+  if(Array.isArray(summary.ports)){
+    return summary.ports.filter(p=>p.state==='open')
+      .map(p=>({ port:p.port, protocol:p.protocol, service:p.service||null, product:p.product||null, version:p.version||null }));
+  }
+  // text fallback: "22/tcp open ssh OpenSSH 8.9p1"
+  return (summary.open_ports||[]).map(l=>{
+    const m=/^(\d+)\/(\w+)\s+\S+\s*(\S*)/.exec(l);
+    return m&&{ port:+m[1], protocol:m[2], service:m[3]||null, product:null, version:null };
+  }).filter(Boolean);
+}
+
+function readGeo(dir){
+  try{ return JSON.parse(fs.readFileSync(path.join(dir,'geo.json'),'utf8')); }
+  catch{ return {}; }
+}
+
+// nmap or whois not completing is worth another attempt; dig/geo are best effort
+function scanFailure(summary){
+  const cmds=summary.cmds||{};
+  const bad=['nmap','whois'].filter(t=>cmds[t]&&!cmds[t].ok);
+  return bad.length?`${bad.join(', ')} failed`:null;
+}
+
+// flat view of a finished scan: what notifications and action rules work on
+function scanEvent(summary,dir,failure=null){
+  const ban=summary.ban||{}, whois=summary.whois||{}, rdns=summary.rdns||{};
+  const geo=dir?readGeo(dir):{};
+  return {
+    event:'scan.completed',
+    ok:!failure,
+    error:failure||null,
+    ip:summary.ip,
+    ts:summary.ts,
+    host:os.hostname(),
+    scan:dir?path.basename(dir):null,
+    dir:dir||null,
+    jail:ban.jail||null,
+    banned_at:ban.ts||null,
+    evidence:(ban.evidence||[]).length,
+    hostname:rdns.hostname||null,
+    country:geo.country_code2||whois.country||null,
+    asn:geo.asn||whois.asn||null,
+    org:whois.org||geo.org||null,
+    netname:whois.netname||null,
+    network:(whois.cidr||[])[0]||geo.network||null,
+    abuse_email:whois.abuse_email||null,
+    open_ports:openPorts(summary),
+    changed:!!summary.changed,
+    previous:summary.previous||null
+  };
+}
+
+module.exports = { sanitizeFilename, readSummary, listScanDirs, resolveScan, scanEvent, scanFailure };
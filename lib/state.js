@@ -0,0 +1,42 @@
+'use strict';
+const fs = require('fs'), path = require('path');
+const { entryFor } = require('./history');
+
+// The daemon state file (stateFile): IPs queued or scanned (seen), the ban and
+// scan history of each IP, and how far each log source has been read
+// (offsets: { ino, pos } for a file, { cursor } for the journal).
+
+function loadState(file){
+  try{
+    if(fs.existsSync(file)){
+      const j=JSON.parse(fs.readFileSync(file,'utf8'));
+      const history=j.history&&typeof j.history==='object'?j.history:{};
+      // older state files only had a flat ip -> epoch seconds map
+      if(j.retryAfter&&typeof j.retryAfter==='object'){
+        for(const [ip,sec] of Object.entries(j.retryAfter)){
+          const e=entryFor(history,ip);
+          if(!e.nextScanAt) e.nextScanAt=new Date(sec*1000).toISOString();
+        }
+      }
+      return {
+        seen:new Set(Array.isArray(j.seen)?j.seen:[]),
+        history,
+        offsets:j.offsets&&typeof j.offsets==='object'?j.offsets:{}
+      };
+    }
+  }catch{}
+  return {seen:new Set(),history:{},offsets:{}};
+}
+
+function saveState(file,s){
+  try{
+    fs.mkdirSync(path.dirname(file),{recursive:true,mode:0o700});
+    fs.writeFileSync(file,JSON.stringify({
+      seen:Array.from(s.seen||[]),
+      history:s.history||{},
+      offsets:s.offsets||{}
+    },null,2));
+  }catch{}
+}
+
+module.exports = { loadState, saveState };
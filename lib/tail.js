@@ -0,0 +1,224 @@
+'use strict';
+const fs = require('fs'), path = require('path');
+const { spawn } = require('child_process');
+const zlib = require('zlib');
+const readline = require('readline');
+
+// Log sources of the daemon: a file followed across rotation and truncation,
+// or a systemd unit read with journalctl. Both call onLine(line, { source, ... })
+// for every non-empty line and keep how far they got in `offsets` (the state
+// file's offsets, saved by the caller when onOffset fires), so a restart
+// resumes where the last run stopped.
+
+const TAIL_POLL_MS=2000;
+
+// rotated siblings of a log file (fail2ban.log.1, fail2ban.log.2.gz,
+// fail2ban.log-20250101.gz ...), oldest first
+function rotatedSiblings(filePath){
+  const dir=path.dirname(filePath), base=path.basename(filePath);
+  const re=new RegExp('^'+base.replace(/[.*+?^${}()|[\]\\]/g,'\\$&')+'[.-]\\d+(\\.gz)?$');
+  let names=[];
+  try{ names=fs.readdirSync(dir).filter(n=>re.test(n)); }catch{}
+  return names
+    .map(n=>{ const p=path.join(dir,n); try{ return {path:p,st:fs.statSync(p)}; }catch{ return null; } })
+    .filter(Boolean)
+    .sort((a,b)=>a.st.mtimeMs-b.st.mtimeMs);
+}
+
+class FileTail{
+  // opts: { backfill, offsets, onOffset, log, pollMs }; `ready` settles once
+  // the backlog (rotated files, saved offset) has been read
+  constructor(filePath,onLine,opts={}){
+    this.filePath=filePath;
+    this.onLine=onLine;
+    this.backfill=!!opts.backfill;
+    this.offsets=opts.offsets||{};
+    this.onOffset=opts.onOffset||(()=>{});
+    this.log=opts.log||(()=>{});
+    this.pollMs=opts.pollMs||TAIL_POLL_MS;
+    this.source='file:'+filePath;
+    this.pos=0;
+    this.inode=null;
+    this.buf='';
+    this.watch=null;
+    this.timer=null;
+    this.busy=false;
+    this.again=false;
+    this.closed=false;
+    this.ready=this.start().catch(e=>this.log('tail start failed for',filePath,e.message||e));
+  }
+  async start(){
+    const saved=this.offsets[this.filePath];
+    let st=null;
+    try{ st=fs.statSync(this.filePath); }catch{}
+    // a saved offset means this file was read before: replaying the rotated
+    // files again would queue (and count) the same bans twice
+    if(this.backfill&&saved){
+      this.log('Not backfilling',this.filePath+': resuming from the saved offset');
+      this.backfill=false;
+    }
+    if(this.backfill) await this._backfill();
+    if(st){
+      this.inode=st.ino;
+      if(saved&&saved.ino===st.ino&&saved.pos<=st.size){
+        this.pos=saved.pos;
+      }else if(saved&&saved.ino!==st.ino&&!this.backfill){
+        // rotated while we were down: finish the old file before the new one
+        await this._drainRotated(saved.ino,saved.pos);
+        this.pos=0;
+      }else{
+        this.pos=(saved||this.backfill)?0:st.size;
+      }
+    }else{
+      this.inode=null;
+      this.pos=0;
+    }
+    if(this.backfill){
+      // recorded now, so that a restart before the next line does not replay
+      this.offsets[this.filePath]={ino:this.inode,pos:this.pos};
+      this.onOffset();
+      this.backfill=false;
+    }
+    if(this.closed) return;
+    this._watch();
+    this.timer=setInterval(()=>this._check(),this.pollMs);
+    this.timer.unref();
+    await this._check();
+  }
+  _watch(){
+    try{ this.watch?.close(); }catch{}
+    this.watch=null;
+    try{
+      this.watch=fs.watch(this.filePath,{persistent:true},()=>this._check());
+      this.watch.on('error',()=>{ try{ this.watch?.close(); }catch{} this.watch=null; });
+    }catch(e){
+      this.log('fs.watch failed:',e.message,'(polling',this.filePath+')');
+    }
+  }
+  // serialised: fs.watch events and the poll timer may fire together
+  async _check(){
+    if(this.closed) return;
+    if(this.busy){ this.again=true; return; }
+    this.busy=true;
+    try{
+      do{
+        this.again=false;
+        let st;
+        try{ st=fs.statSync(this.filePath); }catch{ continue; }
+        if(this.inode!==null && st.ino!==this.inode){
+          await this._drainRotated(this.inode,this.pos);
+          this.inode=st.ino; this.pos=0;
+          this._watch();
+        }else if(this.inode===null){
+          this.inode=st.ino; this.pos=0;
+          this._watch();
+        }
+        await this._readNew(st);
+      }while(this.again&&!this.closed);
+    }catch{}
+    finally{ this.busy=false; }
+  }
+  async _drainRotated(ino,pos){
+    const old=rotatedSiblings(this.filePath).find(f=>f.st.ino===ino&&!f.path.endsWith('.gz'));
+    if(old&&old.st.size>pos) await this._readRange(old.path,pos,old.st.size);
+    this._flushPartial();
+  }
+  async _backfill(){
+    for(const f of rotatedSiblings(this.filePath)){
+      this.log('Backfilling',f.path);
+      let stream=fs.createReadStream(f.path);
+      if(f.path.endsWith('.gz')) stream=stream.pipe(zlib.createGunzip());
+      const rl=readline.createInterface({input:stream,crlfDelay:Infinity});
+      try{
+        for await(const line of rl) if(line.trim()) this.onLine(line,{source:this.source,backfill:true});
+      }catch(e){
+        this.log('Backfill failed for',f.path,e.message||e);
+      }
+    }
+  }
+  async _readRange(file,start,end){
+    const stream=fs.createReadStream(file,{start,end:end-1,encoding:'utf8'});
+    for await(const chunk of stream){
+      this.buf+=chunk;
+      let idx;
+      while((idx=this.buf.indexOf('\n'))>=0){
+        const line=this.buf.slice(0,idx);
+        this.buf=this.buf.slice(idx+1);
+        if(line.trim()) this.onLine(line,{source:this.source});
+      }
+    }
+  }
+  _flushPartial(){
+    const line=this.buf; this.buf='';
+    if(line.trim()) this.onLine(line,{source:this.source});
+  }
+  async _readNew(st){
+    if(st.size<this.pos){ this.pos=0; this.buf=''; }
+    if(st.size===this.pos) return;
+    await this._readRange(this.filePath,this.pos,st.size);
+    this.pos=st.size;
+    this.offsets[this.filePath]={ino:this.inode,pos:this.pos};
+    this.onOffset();
+  }
+  close(){
+    this.closed=true;
+    try{ this.watch?.close(); }catch{}
+    if(this.timer) clearInterval(this.timer);
+  }
+}
+
+// journal:<unit> source, follows `journalctl -f -o json` and resumes from the
+// saved cursor
+class JournalTail{
+  constructor(spec,onLine,opts={}){
+    this.unit=spec.slice('journal:'.length)||'fail2ban';
+    this.key='journal:'+this.unit;
+    this.source=this.key;
+    this.onLine=onLine;
+    this.backfill=!!opts.backfill;
+    this.offsets=opts.offsets||{};
+    this.onOffset=opts.onOffset||(()=>{});
+    this.log=opts.log||(()=>{});
+    this.proc=null;
+    this.closed=false;
+    this.start();
+  }
+  start(){
+    const saved=this.offsets[this.key];
+    const args=['-f','-o','json','--no-pager','-u',this.unit];
+    if(saved&&saved.cursor) args.push('--after-cursor',saved.cursor);
+    else args.push('-n',this.backfill?'all':'0');
+    this.backfill=false;
+    const proc=this.proc=spawn('journalctl',args,{stdio:['ignore','pipe','pipe']});
+    const rl=readline.createInterface({input:proc.stdout,crlfDelay:Infinity});
+    rl.on('line',l=>this._entry(l));
+    let stderr='';
+    proc.stderr.on('data',c=>{ stderr+=c.toString(); });
+    proc.on('error',e=>this.log('journalctl failed:',e.message));
+    proc.on('close',code=>{
+      if(this.closed) return;
+      this.log('journalctl exited for',this.unit,'code',code,stderr.trim());
+      setTimeout(()=>{ if(!this.closed) this.start(); },5000).unref();
+    });
+  }
+  _entry(l){
+    let j;
+    try{ j=JSON.parse(l); }catch{ return; }
+    let msg=j.MESSAGE;
+    if(Array.isArray(msg)) msg=Buffer.from(msg).toString('utf8');
+    if(typeof msg==='string'&&msg.trim()){
+      const us=parseInt(j.__REALTIME_TIMESTAMP,10);
+      this.onLine(msg,{source:this.source,ts:us?new Date(us/1000).toISOString():null});
+    }
+    if(j.__CURSOR){
+      this.offsets[this.key]={cursor:j.__CURSOR};
+      this.onOffset();
+    }
+  }
+  close(){
+    this.closed=true;
+    try{ this.proc?.kill(); }catch{}
+  }
+}
+
+module.exports = { FileTail, JournalTail, rotatedSiblings, TAIL_POLL_MS };
@@ -0,0 +1,30 @@
+'use strict';
+const fs = require('fs'), path = require('path'), net = require('net');
+
+// A Unix socket server for the daemon (events, control). A socket file left
+// by a crash is replaced; one still answering belongs to another daemon and is
+// left alone (resolves null). The file gets `mode` once bound.
+async function listenUnix(file,{ mode=0o600, dirMode=0o750, onConnection, onError=()=>{} }={}){
+  if(fs.existsSync(file)){
+    if(await socketAlive(file)) return null;
+    try{ fs.unlinkSync(file); }catch{}
+  }
+  fs.mkdirSync(path.dirname(file),{ recursive:true, mode:dirMode });
+  const server=net.createServer(onConnection);
+  await new Promise((resolve,reject)=>{
+    server.once('error',reject);
+    server.listen(file,()=>{ server.off('error',reject); resolve(); });
+  });
+  server.on('error',onError);
+  try{ fs.chmodSync(file,mode); }catch{}
+  return server;
+}
+
+function socketAlive(file){
+  return new Promise(resolve=>{
+    const c=net.connect(file,()=>{ c.destroy(); resolve(true); });
+    c.on('error',()=>resolve(false));
+  });
+}
+
+module.exports = { listenUnix, socketAlive };
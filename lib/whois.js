@@ -0,0 +1,153 @@
+'use strict';
+const { parseCidr, rangeToCidrs, cidrSize, formatCidr } = require('./cidr');
+
+// Normalized view of a whois answer for an IP:
+// {
+//   registry      RIPE | ARIN | APNIC | LACNIC | AFRINIC | null
+//   netname, range ("first - last"), cidr: ["a.b.c.d/n", ...],
+//   country, org, abuse_email, asn ("AS123")
+// }
+// RIPE, APNIC and AFRINIC share the RPSL layout (inetnum/netname/descr/
+// origin); ARIN uses NetRange/CIDR/OrgName/OrgAbuseEmail; LACNIC puts a CIDR
+// in inetnum and the owner in "owner". When several networks are listed
+// (ARIN parent + customer block, referral chains) the smallest one wins.
+
+const stripStderr=t=>(t||'').split('\n\nSTDERR:\n')[0];
+
+// key: value objects separated by blank lines; keys are lower-cased
+function whoisBlocks(text){
+  const blocks=[];
+  let cur=[];
+  for(const raw of stripStderr(text).split(/\r?\n/)){
+    const line=raw.replace(/\s+$/,'');
+    if(!line.trim()){ if(cur.length){ blocks.push(cur); cur=[]; } continue; }
+    if(/^[%#]/.test(line)) continue;
+    const m=/^([A-Za-z][\w.-]*):\s*(.*)$/.exec(line);
+    if(m) cur.push([m[1].toLowerCase(),m[2].trim()]);
+    else if(cur.length&&/^\s+\S/.test(line)) cur[cur.length-1][1]+=' '+line.trim(); // RPSL continuation
+  }
+  if(cur.length) blocks.push(cur);
+  return blocks;
+}
+
+const first=(block,...keys)=>{
+  for(const k of keys){
+    const hit=block.find(([bk,v])=>bk===k&&v);
+    if(hit) return hit[1];
+  }
+  return null;
+};
+const all=(blocks,key)=>blocks.flatMap(b=>b.filter(([k,v])=>k===key&&v).map(([,v])=>v));
+
+// LACNIC abbreviates: "200.160/20" means 200.160.0.0/20
+function expandShortV4(cidr){
+  const m=/^(\d+(?:\.\d+){0,3})\/(\d+)$/.exec(cidr);
+  if(!m) return cidr;
+  const parts=m[1].split('.');
+  while(parts.length<4) parts.push('0');
+  return `${parts.join('.')}/${m[2]}`;
+}
+
+function networkOf(block){
+  const cidrText=first(block,'cidr');
+  const rangeText=first(block,'netrange','inetnum','inet6num');
+  if(!cidrText&&!rangeText) return null;
+  let cidr=[], range=null;
+  if(cidrText) cidr=cidrText.split(/[,\s]+/).filter(Boolean);
+  if(rangeText){
+    const r=/^(\S+)\s*-\s*(\S+)$/.exec(rangeText);
+    if(r){
+      range=`${r[1]} - ${r[2]}`;
+      if(!cidr.length) cidr=rangeToCidrs(r[1],r[2]);
+    }else if(rangeText.includes('/')&&!cidr.length){
+      cidr=[expandShortV4(rangeText.split(/\s/)[0])];
+    }
+  }
+  const parsed=cidr.map(c=>parseCidr(c)).filter(Boolean);
+  if(!parsed.length) return null;
+  if(!range&&parsed.length===1){
+    const c=parsed[0];
+    range=formatCidr(c);
+  }
+  return {
+    block,
+    cidr:parsed.map(formatCidr),
+    range,
+    size:parsed.reduce((n,c)=>n+cidrSize(c),0n)
+  };
+}
+
+function detectRegistry(text,blocks){
+  const src=all(blocks,'source').map(s=>s.split(/\s/)[0].toUpperCase());
+  for(const r of ['RIPE','APNIC','AFRINIC','LACNIC','ARIN']) if(src.some(s=>s.startsWith(r))) return r;
+  if(/lacnic/i.test(text)) return 'LACNIC';
+  if(/^NetRange:/m.test(text)||/American Registry for Internet Numbers/i.test(text)) return 'ARIN';
+  if(/afrinic/i.test(text)) return 'AFRINIC';
+  if(/apnic/i.test(text)) return 'APNIC';
+  if(/ripe/i.test(text)) return 'RIPE';
+  return null;
+}
+
+const EMAIL=/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+
+function abuseEmail(text,blocks,net,section){
+  // RIPE prints it as a comment: % Abuse contact for '...' is 'abuse@example.net'
+  const ripe=/^% Abuse contact for .* is '([^']+)'/m.exec(stripStderr(text));
+  if(ripe&&EMAIL.test(ripe[1])) return ripe[1];
+  const direct=all(section,'abuse-mailbox')[0]||all(section,'orgabuseemail')[0]
+    ||all(blocks,'abuse-mailbox')[0]||all(blocks,'orgabuseemail')[0];
+  if(direct) return direct;
+  // LACNIC: follow the abuse-c handle to its contact object
+  const handles=net?[first(net.block,'abuse-c'),first(net.block,'owner-c'),first(net.block,'tech-c')].filter(Boolean):[];
+  for(const h of handles){
+    const contact=blocks.find(b=>first(b,'nic-hdl','nic-hdl-br')===h);
+    const mail=contact&&first(contact,'e-mail','abuse-mailbox','email');
+    if(mail) return mail;
+  }
+  const anyAbuse=stripStderr(text).split(/\r?\n/).find(l=>/abuse/i.test(l)&&EMAIL.test(l));
+  if(anyAbuse) return EMAIL.exec(anyAbuse)[0];
+  return null;
+}
+
+const normalizeAsn=a=>{
+  const m=/\bAS(\d+)\b/i.exec(a||'')||/^(\d+)$/.exec((a||'').trim());
+  return m?'AS'+m[1]:null;
+};
+
+function parseWhois(text){
+  const blocks=whoisBlocks(text);
+  const nets=blocks.map((b,i)=>{ const n=networkOf(b); return n&&{ ...n, index:i }; }).filter(Boolean);
+  const net=[...nets].sort((a,b)=>a.size<b.size?-1:a.size>b.size?1:0)[0]||null;
+  const nb=net?net.block:[];
+  // the objects printed after a network (its org, route, abuse contact) up to the next one
+  const next=net?nets.find(n=>n.index>net.index):null;
+  const section=net?blocks.slice(net.index,next?next.index:blocks.length):blocks;
+
+  const orgHandle=first(nb,'org');
+  const orgBlock=(orgHandle&&blocks.find(b=>first(b,'organisation')===orgHandle))
+    ||section.find(b=>first(b,'org-name','orgname'))
+    ||blocks.find(b=>first(b,'org-name','orgname'));
+  const org=first(nb,'orgname','org-name','owner')
+    ||(orgBlock&&first(orgBlock,'org-name','orgname'))
+    ||(first(nb,'organization')||'').replace(/\s*\([^)]*\)\s*$/,'')
+    ||first(nb,'descr')
+    ||null;
+
+  const asn=normalizeAsn(first(nb,'originas','origin'))
+    ||normalizeAsn(all(section,'origin')[0]||all(blocks,'originas')[0]||all(blocks,'origin')[0]||all(blocks,'aut-num')[0]||all(blocks,'asn')[0]);
+
+  const country=first(nb,'country')||all(section,'country')[0]||all(blocks,'country')[0]||null;
+
+  return {
+    registry:detectRegistry(text||'',blocks),
+    netname:first(nb,'netname'),
+    range:net?net.range:null,
+    cidr:net?net.cidr:[],
+    country:country?country.toUpperCase().slice(0,2):null,
+    org:org||null,
+    abuse_email:abuseEmail(text||'',blocks,net,section),
+    asn
+  };
+}
+
+module.exports = { parseWhois, whoisBlocks };
@@ -0,0 +1,132 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs'), path = require('path');
+const { ActionEngine, validateRules, requiredBinaries, targetOf, bannedIn } = require('../lib/actions');
+const { tmpDir } = require('./helpers');
+
+// a scan event as lib/scans.js scanEvent builds it
+const event=(extra={})=>({
+  ok:true, ip:'203.0.113.7', jail:'sshd', scan:'203.0.113.7_2026-03-01T10-00-00-000Z', country:'NL',
+  network:'203.0.113.0/24', changed:false, open_ports:[{ port:22, protocol:'tcp', service:'ssh' }],
+  ...extra
+});
+
+function engine(t,mode,rules,{ history={} }={}){
+  const dir=tmpDir(t);
+  const cfg={ mode, auditFile:path.join(dir,'actions.jsonl'), timeoutMs:5000 };
+  const logged=[];
+  const make=()=>new ActionEngine(cfg,validateRules(rules),{ log:(...a)=>logged.push(a.join(' ')), history:()=>history });
+  const audit=()=>fs.existsSync(cfg.auditFile)?fs.readFileSync(cfg.auditFile,'utf8').trim().split('\n').map(l=>JSON.parse(l)):[];
+  return { dir, cfg, logged, make, audit };
+}
+
+test('validateRules reports every bad rule by index and name', ()=>{
+  assert.throws(()=>validateRules([
+    { name:'ban', action:'fail2ban' },
+    { name:'ban', action:'ipset', set:'bad set', threshold:{ hosts:3 } },
+    { name:'net', action:'nftables', table:'filter', set:'blocked', target:'netblock', prefix:8, family:'ipx' },
+    { action:'reboot' },
+    { name:'cmd', action:'command', argv:[], when:{ colour:'red' } }
+  ]),err=>{
+    assert.deepEqual(err.errors,[
+      'actions.rules[0] (ban).jail: required',
+      'actions.rules[1] (ban).name: "ban" is used twice',
+      'actions.rules[1] (ban).threshold: only applies to target: netblock',
+      'actions.rules[1] (ban).set: unexpected characters',
+      'actions.rules[2] (net).prefix: expected 16-32',
+      'actions.rules[2] (net).family: expected an nftables family such as inet',
+      'actions.rules[3].action: expected one of fail2ban, ipset, nftables, command',
+      'actions.rules[4] (cmd).when.colour: unknown rule',
+      'actions.rules[4] (cmd).argv: expected a list of strings'
+    ]);
+    return true;
+  });
+});
+
+test('requiredBinaries lists what enforce mode runs, dry-run rules aside', ()=>{
+  const rules=validateRules([
+    { name:'ban', action:'fail2ban', jail:'recidive' },
+    { name:'set', action:'ipset', set:'fail2scan', dryRun:true },
+    { name:'hook', action:'command', argv:['/usr/local/bin/block','{ip}'] }
+  ]);
+  assert.deepEqual(requiredBinaries({ mode:'enforce' },rules),['fail2ban-client','/usr/local/bin/block']);
+  assert.deepEqual(requiredBinaries({ mode:'dry-run' },rules),[]);
+});
+
+test('targetOf blocks the IP, a prefix around it, or its whois network up to /16', ()=>{
+  const [ip,prefix,whois]=validateRules([
+    { name:'ip', action:'ipset', set:'s' },
+    { name:'prefix', action:'ipset', set:'s', target:'netblock', prefix:24, prefix6:48 },
+    { name:'whois', action:'ipset', set:'s', target:'netblock' }
+  ]);
+  assert.deepEqual(targetOf(ip,event()),{ target:'203.0.113.7' });
+  assert.equal(targetOf(prefix,event()).target,'203.0.113.0/24');
+  assert.equal(targetOf(prefix,event({ ip:'2001:db8::beef' })).target,'2001:db8::/48');
+  assert.equal(targetOf(whois,event()).target,'203.0.113.0/24');
+  assert.deepEqual(targetOf(whois,event({ network:null })),{ error:'no whois network for this IP' });
+  assert.deepEqual(targetOf(whois,event({ network:'198.51.100.0/24' })),{ error:'whois network 198.51.100.0/24 does not contain 203.0.113.7' });
+  assert.deepEqual(targetOf(whois,event({ network:'203.0.0.0/8' })),{ error:'203.0.0.0/8 is wider than /16' });
+});
+
+test('bannedIn counts the banned IPs of a network seen within the window', ()=>{
+  const now=Date.parse('2026-03-10T00:00:00Z');
+  const history={
+    '203.0.113.7':{ bans:2, lastSeen:'2026-03-09T00:00:00Z' },
+    '203.0.113.8':{ bans:1, lastSeen:'2026-02-01T00:00:00Z' },
+    '203.0.113.9':{ bans:0, lastSeen:'2026-03-09T00:00:00Z' },
+    '198.51.100.23':{ bans:1, lastSeen:'2026-03-09T00:00:00Z' }
+  };
+  const cidr=targetOf(validateRules([{ name:'n', action:'ipset', set:'s', target:'netblock', prefix:24 }])[0],event()).cidr;
+  assert.equal(bannedIn(history,cidr,0,now),2);
+  assert.equal(bannedIn(history,cidr,7,now),1);
+});
+
+test('ActionEngine in dry-run audits what it would run, once per target', async t=>{
+  const e=engine(t,'dry-run',[
+    { name:'recidive', action:'fail2ban', jail:'recidive', when:{ ports:[1080] } },
+    { name:'ssh', action:'nftables', table:'filter', set:'blocked', timeout:3600, when:{ services:['ssh'] } }
+  ]);
+  const actions=e.make();
+  const first=await actions.evaluate(event());
+  assert.deepEqual(first.map(a=>[a.rule,a.mode,a.ok,a.cmd.join(' ')]),[
+    ['ssh','dry-run',true,'nft add element inet filter blocked { 203.0.113.7 timeout 3600s }']
+  ]);
+  assert.ok(Date.parse(first[0].until)>Date.now());
+  assert.deepEqual(await actions.evaluate(event()),[],'still in force');
+  assert.deepEqual(await actions.evaluate(event({ ok:false })),[],'failed scans are ignored');
+  // a restarted daemon reads what is in force from the audit log
+  assert.deepEqual(await e.make().evaluate(event()),[]);
+  assert.equal(e.audit().length,1);
+  assert.match(e.logged[0],/ssh \(dry run\) would run: nft add element/);
+});
+
+test('ActionEngine runs command rules in enforce mode and audits refusals', async t=>{
+  const file=path.join(tmpDir(t),'ran.txt');
+  const e=engine(t,'enforce',[
+    { name:'hook', action:'command', argv:[process.execPath,'-e','require("fs").appendFileSync(process.argv[1],process.argv.slice(2).join(" ")+"\\n")',file,'{ip}','{jail}','{rule}'] },
+    { name:'net', action:'command', target:'netblock', argv:[process.execPath,'-e',''] },
+    { name:'broken', action:'command', argv:[process.execPath,'-e','process.stderr.write("no such set");process.exit(1)'] }
+  ]);
+  const ran=e.make();
+  const out=await ran.evaluate(event({ network:null }));
+  assert.deepEqual(out.map(a=>[a.rule,a.ok,a.err||null]),[
+    ['hook',true,null],
+    ['net',false,'no whois network for this IP'],
+    ['broken',false,'no such set']
+  ]);
+  assert.equal(fs.readFileSync(file,'utf8'),'203.0.113.7 sshd hook\n');
+  assert.deepEqual(e.audit().map(a=>[a.rule,a.mode,a.ok]),[['hook','enforce',true],['net','enforce',false],['broken','enforce',false]]);
+  // a failed run is tried again on the next scan, a successful one is not
+  assert.deepEqual((await ran.evaluate(event())).map(a=>a.rule),['net','broken']);
+});
+
+test('ActionEngine blocks a netblock only past its threshold of banned hosts', async t=>{
+  const history={ '203.0.113.7':{ bans:1, lastSeen:new Date().toISOString() } };
+  const e=engine(t,'dry-run',[{ name:'net', action:'ipset', set:'nets', target:'netblock', threshold:{ hosts:2, days:30 } }],{ history });
+  const actions=e.make();
+  assert.deepEqual(await actions.evaluate(event()),[]);
+  history['203.0.113.8']={ bans:3, lastSeen:new Date().toISOString() };
+  const out=await actions.evaluate(event({ ip:'203.0.113.8' }));
+  assert.deepEqual(out.map(a=>[a.target,a.hosts,a.cmd.join(' ')]),[['203.0.113.0/24',2,'ipset add nets 203.0.113.0/24 -exist']]);
+});
@@ -0,0 +1,126 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs'), path = require('path');
+const { spawn } = require('child_process');
+const { request } = require('../lib/control');
+const { loadState } = require('../lib/state');
+const { JobStore } = require('../lib/jobstore');
+const { ROOT, tmpDir, testSettings, stubPath, waitFor, fixture } = require('./helpers');
+
+const DAEMON=path.join(ROOT,'bin','daemon.js');
+
+// bin/daemon.js with the stub tools, HOME in `dir`; resolves with its exit
+function daemon(t,dir,args,{ timeoutMs=30000 }={}){
+  const proc=spawn(process.execPath,[DAEMON,...args],{ env:{ ...process.env, PATH:stubPath(), HOME:dir }, stdio:['ignore','pipe','pipe'] });
+  let stdout='', stderr='';
+  proc.stdout.on('data',c=>{ stdout+=c; });
+  proc.stderr.on('data',c=>{ stderr+=c; });
+  const timer=setTimeout(()=>proc.kill('SIGKILL'),timeoutMs);
+  const exited=new Promise(resolve=>proc.on('close',(code,signal)=>{ clearTimeout(timer); resolve({ code, signal, stdout, stderr }); }));
+  t.after(()=>{ if(proc.exitCode===null&&proc.signalCode===null) proc.kill('SIGKILL'); });
+  return { proc, exited, output:()=>stdout+stderr };
+}
+
+function writeConfig(dir,extra={}){
+  const file=path.join(dir,'config.json');
+  fs.writeFileSync(file,JSON.stringify(testSettings(dir,{ scan:{ profile:'quick' }, ...extra }),null,2));
+  return file;
+}
+const summaries=out=>{
+  const found=[];
+  for(const day of fs.existsSync(out)?fs.readdirSync(out):[])
+    for(const scan of fs.readdirSync(path.join(out,day))){
+      const f=path.join(out,day,scan,'summary.json');
+      if(fs.existsSync(f)) found.push(JSON.parse(fs.readFileSync(f,'utf8')));
+    }
+  return found;
+};
+
+test('daemon --help prints the options and exits', async t=>{
+  const r=await daemon(t,tmpDir(t),['--help']).exited;
+  assert.equal(r.code,0);
+  assert.match(r.stdout,/--scan-ip IP/);
+});
+
+test('daemon rejects an invalid configuration with exit code 2', async t=>{
+  const dir=tmpDir(t);
+  const r=await daemon(t,dir,['--config',writeConfig(dir,{ scan:{ profile:'no-such-profile' } })]).exited;
+  assert.equal(r.code,2);
+  assert.match(r.stderr,/unknown scan profile\(s\): no-such-profile/);
+});
+
+test('daemon --scan-ip scans one IP and exits', async t=>{
+  const dir=tmpDir(t);
+  const r=await daemon(t,dir,['--config',writeConfig(dir),'--scan-ip','203.0.113.7']).exited;
+  assert.equal(r.code,0,r.stderr);
+  const [summary]=summaries(path.join(dir,'out'));
+  assert.equal(summary.ip,'203.0.113.7');
+  assert.deepEqual(summary.open_ports.map(p=>p.split(' ')[0]),['22/tcp','80/tcp']);
+});
+
+test('daemon checks --scan-ip and --jail before loading the configuration', async t=>{
+  const dir=tmpDir(t);
+  const config=writeConfig(dir);
+  let r=await daemon(t,dir,['--config',config,'--scan-ip','example.org']).exited;
+  assert.equal(r.code,2);
+  assert.match(r.stderr,/--scan-ip: not an IP address: example\.org/);
+  r=await daemon(t,dir,['--config',config,'--jail','sshd']).exited;
+  assert.equal(r.code,2);
+  assert.match(r.stderr,/--jail only applies to --scan-ip/);
+  r=await daemon(t,dir,['--config',config,'--scan-ip']).exited;
+  assert.equal(r.code,2);
+  assert.match(r.stderr,/--scan-ip needs a value/);
+});
+
+test('daemon --scan-ip refuses an address the guard refuses', async t=>{
+  const dir=tmpDir(t);
+  const r=await daemon(t,dir,['--config',writeConfig(dir),'--scan-ip','192.168.1.10']).exited;
+  assert.equal(r.code,1);
+  assert.match(r.stderr,/Refusing to scan 192\.168\.1\.10: private \(RFC 1918\) \(192\.168\.0\.0\/16, see guard\.allow\)/);
+  assert.equal(fs.existsSync(path.join(dir,'out')),false);
+});
+
+test('daemon scans the bans of a followed log and stops cleanly', async t=>{
+  const dir=tmpDir(t);
+  const log=path.join(dir,'fail2ban.log');
+  const socket=path.join(dir,'ctl.sock');
+  fs.writeFileSync(log,'');
+  const d=daemon(t,dir,['--config',writeConfig(dir,{ control:{ socket } })]);
+  await waitFor(()=>fs.existsSync(socket),{ timeoutMs:10000, what:`the control socket (${d.output()})` });
+
+  fs.appendFileSync(log,fs.readFileSync(fixture('logs','fail2ban.log')));
+  const out=path.join(dir,'out');
+  await waitFor(()=>summaries(out).length>=3,{ timeoutMs:20000, everyMs:100, what:'3 scans' });
+
+  const scans=summaries(out);
+  assert.deepEqual(scans.map(s=>s.ip).sort(),['198.51.100.23','2001:db8::beef','203.0.113.7']);
+  const ssh=scans.find(s=>s.ip==='203.0.113.7');
+  assert.equal(ssh.ban.jail,'sshd');
+  assert.equal(ssh.ban.evidence.length,3);
+
+  await waitFor(async()=>(await request(socket,{ cmd:'status' })).scans.completed===3,{ timeoutMs:5000, what:'3 completed scans' });
+  const status=await request(socket,{ cmd:'status' });
+  assert.equal(status.skipped.guard,2,'10.20.30.40 and the line without an address');
+  assert.equal(status.bans.sshd,2);
+  assert.equal(status.bans['nginx-http-auth'],1);
+  assert.equal(status.sources[0].lines,fs.readFileSync(log,'utf8').split('\n').filter(l=>l.trim()).length);
+
+  // ctl scan --profile: a jail profile, or else a scan profile
+  await assert.rejects(request(socket,{ cmd:'scan', ip:'203.0.113.9', profile:'nope' }),/unknown profile nope .*scan profiles: quick, standard, deep, udp-top/);
+  const queued=await request(socket,{ cmd:'scan', ip:'203.0.113.9', profile:'udp-top' });
+  assert.equal(queued.profile,'default');
+  assert.equal(queued.scanProfile,'udp-top');
+  await waitFor(()=>summaries(out).some(s=>s.ip==='203.0.113.9'),{ timeoutMs:10000, what:'the ctl scan' });
+  assert.equal(summaries(out).find(s=>s.ip==='203.0.113.9').cmds.nmap.profile,'udp-top');
+
+  d.proc.kill('SIGTERM');
+  const r=await d.exited;
+  assert.equal(r.code,0,r.stderr);
+  assert.equal(fs.existsSync(socket),false,'control socket removed');
+  const state=loadState(path.join(dir,'state.json'));
+  assert.equal(state.offsets[log].pos,fs.statSync(log).size);
+  assert.ok(state.history['203.0.113.7'].nextScanAt);
+  assert.equal(new JobStore(path.join(dir,'queue.jsonl')).load().live().length,0);
+  assert.match(fs.readFileSync(path.join(dir,'skipped.jsonl'),'utf8'),/10\.20\.30\.40/);
+});
@@ -0,0 +1,123 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs'), path = require('path');
+const { collectScans, record, toStix, toMisp, toCsv, uuid5 } = require('../lib/export');
+const { tmpDir } = require('./helpers');
+
+// a summary.json as performScan writes it, reduced to what the exports read
+const summary=(ip,ts,extra={})=>({
+  ip, ts, ban:{ jail:'sshd', ts, evidence:['Failed password for root','Failed password for admin'] },
+  whois:{ country:'NL', asn:'AS64500', org:'Example Hosting Ltd', cidr:['203.0.113.0/24'] },
+  ports:[{ port:22, protocol:'tcp', state:'open', service:'ssh', product:'OpenSSH', version:'8.9p1' },
+    { port:25, protocol:'tcp', state:'closed' }],
+  cmds:{ nmap:{ ok:true }, whois:{ ok:true } },
+  ...extra
+});
+const scanDir=(out,s)=>path.join(out,s.ts.slice(0,10),`${s.ip}_${s.ts.replace(/[:.]/g,'-')}`);
+const records=(out='/var/log/fail2scan')=>[
+  summary('203.0.113.7','2026-03-01T10:00:00.000Z'),
+  summary('203.0.113.7','2026-03-02T10:00:00.000Z',{ ports:[{ port:22, protocol:'tcp', state:'open', service:'ssh' },{ port:1080, protocol:'tcp', state:'open', service:'socks5' }] }),
+  summary('2001:db8::beef','2026-03-02T11:00:00.000Z',{ ban:{ jail:'nginx-http-auth', ts:'2026-03-02T10:59:00.000Z' }, whois:null, ports:[] })
+].map(s=>record(s,scanDir(out,s)));
+const now=new Date('2026-03-05T00:00:00.000Z');
+
+test('uuid5 follows RFC 4122', ()=>{
+  assert.equal(uuid5('www.example.com','6ba7b810-9dad-11d1-80b4-00c04fd430c8'),'2ed6657d-e927-568b-95e1-2665a8aea6a2');
+});
+
+test('toStix builds a STIX 2.1 bundle whose references all resolve', ()=>{
+  const bundle=toStix(records(),{ producer:'Fail2Scan on test', now, tlp:'amber' });
+  assert.equal(bundle.type,'bundle');
+  assert.match(bundle.id,/^bundle--[0-9a-f-]{36}$/);
+  const ids=new Set(bundle.objects.map(o=>o.id));
+  assert.equal(ids.size,bundle.objects.length,'no duplicates');
+  for(const o of bundle.objects){
+    assert.equal(o.spec_version,'2.1');
+    assert.match(o.id,new RegExp(`^${o.type}--[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$`));
+    for(const ref of [o.created_by_ref,o.source_ref,o.target_ref,o.dst_ref,...(o.object_refs||[])].filter(Boolean)) assert.ok(ids.has(ref),`${o.id} -> ${ref}`);
+  }
+  const of=type=>bundle.objects.filter(o=>o.type===type);
+  assert.deepEqual(bundle.objects[0],{ type:'identity', id:bundle.objects[0].id, spec_version:'2.1', created:now.toISOString(), modified:now.toISOString(), name:'Fail2Scan on test', identity_class:'system' });
+  assert.deepEqual(of('ipv4-addr').map(o=>o.value),['203.0.113.7']);
+  assert.deepEqual(of('ipv6-addr').map(o=>o.value),['2001:db8::beef']);
+  assert.deepEqual(of('autonomous-system').map(o=>[o.number,o.name]),[[64500,'Example Hosting Ltd']]);
+  // 22/tcp is the same observable in both scans of .7
+  assert.deepEqual(of('network-traffic').map(o=>[o.dst_port,o.protocols]),[[22,['tcp','ssh']],[1080,['tcp','socks5']]]);
+  assert.deepEqual(of('observed-data').map(o=>[o.first_observed,o.object_refs.length,o.labels]),[
+    ['2026-03-01T10:00:00.000Z',3,['fail2ban-jail:sshd']],
+    ['2026-03-02T10:00:00.000Z',4,['fail2ban-jail:sshd']],
+    ['2026-03-02T11:00:00.000Z',1,['fail2ban-jail:nginx-http-auth']]
+  ]);
+
+  const [ind]=of('indicator');
+  assert.equal(ind.pattern,"[ipv4-addr:value = '203.0.113.7']");
+  assert.equal(ind.pattern_type,'stix');
+  assert.equal(ind.valid_from,'2026-03-01T10:00:00.000Z');
+  assert.equal(ind.modified,'2026-03-02T10:00:00.000Z');
+  assert.deepEqual(ind.indicator_types,['malicious-activity']);
+  assert.match(ind.description,/Open ports: 22\/tcp ssh OpenSSH 8\.9p1; 22\/tcp ssh; 1080\/tcp socks5\./);
+  assert.equal(of('indicator')[1].pattern,"[ipv6-addr:value = '2001:db8::beef']");
+  assert.deepEqual(of('relationship').filter(r=>r.relationship_type==='based-on').map(r=>r.source_ref),[ind.id,ind.id,of('indicator')[1].id]);
+
+  // the TLP marks what we assert (SDOs), not the observables
+  const amber='marking-definition--f88d31f6-486f-44da-b317-01333bde0b82';
+  for(const o of bundle.objects){
+    if(['indicator','observed-data','relationship'].includes(o.type)) assert.deepEqual(o.object_marking_refs,[amber]);
+    else assert.equal(o.object_marking_refs,undefined);
+  }
+});
+
+test('toStix gives the same scans the same ids', ()=>{
+  const a=toStix(records(),{ now }), b=toStix(records(),{ now });
+  assert.notEqual(a.id,b.id);
+  assert.deepEqual(a.objects,b.objects);
+});
+
+test('toMisp builds one unpublished event with ip-src attributes and ip-port / asn objects', ()=>{
+  const { Event:ev }=toMisp(records(),{ producer:'Fail2Scan on test', now, tlp:'green' });
+  assert.equal(ev.info,'Fail2Scan on test: 2 banned IP(s), 2026-03-01 to 2026-03-02');
+  assert.equal(ev.date,'2026-03-01');
+  assert.equal(ev.timestamp,String(now.getTime()/1000));
+  assert.deepEqual([ev.published,ev.distribution,ev.threat_level_id,ev.analysis],[false,'0','3','2']);
+  assert.deepEqual(ev.Tag,[{ name:'fail2scan' },{ name:'tlp:green' }]);
+
+  assert.deepEqual(ev.Attribute.map(a=>[a.type,a.category,a.to_ids,a.value,a.first_seen,a.last_seen,a.Tag]),[
+    ['ip-src','Network activity',true,'203.0.113.7','2026-03-01T10:00:00.000Z','2026-03-02T10:00:00.000Z',[{ name:'fail2ban:jail="sshd"' }]],
+    ['ip-src','Network activity',true,'2001:db8::beef','2026-03-02T10:59:00.000Z','2026-03-02T11:00:00.000Z',[{ name:'fail2ban:jail="nginx-http-auth"' }]]
+  ]);
+  assert.equal(ev.Attribute[0].comment,'banned by fail2ban (sshd), scanned 2 time(s)');
+
+  const ports=ev.Object.filter(o=>o.name==='ip-port');
+  assert.ok(ports.every(o=>o.template_uuid==='9f8cea74-16fe-4968-a2b4-026676949ac6'&&o['meta-category']==='network'));
+  assert.deepEqual(ports.map(o=>o.Attribute.map(a=>`${a.object_relation}=${a.value}`)),[
+    ['ip=203.0.113.7','dst-port=22','text=22/tcp ssh'],
+    ['ip=203.0.113.7','dst-port=1080','text=1080/tcp socks5']
+  ]);
+  assert.deepEqual(ev.Object.filter(o=>o.name==='asn').map(o=>o.Attribute.map(a=>`${a.object_relation}=${a.value}`)),[
+    ['asn=AS64500','description=Example Hosting Ltd','country=NL']
+  ]);
+
+  const uuids=[ev.uuid,...ev.Attribute.map(a=>a.uuid),...ev.Object.flatMap(o=>[o.uuid,...o.Attribute.map(a=>a.uuid)])];
+  assert.equal(new Set(uuids).size,uuids.length);
+  assert.deepEqual(toMisp(records(),{ now }).Event.Attribute.map(a=>a.uuid),ev.Attribute.map(a=>a.uuid),'stable across exports');
+});
+
+test('toMisp and toStix export no scans as an empty event and bundle', ()=>{
+  assert.equal(toMisp([],{ producer:'Fail2Scan on test', now }).Event.info,'Fail2Scan on test: no scans');
+  assert.deepEqual(toStix([],{ now }).objects.map(o=>o.type),['identity']);
+});
+
+test('collectScans reads the scans of a period from the output tree, oldest first', async t=>{
+  const out=path.join(tmpDir(t),'out');
+  for(const s of [summary('203.0.113.7','2026-03-02T10:00:00.000Z'),summary('198.51.100.23','2026-03-01T12:00:00.000Z'),summary('203.0.113.7','2026-02-20T10:00:00.000Z')]){
+    fs.mkdirSync(scanDir(out,s),{ recursive:true });
+    fs.writeFileSync(path.join(scanDir(out,s),'summary.json'),JSON.stringify(s));
+  }
+  const found=await collectScans(out,{ since:'2026-03-01T00:00:00.000Z' });
+  assert.deepEqual(found.map(r=>[r.ip,r.ts,r.evidence.length]),[['198.51.100.23','2026-03-01T12:00:00.000Z',2],['203.0.113.7','2026-03-02T10:00:00.000Z',2]]);
+  assert.deepEqual((await collectScans(out,{ ips:['203.0.113.7'] })).map(r=>r.ts),['2026-02-20T10:00:00.000Z','2026-03-02T10:00:00.000Z']);
+  const rows=toCsv(found).split('\r\n');
+  assert.match(rows[0],/^scan,ts,ip,jail,banned_at,evidence,ok,error,country,asn/);
+  assert.match(rows[2],/203\.0\.113\.7,sshd,.*,2,true,,NL,AS64500,Example Hosting Ltd/);
+});
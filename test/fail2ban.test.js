@@ -0,0 +1,98 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFail2banLine, EvidenceBuffer } = require('../lib/fail2ban');
+const { extractIp, IpGuard } = require('../lib/ipguard');
+const { lineHandler } = require('../lib/queue');
+const { tmpDir, testConfig, fixtureLines } = require('./helpers');
+
+const LINES=fixtureLines('logs','fail2ban.log');
+const line=needle=>LINES.find(l=>l.includes(needle));
+
+test('parseFail2banLine reads bans with their jail, time and logger', ()=>{
+  const ev=parseFail2banLine(line('Ban 203.0.113.7'));
+  assert.equal(ev.action,'ban');
+  assert.equal(ev.jail,'sshd');
+  assert.equal(ev.ip,'203.0.113.7');
+  assert.equal(ev.time,'2025-10-12 14:30:00,123');
+  assert.equal(ev.logger,'fail2ban.actions');
+  assert.equal(ev.pid,1187);
+  assert.equal(ev.level,'NOTICE');
+  assert.ok(ev.ts.startsWith('2025-10-1'));
+});
+
+test('parseFail2banLine tells Ban from Restore Ban, Unban and Found', ()=>{
+  assert.equal(parseFail2banLine(line('Restore Ban 203.0.113.50')).action,'restore-ban');
+  assert.equal(parseFail2banLine(line('Unban 203.0.113.50')).action,'unban');
+  const found=parseFail2banLine(line('Found 203.0.113.7 - 2025-10-12 14:29:57'));
+  assert.equal(found.action,'found');
+  assert.equal(found.rest,'- 2025-10-12 14:29:57');
+});
+
+test('parseFail2banLine keeps IPv6 addresses', ()=>{
+  const ev=parseFail2banLine(line('Ban 2001:db8::beef'));
+  assert.equal(ev.ip,'2001:db8::beef');
+  assert.equal(ev.jail,'nginx-http-auth');
+});
+
+test('parseFail2banLine reads journald lines without a timestamp', ()=>{
+  const ev=parseFail2banLine('fail2ban.actions        [1187]: NOTICE  [sshd] Ban 203.0.113.7');
+  assert.equal(ev.ip,'203.0.113.7');
+  assert.equal(ev.time,null);
+  assert.equal(parseFail2banLine('[sshd] Ban 203.0.113.7').jail,'sshd');
+});
+
+test('parseFail2banLine: malformed lines give null, a bad address a null ip', ()=>{
+  for(const l of [LINES.find(l=>l.endsWith('14:31:3')),line('garbage'),LINES.find(l=>l.endsWith('[sshd')),line('f2b/sshd] Ban')]) assert.equal(parseFail2banLine(l),null,l);
+  const ev=parseFail2banLine(line('not-an-address'));
+  assert.equal(ev.action,'ban');
+  assert.equal(ev.ip,null);
+});
+
+test('extractIp finds the banned address in lines of any layout', ()=>{
+  assert.equal(extractIp(line('Ban 203.0.113.7')),'203.0.113.7');
+  assert.equal(extractIp(line('f2b/sshd] Ban')),'198.51.100.23');
+  assert.equal(extractIp('[sshd] Ban 2001:DB8:0:0::BEEF'),'2001:db8::beef');
+  assert.equal(extractIp('[sshd] Ban ::ffff:203.0.113.9'),'203.0.113.9');
+  assert.equal(extractIp('[sshd] Ban 203.0.113.7;'),'203.0.113.7');
+  assert.equal(extractIp('user=root rhost=198.51.100.4 port=22'),'198.51.100.4');
+  assert.equal(extractIp(line('garbage')),null);
+  assert.equal(extractIp('[sshd] Ban 999.1.1.1'),null);
+});
+
+test('EvidenceBuffer hands the Found lines of the jail over with the ban', ()=>{
+  const ev=new EvidenceBuffer();
+  for(const l of LINES){
+    const e=parseFail2banLine(l);
+    if(e&&e.action==='found') ev.add(e);
+  }
+  const taken=ev.take(parseFail2banLine(line('Ban 203.0.113.7')));
+  assert.deepEqual(taken.map(e=>e.action),['found','found','ban']);
+  assert.equal(ev.take(parseFail2banLine(line('Ban 203.0.113.7'))).length,1,'taken once');
+});
+
+test('lineHandler queues the bans of a log and skips the rest', t=>{
+  const dir=tmpDir(t);
+  const cfg=testConfig(dir);
+  const pushed=[], refused=[];
+  const queue={
+    guard:new IpGuard(cfg.guard),
+    push:(ip,meta)=>pushed.push({ ip, meta }),
+    refuse:(input,verdict)=>refused.push({ input, reason:verdict.reason, ip:verdict.ip })
+  };
+  const onLine=lineHandler(queue,{ evidence:new EvidenceBuffer() });
+  for(const l of LINES) onLine(l,{ source:'file:fail2ban.log' });
+
+  assert.deepEqual(pushed.map(p=>p.ip),['203.0.113.7','2001:db8::beef','10.20.30.40','198.51.100.23']);
+  const ssh=pushed[0].meta.ban;
+  assert.equal(ssh.jail,'sshd');
+  assert.equal(ssh.source,'file:fail2ban.log');
+  assert.equal(ssh.evidence.length,3);
+  assert.equal(pushed[1].meta.ban.evidence.length,2);
+  // unrecognised layout: no ban details, the line is kept
+  assert.equal(pushed[3].meta.ban,undefined);
+  assert.match(pushed[3].meta.line,/custom logtarget/);
+  // a Ban line without an address is refused as such
+  assert.equal(refused.length,1);
+  assert.equal(refused[0].input,null);
+});
@@ -0,0 +1,47 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFilter, matches } = require('../lib/filter');
+
+// a scan event as lib/scans.js scanEvent builds it
+const event=(extra={})=>({
+  ok:true, ip:'203.0.113.7', jail:'sshd', country:'NL', changed:false,
+  open_ports:[{ port:22, protocol:'tcp', service:'ssh' },{ port:1080, protocol:'tcp', service:'socks5' }],
+  ...extra
+});
+const filter=f=>{
+  const errs=[];
+  const out=validateFilter(f,errs);
+  assert.deepEqual(errs,[]);
+  return out;
+};
+
+test('filter failed: true matches failed scans only, false successful ones only', ()=>{
+  const ok=event(), failed=event({ ok:false, error:'nmap failed' });
+  assert.equal(matches(filter({ failed:true }),failed),true);
+  assert.equal(matches(filter({ failed:true }),ok),false);
+  assert.equal(matches(filter({ failed:false }),ok),true);
+  assert.equal(matches(filter({ failed:false }),failed),false);
+  assert.equal(matches(filter({}),failed),true,'no rule: both');
+});
+
+test('filter rules must all hold', ()=>{
+  const f=filter({ countries:['nl'], ports:['1080/tcp'], services:['SOCKS5'], jails:'sshd', minOpenPorts:2 });
+  assert.equal(matches(f,event()),true);
+  assert.equal(matches(f,event({ country:'DE' })),false);
+  assert.equal(matches(f,event({ jail:'recidive' })),false);
+  assert.equal(matches(f,event({ open_ports:[{ port:1080, protocol:'udp', service:'socks5' }] })),false);
+  assert.equal(matches(filter({ changedOnly:true }),event()),false);
+  assert.equal(matches(filter({ changedOnly:true }),event({ changed:true })),true);
+});
+
+test('validateFilter reports every bad rule', ()=>{
+  const errs=[];
+  validateFilter({ failed:'yes', ports:[70000], countries:['NLD'], colour:'red' },errs,'notify.sinks[0].filter');
+  assert.deepEqual(errs.sort(),[
+    'notify.sinks[0].filter.colour: unknown rule',
+    'notify.sinks[0].filter.countries: expected two-letter country codes',
+    'notify.sinks[0].filter.failed: expected true or false',
+    'notify.sinks[0].filter.ports: expected ports such as 22 or "3389/tcp"'
+  ]);
+});
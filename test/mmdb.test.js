@@ -0,0 +1,140 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs'), path = require('path');
+const { MmdbReader, MmdbError } = require('../lib/mmdb');
+const { geoProvider } = require('../lib/geo');
+const { tmpDir } = require('./helpers');
+
+// -------------------- a tiny MMDB writer --------------------
+// ptr(n) stands for a pointer to offset n of the data section
+const ptr=n=>({ ptr:n });
+const ctrl=(type,size)=>{
+  const [low,...extra]=size<29?[size]:[29,size-29];
+  return Buffer.from(type<=7?[type<<5|low,...extra]:[low,type-7,...extra]);
+};
+const uint=(type,n)=>{
+  const bytes=[];
+  for(let v=n;v>0;v=Math.floor(v/256)) bytes.unshift(v%256);
+  return Buffer.concat([ctrl(type,bytes.length),Buffer.from(bytes)]);
+};
+function encode(v){
+  if(typeof v==='string') return Buffer.concat([ctrl(2,Buffer.byteLength(v)),Buffer.from(v)]);
+  if(typeof v==='boolean') return ctrl(14,v?1:0);
+  if(typeof v==='bigint'){ const b=Buffer.alloc(8); b.writeBigUInt64BE(v); return Buffer.concat([ctrl(9,8),b]); }
+  if(typeof v==='number'&&!Number.isInteger(v)){ const b=Buffer.alloc(8); b.writeDoubleBE(v); return Buffer.concat([ctrl(3,8),b]); }
+  if(typeof v==='number'&&v<0){ const b=Buffer.alloc(4); b.writeInt32BE(v); return Buffer.concat([ctrl(8,4),b]); }
+  if(typeof v==='number') return uint(v<65536?5:6,v);
+  if(Array.isArray(v)) return Buffer.concat([ctrl(11,v.length),...v.map(encode)]);
+  if('ptr' in v) return Buffer.from([1<<5|v.ptr>>8,v.ptr&0xff]);
+  return Buffer.concat([ctrl(7,Object.keys(v).length),...Object.entries(v).flatMap(([k,x])=>[encode(k),encode(x)])]);
+}
+
+const bitsOf=(ip,len)=>{
+  const bytes=ip.includes(':')
+    ? ip.split(':').flatMap(g=>[parseInt(g||'0',16)>>8,parseInt(g||'0',16)&0xff])
+    : ip.split('.').map(Number);
+  return Array.from({ length:len },(_,i)=>(bytes[i>>3]>>(7-(i&7)))&1);
+};
+
+// networks: [[cidr (IPv6 written out in full), record]]; `shared` goes first in the
+// data section so records can point at it
+function buildMmdb(networks,{ recordSize=24, ipVersion=6, shared=[] }={}){
+  const nodes=[[null,null]];
+  let data=Buffer.concat(shared.map(encode));
+  for(const [cidr,record] of networks){
+    const [ip,len]=cidr.split('/');
+    const bits=ipVersion===6&&!ip.includes(':')?[...Array(96).fill(0),...bitsOf(ip,+len)]:bitsOf(ip,+len);
+    let node=0;
+    bits.forEach((b,i)=>{
+      if(i===bits.length-1){ nodes[node][b]={ data:data.length }; return; }
+      if(nodes[node][b]===null){ nodes.push([null,null]); nodes[node][b]=nodes.length-1; }
+      node=nodes[node][b];
+    });
+    data=Buffer.concat([data,encode(record)]);
+  }
+  const n=nodes.length;
+  const value=r=>r===null?n:typeof r==='number'?r:n+16+r.data;
+  const tree=Buffer.concat(nodes.map(([l,r])=>{
+    const b=Buffer.alloc(recordSize/4);
+    if(recordSize===24){ b.writeUIntBE(value(l),0,3); b.writeUIntBE(value(r),3,3); }
+    else if(recordSize===32){ b.writeUInt32BE(value(l),0); b.writeUInt32BE(value(r),4); }
+    else{
+      b.writeUIntBE(value(l)&0xffffff,0,3);
+      b[3]=(value(l)>>24&0x0f)<<4|value(r)>>24&0x0f;
+      b.writeUIntBE(value(r)&0xffffff,4,3);
+    }
+    return b;
+  }));
+  const metadata={ node_count:n, record_size:recordSize, ip_version:ipVersion, database_type:'Fail2Scan-Test',
+    languages:['en','de'], binary_format_major_version:2, binary_format_minor_version:0, build_epoch:1772323200,
+    description:{ en:'test database' } };
+  return Buffer.concat([tree,Buffer.alloc(16),data,Buffer.from('abcdef4d61784d696e642e636f6d','hex'),encode(metadata)]);
+}
+
+// a GeoLite2-City shaped record, its country names shared through a pointer
+const NL={ iso_code:'NL', names:{ en:'Netherlands', de:'Niederlande' } };
+const CITY=[
+  ['203.0.113.0/24',{ continent:{ code:'EU' }, country:ptr(0), city:{ names:{ en:'Amsterdam' } },
+    location:{ latitude:52.3759, longitude:4.8975, time_zone:'Europe/Amsterdam', accuracy_radius:20 },
+    postal:{ code:'1012' }, subdivisions:[{ names:{ en:'North Holland', de:'Nordholland' } }] }],
+  ['2001:0db8:0:0:0:0:0:0/32',{ country:ptr(0), is_anycast:true, offset:-120, big:18446744073709551615n }]
+];
+const ASN=[['203.0.113.0/25',{ autonomous_system_number:64500, autonomous_system_organization:'Example Hosting Ltd' }]];
+
+for(const recordSize of [24,28,32]){
+  test(`MmdbReader walks a ${recordSize}-bit tree to its records`, ()=>{
+    const db=new MmdbReader(buildMmdb(CITY,{ recordSize, shared:[NL] }));
+    assert.equal(db.metadata.database_type,'Fail2Scan-Test');
+    assert.deepEqual(db.metadata.languages,['en','de']);
+    const hit=db.lookup('203.0.113.7');
+    assert.equal(hit.prefixLength,24);
+    assert.deepEqual(hit.data.country,NL);
+    assert.deepEqual(hit.data.location,{ latitude:52.3759, longitude:4.8975, time_zone:'Europe/Amsterdam', accuracy_radius:20 });
+    assert.equal(db.lookup('2001:db8::beef').prefixLength,32);
+    assert.equal(db.lookup('203.0.114.7'),null);
+    assert.equal(db.get('2001:db9::1'),null);
+  });
+}
+
+test('MmdbReader decodes pointers, booleans, signed and 64-bit integers', ()=>{
+  const db=new MmdbReader(buildMmdb(CITY,{ shared:[NL] }));
+  assert.deepEqual(db.get('2001:db8:1::1'),{ country:NL, is_anycast:true, offset:-120, big:'18446744073709551615' });
+  assert.equal(db.metadata.build_epoch,1772323200);
+});
+
+test('an IPv4 database answers no IPv6 address', ()=>{
+  const db=new MmdbReader(buildMmdb(ASN,{ ipVersion:4 }));
+  assert.deepEqual(db.lookup('203.0.113.7'),{ data:ASN[0][1], prefixLength:25 });
+  assert.equal(db.get('203.0.113.200'),null);
+  assert.equal(db.get('2001:db8::1'),null);
+});
+
+test('MmdbReader rejects other files and bad addresses', ()=>{
+  assert.throws(()=>new MmdbReader(Buffer.from('GIF89a'),'/tmp/x.mmdb'),
+    err=>err instanceof MmdbError&&err.message==='/tmp/x.mmdb: not a MaxMind DB file (metadata marker missing)');
+  const bad=buildMmdb(ASN,{ ipVersion:4 }).toString('latin1').replace('record_size\xa1\x18','record_size\xa1\x16');
+  assert.throws(()=>new MmdbReader(Buffer.from(bad,'latin1')),/unsupported record size 22/);
+  assert.throws(()=>new MmdbReader(buildMmdb(ASN)).lookup('203.0.113'),/invalid IP address 203\.0\.113/);
+});
+
+test('the mmdb geo provider merges the city and ASN databases', async t=>{
+  const dir=tmpDir(t);
+  const cityDb=path.join(dir,'city.mmdb'), asnDb=path.join(dir,'asn.mmdb');
+  fs.writeFileSync(cityDb,buildMmdb(CITY,{ shared:[NL] }));
+  fs.writeFileSync(asnDb,buildMmdb(ASN,{ ipVersion:4 }));
+  const geo=geoProvider({ provider:'mmdb', cityDb, asnDb, language:'de' });
+  assert.deepEqual(geo.problems(),[]);
+  assert.deepEqual(await geo.lookup('::ffff:203.0.113.7'),{
+    provider:'mmdb', ip:'::ffff:203.0.113.7', found:true,
+    country_code2:'NL', country_name:'Niederlande', continent_code:'EU', region:'Nordholland', city:'Amsterdam', postal:'1012',
+    latitude:52.3759, longitude:4.8975, time_zone:'Europe/Amsterdam', asn:'AS64500', org:'Example Hosting Ltd', isp:null,
+    network:'203.0.113.0/24'
+  });
+  assert.equal((await geo.lookup('198.51.100.23')).found,false);
+
+  const gone=geoProvider({ provider:'mmdb', cityDb:path.join(dir,'missing.mmdb'), asnDb, language:'en' });
+  assert.deepEqual(gone.problems(),[`geo.cityDb: ${path.join(dir,'missing.mmdb')} not found`]);
+  const r=await gone.lookup('203.0.113.7');
+  assert.deepEqual([r.found,r.asn,r.network,r.error],[true,'AS64500','203.0.113.0/25',`${path.join(dir,'missing.mmdb')}: not found`]);
+});
@@ -0,0 +1,86 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs'), path = require('path');
+const { parseNmapXml, parseNmapXmlFiles, mergeNmapResults, formatPortLine } = require('../lib/nmap-xml');
+const { fixture, tmpDir } = require('./helpers');
+
+const recorded=name=>fs.readFileSync(fixture('tools',name),'utf8').replace(/\{\{ip\}\}/g,'203.0.113.7').replace(/\{\{addrtype\}\}/g,'ipv4');
+
+// one host: a port with a keyed and a listed script table, an OS guess, a host script
+const DETAIL=`<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE nmaprun>
+<!-- nmap 7.94 -->
+<nmaprun scanner="nmap" args="nmap -sS -sV -sC -O 203.0.113.7">
+<host><status state="up" reason="echo-reply"/>
+<ports>
+<port protocol="tcp" portid="443"><state state="open" reason="syn-ack"/><service name="http" product="nginx" tunnel="ssl"><cpe>cpe:/a:nginx:nginx</cpe></service>
+<script id="ssl-cert" output="Subject: commonName=example.org&#10;"><table key="subject"><elem key="commonName">example.org</elem></table><elem key="sig_algo">sha256WithRSAEncryption</elem></script>
+<script id="http-methods" output=" Supported Methods: GET HEAD "><table key="Supported Methods"><elem>GET</elem><elem>HEAD</elem></table></script>
+</port>
+<port protocol="udp" portid="53"><state state="open|filtered" reason="no-response"/></port>
+</ports>
+<os><osmatch name="Linux 5.0 - 5.14" accuracy="96"><osclass type="general purpose" vendor="Linux" osfamily="Linux" osgen="5.X" accuracy="96"><cpe>cpe:/o:linux:linux_kernel:5</cpe></osclass></osmatch></os>
+<hostscript><script id="clock-skew" output="mean: 0s"/></hostscript>
+</host>
+<runstats><finished exit="success"/></runstats>
+</nmaprun>`;
+
+test('parseNmapXml maps the recorded service scan', ()=>{
+  const r=parseNmapXml(recorded('nmap-detail.xml'));
+  assert.equal(r.hosts_up,1);
+  assert.equal(r.complete,true);
+  assert.deepEqual(r.ports.map(formatPortLine),[
+    '22/tcp open ssh OpenSSH 8.9p1 Ubuntu 3ubuntu0.10 (Ubuntu Linux; protocol 2.0)',
+    '80/tcp open http nginx 1.18.0 (Ubuntu)'
+  ]);
+  assert.deepEqual(r.ports[0].cpe,['cpe:/a:openbsd:openssh:8.9p1','cpe:/o:linux:linux_kernel']);
+});
+
+test('parseNmapXml reads script tables, OS guesses and host scripts', ()=>{
+  const r=parseNmapXml(DETAIL);
+  const [https,dns]=r.ports;
+  assert.deepEqual({ ...https, scripts:undefined },{
+    protocol:'tcp', port:443, state:'open', reason:'syn-ack', service:'http', product:'nginx', version:null,
+    extrainfo:null, tunnel:'ssl', cpe:['cpe:/a:nginx:nginx'], scripts:undefined
+  });
+  assert.deepEqual(https.scripts,[
+    { id:'ssl-cert', output:'Subject: commonName=example.org', data:{ subject:{ commonName:'example.org' }, sig_algo:'sha256WithRSAEncryption' } },
+    { id:'http-methods', output:'Supported Methods: GET HEAD', data:{ 'Supported Methods':['GET','HEAD'] } }
+  ]);
+  assert.deepEqual([dns.port,dns.protocol,dns.state,dns.service,dns.scripts],[53,'udp','open|filtered',null,[]]);
+  assert.deepEqual(r.os,[{ name:'Linux 5.0 - 5.14', accuracy:96,
+    classes:[{ type:'general purpose', vendor:'Linux', family:'Linux', gen:'5.X', accuracy:96, cpe:['cpe:/o:linux:linux_kernel:5'] }] }]);
+  assert.deepEqual(r.host_scripts,[{ id:'clock-skew', output:'mean: 0s' }]);
+});
+
+test('parseNmapXml keeps the ports of a file cut short and marks it incomplete', ()=>{
+  const cut=DETAIL.slice(0,DETAIL.indexOf('<port protocol="udp"'));
+  const r=parseNmapXml(cut);
+  assert.equal(r.complete,false);
+  assert.deepEqual(r.ports.map(p=>p.port),[443]);
+  assert.deepEqual(parseNmapXml('not xml at all'),{ ports:[], os:[], host_scripts:[], hosts_up:0, complete:false });
+  assert.equal(parseNmapXml(DETAIL.replace('exit="success"','exit="error"')).complete,false);
+});
+
+test('mergeNmapResults folds the parts of a split run into one sorted view', ()=>{
+  const low=parseNmapXml(DETAIL), high=parseNmapXml(recorded('nmap-detail.xml'));
+  const worse={ ...low, os:[{ ...low.os[0], accuracy:90 }] };
+  const m=mergeNmapResults([worse,high,low]);
+  assert.deepEqual(m.ports.map(p=>`${p.port}/${p.protocol}`),['22/tcp','80/tcp','443/tcp','53/udp']);
+  assert.deepEqual(m.os.map(o=>o.accuracy),[96]);
+  assert.equal(m.host_scripts.length,1);
+  assert.equal(m.complete,true);
+  assert.equal(mergeNmapResults([low,{ ...high, complete:false }]).complete,false);
+  assert.equal(mergeNmapResults([]).complete,false);
+});
+
+test('parseNmapXmlFiles counts a missing part as incomplete', t=>{
+  const dir=tmpDir(t);
+  const part=path.join(dir,'nmap.part-0.xml');
+  fs.writeFileSync(part,recorded('nmap-detail.xml'));
+  assert.equal(parseNmapXmlFiles([part]).complete,true);
+  const r=parseNmapXmlFiles([part,path.join(dir,'nmap.part-1.xml')]);
+  assert.equal(r.complete,false);
+  assert.equal(r.ports.length,2);
+});
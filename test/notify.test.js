@@ -0,0 +1,146 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http'), dgram = require('dgram'), crypto = require('crypto');
+const { Notifier, validateSinks, syslogMessage } = require('../lib/notify');
+const { waitFor } = require('./helpers');
+
+// a scan event as lib/scans.js scanEvent builds it
+const event=(extra={})=>({
+  event:'scan.completed', ok:true, error:null, ip:'203.0.113.7', ts:'2026-03-01T10:00:00.000Z', host:'sensor-1',
+  scan:'203.0.113.7_2026-03-01T10-00-00-000Z', dir:'/var/log/fail2scan/2026-03-01/203.0.113.7_2026-03-01T10-00-00-000Z',
+  jail:'sshd', banned_at:'2026-03-01T09:59:58.000Z', evidence:3, hostname:'vps7.hosting.example', country:'NL', asn:'AS64500',
+  org:'Example Hosting Ltd', netname:'EXAMPLE-HOSTING-NET', network:'203.0.113.0/24', abuse_email:'abuse@example.net',
+  open_ports:[{ port:22, protocol:'tcp', service:'ssh', product:'OpenSSH', version:'8.9p1' }], changed:false, previous:null,
+  ...extra
+});
+
+// an HTTP server answering each request with the next of `statuses` (then 200)
+async function receiver(t,statuses=[]){
+  const got=[];
+  const server=http.createServer((req,res)=>{
+    let body='';
+    req.on('data',c=>{ body+=c; });
+    req.on('end',()=>{
+      got.push({ method:req.method, url:req.url, headers:req.headers, body });
+      res.statusCode=statuses.shift()||200;
+      res.end();
+    });
+  });
+  await new Promise(resolve=>server.listen(0,'127.0.0.1',resolve));
+  t.after(()=>server.close());
+  return { got, url:`http://127.0.0.1:${server.address().port}` };
+}
+
+const notifier=(sinks,logged=[])=>new Notifier(validateSinks(sinks),{ log:(...a)=>logged.push(a.join(' ')) });
+
+test('validateSinks reports every bad sink by index and name', ()=>{
+  assert.throws(()=>validateSinks([
+    { type:'webhook', url:'ftp://example.org/hook', colour:'red' },
+    { name:'chat', type:'matrix', homeserver:'https://matrix.example.org', room:'!r:example.org' },
+    { name:'chat', type:'slack', url:'https://hooks.example.org/x', retry:{ attempts:0 } },
+    { type:'syslog', port:70000, facility:'local9' },
+    { type:'email', to:['soc@example.org'] },
+    { type:'pager' }
+  ]),err=>{
+    assert.deepEqual(err.errors,[
+      'notify.sinks[0].colour: unknown setting for webhook',
+      'notify.sinks[0].url: expected an http(s) URL',
+      'notify.sinks[1] (chat).token: required',
+      'notify.sinks[2] (chat).name: "chat" is used twice',
+      'notify.sinks[2] (chat).retry.attempts: expected a positive integer',
+      'notify.sinks[3].port: expected 1-65535',
+      'notify.sinks[3].facility: expected one of kern, user, mail, daemon, auth, syslog, lpr, news, uucp, cron, authpriv, ftp, local0, local1, local2, local3, local4, local5, local6, local7',
+      'notify.sinks[4].from: required (or set report.from)',
+      'notify.sinks[5].type: expected one of webhook, slack, matrix, syslog, email'
+    ]);
+    return true;
+  });
+  const [mail]=validateSinks([{ type:'email', to:'soc@example.org' }],{ from:'fail2scan@example.org' });
+  assert.deepEqual([mail.name,mail.to,mail.from,mail.retry],['email-0',['soc@example.org'],'fail2scan@example.org',{ attempts:5, baseSec:30, maxSec:1800 }]);
+});
+
+test('a webhook delivery is signed over its timestamp and body', async t=>{
+  const r=await receiver(t);
+  const n=notifier([{ name:'hook', type:'webhook', url:`${r.url}/in`, secret:'s3cret', headers:{ 'X-Team':'soc' } }]);
+  n.notify(event());
+  await waitFor(()=>r.got.length===1,{ what:'the webhook' });
+  const [{ method, url, headers, body }]=r.got;
+  assert.deepEqual([method,url,headers['content-type'],headers['x-team'],headers['x-fail2scan-event']],['POST','/in','application/json','soc','scan.completed']);
+  assert.match(headers['user-agent'],/^Fail2Scan\//);
+  const mac=crypto.createHmac('sha256','s3cret').update(`${headers['x-fail2scan-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-fail2scan-signature'],`sha256=${mac}`);
+  assert.deepEqual(JSON.parse(body),event());
+  await waitFor(()=>n.stats()[0].sent===1,{ what:'the count' });
+});
+
+test('a delivery is retried after a 5xx but not after a 4xx', async t=>{
+  const r=await receiver(t,[503]);
+  const logged=[];
+  const n=notifier([{ name:'hook', type:'webhook', url:r.url, retry:{ attempts:3, baseSec:1 } }],logged);
+  n.notify(event());
+  await waitFor(()=>n.stats()[0].sent===1,{ timeoutMs:5000, what:'the retried delivery' });
+  assert.equal(r.got.length,2);
+  assert.equal(r.got[0].headers['x-fail2scan-delivery'],r.got[1].headers['x-fail2scan-delivery'],'same delivery id');
+
+  const bad=await receiver(t,[404]);
+  const m=notifier([{ name:'gone', type:'webhook', url:bad.url, retry:{ attempts:3, baseSec:1 } }],logged);
+  m.notify(event());
+  await waitFor(()=>m.stats()[0].failed===1,{ what:'the failure' });
+  assert.equal(bad.got.length,1);
+  assert.match(logged.at(-1),/^Notify gone failed for 203\.0\.113\.7: HTTP 404/);
+});
+
+test('Slack and Matrix sinks get a headline and the details', async t=>{
+  const r=await receiver(t);
+  const n=notifier([
+    { name:'slack', type:'slack', url:`${r.url}/slack`, channel:'#soc' },
+    { name:'matrix', type:'matrix', homeserver:`${r.url}/`, room:'!abc:example.org', token:'tok' }
+  ]);
+  n.notify(event({ changed:true, previous:'203.0.113.7_2026-02-20T10-00-00-000Z' }));
+  await waitFor(()=>r.got.length===2,{ what:'both sinks' });
+  const slack=r.got.find(g=>g.url==='/slack'), matrix=r.got.find(g=>g.url!=='/slack');
+  const text=JSON.parse(slack.body);
+  assert.equal(text.channel,'#soc');
+  assert.match(text.text,/^\*Fail2Scan\* 203\.0\.113\.7 \(vps7\.hosting\.example\) banned in sshd, 1 open port: 22\/tcp \[changed\]\n```\n/);
+  assert.match(text.text,/Network: 203\.0\.113\.0\/24, EXAMPLE-HOSTING-NET, AS64500, Example Hosting Ltd, NL\n/);
+  assert.match(text.text,/ {2}22\/tcp ssh OpenSSH 8\.9p1\n/);
+  assert.match(text.text,/Attack surface changed since 203\.0\.113\.7_2026-02-20T10-00-00-000Z/);
+  assert.equal(matrix.method,'PUT');
+  assert.match(matrix.url,/^\/_matrix\/client\/v3\/rooms\/!abc%3Aexample\.org\/send\/m\.room\.message\/[0-9a-f-]{36}$/);
+  assert.equal(matrix.headers.authorization,'Bearer tok');
+  assert.equal(JSON.parse(matrix.body).msgtype,'m.notice');
+});
+
+test('syslogMessage writes RFC 5424 with structured data', ()=>{
+  const [sink]=validateSinks([{ type:'syslog', facility:'auth', hostname:'sensor 1', appName:'fail2scan' }]);
+  const msg=syslogMessage(sink,event({ jail:'ssh"d]' }));
+  assert.match(msg,new RegExp(`^<36>1 \\S+Z sensor_1 fail2scan ${process.pid} SCAN `));
+  assert.ok(msg.includes('[fail2scan@32473 ip="203.0.113.7" jail="ssh\\"d\\]" open="1" ports="22/tcp" country="NL" asn="AS64500" changed="false" scan="203.0.113.7_2026-03-01T10-00-00-000Z"]'));
+  assert.match(syslogMessage(sink,event({ ok:false, error:'nmap failed', open_ports:[] })),/^<35>1 .* scan failed: nmap failed$/);
+  assert.match(syslogMessage(sink,event({ open_ports:[] })),/^<37>1 /);
+});
+
+test('a syslog sink sends one UDP datagram per event', async t=>{
+  const server=dgram.createSocket('udp4');
+  const got=[];
+  server.on('message',m=>got.push(String(m)));
+  await new Promise(resolve=>server.bind(0,'127.0.0.1',resolve));
+  t.after(()=>server.close());
+  const n=notifier([{ type:'syslog', host:'127.0.0.1', port:server.address().port }]);
+  n.notify(event());
+  await waitFor(()=>got.length===1,{ what:'the datagram' });
+  assert.match(got[0],/^<132>1 .* 203\.0\.113\.7 \(vps7\.hosting\.example\) banned in sshd, 1 open port: 22\/tcp$/);
+});
+
+test('filters pick the events of a sink and the rate limit drops the excess', async t=>{
+  const r=await receiver(t);
+  const logged=[];
+  const n=notifier([{ name:'hook', type:'webhook', url:r.url, filter:{ jails:['sshd'] }, rateLimit:{ max:2, windowSec:3600 } }],logged);
+  n.notify(event({ jail:'recidive' }));
+  for(let i=0;i<4;i++) n.notify(event());
+  await waitFor(()=>n.stats()[0].sent===2,{ what:'two deliveries' });
+  assert.deepEqual(n.stats(),[{ name:'hook', type:'webhook', sent:2, failed:0, pending:0, suppressed:2 }]);
+  assert.deepEqual(logged,['Notify hook: rate limit reached, dropping notifications']);
+  assert.ok(r.got.every(g=>JSON.parse(g.body).jail==='sshd'));
+});
@@ -0,0 +1,254 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs'), path = require('path');
+const { ScanQueue } = require('../lib/queue');
+const { IpGuard } = require('../lib/ipguard');
+const { loadJailProfiles } = require('../lib/jails');
+const { JobStore } = require('../lib/jobstore');
+const { saveState, loadState } = require('../lib/state');
+const { parseFail2banLine } = require('../lib/fail2ban');
+const { tmpDir, testSettings, testConfig, waitFor } = require('./helpers');
+
+const PROFILES=loadJailProfiles({ sshd:{ priority:5 }, 'nginx-*':{ priority:1 } });
+const ban=(ip,jail='sshd')=>parseFail2banLine(`2025-10-12 14:30:00,123 fail2ban.actions        [1187]: NOTICE  [${jail}] Ban ${ip}`);
+
+// what performScan resolves to, without running anything
+const scanned=(dir,job,ports=[22])=>({
+  summary:{ ip:job.ip, ts:new Date().toISOString(), cmds:{ nmap:{ ok:true } }, ban:job.ban||undefined,
+    ports:ports.map(port=>({ port, protocol:'tcp', state:'open' })) },
+  outDir:path.join(dir,'out','2025-10-12',`${job.ip}_${job.attempts}`)
+});
+
+// scans wait until the test lets them finish (release / fail), or are cancelled
+function gate(dir){
+  const runs=[];
+  const scan=job=>new Promise((resolve,reject)=>{
+    const run={ job, release:()=>resolve(scanned(dir,job)), fail:e=>reject(new Error(e)) };
+    job.cancel.addEventListener('abort',()=>resolve(scanned(dir,job)));
+    runs.push(run);
+  });
+  return { scan, runs };
+}
+
+function setup(t,{ settings={}, scan, store=null, concurrency=1, state }={}){
+  const dir=tmpDir(t);
+  const cfg=testConfig(dir,{ ...settings, queue:{ ...testSettings(dir).queue, retryBaseSec:1, ...settings.queue } });
+  state=state||{ seen:new Set(), history:{}, offsets:{} };
+  const events=[], notified=[];
+  const g=gate(dir);
+  const q=new ScanQueue(cfg,{
+    concurrency, store, state, guard:new IpGuard(cfg.guard), jailProfiles:()=>PROFILES,
+    scan:scan?job=>scan(job,dir):g.scan, save:s=>saveState(cfg.stateFile,s),
+    emit:(type,data)=>events.push({ type, ...data }), notify:ev=>notified.push(ev)
+  });
+  t.after(()=>q.stop());
+  const seen=(type,ip)=>events.filter(e=>e.type===type&&(!ip||e.ip===ip));
+  const settled=(type,ip,n=1)=>waitFor(()=>seen(type,ip).length>=n,{ what:`${n} ${type} event(s) for ${ip}` });
+  return { dir, cfg, q, state, events, notified, seen, settled, runs:g.runs };
+}
+
+test('ScanQueue scans a ban and schedules the next scan after the TTL', async t=>{
+  const s=setup(t,{ scan:async(job,dir)=>scanned(dir,job) });
+  const r=s.q.push('203.0.113.7',{ ban:ban('203.0.113.7') });
+  assert.equal(r.ok,true);
+  assert.equal(r.job.profileName,'sshd');
+  await s.settled('completed','203.0.113.7');
+
+  const entry=s.state.history['203.0.113.7'];
+  assert.equal(entry.bans,1);
+  assert.deepEqual(entry.scans.map(x=>x.ports),[['22/tcp']]);
+  const wait=Date.parse(entry.nextScanAt)-Date.now();
+  assert.ok(wait>3590*1000&&wait<=3600*1000,`next scan in ${wait}ms`);
+  assert.equal(s.state.seen.has('203.0.113.7'),false);
+  assert.equal(s.notified.length,1);
+  assert.deepEqual(s.seen('completed')[0].open_ports,['22/tcp']);
+  // saved as it went
+  assert.ok(loadState(s.cfg.stateFile).history['203.0.113.7'].nextScanAt);
+});
+
+test('ScanQueue does not queue an IP already queued or running', async t=>{
+  const s=setup(t);
+  s.q.push('203.0.113.7',{ ban:ban('203.0.113.7') });
+  s.q.push('203.0.113.8',{ ban:ban('203.0.113.8') });
+  await waitFor(()=>s.runs.length===1);
+  // running, then pending
+  assert.equal(s.q.push('203.0.113.7',{ ban:ban('203.0.113.7') }).skipped,'queued');
+  assert.equal(s.q.push('203.0.113.8',{ ban:ban('203.0.113.8') }).skipped,'queued');
+  assert.equal(s.q.push('203.0.113.8',{ force:true }).skipped,'queued','force does not double-queue');
+  assert.equal(s.seen('skipped').length,3);
+  assert.ok(s.seen('skipped').every(e=>e.kind==='queued'));
+  // the bans count all the same
+  assert.equal(s.state.history['203.0.113.7'].bans,2);
+  assert.equal(s.q.snapshot().pending.length,1);
+
+  s.runs[0].release();
+  await waitFor(()=>s.runs.length===2);
+  s.runs[1].release();
+  await s.settled('completed','203.0.113.8');
+  assert.equal(s.runs.length,2,'one scan per IP');
+});
+
+test('ScanQueue skips a rescan before nextScanAt unless forced', async t=>{
+  const s=setup(t,{ scan:async(job,dir)=>scanned(dir,job) });
+  s.q.push('203.0.113.7',{ ban:ban('203.0.113.7') });
+  await s.settled('completed','203.0.113.7');
+
+  const again=s.q.push('203.0.113.7',{ ban:ban('203.0.113.7') });
+  assert.equal(again.skipped,'rescan');
+  assert.equal(again.nextScanAt,s.state.history['203.0.113.7'].nextScanAt);
+  assert.equal(s.seen('skipped')[0].kind,'rescan');
+
+  const forced=s.q.push('203.0.113.7',{ force:true });
+  assert.ok(forced.job);
+  await s.settled('completed','203.0.113.7',2);
+});
+
+test('ScanQueue with rescanTtlSec 0 scans every ban once the previous scan is done', async t=>{
+  const s=setup(t,{ settings:{ rescanTtlSec:0 }, scan:async(job,dir)=>scanned(dir,job) });
+  s.q.push('203.0.113.7',{ ban:ban('203.0.113.7') });
+  await s.settled('completed','203.0.113.7');
+  assert.ok(s.q.push('203.0.113.7',{ ban:ban('203.0.113.7') }).job);
+  await s.settled('completed','203.0.113.7',2);
+  // scanned before: the repeat boost applies
+  assert.equal(s.seen('queued')[1].priority,5+s.cfg.queue.repeatBoost);
+});
+
+test('ScanQueue refuses what the guard refuses, and records why', t=>{
+  const s=setup(t);
+  const r=s.q.push('10.20.30.40',{ ban:ban('10.20.30.40') });
+  assert.equal(r.ok,false);
+  assert.match(r.reason,/private/);
+  assert.equal(s.q.push('not-an-address').ok,false);
+  assert.equal(s.runs.length,0);
+  assert.equal(s.state.history['10.20.30.40'],undefined,'no history for refused IPs');
+  assert.deepEqual(s.seen('skipped').map(e=>e.kind),['guard','guard']);
+  const records=fs.readFileSync(s.cfg.guard.skipLog,'utf8').trim().split('\n').map(l=>JSON.parse(l));
+  assert.equal(records[0].ip,'10.20.30.40');
+  assert.equal(records[0].jail,'sshd');
+  assert.equal(records[1].input,'not-an-address');
+});
+
+test('ScanQueue runs a job with a scan profile over the jail profile settings', async t=>{
+  const dir=tmpDir(t);
+  const store=new JobStore(path.join(dir,'queue.jsonl')).load();
+  t.after(()=>store.close());
+  const s=setup(t,{ store });
+  const r=s.q.push('203.0.113.7',{ ban:ban('203.0.113.7'), scanProfile:'quick' });
+  assert.equal(r.job.profileName,'sshd');
+  assert.equal(r.job.scanProfile,'quick');
+  await waitFor(()=>s.runs.length===1);
+  assert.equal(s.q.snapshot().running[0].scanProfile,'quick');
+  const { profile }=s.runs[0].job;
+  assert.equal(profile.name,'sshd');
+  assert.equal(profile.scanProfile,'quick');
+  assert.equal(profile.nmapArgs,null);
+  assert.equal(PROFILES.exact.get('sshd').scanProfile,null,'the jail profile itself is unchanged');
+  // journaled with the job, so a restart runs the same scan
+  assert.equal(new JobStore(path.join(dir,'queue.jsonl')).load().live()[0].scanProfile,'quick');
+  s.runs[0].release();
+  await s.settled('completed','203.0.113.7');
+});
+
+test('ScanQueue runs the highest priority first, FIFO within a priority', t=>{
+  const s=setup(t);
+  s.q.pause();
+  s.q.push('203.0.113.1',{ ban:ban('203.0.113.1','recidive') }); // default: 0
+  s.q.push('203.0.113.2',{ ban:ban('203.0.113.2','nginx-http-auth') }); // nginx-*: 1
+  s.q.push('203.0.113.3',{ ban:ban('203.0.113.3') }); // sshd: 5
+  s.q.push('203.0.113.4',{ ban:ban('203.0.113.4','nginx-botsearch') });
+  s.q.push('203.0.113.5',{ priority:50 });
+  assert.deepEqual(s.q.snapshot().pending.map(j=>j.ip),['203.0.113.5','203.0.113.3','203.0.113.2','203.0.113.4','203.0.113.1']);
+  assert.equal(s.runs.length,0,'paused');
+});
+
+test('ScanQueue retries a failed scan with backoff, then gives up', async t=>{
+  let calls=0;
+  const s=setup(t,{ settings:{ queue:{ maxAttempts:2 } }, scan:async()=>{ calls++; throw new Error('nmap exploded'); } });
+  s.q.push('203.0.113.7',{ ban:ban('203.0.113.7') });
+  await s.settled('failed','203.0.113.7');
+  const first=s.seen('failed')[0];
+  assert.equal(first.error,'nmap exploded');
+  assert.ok(first.retryAt);
+  const pending=s.q.snapshot().pending[0];
+  assert.equal(pending.attempts,1);
+  assert.ok(pending.nextAt>Date.now(),'waiting out the backoff');
+
+  await s.settled('failed','203.0.113.7',2);
+  const last=s.seen('failed')[1];
+  assert.equal(last.attempt,2);
+  assert.equal(last.retryAt,null);
+  assert.equal(calls,2);
+  assert.equal(s.notified.length,1,'only the final failure is notified');
+  assert.equal(s.q.tmpCache.has('203.0.113.7'),false);
+});
+
+test('ScanQueue runs a retry at its own time, even behind a longer backoff', async t=>{
+  const runs=[];
+  const s=setup(t,{ settings:{ queue:{ maxAttempts:3 } }, scan:async job=>{
+    runs.push(job.ip);
+    throw new Error('nmap exploded');
+  } });
+  s.q.push('203.0.113.7',{ ban:ban('203.0.113.7') });
+  // .7 waits 2s for its third attempt when .8 fails a first time (1s backoff):
+  // the retry of .8 comes first, not with .7 when the 2s timer fires
+  await s.settled('failed','203.0.113.7',2);
+  s.q.push('203.0.113.8',{ ban:ban('203.0.113.8') });
+  await s.settled('failed','203.0.113.8',2);
+  await s.settled('failed','203.0.113.7',3);
+  assert.deepEqual(runs,['203.0.113.7','203.0.113.7','203.0.113.8','203.0.113.8','203.0.113.7']);
+});
+
+test('ScanQueue cancels queued and running scans without retrying them', async t=>{
+  const s=setup(t);
+  s.q.push('203.0.113.7',{ ban:ban('203.0.113.7') });
+  s.q.push('203.0.113.8',{ ban:ban('203.0.113.8') });
+  await waitFor(()=>s.runs.length===1);
+
+  assert.deepEqual(s.q.cancel('203.0.113.8'),{ ip:'203.0.113.8', pending:1, running:0 });
+  assert.ok(s.q.push('203.0.113.8',{ ban:ban('203.0.113.8') }).job,'can be queued again');
+  s.q.cancel('203.0.113.8');
+
+  assert.deepEqual(s.q.cancel('203.0.113.7'),{ ip:'203.0.113.7', pending:0, running:1 });
+  await s.settled('failed','203.0.113.7');
+  const ev=s.seen('failed','203.0.113.7')[0];
+  assert.equal(ev.cancelled,true);
+  assert.equal(ev.error,'cancelled');
+  assert.equal(ev.retryAt,null);
+  assert.equal(s.notified.length,0);
+  assert.equal(s.state.history['203.0.113.7'].nextScanAt,null,'a cancelled scan defers nothing');
+  assert.equal(s.runs.length,1);
+});
+
+test('ScanQueue forget clears the dedup state of an IP', async t=>{
+  const s=setup(t,{ scan:async(job,dir)=>scanned(dir,job) });
+  s.q.push('203.0.113.7',{ ban:ban('203.0.113.7') });
+  assert.throws(()=>s.q.forget('203.0.113.7'),/queued or running/);
+  await s.settled('completed','203.0.113.7');
+  const r=s.q.forget('203.0.113.7');
+  assert.ok(r.nextScanAt);
+  assert.ok(s.q.push('203.0.113.7',{ ban:ban('203.0.113.7') }).job);
+  await s.settled('completed','203.0.113.7',2);
+  assert.equal(s.state.history['203.0.113.7'].bans,2,'the history stays');
+});
+
+test('ScanQueue resumes the jobs of its journal, guard permitting', async t=>{
+  const dir=tmpDir(t);
+  const file=path.join(dir,'queue.jsonl');
+  const old=new JobStore(file).load();
+  old.add({ ip:'203.0.113.7', ban:null, profileName:'sshd', priority:5 });
+  const running=old.add({ ip:'203.0.113.8', ban:null, profileName:'default', priority:0 });
+  old.update(running.id,{ state:'running', attempts:1 });
+  old.add({ ip:'10.20.30.40', ban:null, profileName:'default', priority:0 });
+  old.close();
+
+  const store=new JobStore(file).load();
+  const s=setup(t,{ store, state:{ seen:new Set(['198.51.100.1']), history:{}, offsets:{} }, scan:async(job,d)=>scanned(d,job) });
+  assert.deepEqual([...s.state.seen].sort(),['203.0.113.7','203.0.113.8'],'seen rebuilt from the live jobs');
+  await s.settled('completed','203.0.113.8');
+  await s.settled('completed','203.0.113.7');
+  assert.equal(s.seen('completed','203.0.113.8')[0].attempt,2,'the interrupted run counts');
+  assert.equal(s.seen('skipped')[0].ip,'10.20.30.40');
+  store.close();
+  assert.equal(new JobStore(file).load().live().length,0);
+});
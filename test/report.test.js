@@ -0,0 +1,121 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs'), path = require('path');
+const { buildReport, reportScan, ReportLedger, serviceOf } = require('../lib/report');
+const { BIN, tmpDir, testConfig } = require('./helpers');
+
+// a summary.json as performScan writes it, reduced to what a report reads
+const summary=(extra={})=>({
+  ip:'203.0.113.7', ts:'2026-03-01T10:00:05.000Z',
+  ban:{ jail:'sshd', ts:'2026-03-01T10:00:00.000Z', evidence:[
+    { ts:'2026-03-01T09:59:58.000Z', line:'sshd[812]: Failed password for root from 203.0.113.7 port 50022 ssh2' },
+    { ts:'2026-03-01T09:59:59.000Z', line:'sshd[812]: Failed password for root from 203.0.113.7 port 50024 ssh2' }
+  ] },
+  whois:{ netname:'EXAMPLE-HOSTING-NET', asn:'AS64500', cidr:['203.0.113.0/24'], abuse_email:'abuse@example.net' },
+  rdns:{ hostname:'vps7.hosting.example' },
+  open_ports:['22/tcp open ssh OpenSSH 8.9p1'],
+  ...extra
+});
+// the MIME parts of a message, headers and body split
+const mimeParts=message=>{
+  const boundary=/boundary="([^"]+)"/.exec(message)[1];
+  return message.split(`--${boundary}`).slice(1,-1).map(p=>{
+    const [head,...body]=p.replace(/^\r\n/,'').split('\r\n\r\n');
+    return { head, body:body.join('\r\n\r\n').replace(/\r\n$/,'') };
+  });
+};
+
+function setup(t,report={}){
+  const dir=tmpDir(t);
+  const out=path.join(dir,'sent.jsonl');
+  process.env.FAKE_SENDMAIL_OUT=out;
+  t.after(()=>{ delete process.env.FAKE_SENDMAIL_OUT; delete process.env.FAKE_SENDMAIL_EXIT; });
+  const config=testConfig(dir,{ report:{ ledgerFile:path.join(dir,'reports.jsonl'), from:'abuse-desk@example.org', ...report }, mail:{ sendmail:path.join(BIN,'sendmail') } });
+  const scanDir=path.join(dir,'out','2026-03-01','203.0.113.7_2026-03-01T10-00-05-000Z');
+  fs.mkdirSync(scanDir,{ recursive:true });
+  const sent=()=>fs.existsSync(out)?fs.readFileSync(out,'utf8').trim().split('\n').map(l=>JSON.parse(l)):[];
+  return { dir, config, scanDir, sent };
+}
+
+test('serviceOf names the abused service of common jails', ()=>{
+  assert.deepEqual(serviceOf('sshd'),{ service:'ssh', port:22 });
+  assert.deepEqual(serviceOf('postfix-sasl'),{ service:'smtp', port:25 });
+  assert.deepEqual(serviceOf('nginx-http-auth'),{ service:'http', port:80 });
+  assert.deepEqual(serviceOf('gitea'),{ service:'gitea', port:null });
+});
+
+test('buildReport writes an RFC 5965 feedback report', ()=>{
+  const r=buildReport(summary(),{ format:'arf', from:'abuse-desk@example.org', to:['abuse@example.net'], hostname:'mx.example.org' });
+  const [head]=r.message.split('\r\n\r\n');
+  assert.match(head,/^From: abuse-desk@example\.org\r\nTo: abuse@example\.net\r\nSubject: Abuse report: 203\.0\.113\.7 \(sshd\) 2026-03-01\r\n/);
+  assert.match(head,/\r\nContent-Type: multipart\/report; report-type=feedback-report; boundary="/);
+  assert.match(r.messageId,/^<[0-9a-f-]{36}@mx\.example\.org>$/);
+  const [text,feedback,headers]=mimeParts(r.message);
+  assert.match(text.head,/^Content-Type: text\/plain; charset=utf-8/);
+  assert.match(text.body,/The host 203\.0\.113\.7 \(vps7\.hosting\.example\), in your network 203\.0\.113\.0\/24, EXAMPLE-HOSTING-NET, AS64500, was banned/);
+  assert.match(text.body,/ {2}2026-03-01T09:59:58\.000Z {2}sshd\[812\]: Failed password for root from 203\.0\.113\.7 port 50022 ssh2\r\n/);
+  assert.match(text.body,/showed these open ports:\r\n {2}22\/tcp open ssh OpenSSH 8\.9p1/);
+  assert.equal(feedback.head,'Content-Type: message/feedback-report');
+  assert.deepEqual(feedback.body.split('\r\n').filter(l=>!/^User-Agent/.test(l)),[
+    'Feedback-Type: abuse', 'Version: 1', 'Source-IP: 203.0.113.7', 'Arrival-Date: Sun, 01 Mar 2026 10:00:00 +0000', 'Incidents: 2',
+    'Reported-Domain: vps7.hosting.example', ''
+  ]);
+  assert.equal(headers.head,'Content-Type: text/rfc822-headers');
+  assert.equal(headers.body,'Received: from [203.0.113.7] by mx.example.org (fail2ban jail sshd); Sun, 01 Mar 2026 10:00:00 +0000\r\n');
+});
+
+test('buildReport writes an X-ARF 0.2 report with the log lines attached', ()=>{
+  const r=buildReport(summary(),{ format:'xarf', from:'abuse-desk@example.org', to:['abuse@example.net'] });
+  assert.match(r.message,/\r\nX-ARF: YES\r\nX-XARF: PLAIN\r\nContent-Type: multipart\/mixed; boundary="/);
+  const [,yaml,log]=mimeParts(r.message);
+  assert.match(yaml.head,/name="report\.txt"/);
+  assert.match(yaml.body,/^Reported-From: abuse-desk@example\.org\r\nCategory: abuse\r\nReport-Type: login-attack\r\nService: ssh\r\n/);
+  assert.match(yaml.body,/\r\nSource: 203\.0\.113\.7\r\nPort: 22\r\n/);
+  assert.match(log.head,/name="logfile\.log"/);
+  assert.equal(log.body.split('\r\n').length,3);
+});
+
+test('reportScan skips scans without an abuse contact or log lines', async t=>{
+  const { config, scanDir }=setup(t);
+  assert.deepEqual(await reportScan(scanDir,summary({ whois:{ netname:'X' } }),config),{ status:'skipped', reason:'no abuse contact in whois' });
+  assert.deepEqual(await reportScan(scanDir,summary({ whois:null }),config),{ status:'skipped', reason:'no abuse contact in whois' });
+  assert.deepEqual(await reportScan(scanDir,summary({ ban:{ jail:'sshd' } }),config),{ status:'skipped', reason:'no fail2ban log lines for this scan' });
+});
+
+test('reportScan writes the report next to the scan, and sends it once per contact', async t=>{
+  const { config, scanDir, sent }=setup(t);
+  const written=await reportScan(scanDir,summary(),config);
+  assert.deepEqual(written,{ status:'written', to:['abuse@example.net'], file:path.join(scanDir,'abuse-report.arf.eml') });
+  assert.equal(sent().length,0);
+
+  const r=await reportScan(scanDir,summary(),config,{ send:true, format:'xarf' });
+  assert.equal(r.status,'sent');
+  assert.ok(fs.existsSync(path.join(scanDir,'abuse-report.xarf.eml')));
+  const [mail]=sent();
+  assert.deepEqual(mail.args,['-i','-f','abuse-desk@example.org','--','abuse@example.net']);
+  assert.equal(mail.message,fs.readFileSync(path.join(scanDir,'abuse-report.xarf.eml'),'utf8'));
+  const [entry]=new ReportLedger(config.report.ledgerFile).load().entries;
+  assert.deepEqual([entry.ip,entry.netblock,entry.to,entry.format,entry.transport],['203.0.113.7','203.0.113.0/24',['abuse@example.net'],'xarf','sendmail']);
+
+  const again=await reportScan(scanDir,summary(),config,{ send:true });
+  assert.equal(again.status,'duplicate');
+  assert.equal(again.previous.messageId,entry.messageId);
+  assert.equal((await reportScan(scanDir,summary(),config,{ send:true, force:true })).status,'sent');
+  assert.equal(sent().length,2);
+});
+
+test('reportScan with dedupeBy netblock sends one report per whois network', async t=>{
+  const { config, scanDir, sent }=setup(t,{ dedupeBy:'netblock' });
+  assert.equal((await reportScan(scanDir,summary(),config,{ send:true })).status,'sent');
+  assert.equal((await reportScan(scanDir,summary({ ip:'203.0.113.8' }),config,{ send:true })).status,'duplicate');
+  assert.equal((await reportScan(scanDir,summary({ ip:'198.51.100.23', whois:{ cidr:['198.51.100.0/24'], abuse_email:'abuse@example.net' } }),config,{ send:true })).status,'sent');
+  assert.equal(sent().length,2);
+});
+
+test('reportScan records nothing when sendmail refuses the message', async t=>{
+  const { config, scanDir }=setup(t);
+  process.env.FAKE_SENDMAIL_EXIT='75';
+  await assert.rejects(reportScan(scanDir,summary(),config,{ send:true }),/exited with 75: sendmail: queue file write error/);
+  assert.deepEqual(new ReportLedger(config.report.ledgerFile).load().entries,[]);
+});
@@ -0,0 +1,95 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs'), path = require('path');
+const { planRetention, applyRetention, listArchives, readArchivedSummaries } = require('../lib/retention');
+const { tmpDir } = require('./helpers');
+
+const NOW=Date.parse('2026-03-10T12:00:00Z');
+const CFG={ maxAgeDays:0, maxTotalMB:0, keepPerIp:0, archiveAfterDays:0, compression:'gzip', keepNmapParts:false };
+
+// <out>/<day>/<ip>_<time>/ with a summary.json (and `files`), last written at `mtime`
+function scan(out,day,ip,{ time='10-00-00-000Z', mtime=Date.parse(`${day}T12:00:00Z`), files={}, summary={} }={}){
+  const dir=path.join(out,day,`${ip}_${day}T${time}`);
+  fs.mkdirSync(dir,{ recursive:true });
+  const all={ 'summary.json':JSON.stringify({ ip, ts:`${day}T10:00:00.000Z`, cmds:{ nmap:{ ok:true } }, ...summary }), ...files };
+  for(const [name,text] of Object.entries(all)){
+    fs.mkdirSync(path.dirname(path.join(dir,name)),{ recursive:true });
+    fs.writeFileSync(path.join(dir,name),text);
+  }
+  const touch=p=>{
+    if(fs.statSync(p).isDirectory()) for(const n of fs.readdirSync(p)) touch(path.join(p,n));
+    fs.utimesSync(p,mtime/1000,mtime/1000);
+  };
+  touch(dir);
+  return dir;
+}
+const plan=(out,cfg)=>planRetention(out,{ ...CFG, ...cfg },{ now:NOW });
+const ops=p=>p.actions.map(a=>[a.op,a.kind,path.basename(a.file||a.path),a.reason]);
+
+test('planRetention deletes days and archives past maxAgeDays, sparing a day still written to', t=>{
+  const out=tmpDir(t);
+  scan(out,'2026-02-01','203.0.113.7');
+  scan(out,'2026-02-02','203.0.113.8',{ mtime:NOW-60*1000 });
+  scan(out,'2026-03-09','203.0.113.7');
+  fs.writeFileSync(path.join(out,'2026-01-15.tar.gz'),'x');
+  assert.deepEqual(ops(plan(out,{ maxAgeDays:30 })),[
+    ['delete','archive','2026-01-15.tar.gz','older than 30 days'],
+    ['delete','day','2026-02-01','older than 30 days']
+  ]);
+  assert.deepEqual(plan(out,{}).actions,[]);
+});
+
+test('planRetention keeps the newest keepPerIp scans of each IP', t=>{
+  const out=tmpDir(t);
+  scan(out,'2026-03-01','203.0.113.7');
+  scan(out,'2026-03-02','203.0.113.7');
+  scan(out,'2026-03-02','203.0.113.7',{ time:'18-00-00-000Z' });
+  scan(out,'2026-03-01','198.51.100.23');
+  assert.deepEqual(ops(plan(out,{ keepPerIp:2 })),[
+    ['delete','scan','203.0.113.7_2026-03-01T10-00-00-000Z','more than 2 scans of this IP']
+  ]);
+});
+
+test('planRetention drops the oldest scans while the tree is over maxTotalMB', t=>{
+  const out=tmpDir(t);
+  const big='x'.repeat(400*1024);
+  scan(out,'2026-03-01','203.0.113.7',{ files:{ 'nmap.txt':big } });
+  scan(out,'2026-03-02','203.0.113.8',{ files:{ 'nmap.txt':big } });
+  scan(out,'2026-03-03','203.0.113.9',{ files:{ 'nmap.txt':big } });
+  const p=plan(out,{ maxTotalMB:1 });
+  assert.deepEqual(ops(p),[['delete','scan','203.0.113.7_2026-03-01T10-00-00-000Z','output over 1 MB']]);
+  assert.ok(p.totalBytes>1024*1024&&p.totalBytes-p.freedBytes<=1024*1024);
+});
+
+test('applyRetention packs old days into archives that can still be read', async t=>{
+  const out=tmpDir(t);
+  const dir=scan(out,'2026-03-01','203.0.113.7');
+  scan(out,'2026-03-09','203.0.113.7');
+  const p=plan(out,{ archiveAfterDays:5 });
+  assert.deepEqual(ops(p),[['archive','day','2026-03-01.tar.gz','older than 5 days']]);
+  const { done, failed }=await applyRetention(p);
+  assert.deepEqual([done.length,failed],[1,[]]);
+  assert.equal(fs.existsSync(path.join(out,'2026-03-01')),false);
+  assert.deepEqual(listArchives(out),[path.join(out,'2026-03-01.tar.gz')]);
+  const [archived]=await readArchivedSummaries(listArchives(out)[0],out);
+  assert.equal(archived.dir,dir);
+  assert.equal(archived.summary.ip,'203.0.113.7');
+  // a late folder of that day gets an archive of its own
+  scan(out,'2026-03-01','198.51.100.23');
+  assert.deepEqual(ops(plan(out,{ archiveAfterDays:5 })),[['archive','day','2026-03-01.1.tar.gz','older than 5 days']]);
+});
+
+test('applyRetention collapses the part-N directories of a merged split run', async t=>{
+  const out=tmpDir(t);
+  const dir=scan(out,'2026-03-01','203.0.113.7',{
+    summary:{ cmds:{ nmap:{ ok:true, xml:['part-0/nmap.xml','part-1/nmap.xml','nmap.xml'] } } },
+    files:{ 'nmap.txt':'merged', 'nmap.xml':'<nmaprun/>', 'part-0/nmap.xml':'<nmaprun/>', 'part-0/nmap.txt':'a'.repeat(100), 'part-1/nmap.xml':'<nmaprun/>' }
+  });
+  const p=plan(out,{});
+  assert.deepEqual(p.actions.map(a=>[a.op,a.bytes]),[['parts',100]]);
+  await applyRetention(p);
+  assert.deepEqual(fs.readdirSync(dir).sort(),['nmap.part-0.xml','nmap.part-1.xml','nmap.txt','nmap.xml','summary.json']);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir,'summary.json'),'utf8')).cmds.nmap.xml,['nmap.part-0.xml','nmap.part-1.xml','nmap.xml']);
+  assert.deepEqual(plan(out,{ keepNmapParts:true }).actions,[]);
+});
@@ -0,0 +1,190 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs'), path = require('path');
+const { performScan } = require('../lib/scan');
+const { loadPlugins } = require('../lib/plugins');
+const { Sandbox } = require('../lib/sandbox');
+const { buildScanProfiles } = require('../lib/scanprofiles');
+const { loadJailProfiles } = require('../lib/jails');
+const { parseFail2banLine } = require('../lib/fail2ban');
+const { scanFailure } = require('../lib/scans');
+const { tmpDir, testConfig, stubPath } = require('./helpers');
+
+process.env.PATH=stubPath();
+
+// performScan as the daemon calls it; `calls` are the nmap command lines run
+function setup(t,settings={},jails={}){
+  const dir=tmpDir(t);
+  // rawSockets yes: the same -sS / -O command lines as root or not (--privileged aside)
+  const cfg=testConfig(dir,{ cores:2, limits:{ nmapProcs:2 }, sandbox:{ rawSockets:'yes' }, ...settings });
+  const calls=path.join(dir,'nmap.calls');
+  process.env.FAKE_NMAP_CALLS=calls;
+  t.after(()=>{ for(const k of ['FAKE_NMAP_CALLS','FAKE_NMAP_DETAIL','FAKE_NMAP_EXIT','FAKE_DIG_EXIT','FAKE_WHOIS_EXIT']) delete process.env[k]; });
+  const events=[], history={};
+  const ctx={ config:cfg, jailProfiles:loadJailProfiles(jails), plugins:loadPlugins(cfg.plugins.dir), scanProfiles:buildScanProfiles(cfg.scan.profiles),
+    sandbox:new Sandbox(cfg.sandbox,cfg.limits), history, emit:(type,data)=>events.push({ type, ...data }) };
+  return {
+    dir, cfg, events, history,
+    scan:job=>performScan({ attempts:1, ...job },ctx),
+    calls:()=>fs.existsSync(calls)?fs.readFileSync(calls,'utf8').trim().split('\n').map(l=>JSON.parse(l)):[]
+  };
+}
+const files=dir=>fs.readdirSync(dir).sort();
+const ran=args=>args.filter(a=>!a.startsWith('/')&&a!=='--privileged').join(' ');
+
+test('performScan writes <out>/<day>/<ip>_<time>/ with every tool output and summary.json', async t=>{
+  const s=setup(t);
+  const { summary, outDir }=await s.scan({ ip:'203.0.113.7', id:'job-1' });
+
+  const day=summary.ts.slice(0,10);
+  assert.equal(path.dirname(outDir),path.join(s.cfg.out,day));
+  assert.equal(path.basename(outDir),`203.0.113.7_${summary.ts.replace(/[:.]/g,'-')}`);
+  // -p- split in two (cores 2), the parts folded back into nmap.txt
+  assert.deepEqual(files(outDir),['dig-forward.txt','dig.txt','nmap.part-0.xml','nmap.part-1.xml','nmap.txt','summary.json','whois.txt']);
+  assert.deepEqual(s.calls().map(ran).sort(),['-oX -sS -Pn -p1-32767 -T4 -sV 203.0.113.7','-oX -sS -Pn -p32768-65535 -T4 -sV 203.0.113.7']);
+  assert.match(fs.readFileSync(path.join(outDir,'whois.txt'),'utf8'),/EXAMPLE-HOSTING-NET/);
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(outDir,'summary.json'),'utf8')),summary);
+  assert.equal(summary.ip,'203.0.113.7');
+  assert.deepEqual(summary.job,{ id:'job-1', attempt:1 });
+  assert.deepEqual(summary.profile.plugins,['nmap','dig','whois']);
+  assert.deepEqual(summary.ports.filter(p=>p.state==='open').map(p=>`${p.port}/${p.protocol} ${p.product}`),['22/tcp OpenSSH','80/tcp nginx']);
+  assert.equal(summary.rdns.hostname,'scanner-7.example.net');
+  assert.equal(summary.rdns.fcrdns,true);
+  assert.equal(summary.whois.abuse_email,'abuse@example.net');
+  assert.equal(summary.whois.asn,'AS64500');
+  assert.equal(summary.changed,false);
+  assert.equal(scanFailure(summary),null);
+  assert.ok(Object.values(summary.cmds).every(c=>c.ok));
+});
+
+test('performScan records the ban and reports each tool as a step', async t=>{
+  const s=setup(t);
+  const ban=parseFail2banLine('2025-10-12 14:30:00,123 fail2ban.actions        [1187]: NOTICE  [sshd] Ban 203.0.113.7');
+  ban.source='file:/var/log/fail2ban.log';
+  ban.evidence=[{ ts:ban.ts, jail:'sshd', action:'ban', line:ban.line }];
+  const { summary }=await s.scan({ ip:'203.0.113.7', ban });
+  assert.equal(summary.ban.jail,'sshd');
+  assert.equal(summary.ban.time,'2025-10-12 14:30:00,123');
+  assert.equal(summary.ban.source,'file:/var/log/fail2ban.log');
+  assert.equal(summary.ban.evidence.length,1);
+  assert.deepEqual(s.events.map(e=>e.type),['started','step','step','step']);
+  assert.equal(s.events[0].jail,'sshd');
+  assert.deepEqual(s.events.slice(1).map(e=>e.plugin).sort(),['dig','nmap','whois']);
+  assert.ok(s.events.slice(1).every(e=>e.ok&&e.scan===s.events[0].scan));
+});
+
+test('performScan runs a single-stage scan profile as one nmap', async t=>{
+  const s=setup(t,{ scan:{ profile:'quick' } });
+  const { summary, outDir }=await s.scan({ ip:'203.0.113.7' });
+  assert.deepEqual(s.calls().map(ran),['-oX -sS -Pn -T4 --top-ports 100 -sV --version-light 203.0.113.7']);
+  assert.ok(files(outDir).includes('nmap.xml'));
+  assert.equal(summary.cmds.nmap.profile,'quick');
+  assert.equal(summary.cmds.nmap.mode,'single');
+});
+
+test('performScan runs an adaptive profile in two stages, the detail on open ports only', async t=>{
+  const s=setup(t,{ scan:{ profile:'deep' } });
+  const { summary, outDir }=await s.scan({ ip:'203.0.113.7' });
+  const calls=s.calls().map(ran);
+  const detail=calls.filter(c=>c.includes('-sV'));
+  // discovery: -p- split in two, no probes
+  assert.deepEqual(calls.filter(c=>!c.includes('-sV')).sort(),['-oX -sS -Pn -p1-32767 -T4 203.0.113.7','-oX -sS -Pn -p32768-65535 -T4 203.0.113.7']);
+  assert.equal(detail.length,1);
+  assert.match(detail[0],/-sV -sC -O --version-all/);
+  assert.match(detail[0],/-p T:22,80\b/);
+  assert.doesNotMatch(detail[0],/443/,'closed ports are not probed');
+  // split discovery: its XML parts are nmap.part-N.xml, as for any split run
+  assert.deepEqual(files(outDir).filter(f=>f.startsWith('nmap')),['nmap-discovery.txt','nmap.part-0.xml','nmap.part-1.xml','nmap.txt','nmap.xml']);
+  assert.equal(summary.cmds.nmap.mode,'adaptive');
+  assert.deepEqual(summary.cmds.nmap.stages.map(x=>x.stage),['discovery','detail']);
+  assert.equal(summary.ports.find(p=>p.port===80).product,'nginx');
+});
+
+test('performScan follows the jail profile: nmapArgs and a scanProfile', async t=>{
+  const s=setup(t,{},{ sshd:{ nmapArgs:'-sS -Pn -p22 -T4 -sV' }, 'nginx-*':{ scanProfile:'quick' } });
+  await s.scan({ ip:'203.0.113.7', ban:{ jail:'sshd' } });
+  await s.scan({ ip:'203.0.113.8', ban:{ jail:'nginx-http-auth' } });
+  assert.deepEqual(s.calls().map(ran),[
+    '-oX -sS -Pn -p22 -T4 -sV 203.0.113.7',
+    '-oX -sS -Pn -T4 --top-ports 100 -sV --version-light 203.0.113.8'
+  ]);
+});
+
+test('performScan names IPv6 scan directories without colons', async t=>{
+  const s=setup(t,{ scan:{ profile:'quick' } });
+  const { summary, outDir }=await s.scan({ ip:'2001:db8::beef' });
+  assert.doesNotMatch(path.basename(outDir),/:/);
+  assert.ok(path.basename(outDir).startsWith('2001_db8_beef_'),path.basename(outDir));
+  assert.equal(summary.ip,'2001:db8::beef');
+  assert.match(fs.readFileSync(path.join(outDir,'nmap.xml'),'utf8'),/addrtype="ipv6"/);
+});
+
+test('performScan compares with the previous scan of the IP in diff.json', async t=>{
+  const s=setup(t,{ scan:{ profile:'quick' } });
+  const first=await s.scan({ ip:'203.0.113.7' });
+  const same=await s.scan({ ip:'203.0.113.7' });
+  assert.equal(same.summary.previous,path.basename(first.outDir));
+  assert.equal(same.summary.changed,false);
+
+  process.env.FAKE_NMAP_DETAIL='nmap-detail-changed';
+  const changed=await s.scan({ ip:'203.0.113.7' });
+  assert.equal(changed.summary.previous,path.basename(same.outDir));
+  assert.equal(changed.summary.changed,true);
+  assert.deepEqual(changed.summary.cmds.diff,{ ok:true, path:'diff.json' });
+  const diff=JSON.parse(fs.readFileSync(path.join(changed.outDir,'diff.json'),'utf8'));
+  assert.equal(diff.changed,true);
+  assert.match(JSON.stringify(diff),/5432/);
+});
+
+test('performScan leaves what a failed tool could not tell out of diff.json', async t=>{
+  const s=setup(t,{ scan:{ profile:'quick' } });
+  const first=await s.scan({ ip:'203.0.113.7' });
+  // nmap fails, whatever it printed: no port was opened or closed
+  process.env.FAKE_NMAP_EXIT='1';
+  process.env.FAKE_NMAP_DETAIL='nmap-detail-changed';
+  const failed=await s.scan({ ip:'203.0.113.7' });
+  assert.equal(failed.summary.previous,path.basename(first.outDir));
+  assert.equal(failed.summary.changed,false);
+  const diff=JSON.parse(fs.readFileSync(path.join(failed.outDir,'diff.json'),'utf8'));
+  assert.equal(diff.ports,null);
+  assert.equal(diff.changed,false);
+
+  // whois and dig fail: no other netname, no lost PTR; the failed nmap scan is no baseline
+  delete process.env.FAKE_NMAP_EXIT;
+  delete process.env.FAKE_NMAP_DETAIL;
+  process.env.FAKE_WHOIS_EXIT='2';
+  process.env.FAKE_DIG_EXIT='9';
+  const lookups=await s.scan({ ip:'203.0.113.7' });
+  assert.equal(lookups.summary.previous,path.basename(first.outDir));
+  assert.equal(lookups.summary.changed,false);
+  const diff2=JSON.parse(fs.readFileSync(path.join(lookups.outDir,'diff.json'),'utf8'));
+  assert.deepEqual(diff2.ports,{ opened:[], closed:[], changed:[] });
+  assert.equal(diff2.rdns,null);
+  assert.equal(diff2.whois,null);
+});
+
+test('performScan keeps what a failed nmap wrote and reports the failure', async t=>{
+  const s=setup(t,{ scan:{ profile:'quick' } });
+  process.env.FAKE_NMAP_EXIT='1';
+  const { summary, outDir }=await s.scan({ ip:'203.0.113.7' });
+  assert.equal(summary.cmds.nmap.ok,false);
+  assert.equal(scanFailure(summary),'nmap failed');
+  assert.ok(files(outDir).includes('nmap.txt'));
+  assert.ok(files(outDir).includes('summary.json'));
+  assert.equal(summary.cmds.whois.ok,true);
+});
+
+test('performScan records failed whois and dig lookups as unknown, not empty', async t=>{
+  const s=setup(t,{ scan:{ profile:'quick' } });
+  process.env.FAKE_WHOIS_EXIT='2';
+  process.env.FAKE_DIG_EXIT='9';
+  const { summary, outDir }=await s.scan({ ip:'203.0.113.7' });
+  assert.equal(summary.cmds.whois.ok,false);
+  assert.equal(summary.cmds.dig.ok,false);
+  assert.equal(summary.whois,null);
+  assert.equal(summary.rdns,null);
+  assert.match(fs.readFileSync(path.join(outDir,'whois.txt'),'utf8'),/Connection timed out/);
+  assert.equal(scanFailure(summary),'whois failed');
+});
@@ -0,0 +1,62 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs'), path = require('path');
+const { ScanDb } = require('../lib/scandb');
+const query = require('../lib/commands/query');
+const { tmpDir } = require('./helpers');
+
+// a summary.json as performScan writes it, reduced to what the index reads
+const summary=(ip,ts,country,extra={})=>({
+  ip, ts, ban:{ jail:'sshd', ts }, whois:{ country, asn:`AS6450${country.length}`, org:`${country} Hosting` },
+  ports:[{ port:22, protocol:'tcp', state:'open', service:'ssh' }], ...extra
+});
+const scanDir=(out,s)=>path.join(out,s.ts.slice(0,10),`${s.ip}_${s.ts.replace(/[:.]/g,'-')}`);
+
+async function index(t,summaries){
+  const dir=tmpDir(t);
+  const db=new ScanDb(path.join(dir,'index.db'));
+  for(const s of summaries) await db.add(s,scanDir(path.join(dir,'out'),s));
+  return { dir, db, config:{ index:{ file:db.file } } };
+}
+
+// what `fail2scan query` prints, parsed
+async function run(t,config,args){
+  const printed=[];
+  t.mock.method(console,'log',text=>printed.push(text));
+  assert.equal(await query.run([...args,'--format','json'],config),0);
+  t.mock.restoreAll();
+  return JSON.parse(printed.join('\n'));
+}
+
+test('query --ips takes country, ASN and org from the latest scan of each IP', async t=>{
+  const { config }=await index(t,[
+    // indexed out of order, as reindex meets them: the oldest comes last
+    summary('203.0.113.7','2026-03-03T10:00:00.000Z','US'),
+    summary('203.0.113.7','2026-03-02T10:00:00.000Z','DE'),
+    summary('203.0.113.7','2026-03-01T10:00:00.000Z','NL'),
+    summary('198.51.100.23','2026-03-01T12:00:00.000Z','FR')
+  ]);
+  const rows=await run(t,config,['--ips']);
+  assert.deepEqual(rows.map(r=>[r.ip,r.scans,r.first_scan,r.last_scan,r.country,r.org]),[
+    ['203.0.113.7',3,'2026-03-01T10:00:00.000Z','2026-03-03T10:00:00.000Z','US','US Hosting'],
+    ['198.51.100.23',1,'2026-03-01T12:00:00.000Z','2026-03-01T12:00:00.000Z','FR','FR Hosting']
+  ]);
+  // the latest scan that matches the filters
+  const nl=await run(t,config,['--ips','--until','2026-03-02T12:00:00Z','--ip','203.0.113.7']);
+  assert.deepEqual(nl.map(r=>[r.scans,r.country]),[[2,'DE']]);
+});
+
+test('rebuild replaces the index with the scans of the output tree', async t=>{
+  const kept=summary('203.0.113.7','2026-03-01T10:00:00.000Z','NL');
+  const { dir, db, config }=await index(t,[kept,summary('198.51.100.23','2026-03-01T12:00:00.000Z','FR')]);
+  const out=path.join(dir,'out');
+  fs.mkdirSync(scanDir(out,kept),{ recursive:true });
+  fs.writeFileSync(path.join(scanDir(out,kept),'summary.json'),JSON.stringify(kept));
+
+  assert.equal(await db.rebuild(out),1);
+  assert.deepEqual(fs.readdirSync(dir).filter(f=>f.startsWith('index.db')),['index.db']);
+  assert.deepEqual((await run(t,config,['--ips'])).map(r=>r.ip),['203.0.113.7']);
+  await db.add(summary('203.0.113.7','2026-03-04T10:00:00.000Z','US'),path.join(out,'2026-03-04','203.0.113.7_x'));
+  assert.deepEqual((await run(t,config,['--ips'])).map(r=>[r.scans,r.country]),[[2,'US']]);
+});
@@ -0,0 +1,151 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs'), path = require('path'), zlib = require('zlib');
+const { FileTail, rotatedSiblings } = require('../lib/tail');
+const { tmpDir, waitFor, fixture, fixtureLines } = require('./helpers');
+
+// a FileTail on <dir>/fail2ban.log collecting the lines it reads
+function follow(t,dir,opts={}){
+  const file=path.join(dir,'fail2ban.log');
+  const lines=[], offsets=opts.offsets||{};
+  let saves=0;
+  const tail=new FileTail(file,(line,meta)=>lines.push({ line, ...meta }),{ pollMs:50, offsets, onOffset:()=>saves++, ...opts });
+  t.after(()=>tail.close());
+  return { file, tail, lines, offsets, text:()=>lines.map(l=>l.line), saves:()=>saves };
+}
+const until=(f,n)=>waitFor(()=>f.lines.length>=n,{ what:`${n} line(s), got ${f.lines.length}` });
+const append=(file,text)=>fs.appendFileSync(file,text);
+
+test('FileTail starts at the end of the file and reads appended lines', async t=>{
+  const dir=tmpDir(t);
+  fs.copyFileSync(fixture('logs','fail2ban.log'),path.join(dir,'fail2ban.log'));
+  const f=follow(t,dir);
+  await f.tail.ready;
+  assert.equal(f.lines.length,0,'what was there before start is not replayed');
+  append(f.file,'2025-10-12 15:00:00,000 fail2ban.actions        [1187]: NOTICE  [sshd] Ban 203.0.113.60\n');
+  await until(f,1);
+  assert.equal(f.lines[0].source,`file:${f.file}`);
+  assert.match(f.lines[0].line,/Ban 203\.0\.113\.60$/);
+  const st=fs.statSync(f.file);
+  await waitFor(()=>f.saves()>0,{ what:'onOffset' });
+  assert.deepEqual(f.offsets[f.file],{ ino:st.ino, pos:st.size });
+});
+
+test('FileTail holds a partial line until its newline arrives', async t=>{
+  const dir=tmpDir(t);
+  fs.writeFileSync(path.join(dir,'fail2ban.log'),'');
+  const f=follow(t,dir);
+  await f.tail.ready;
+  append(f.file,'[sshd] Ban 203.0');
+  await new Promise(r=>setTimeout(r,200));
+  assert.equal(f.lines.length,0);
+  append(f.file,'.113.61\n');
+  await until(f,1);
+  assert.deepEqual(f.text(),['[sshd] Ban 203.0.113.61']);
+});
+
+test('FileTail resumes from the saved offset', async t=>{
+  const dir=tmpDir(t);
+  const file=path.join(dir,'fail2ban.log');
+  const lines=fixtureLines('logs','fail2ban.log');
+  fs.writeFileSync(file,lines.slice(0,5).join('\n')+'\n');
+  const pos=fs.statSync(file).size;
+  fs.appendFileSync(file,lines.slice(5,8).join('\n')+'\n');
+  const f=follow(t,dir,{ offsets:{ [file]:{ ino:fs.statSync(file).ino, pos } } });
+  await f.tail.ready;
+  assert.deepEqual(f.text(),lines.slice(5,8));
+});
+
+test('FileTail follows a rename rotation, finishing the old file first', async t=>{
+  const dir=tmpDir(t);
+  fs.writeFileSync(path.join(dir,'fail2ban.log'),'');
+  const f=follow(t,dir);
+  await f.tail.ready;
+  append(f.file,'[sshd] Ban 203.0.113.62\n');
+  await until(f,1);
+  // logrotate: written to the old file after our last read, then renamed away
+  append(f.file,'[sshd] Ban 203.0.113.63\n');
+  fs.renameSync(f.file,f.file+'.1');
+  fs.writeFileSync(f.file,'[sshd] Ban 203.0.113.64\n');
+  await until(f,3);
+  await new Promise(r=>setTimeout(r,200));
+  assert.deepEqual(f.text(),['[sshd] Ban 203.0.113.62','[sshd] Ban 203.0.113.63','[sshd] Ban 203.0.113.64']);
+  assert.equal(f.offsets[f.file].ino,fs.statSync(f.file).ino);
+});
+
+test('FileTail catches up with a rotation that happened while it was down', async t=>{
+  const dir=tmpDir(t);
+  const file=path.join(dir,'fail2ban.log');
+  fs.writeFileSync(file,'[sshd] Ban 203.0.113.65\n');
+  const saved={ ino:fs.statSync(file).ino, pos:fs.statSync(file).size };
+  fs.appendFileSync(file,'[sshd] Ban 203.0.113.66\n');
+  fs.renameSync(file,file+'.1');
+  fs.writeFileSync(file,'[sshd] Ban 203.0.113.67\n');
+  const f=follow(t,dir,{ offsets:{ [file]:saved } });
+  await f.tail.ready;
+  assert.deepEqual(f.text(),['[sshd] Ban 203.0.113.66','[sshd] Ban 203.0.113.67']);
+});
+
+test('FileTail starts over after a copytruncate', async t=>{
+  const dir=tmpDir(t);
+  fs.copyFileSync(fixture('logs','fail2ban.log'),path.join(dir,'fail2ban.log'));
+  const f=follow(t,dir);
+  await f.tail.ready;
+  const ino=fs.statSync(f.file).ino;
+  fs.truncateSync(f.file,0);
+  append(f.file,'[sshd] Ban 203.0.113.68\n');
+  await until(f,1);
+  assert.equal(fs.statSync(f.file).ino,ino,'same file');
+  assert.deepEqual(f.text(),['[sshd] Ban 203.0.113.68']);
+});
+
+test('FileTail waits for a log file that does not exist yet', async t=>{
+  const dir=tmpDir(t);
+  const f=follow(t,dir);
+  await f.tail.ready;
+  fs.writeFileSync(f.file,'[sshd] Ban 203.0.113.69\n');
+  await until(f,1);
+  assert.deepEqual(f.text(),['[sshd] Ban 203.0.113.69']);
+});
+
+test('FileTail --backfill replays rotated and compressed logs, oldest first', async t=>{
+  const dir=tmpDir(t);
+  const file=path.join(dir,'fail2ban.log');
+  fs.writeFileSync(file+'.2.gz',zlib.gzipSync(fs.readFileSync(fixture('logs','fail2ban.log.2'))));
+  fs.copyFileSync(fixture('logs','fail2ban.log.1'),file+'.1');
+  fs.copyFileSync(fixture('logs','fail2ban.log'),file);
+  const day=86400;
+  fs.utimesSync(file+'.2.gz',Date.now()/1000-2*day,Date.now()/1000-2*day);
+  fs.utimesSync(file+'.1',Date.now()/1000-day,Date.now()/1000-day);
+  assert.deepEqual(rotatedSiblings(file).map(f=>path.basename(f.path)),['fail2ban.log.2.gz','fail2ban.log.1']);
+
+  const f=follow(t,dir,{ backfill:true });
+  await f.tail.ready;
+  const expected=[...fixtureLines('logs','fail2ban.log.2'),...fixtureLines('logs','fail2ban.log.1'),...fixtureLines('logs','fail2ban.log')];
+  assert.deepEqual(f.text(),expected);
+  assert.equal(f.lines.filter(l=>l.backfill).length,4,'rotated lines are flagged');
+});
+
+test('FileTail with backfill set resumes from the saved offset after a restart', async t=>{
+  const dir=tmpDir(t);
+  const file=path.join(dir,'fail2ban.log');
+  fs.copyFileSync(fixture('logs','fail2ban.log.1'),file+'.1');
+  fs.utimesSync(file+'.1',Date.now()/1000-86400,Date.now()/1000-86400);
+  fs.writeFileSync(file,'');
+  const offsets={};
+  const first=follow(t,dir,{ backfill:true, offsets });
+  await first.tail.ready;
+  assert.deepEqual(first.text(),fixtureLines('logs','fail2ban.log.1'));
+  assert.deepEqual(offsets[file],{ ino:fs.statSync(file).ino, pos:0 },'saved before any new line');
+  append(file,'[sshd] Ban 203.0.113.70\n');
+  await until(first,3);
+  first.tail.close();
+
+  append(file,'[sshd] Ban 203.0.113.71\n');
+  const second=follow(t,dir,{ backfill:true, offsets });
+  await second.tail.ready;
+  assert.deepEqual(second.text(),['[sshd] Ban 203.0.113.71']);
+  const all=[...first.text(),...second.text()];
+  assert.equal(new Set(all).size,all.length,'no line delivered twice');
+});
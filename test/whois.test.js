@@ -0,0 +1,49 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { parseWhois } = require('../lib/whois');
+const { fixture } = require('./helpers');
+
+const parse=(...p)=>parseWhois(fs.readFileSync(fixture(...p),'utf8'));
+
+test('parseWhois reads a RIPE answer: inetnum, route origin, the abuse comment', ()=>{
+  assert.deepEqual(parse('tools','whois.txt'),{
+    registry:'RIPE', netname:'EXAMPLE-HOSTING-NET', range:'203.0.113.0 - 203.0.113.255', cidr:['203.0.113.0/24'],
+    country:'NL', org:'Example Hosting Ltd, virtual servers', abuse_email:'abuse@example.net', asn:'AS64500'
+  });
+});
+
+test('parseWhois takes the customer block of an ARIN answer over its parent', ()=>{
+  assert.deepEqual(parse('whois','arin.txt'),{
+    registry:'ARIN', netname:'EXAMPLE-CUSTOMER-7', range:'198.51.100.0 - 198.51.100.127', cidr:['198.51.100.0/25'],
+    country:'US', org:'Example Cloud LLC', abuse_email:'abuse@cloud.example', asn:'AS64497'
+  });
+});
+
+test('parseWhois reads an APNIC inet6num and its organisation object', ()=>{
+  assert.deepEqual(parse('whois','apnic.txt'),{
+    registry:'APNIC', netname:'EXAMPLE-ISP-V6', range:'2001:db8:4400::/40', cidr:['2001:db8:4400::/40'],
+    country:'JP', org:'Example ISP KK', abuse_email:'abuse@isp.example.jp', asn:'AS64499'
+  });
+});
+
+test('parseWhois expands a LACNIC short CIDR and follows abuse-c to its contact', ()=>{
+  assert.deepEqual(parse('whois','lacnic.txt'),{
+    registry:'LACNIC', netname:null, range:'192.0.2.0/24', cidr:['192.0.2.0/24'],
+    country:'BR', org:'Exemplo Telecomunicacoes Ltda', abuse_email:'abuse@exemplo.example', asn:'AS64498'
+  });
+});
+
+test('parseWhois reads an AFRINIC answer: abuse-mailbox of the organisation, filtered source', ()=>{
+  assert.deepEqual(parse('whois','afrinic.txt'),{
+    registry:'AFRINIC', netname:'EXAMPLE-MOBILE-KE', range:'198.18.0.0 - 198.19.255.255', cidr:['198.18.0.0/15'],
+    country:'KE', org:'Example Mobile Ltd', abuse_email:'abuse@mobile.example', asn:'AS64511'
+  });
+});
+
+test('parseWhois ignores what whois wrote to stderr and survives an empty answer', ()=>{
+  const text=fs.readFileSync(fixture('tools','whois.txt'),'utf8')+'\n\nSTDERR:\ncountry: XX\nabuse@stderr.example\n';
+  assert.equal(parseWhois(text).country,'NL');
+  assert.deepEqual(parseWhois(''),{ registry:null, netname:null, range:null, cidr:[], country:null, org:null, abuse_email:null, asn:null });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+// Who may call what. Keys are random tokens handed out once by keys.js; the
+// file only keeps their SHA-256 (they carry 256 bits, so a slow hash buys
+// nothing), their scopes and an optional per-minute rate. A key is sent as
+// "Authorization: Bearer <token>" or "X-API-Key: <token>" (or ?access_token=
+// where the route allows it: /events, for EventSource).
+//
+// scopes: read  – listings, scan summaries, per-IP history, stats
+//         raw   – raw artifacts (nmap, whois... files, and /?scan=)
+//         admin – everything, plus the key list
+
+const SCOPES = ['read', 'raw', 'admin']
+const hashToken = token => 'sha256:' + crypto.createHash('sha256').update(token, 'utf8').digest('hex')
+const newToken = () => 'f2s_' + crypto.randomBytes(32).toString('base64url')
+
+// -------------------- keys file --------------------
+// { "keys": [{ "id", "hash", "scopes": [...], "rateLimit"?, "created" }] }
+class KeyStore {
+  constructor(file) {
+    this.file = file
+    this.mtimeMs = -1
+    this.byHash = new Map()
+  }
+  read() {
+    try { return JSON.parse(fs.readFileSync(this.file, 'utf8')).keys || [] }
+    catch (err) { if (err.code === 'ENOENT') return []; throw err }
+  }
+  write(keys) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 })
+    const tmp = `${this.file}.tmp`
+    fs.writeFileSync(tmp, JSON.stringify({ keys }, null, 2) + '\n', { mode: 0o600 })
+    fs.renameSync(tmp, this.file)
+  }
+  // reloaded when the file changes, so keys.js add/revoke need no restart
+  refresh() {
+    let mtimeMs = 0
+    try { mtimeMs = fs.statSync(this.file).mtimeMs } catch {}
+    if (mtimeMs === this.mtimeMs) return
+    try {
+      this.byHash = new Map(this.read().map(k => [k.hash, k]))
+    } catch (err) {
+      // a broken file locks everyone out rather than falling back to no auth
+      console.error(`cannot read ${this.file}: ${err.message}`)
+      this.byHash = new Map()
+    }
+    this.mtimeMs = mtimeMs
+  }
+  find(token) {
+    this.refresh()
+    return this.byHash.get(hashToken(token)) || null
+  }
+  list() {
+    this.refresh()
+    return [...this.byHash.values()].map(({ hash, ...k }) => k)
+  }
+}
+
+const hasScope = (key, scope) => key.scopes.includes('admin') || key.scopes.includes(scope)
+
+function tokenOf(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '')
+  return m ? m[1] : req.get('x-api-key') || (typeof req.query.access_token === 'string' ? req.query.access_token : null)
+}
+
+// -------------------- rate limit --------------------
+// a token bucket per key: `perMinute` requests, refilled continuously
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map()
+  }
+  // 0 when allowed, else the seconds to wait
+  take(id, perMinute) {
+    const now = Date.now()
+    const b = this.buckets.get(id) || { tokens: perMinute, at: now }
+    b.tokens = Math.min(perMinute, b.tokens + (now - b.at) * perMinute / 60000)
+    b.at = now
+    this.buckets.set(id, b)
+    if (b.tokens >= 1) { b.tokens -= 1; return 0 }
+    return Math.ceil((1 - b.tokens) * 60 / perMinute)
+  }
+}
+
+// -------------------- middleware --------------------
+// res.locals.scope is what the route needs; null leaves it open, like /health
+function authenticate({ keys, enabled = true, rateLimit = 60 }) {
+  const limiter = new RateLimiter()
+  return (req, res, next) => {
+    const scope = res.locals.scope
+    if (!scope || !enabled) return next()
+    const token = tokenOf(req)
+    const key = token && keys.find(token)
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer realm="failtoscan-api"')
+      return res.status(401).json({ error: token ? 'invalid API key' : 'API key required' })
+    }
+    req.apiKey = key
+    if (!hasScope(key, scope)) return res.status(403).json({ error: `this key lacks the ${scope} scope` })
+    const wait = limiter.take(key.id, key.rateLimit || rateLimit)
+    if (wait) {
+      res.set('Retry-After', String(wait))
+      return res.status(429).json({ error: 'rate limit exceeded' })
+    }
+    next()
+  }
+}
+
+// only listed origins get CORS headers; '*' allows any
+function cors(origins) {
+  return (req, res, next) => {
+    const origin = req.get('origin')
+    const ok = origin && (origins.includes('*') || origins.includes(origin))
+    res.vary('Origin')
+    if (ok) {
+      res.setHeader('Access-Control-Allow-Origin', origins.includes('*') ? '*' : origin)
+      res.setHeader('Access-Control-Allow-Methods', 'GET')
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match, Authorization, X-API-Key')
+      res.setHeader('Access-Control-Expose-Headers', 'ETag, Retry-After')
+      res.setHeader('Access-Control-Max-Age', '600')
+    }
+    if (req.method === 'OPTIONS') return res.status(ok ? 204 : 403).end()
+    next()
+  }
+}
+
+// JSONL, one line per request once it is answered: { ts, ip, key, method, path, status, bytes, ms, client }
+function accessLog(file) {
+  const stream = file ? fs.createWriteStream(file, { flags: 'a', mode: 0o600 }) : null
+  if (stream) stream.on('error', err => console.error(`access log ${file}: ${err.message}`))
+  return (req, res, next) => {
+    if (!stream) return next()
+    const start = process.hrtime.bigint()
+    res.on('finish', () => {
+      const cert = req.socket.getPeerCertificate ? req.socket.getPeerCertificate() : null
+      stream.write(JSON.stringify({
+        ts: new Date().toISOString(),
+        ip: req.ip,
+        key: req.apiKey ? req.apiKey.id : null,
+        method: req.method,
+        path: req.originalUrl.replace(/([?&]access_token=)[^&]*/, '$1***'),
+        status: res.statusCode,
+        bytes: Number(res.get('content-length')) || null,
+        ms: Number((process.hrtime.bigint() - start) / 1000000n),
+        client: cert && cert.subject ? cert.subject.CN || null : null
+      }) + '\n')
+    })
+    next()
+  }
+}
+
+module.exports = { SCOPES, KeyStore, hashToken, newToken, hasScope, authenticate, cors, accessLog }
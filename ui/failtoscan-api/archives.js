@@ -0,0 +1,44 @@
+const path = require('path')
+const fs = require('fs').promises
+const { execFile, spawn } = require('child_process')
+
+// day folders packed by fail2scan retention: <day>.tar.gz / <day>.tar.zst (<day>.<n>.tar.* for late folders)
+const ARCHIVE_RE = /^(\d{4}-\d{2}-\d{2})(?:\.\d+)?\.tar\.(gz|zst)$/
+const archiveMembers = new Map() // file -> { mtimeMs, members }
+
+function tar(args) {
+  return new Promise((resolve, reject) => {
+    execFile('tar', args, { maxBuffer: 1024 * 1024 * 64, encoding: 'buffer' }, (err, stdout) => err ? reject(err) : resolve(stdout))
+  })
+}
+const tarFlags = file => file.endsWith('.zst') ? ['--use-compress-program=zstd'] : ['-z']
+
+async function listArchives(logDir) {
+  let entries = []
+  try { entries = await fs.readdir(logDir, { withFileTypes: true }) }
+  catch (err) { if (err.code === 'ENOENT' || err.code === 'EACCES') return []; throw err }
+  return entries.filter(e => e.isFile() && ARCHIVE_RE.test(e.name))
+    .map(e => ({ date: ARCHIVE_RE.exec(e.name)[1], file: path.join(logDir, e.name) }))
+}
+
+// member paths ("<day>/<scan>/<file>"), cached until the archive changes
+async function readArchiveMembers(file) {
+  const st = await fs.stat(file)
+  const hit = archiveMembers.get(file)
+  if (hit && hit.mtimeMs === st.mtimeMs) return hit.members
+  const members = (await tar([...tarFlags(file), '-tf', file])).toString('utf8').split('\n').filter(Boolean)
+  archiveMembers.set(file, { mtimeMs: st.mtimeMs, members })
+  return members
+}
+
+// the files directly inside <day>/<scan>/ of an archive, as member paths
+async function scanMembers(file, date, scanName) {
+  const prefix = `${date}/${scanName}/`
+  return (await readArchiveMembers(file)).filter(m => m.startsWith(prefix) && !m.endsWith('/') && !m.slice(prefix.length).includes('/'))
+}
+
+const readMember = (file, member) => tar([...tarFlags(file), '-xOf', file, member])
+// a member as a stream, for large artifacts
+const streamMember = (file, member) => spawn('tar', [...tarFlags(file), '-xOf', file, member], { stdio: ['ignore', 'pipe', 'ignore'] })
+
+module.exports = { ARCHIVE_RE, listArchives, readArchiveMembers, scanMembers, readMember, streamMember }
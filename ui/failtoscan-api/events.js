@@ -0,0 +1,95 @@
+const net = require('net')
+const readline = require('readline')
+
+// GET /events: the daemon's queue events (events.socket in its config) as
+// Server-Sent Events. Each daemon line becomes one SSE message whose event
+// name is its type (ban, skipped, queued, started, step, completed, failed,
+// queue). Ids are ours, so a client reconnecting with Last-Event-ID gets what
+// it missed from the last REPLAY events, across daemon restarts too, but only
+// while this process lives: a restarted API counts from 1 again, and an id
+// above the current one (from before the restart) gets every event kept.
+
+const REPLAY = 500
+const HEARTBEAT_MS = 25000
+const RETRY_MS = [1000, 2000, 5000, 10000, 30000]
+
+class EventRelay {
+  constructor(socketPath) {
+    this.socketPath = socketPath
+    this.clients = new Set()
+    this.recent = [] // [{ id, type, data }]
+    this.lastQueue = null
+    this.nextId = 1
+    this.connected = false
+    this.failures = 0
+  }
+  start() {
+    if (!this.socketPath) return this
+    this._connect()
+    setInterval(() => this._send(': ping\n\n'), HEARTBEAT_MS).unref()
+    return this
+  }
+  _connect() {
+    const sock = net.connect(this.socketPath)
+    sock.on('connect', () => {
+      this.connected = true
+      this.failures = 0
+      console.log(`events: connected to ${this.socketPath}`)
+      this._publish({ type: 'daemon', connected: true })
+    })
+    const lines = readline.createInterface({ input: sock })
+    lines.on('line', line => {
+      let ev
+      try { ev = JSON.parse(line) } catch { return }
+      if (ev && typeof ev.type === 'string') this._publish(ev)
+    })
+    // close follows; it retries
+    lines.on('error', () => {})
+    sock.on('error', () => {})
+    sock.on('close', () => {
+      if (this.connected) {
+        console.log(`events: lost ${this.socketPath}, reconnecting`)
+        this._publish({ type: 'daemon', connected: false })
+      }
+      this.connected = false
+      setTimeout(() => this._connect(), RETRY_MS[Math.min(this.failures++, RETRY_MS.length - 1)]).unref()
+    })
+  }
+  _publish(ev) {
+    const msg = { id: this.nextId++, type: ev.type, data: JSON.stringify(ev) }
+    // the queue snapshot is state, not history: only the latest one is kept
+    if (ev.type === 'queue') this.lastQueue = msg
+    else {
+      this.recent.push(msg)
+      if (this.recent.length > REPLAY) this.recent.shift()
+    }
+    this._send(format(msg))
+  }
+  _send(text) {
+    for (const res of this.clients) res.write(text)
+  }
+  // express handler
+  handle(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'X-Accel-Buffering': 'no'
+    })
+    res.flushHeaders()
+    res.write(`retry: ${RETRY_MS[1]}\n\n`)
+    // only an id we could have sent (a positive integer) asks for a replay
+    const header = req.get('last-event-id')
+    if (/^\d+$/.test(header || '') && Number(header) > 0) {
+      const last = Number(header) >= this.nextId ? 0 : Number(header)
+      for (const msg of this.recent) if (msg.id > last) res.write(format(msg))
+    }
+    res.write(format({ id: this.nextId - 1, type: 'daemon', data: JSON.stringify({ type: 'daemon', connected: this.connected }) }))
+    if (this.lastQueue) res.write(format(this.lastQueue))
+    this.clients.add(res)
+    req.on('close', () => this.clients.delete(res))
+  }
+}
+
+const format = msg => `id: ${msg.id}\nevent: ${msg.type}\ndata: ${msg.data}\n\n`
+
+module.exports = { EventRelay }
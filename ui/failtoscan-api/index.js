@@ -2,7 +2,15 @@ require('dotenv').config({ quiet: true })
 const express = require('express')
 const helmet = require('helmet')
 const path = require('path')
+const os = require('os')
+const http = require('http')
+const https = require('https')
 const fs = require('fs').promises
+const { readFileSync } = require('fs')
+const { listArchives, readArchiveMembers, scanMembers, readMember } = require('./archives')
+const { KeyStore, authenticate, cors, accessLog } = require('./access')
+const { EventRelay } = require('./events')
+const v1 = require('./v1')
 
 const app = express()
 app.use(helmet())
@@ -16,15 +24,40 @@ const EXEMPT_PATHS = new Set([
   '/.well-known/security.txt'
 ])
 
-app.use((req, res, next) => {
+// the API key scope a request needs (null: open), or undefined for anything
+// we do not serve, which gets a bare 444
+function scopeOf(req) {
+  if (req.path === '/api/v1/keys') return Object.keys(req.query).length ? undefined : 'admin'
+  // EventSource cannot send headers: the key may come as ?access_token=
+  if (req.path === '/events') return Object.keys(req.query).every(k => k === 'access_token') ? 'read' : undefined
+  if (req.path.startsWith('/api/v1/')) { const r = v1.route(req); return r ? r.scope : undefined }
   const q = Object.keys(req.query)
-  res.setHeader('Access-Control-Allow-Origin', '*') // front
-  res.setHeader('Access-Control-Allow-Methods', 'GET')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
-  if (!EXEMPT_PATHS.has(req.path)) return res.status(444).end()
-  if (q.length > 0 && q[0] !== 'scan') return res.status(444).end()
+  if (!EXEMPT_PATHS.has(req.path)) return undefined
+  if (q.length > 0 && q[0] !== 'scan') return undefined
+  if (req.path !== '/') return null
+  return req.query.scan ? 'raw' : 'read'
+}
+
+const keys = new KeyStore(process.env.API_KEYS_FILE || path.join(os.homedir(), '.failtoscan_api_keys.json'))
+const AUTH = process.env.API_AUTH !== 'off'
+if (AUTH && !keys.list().length) console.warn(`no API keys in ${keys.file}: everything but /health answers 401 (node keys.js add <id> to create one)`)
+
+app.use(accessLog(process.env.ACCESS_LOG))
+app.use((req, res, next) => {
+  const scope = scopeOf(req)
+  if (scope === undefined) return res.status(444).end()
+  res.locals.scope = scope
   next()
 })
+app.use(cors((process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean)))
+// mTLS: the handshake asks for a client certificate but lets requests
+// without one through, so that /health stays open to probes
+const MTLS = !!(process.env.TLS_CERT && process.env.TLS_KEY && process.env.TLS_CA)
+app.use((req, res, next) => {
+  if (MTLS && res.locals.scope && !req.socket.authorized) return res.status(401).json({ error: 'client certificate required' })
+  next()
+})
+app.use(authenticate({ keys, enabled: AUTH, rateLimit: Number(process.env.RATE_LIMIT) || 60 }))
 
 const LOG_DIR = process.env.LOG_DIR || '/var/log/fail2scan'
 
@@ -38,6 +71,22 @@ async function readFileUtf8Safe(fp) {
   catch (err) { if (err.code === 'ENOENT' || err.code === 'EACCES') return null; throw err }
 }
 
+async function readArchivedScan(archive, scanName) {
+  const files = await scanMembers(archive.file, archive.date, scanName)
+  if (!files.length) return null
+  const fileEntries = await Promise.all(files.map(async m => {
+    const name = path.basename(m)
+    let raw
+    try { raw = (await readMember(archive.file, m)).toString('utf8') }
+    catch { return [name, null] }
+    if (name.endsWith('.json')) {
+      try { return [name, JSON.parse(raw)] } catch { return [name, raw] }
+    }
+    return [name, raw]
+  }))
+  return { date: archive.date, scan: scanName, archived: true, files: Object.fromEntries(fileEntries) }
+}
+
 async function buildListingNames() {
   const out = {}
   const dateDirs = await readDirSafe(LOG_DIR)
@@ -55,6 +104,16 @@ async function buildListingNames() {
     }
     out[dateName] = names
   }
+  for (const archive of await listArchives(LOG_DIR)) {
+    let members = []
+    try { members = await readArchiveMembers(archive.file) }
+    catch (err) { console.error(`cannot list ${archive.file}: ${err.message}`); continue }
+    const names = out[archive.date] || (out[archive.date] = [])
+    for (const m of members) {
+      const parts = m.split('/').filter(Boolean)
+      if (parts.length >= 2 && !names.includes(parts[1])) names.push(parts[1])
+    }
+  }
   return out
 }
 
@@ -94,6 +153,12 @@ async function readFullScanByName(scanName) {
       return { date: dateName, scan: scanName, files: Object.fromEntries(fileEntries) }
     }
   }
+  // scan names carry their day: <ip>_<YYYY-MM-DD>T...
+  const day = /_(\d{4}-\d{2}-\d{2})T/.exec(scanName)
+  for (const archive of (await listArchives(LOG_DIR)).filter(a => !day || a.date === day[1])) {
+    const data = await readArchivedScan(archive, scanName)
+    if (data) return data
+  }
   return null
 }
 
@@ -113,8 +178,34 @@ app.get('/', async (req, res) => {
   }
 })
 
+const events = new EventRelay(process.env.EVENTS_SOCKET).start()
+app.get('/events', (req, res) => {
+  if (!events.socketPath) return res.status(503).json({ error: 'no event stream: set EVENTS_SOCKET to the daemon events.socket' })
+  events.handle(req, res)
+})
+
+app.get('/api/v1/keys', (req, res) => res.json({ keys: keys.list() }))
+app.use('/api/v1', v1.router)
+
 app.get('/health', (req, res) => res.json({ ok: true }))
 app.get('/robots.txt', (req, res) => res.type('text/plain').send('User-agent: *\nDisallow: /'))
 
+// HTTPS when TLS_CERT and TLS_KEY are set; with TLS_CA, a client certificate
+// signed by it (mTLS), for when the API is exposed without a proxy
+function createServer() {
+  if (!process.env.TLS_CERT || !process.env.TLS_KEY) return http.createServer(app)
+  const ca = process.env.TLS_CA
+  try {
+    return https.createServer({
+      cert: readFileSync(process.env.TLS_CERT),
+      key: readFileSync(process.env.TLS_KEY),
+      ...(ca ? { ca: readFileSync(ca), requestCert: true, rejectUnauthorized: false } : {})
+    }, app)
+  } catch (err) {
+    console.error(`TLS: ${err.message}`)
+    process.exit(2)
+  }
+}
+
 const port = Number(process.env.APP_PORT) || 11111
-app.listen(port, () => console.log(`${process.env.APP_NAME || 'unknown'} listening on ${port} as pid ${process.pid}`))
+createServer().listen(port, () => console.log(`${process.env.APP_NAME || 'unknown'} listening on ${port} as pid ${process.pid}`))
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+require('dotenv').config({ quiet: true })
+const path = require('path')
+const os = require('os')
+const { SCOPES, KeyStore, hashToken, newToken } = require('./access')
+
+// API key management; the running API picks changes up on the next request.
+//   node keys.js add <id> [--scopes read,raw] [--rate <per minute>]
+//   node keys.js list
+//   node keys.js revoke <id>
+
+const USAGE = 'usage: node keys.js add <id> [--scopes read,raw,admin] [--rate <per minute>] | list | revoke <id>'
+const keys = new KeyStore(process.env.API_KEYS_FILE || path.join(os.homedir(), '.failtoscan_api_keys.json'))
+
+function die(message) {
+  console.error(message)
+  process.exit(2)
+}
+
+function option(args, name) {
+  const i = args.indexOf(name)
+  if (i < 0) return undefined
+  if (!args[i + 1]) die(`${name} needs a value`)
+  return args.splice(i, 2)[1]
+}
+
+const [cmd, ...args] = process.argv.slice(2)
+if (cmd === 'add') {
+  const scopes = (option(args, '--scopes') || 'read').split(',').map(s => s.trim()).filter(Boolean)
+  const rate = option(args, '--rate')
+  const [id] = args
+  if (!id || args.length > 1 || !/^[\w.-]+$/.test(id)) die(USAGE)
+  const bad = scopes.filter(s => !SCOPES.includes(s))
+  if (bad.length || !scopes.length) die(`unknown scope ${bad.join(', ')} (scopes: ${SCOPES.join(', ')})`)
+  if (rate !== undefined && !(Number.isInteger(+rate) && +rate > 0)) die('--rate: expected a positive integer')
+  const list = keys.read()
+  if (list.some(k => k.id === id)) die(`key ${id} already exists; revoke it first`)
+  const token = newToken()
+  list.push({ id, hash: hashToken(token), scopes, ...(rate ? { rateLimit: +rate } : {}), created: new Date().toISOString() })
+  keys.write(list)
+  console.log(token)
+  console.error(`key ${id} (${scopes.join(', ')}) added to ${keys.file}; the token is shown only once`)
+} else if (cmd === 'list') {
+  for (const k of keys.read()) console.log(`${k.id}\t${k.scopes.join(',')}\t${k.rateLimit ? `${k.rateLimit}/min` : 'default rate'}\t${k.created || ''}`)
+} else if (cmd === 'revoke') {
+  const [id] = args
+  if (!id || args.length > 1) die(USAGE)
+  const list = keys.read()
+  if (!list.some(k => k.id === id)) die(`no key ${id} in ${keys.file}`)
+  keys.write(list.filter(k => k.id !== id))
+  console.error(`key ${id} revoked`)
+} else {
+  die(USAGE)
+}
@@ -0,0 +1,236 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const net = require('net')
+const http = require('http')
+const { spawn, spawnSync } = require('child_process')
+const { ScanDb } = require('../../../lib/scandb')
+const { hashToken } = require('../access')
+
+// index.js run as a server over test/fixtures/out: three scans, two of
+// 203.0.113.7 (the second changed, its whois failed) and one of 2001:db8::beef
+
+const LOG_DIR = path.join(__dirname, 'fixtures', 'out')
+const SQLITE = spawnSync('sqlite3', ['-version']).status === 0
+const TOKENS = { read: 'f2s_test_read', raw: 'f2s_test_raw', admin: 'f2s_test_admin' }
+const FIRST = '203.0.113.7_2025-10-12T14-30-05-000Z'
+const CHANGED = '203.0.113.7_2025-10-13T09-00-00-000Z'
+const V6 = '2001_db8_beef_2025-10-12T14-30-40-000Z'
+
+let dir, server, base
+
+const freePort = () => new Promise((resolve, reject) => {
+  const srv = net.createServer().listen(0, '127.0.0.1', () => {
+    const { port } = srv.address()
+    srv.close(() => resolve(port))
+  }).on('error', reject)
+})
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'failtoscan-api-test-'))
+  const keysFile = path.join(dir, 'keys.json')
+  const created = new Date().toISOString()
+  fs.writeFileSync(keysFile, JSON.stringify({
+    keys: Object.entries(TOKENS).map(([scope, token]) => ({ id: scope, hash: hashToken(token), scopes: [scope], created }))
+  }))
+  const indexFile = path.join(dir, 'index.db')
+  if (SQLITE) await new ScanDb(indexFile).rebuild(LOG_DIR)
+
+  const port = await freePort()
+  base = `http://127.0.0.1:${port}`
+  // cwd and HOME in the temp dir: no .env or key file of the machine is read
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    cwd: dir,
+    env: { PATH: process.env.PATH, HOME: dir, APP_PORT: String(port), APP_NAME: 'failtoscan-api-test', LOG_DIR, INDEX_FILE: indexFile, API_KEYS_FILE: keysFile },
+    stdio: ['ignore', 'pipe', 'pipe']
+  })
+  let output = ''
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start: ${output}`)), 10000)
+    const seen = chunk => {
+      output += chunk
+      if (/listening on/.test(output)) { clearTimeout(timer); resolve() }
+    }
+    server.stdout.on('data', seen)
+    server.stderr.on('data', seen)
+    server.on('exit', code => { clearTimeout(timer); reject(new Error(`server exited with ${code}: ${output}`)) })
+  })
+})
+
+after(() => {
+  if (server && server.exitCode === null) server.kill()
+  if (dir) fs.rmSync(dir, { recursive: true, force: true })
+})
+
+const get = (url, scope = 'read', headers = {}) =>
+  fetch(base + url, { headers: scope ? { authorization: `Bearer ${TOKENS[scope]}`, ...headers } : headers })
+// fetch adds Cache-Control: no-cache to conditional requests, which never get a 304
+const status = (url, scope, headers) => new Promise((resolve, reject) => {
+  http.get(base + url, { headers: { authorization: `Bearer ${TOKENS[scope]}`, ...headers } }, res => {
+    res.resume()
+    resolve(res.statusCode)
+  }).on('error', reject)
+})
+const json = async (url, scope) => {
+  const res = await get(url, scope)
+  return { status: res.status, body: await res.json() }
+}
+
+// -------------------- access --------------------
+test('/health and /robots.txt need no key', async () => {
+  assert.deepEqual(await json('/health', null), { status: 200, body: { ok: true } })
+  const robots = await get('/robots.txt', null)
+  assert.equal(robots.status, 200)
+  assert.match(await robots.text(), /Disallow: \//)
+})
+
+test('a route without a key is 401, with a bad key 401, with too small a scope 403', async () => {
+  const anon = await get('/api/v1/stats', null)
+  assert.equal(anon.status, 401)
+  assert.match(anon.headers.get('www-authenticate'), /Bearer/)
+  assert.deepEqual(await anon.json(), { error: 'API key required' })
+  const bad = await get('/api/v1/stats', null, { 'x-api-key': 'f2s_nope' })
+  assert.deepEqual(await bad.json(), { error: 'invalid API key' })
+  assert.deepEqual(await json('/api/v1/keys', 'read'), { status: 403, body: { error: 'this key lacks the admin scope' } })
+  assert.equal((await get(`/?scan=${FIRST}`, 'read')).status, 403, 'raw artifacts need raw')
+})
+
+test('paths and query keys we do not serve get a bare 444', async () => {
+  for (const url of ['/wp-login.php', '/api/v2/scans', '/health?x=1', '/api/v1/scans?order=ip', '/api/v1/keys?all=1']) {
+    const res = await get(url, 'admin')
+    assert.equal(res.status, 444, url)
+    assert.equal(await res.text(), '')
+  }
+})
+
+test('/api/v1/keys lists the keys, never their hashes', async () => {
+  const { status, body } = await json('/api/v1/keys', 'admin')
+  assert.equal(status, 200)
+  assert.deepEqual(body.keys.map(k => k.id).sort(), ['admin', 'raw', 'read'])
+  assert.ok(body.keys.every(k => !('hash' in k)))
+})
+
+test('/events answers 503 without EVENTS_SOCKET', async () => {
+  const { status, body } = await json('/events', 'read')
+  assert.equal(status, 503)
+  assert.match(body.error, /EVENTS_SOCKET/)
+})
+
+// -------------------- legacy listing --------------------
+test('/ lists the scans of each day, /?scan= returns every file of one', async () => {
+  const listing = await json('/', 'read')
+  assert.equal(listing.status, 200)
+  assert.deepEqual(Object.keys(listing.body).sort(), ['2025-10-12', '2025-10-13'])
+  assert.deepEqual(listing.body['2025-10-12'].sort(), [V6, FIRST].sort())
+
+  const { status, body } = await json(`/?scan=${FIRST}`, 'raw')
+  assert.equal(status, 200)
+  assert.equal(body.date, '2025-10-12')
+  assert.deepEqual(Object.keys(body.files).sort(), ['nmap.txt', 'summary.json', 'whois.txt'])
+  assert.equal(body.files['summary.json'].ip, '203.0.113.7')
+  assert.match(body.files['nmap.txt'], /22\/tcp open/)
+  assert.equal((await get('/?scan=203.0.113.99_2025-10-12T00-00-00-000Z', 'raw')).status, 404)
+})
+
+// -------------------- /api/v1 --------------------
+const v1 = (name, fn) => test(name, { skip: !SQLITE && 'sqlite3 is not installed' }, fn)
+
+v1('/api/v1/scans lists the newest first, with filters', async () => {
+  const all = await json('/api/v1/scans', 'read')
+  assert.equal(all.status, 200)
+  assert.deepEqual(all.body.items.map(s => s.id), [CHANGED, V6, FIRST])
+  assert.equal(all.body.next_cursor, null)
+  const changed = all.body.items[0]
+  assert.equal(changed.ip, '203.0.113.7')
+  assert.equal(changed.jail, 'sshd')
+  assert.equal(changed.asn, 64500)
+  assert.equal(changed.country, 'NL')
+  assert.equal(changed.network, '203.0.113.0/24')
+  assert.equal(changed.changed, true)
+  assert.equal(changed.ok, false, 'whois failed')
+  assert.deepEqual(changed.open_ports, ['22/tcp', '5432/tcp'])
+  assert.equal(changed.url, `/api/v1/scans/${CHANGED}`)
+
+  const ids = async query => (await json(`/api/v1/scans?${query}`, 'read')).body.items.map(s => s.id)
+  assert.deepEqual(await ids('ip=2001:DB8::BEEF'), [V6])
+  assert.deepEqual(await ids('port=5432'), [CHANGED])
+  assert.deepEqual(await ids('port=22/tcp'), [CHANGED, FIRST])
+  assert.deepEqual(await ids('jail=nginx-http-auth'), [V6])
+  assert.deepEqual(await ids('country=de'), [V6])
+  assert.deepEqual(await ids('asn=AS64500&changed=false'), [FIRST])
+  assert.deepEqual(await ids('date_from=2025-10-13'), [CHANGED])
+  assert.deepEqual(await ids('date_to=2025-10-12&date_from=2025-10-12T14:30:30Z'), [V6])
+})
+
+v1('/api/v1/scans pages with next_cursor', async () => {
+  const seen = []
+  let url = '/api/v1/scans?limit=2'
+  for (;;) {
+    const { body } = await json(url, 'read')
+    seen.push(...body.items.map(s => s.id))
+    if (!body.next_cursor) break
+    url = `/api/v1/scans?limit=2&cursor=${body.next_cursor}`
+  }
+  assert.deepEqual(seen, [CHANGED, V6, FIRST])
+})
+
+v1('/api/v1/scans rejects bad filters with 400', async () => {
+  for (const query of ['ip=nope', 'port=ssh', 'limit=0', 'limit=500', 'country=NLD', 'asn=x', 'changed=maybe', 'date_from=yesterday', 'cursor=abc', 'jail=a%20b']) {
+    const { status, body } = await json(`/api/v1/scans?${query}`, 'read')
+    assert.equal(status, 400, query)
+    assert.ok(body.error, query)
+  }
+})
+
+v1('/api/v1/scans/:id returns the summary and the file list', async () => {
+  const { status, body } = await json(`/api/v1/scans/${FIRST}`, 'read')
+  assert.equal(status, 200)
+  assert.equal(body.summary.rdns.hostname, 'scanner-7.example.net')
+  assert.equal(body.hostname, 'scanner-7.example.net')
+  assert.deepEqual(body.files.map(f => f.name).sort(), ['nmap.txt', 'summary.json', 'whois.txt'])
+  const nmap = body.files.find(f => f.name === 'nmap.txt')
+  assert.equal(nmap.size, fs.statSync(path.join(LOG_DIR, '2025-10-12', FIRST, 'nmap.txt')).size)
+  assert.equal(nmap.url, `/api/v1/scans/${FIRST}/files/nmap.txt`)
+  assert.equal((await get('/api/v1/scans/203.0.113.99_2025-10-12T00-00-00-000Z', 'read')).status, 404)
+  assert.equal((await get('/api/v1/scans/a%20b', 'read')).status, 404)
+})
+
+v1('/api/v1/scans/:id/files/:name sends an artifact to raw keys, with an ETag', async () => {
+  const url = `/api/v1/scans/${FIRST}/files/whois.txt`
+  assert.equal((await get(url, 'read')).status, 403)
+  const res = await get(url, 'raw')
+  assert.equal(res.status, 200)
+  assert.match(await res.text(), /EXAMPLE-HOSTING-NET/)
+  const etag = res.headers.get('etag')
+  assert.ok(etag)
+  assert.equal(await status(url, 'raw', { 'if-none-match': etag }), 304)
+  assert.equal((await get(`/api/v1/scans/${FIRST}/files/nmap.xml`, 'raw')).status, 404)
+  assert.equal((await get(`/api/v1/scans/${FIRST}/files/.env`, 'raw')).status, 404)
+})
+
+v1('/api/v1/ips/:ip returns the IP and its scan history', async () => {
+  const { status, body } = await json('/api/v1/ips/203.0.113.7', 'read')
+  assert.equal(status, 200)
+  assert.equal(body.scans, 2)
+  assert.equal(body.first_scan, '2025-10-12T14:30:05.000Z')
+  assert.equal(body.last_scan, '2025-10-13T09:00:00.000Z')
+  assert.deepEqual(body.history.map(s => s.id), [CHANGED, FIRST])
+  assert.equal((await json('/api/v1/ips/2001:db8:0::beef', 'read')).body.scans, 1)
+  assert.equal((await get('/api/v1/ips/198.51.100.1', 'read')).status, 404)
+  assert.equal((await get('/api/v1/ips/not-an-ip', 'read')).status, 404)
+})
+
+v1('/api/v1/stats sums up the index', async () => {
+  const { status, body } = await json('/api/v1/stats', 'read')
+  assert.equal(status, 200)
+  assert.equal(body.scans, 3)
+  assert.equal(body.ips, 2)
+  assert.equal(body.failed, 1)
+  assert.equal(body.changed, 1)
+  assert.equal(body.archived, 0)
+  assert.deepEqual(body.jails, [{ jail: 'sshd', scans: 2, ips: 1 }, { jail: 'nginx-http-auth', scans: 1, ips: 1 }])
+  assert.deepEqual(body.ports[0], { port: 22, protocol: 'tcp', ips: 1 })
+  assert.deepEqual(body.days, [{ day: '2025-10-13', scans: 1 }, { day: '2025-10-12', scans: 2 }])
+})
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const net = require('net')
+const { EventRelay } = require('../events')
+
+// an EventRelay on a stand-in for the daemon's events.socket
+
+let dir, daemon, sockets = [], relay
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'failtoscan-events-test-'))
+  const socketPath = path.join(dir, 'events.sock')
+  daemon = net.createServer(sock => sockets.push(sock))
+  await new Promise(resolve => daemon.listen(socketPath, resolve))
+  relay = new EventRelay(socketPath).start()
+  await waitFor(() => sockets.length === 1)
+  const line = (seq, type) => JSON.stringify({ seq, ts: new Date().toISOString(), type, ip: '203.0.113.7' }) + '\n'
+  sockets[0].write(line(1, 'queued') + line(2, 'started') + line(3, 'queue') + line(4, 'completed'))
+  await waitFor(() => relay.recent.length === 4)
+})
+
+after(() => {
+  for (const sock of sockets) sock.destroy()
+  daemon.close()
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+async function waitFor(fn) {
+  for (let i = 0; i < 200 && !fn(); i++) await new Promise(resolve => setTimeout(resolve, 10))
+  assert.ok(fn(), 'timed out')
+}
+
+// what handle() writes for a request with this Last-Event-ID
+function connect(lastEventId) {
+  const chunks = []
+  let closed = null
+  const req = { get: name => name === 'last-event-id' ? lastEventId : undefined, on: (ev, fn) => { closed = fn } }
+  const res = { set: () => {}, flushHeaders: () => {}, write: text => chunks.push(text) }
+  relay.handle(req, res)
+  closed()
+  return chunks.join('').split('\n\n').filter(m => m.startsWith('id:')).map(m => {
+    const [, id, event] = /^id: (\d+)\nevent: (\S+)/.exec(m)
+    return `${id} ${event}`
+  })
+}
+
+// ids: 1 the connection, 2-5 the daemon lines (4, the queue snapshot, is kept apart)
+test('a new client gets the daemon state and the last queue snapshot only', () => {
+  assert.deepEqual(connect(undefined), ['5 daemon', '4 queue'])
+})
+
+test('Last-Event-ID replays what came after it', () => {
+  assert.deepEqual(connect('2'), ['3 started', '5 completed', '5 daemon', '4 queue'])
+  assert.deepEqual(connect('5'), ['5 daemon', '4 queue'])
+})
+
+test('a Last-Event-ID from before an API restart replays everything kept', () => {
+  assert.deepEqual(connect('812'), ['1 daemon', '2 queued', '3 started', '5 completed', '5 daemon', '4 queue'])
+})
+
+test('an empty, zero or non-numeric Last-Event-ID replays nothing', () => {
+  for (const id of ['', '0', 'abc', '-3', '2.5', ' '])
+    assert.deepEqual(connect(id), ['5 daemon', '4 queue'], JSON.stringify(id))
+})
@@ -0,0 +1,223 @@
+const express = require('express')
+const path = require('path')
+const os = require('os')
+const fs = require('fs')
+const { ScanDb, q } = require('../../lib/scandb')
+const { normalizeIp } = require('../../lib/ipguard')
+const { scanMembers, readMember, streamMember } = require('./archives')
+
+// /api/v1: reads the SQLite index the daemon keeps (index.enabled) or
+// `fail2scan reindex` builds; artifacts come from the scan directory or its
+// day archive. JSON answers carry an ETag (express), files their own, and
+// If-None-Match gets a 304.
+
+const INDEX_FILE = process.env.INDEX_FILE || path.join(os.homedir(), '.fail2scan_index.db')
+const db = new ScanDb(INDEX_FILE, { readonly: true })
+
+// the query keys and the API key scope (see access.js) of each route; any
+// other path or key gets the same 444 as before
+const ROUTES = [
+  { re: /^\/api\/v1\/scans$/, scope: 'read', query: ['ip', 'date_from', 'date_to', 'port', 'jail', 'country', 'asn', 'changed', 'limit', 'cursor'] },
+  { re: /^\/api\/v1\/scans\/[^/]+$/, scope: 'read', query: [] },
+  { re: /^\/api\/v1\/scans\/[^/]+\/files\/[^/]+$/, scope: 'raw', query: [] },
+  { re: /^\/api\/v1\/ips\/[^/]+$/, scope: 'read', query: [] },
+  { re: /^\/api\/v1\/stats$/, scope: 'read', query: [] }
+]
+function route(req) {
+  const r = ROUTES.find(r => r.re.test(req.path))
+  return r && Object.keys(req.query).every(k => r.query.includes(k)) ? r : null
+}
+
+const fail = (status, message) => Object.assign(new Error(message), { status })
+const NAME_RE = /^[\w-][\w.-]*$/ // scan directory and artifact names
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+
+// -------------------- scans --------------------
+const PORTS = `(SELECT group_concat(x,' ') FROM (SELECT p.port||'/'||p.protocol AS x FROM ports p WHERE p.scan_id=s.id ORDER BY p.protocol,p.port))`
+const COLUMNS = `s.id, s.name, s.day, s.ip, s.ts, s.jail, s.country, s.asn, s.org, s.hostname, s.network, s.ok, s.changed, s.dir, s.archive, ${PORTS} AS ports`
+
+function item(r) {
+  return {
+    id: r.name,
+    ip: r.ip,
+    ts: r.ts,
+    day: r.day,
+    jail: r.jail,
+    country: r.country,
+    asn: r.asn,
+    org: r.org,
+    hostname: r.hostname,
+    network: r.network,
+    ok: r.ok === 1,
+    changed: r.changed === 1,
+    archived: !!r.archive,
+    open_ports: r.ports ? r.ports.split(' ') : [],
+    url: `/api/v1/scans/${r.name}`
+  }
+}
+
+// the position after the last item: base64url of [ts, id]
+const encodeCursor = r => Buffer.from(JSON.stringify([r.ts || '', r.id])).toString('base64url')
+function decodeCursor(text) {
+  try {
+    const [ts, id] = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'))
+    if (typeof ts === 'string' && Number.isInteger(id)) return { ts, id }
+  } catch {}
+  throw fail(400, 'cursor: not a cursor from a previous page')
+}
+
+// a date (whole day) or an ISO time
+function parseBound(text, key, end) {
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(text)
+  const ms = Date.parse(day ? `${text}T00:00:00Z` : text)
+  if (!Number.isFinite(ms)) throw fail(400, `${key}: expected YYYY-MM-DD or an ISO time`)
+  return new Date(day && end ? ms + 86400 * 1000 : ms).toISOString()
+}
+
+function scanFilters(query) {
+  const where = []
+  if (query.ip) {
+    const ip = normalizeIp(query.ip)
+    if (!ip) throw fail(400, 'ip: not an IP address')
+    where.push(`s.ip=${q(ip)}`)
+  }
+  if (query.date_from) where.push(`s.ts>=${q(parseBound(query.date_from, 'date_from', false))}`)
+  if (query.date_to) where.push(`s.ts<${q(parseBound(query.date_to, 'date_to', true))}`)
+  if (query.port) {
+    const m = /^(\d{1,5})(?:\/(tcp|udp|sctp))?$/.exec(query.port)
+    if (!m) throw fail(400, 'port: expected 22 or 53/udp')
+    where.push(`EXISTS (SELECT 1 FROM ports p WHERE p.scan_id=s.id AND p.port=${+m[1]} AND p.protocol=${q(m[2] || 'tcp')})`)
+  }
+  if (query.jail) {
+    if (!NAME_RE.test(query.jail)) throw fail(400, 'jail: unexpected characters')
+    where.push(`s.jail=${q(query.jail)}`)
+  }
+  if (query.country) {
+    if (!/^[a-z]{2}$/i.test(query.country)) throw fail(400, 'country: expected a two-letter code')
+    where.push(`s.country=${q(query.country.toUpperCase())}`)
+  }
+  if (query.asn) {
+    const m = /^(?:AS)?(\d+)$/i.exec(query.asn)
+    if (!m) throw fail(400, 'asn: expected 13335 or AS13335')
+    where.push(`s.asn=${+m[1]}`)
+  }
+  if (query.changed) {
+    if (!/^(true|false|1|0)$/.test(query.changed)) throw fail(400, 'changed: expected true or false')
+    where.push(`s.changed=${/^(true|1)$/.test(query.changed) ? 1 : 0}`)
+  }
+  return where
+}
+
+async function scanByName(name) {
+  if (!NAME_RE.test(name)) throw fail(404, 'scan not found')
+  const [row] = await db.query(`SELECT ${COLUMNS} FROM scans s WHERE s.name=${q(name)};`)
+  if (!row) throw fail(404, 'scan not found')
+  return row
+}
+
+// [{ name, size }] of the artifacts of a scan; size is null inside archives
+async function listFiles(row) {
+  if (row.archive) return (await scanMembers(row.archive, row.day, row.name)).map(m => ({ name: path.basename(m), size: null }))
+  const entries = await fs.promises.readdir(row.dir, { withFileTypes: true })
+  return Promise.all(entries.filter(e => e.isFile()).map(async e => ({ name: e.name, size: (await fs.promises.stat(path.join(row.dir, e.name))).size })))
+}
+
+async function readScanSummary(row) {
+  try {
+    const raw = row.archive ? await readMember(row.archive, `${row.day}/${row.name}/summary.json`) : await fs.promises.readFile(path.join(row.dir, 'summary.json'))
+    return JSON.parse(raw.toString('utf8'))
+  } catch { return null }
+}
+
+// -------------------- routes --------------------
+const router = express.Router()
+
+router.use((req, res, next) => {
+  if (!fs.existsSync(INDEX_FILE)) return next(fail(503, 'scan index not available: set index.enabled in fail2scan, or run fail2scan reindex'))
+  next()
+})
+
+router.get('/scans', async (req, res) => {
+  const where = scanFilters(req.query)
+  const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw fail(400, `limit: expected 1-${MAX_LIMIT}`)
+  if (req.query.cursor) {
+    const c = decodeCursor(req.query.cursor)
+    where.push(`(COALESCE(s.ts,'')<${q(c.ts)} OR (COALESCE(s.ts,'')=${q(c.ts)} AND s.id<${c.id}))`)
+  }
+  const rows = await db.query(`SELECT ${COLUMNS} FROM scans s${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY COALESCE(s.ts,'') DESC, s.id DESC LIMIT ${limit + 1};`)
+  const more = rows.length > limit
+  const page = rows.slice(0, limit)
+  res.json({ items: page.map(item), limit, next_cursor: more ? encodeCursor(page[page.length - 1]) : null })
+})
+
+router.get('/scans/:id', async (req, res) => {
+  const row = await scanByName(req.params.id)
+  const files = await listFiles(row).catch(() => [])
+  res.json({
+    ...item(row),
+    summary: await readScanSummary(row),
+    files: files.map(f => ({ ...f, url: `/api/v1/scans/${row.name}/files/${encodeURIComponent(f.name)}` }))
+  })
+})
+
+router.get('/scans/:id/files/:name', async (req, res, next) => {
+  const row = await scanByName(req.params.id)
+  const name = req.params.name
+  if (!NAME_RE.test(name)) throw fail(404, 'file not found')
+  if (!row.archive) {
+    // send handles ETag, Last-Modified, 304 and ranges
+    return res.sendFile(name, { root: row.dir, dotfiles: 'deny' }, err => {
+      if (err && !res.headersSent) next(err.status === 404 || err.code === 'ENOENT' ? fail(404, 'file not found') : err)
+    })
+  }
+  const member = `${row.day}/${row.name}/${name}`
+  if (!(await scanMembers(row.archive, row.day, row.name)).includes(member)) throw fail(404, 'file not found')
+  const st = await fs.promises.stat(row.archive)
+  res.set('ETag', `W/"${st.size.toString(16)}-${Math.floor(st.mtimeMs).toString(16)}-${name}"`)
+  if (req.fresh) return res.status(304).end()
+  res.type(path.extname(name) || 'txt')
+  const proc = streamMember(row.archive, member)
+  proc.stdout.pipe(res)
+  proc.on('error', err => next(err))
+  req.on('close', () => proc.kill())
+})
+
+router.get('/ips/:ip', async (req, res) => {
+  const ip = normalizeIp(req.params.ip)
+  if (!ip) throw fail(404, 'ip not found')
+  const [summary] = await db.query(`SELECT * FROM ips WHERE ip=${q(ip)};`)
+  if (!summary) throw fail(404, 'ip not found')
+  const rows = await db.query(`SELECT ${COLUMNS} FROM scans s WHERE s.ip=${q(ip)} ORDER BY COALESCE(s.ts,'') DESC, s.id DESC;`)
+  res.json({ ...summary, history: rows.map(item) })
+})
+
+// one sqlite3 run: the whole answer is built as a single JSON value
+const STATS_SQL = `SELECT json_object(
+  'scans', (SELECT COUNT(*) FROM scans),
+  'ips', (SELECT COUNT(*) FROM ips),
+  'first_scan', (SELECT MIN(ts) FROM scans),
+  'last_scan', (SELECT MAX(ts) FROM scans),
+  'failed', (SELECT COUNT(*) FROM scans WHERE ok=0),
+  'changed', (SELECT COUNT(*) FROM scans WHERE changed=1),
+  'archived', (SELECT COUNT(*) FROM scans WHERE archive IS NOT NULL),
+  'jails', (SELECT json_group_array(json_object('jail',name,'scans',scans,'ips',ips)) FROM (SELECT * FROM jails ORDER BY scans DESC LIMIT 10)),
+  'countries', (SELECT json_group_array(json_object('country',country,'scans',n,'ips',i)) FROM (SELECT country, COUNT(*) n, COUNT(DISTINCT ip) i FROM scans WHERE country IS NOT NULL GROUP BY country ORDER BY n DESC LIMIT 10)),
+  'asns', (SELECT json_group_array(json_object('asn',asn,'org',org,'scans',scans,'ips',ips)) FROM (SELECT * FROM asns ORDER BY scans DESC LIMIT 10)),
+  'ports', (SELECT json_group_array(json_object('port',port,'protocol',protocol,'ips',i)) FROM (SELECT p.port, p.protocol, COUNT(DISTINCT s.ip) i FROM ports p JOIN scans s ON s.id=p.scan_id GROUP BY p.port, p.protocol ORDER BY i DESC LIMIT 10)),
+  'days', (SELECT json_group_array(json_object('day',day,'scans',n)) FROM (SELECT day, COUNT(*) n FROM scans GROUP BY day ORDER BY day DESC LIMIT 30))
+) AS stats;`
+
+router.get('/stats', async (req, res) => {
+  const [row] = await db.query(STATS_SQL)
+  res.json(JSON.parse(row.stats))
+})
+
+router.use((err, req, res, next) => {
+  if (!err.status) console.error(err)
+  if (res.headersSent) return res.end()
+  res.status(err.status || 500).json({ error: err.status ? err.message : 'Internal server error' })
+})
+
+module.exports = { router, route }